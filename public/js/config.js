@@ -32,6 +32,9 @@ const Config = {
   // Network settings
   serverUrl: window.location.hostname === 'localhost' ? 'http://localhost:3000' : window.location.origin,
   offlineMode: false, // Set to false to enable multiplayer by default
+  interpolationDelay: 100, // Milliseconds remote entities are rendered behind the server
+  maxExtrapolation: 250, // Milliseconds to keep moving remote entities when packets are late
+  rotationSmoothing: 0.2, // Share of the remaining turn remote entities make per frame
   
   // Graphics settings
   fogColor: 0xffefd5, // Papaya whip - sandy fog color
@@ -39,6 +42,7 @@ const Config = {
   wallColor: 0xd2b48c, // Tan color for walls (fallback)
   floorColor: 0xd2b48c, // Sandy color for floor
   exitColor: 0xffcc00, // Golden yellow for exit
+  doorColor: 0x8b4513, // Saddle brown for locked doors
   skyColor: 0xffefd5, // Papaya whip - sandy sky color
   
   // Item settings
@@ -7,13 +7,19 @@ class Game {
     this.isRunning = false;
     this.isGameOver = false;
     this.gameMode = 'coop';
+    this.role = null; // Secret betrayal role ('innocent' or 'traitor')
+    this.traitors = []; // Fellow traitor IDs, only known to traitors
     
     // Game objects
     this.network = null;
     this.mazeRenderer = null;
+    this.rendererReady = false; // Whether the maze renderer finished initializing
     this.player = null;
+    this.spectator = null; // Watches the game once we escaped or died, or when we joined to spectate
+    this.replay = null; // Replay being watched, see ReplayPlayer
     this.monsters = [];
     this.items = new Map(); // Map of item IDs to item objects
+    this.pendingPickups = new Set(); // Item IDs waiting for the server to confirm a pickup
     
     // UI elements
     this.ui = new UI();
@@ -54,6 +60,7 @@ class Game {
         ]);
         
         await rendererPromise;
+        this.rendererReady = true;
         
         if (this.debug) console.log('Maze renderer initialized successfully');
       } catch (error) {
@@ -87,6 +94,7 @@ class Game {
       try {
         if (this.mazeRenderer && this.mazeRenderer.scene && this.mazeRenderer.camera) {
           this.player = new Player(this.mazeRenderer.scene, this.mazeRenderer.camera);
+          this.spectator = new Spectator(this.mazeRenderer.camera, this.player);
           if (this.debug) console.log('Player initialized successfully');
         } else {
           console.error('Cannot initialize player: maze renderer not properly initialized');
@@ -98,6 +106,9 @@ class Game {
       // Set up event listeners
       this.setupEventListeners();
       
+      // Let the lobby know once we can render the game
+      this.reportLoadState();
+      
       // Show menu screen
       this.ui.hideLoadingScreen();
       this.ui.showMenuScreen();
@@ -125,6 +136,8 @@ class Game {
     document.getElementById('host-btn').addEventListener('click', () => this.hostGame());
     document.getElementById('join-btn').addEventListener('click', () => this.ui.toggleJoinForm());
     document.getElementById('connect-btn').addEventListener('click', () => this.joinGame());
+    document.getElementById('spectate-btn').addEventListener('click', () => this.spectateGame());
+    document.getElementById('replays-btn').addEventListener('click', () => this.showReplays());
     document.getElementById('settings-btn').addEventListener('click', () => this.showSettings());
     
     // Game over buttons
@@ -135,27 +148,93 @@ class Game {
     if (this.network) {
       this.network.on('connected', () => this.onConnected());
       this.network.on('disconnected', () => this.onDisconnected());
+      this.network.on('connectionLost', () => this.onConnectionLost());
+      this.network.on('kicked', (data) => this.onKicked(data));
+      this.network.on('roomUpdated', (data) => this.onRoomUpdated(data));
+      this.network.on('countdown', (data) => this.onCountdown(data));
+      this.network.on('countdownCancelled', (data) => this.onCountdownCancelled(data));
+      this.network.on('rematchVote', (data) => this.onRematchVote(data));
+      this.network.on('rejoined', (data) => this.onRejoined(data));
+      this.network.on('playerDisconnected', (data) => this.onPlayerDisconnected(data));
+      this.network.on('playerRejoined', (data) => this.onPlayerRejoined(data));
       this.network.on('gameState', (data) => this.onGameState(data));
       this.network.on('playerJoined', (data) => this.onPlayerJoined(data));
       this.network.on('playerLeft', (data) => this.onPlayerLeft(data));
       this.network.on('playerMoved', (data) => this.onPlayerMoved(data));
+      this.network.on('positionCorrected', (data) => this.onPositionCorrected(data));
       this.network.on('interactionResult', (data) => this.onInteractionResult(data));
       this.network.on('playerEscaped', (data) => this.onPlayerEscaped(data));
       this.network.on('gameUpdate', (data) => this.onGameUpdate(data));
       this.network.on('mazeUpdated', (data) => this.onMazeUpdated(data));
+      this.network.on('monsterRoared', (data) => this.onMonsterRoared(data));
       this.network.on('gameOver', (data) => this.onGameOver(data));
       this.network.on('playerDamaged', (data) => this.onPlayerDamaged(data));
+      this.network.on('playerAttacked', (data) => this.onPlayerAttacked(data));
+      this.network.on('playerKnockedBack', (data) => this.onPlayerKnockedBack(data));
+      this.network.on('playerUsedStairs', (data) => this.onPlayerUsedStairs(data));
+      this.network.on('playerKilled', (data) => this.onPlayerKilled(data));
       this.network.on('itemSpawned', (data) => this.onItemSpawned(data));
       this.network.on('itemCollected', (data) => this.onItemCollected(data));
+      this.network.on('itemUsed', (data) => this.onItemUsed(data));
+      this.network.on('doorOpened', (data) => this.onDoorOpened(data));
+      this.network.on('doorClosed', (data) => this.onDoorClosed(data));
+      this.network.on('roleAssigned', (data) => this.onRoleAssigned(data));
     }
     
     // Player input
     document.addEventListener('keydown', (e) => {
+      // Toggle ready while waiting in a lobby
+      if (e.code === 'KeyY' && this.network && this.network.isInRoom() && 
+          this.network.getCurrentRoom().state === 'lobby') {
+        this.toggleReady();
+        return;
+      }
+      
+      // Replay playback controls, the spectator cameras work as well
+      if (this.replay) {
+        if (e.code === 'Space') {
+          e.preventDefault();
+          this.replay.togglePause();
+          return;
+        } else if (e.code === 'ArrowLeft' || e.code === 'ArrowRight') {
+          this.replay.skip(e.code === 'ArrowLeft' ? -10 : 10);
+          return;
+        } else if (e.code === 'ArrowUp' || e.code === 'ArrowDown') {
+          e.preventDefault();
+          this.replay.changeSpeed(e.code === 'ArrowUp' ? 1 : -1);
+          return;
+        }
+      }
+      
+      // Spectator camera controls
+      if (this.isRunning && this.isSpectating() && e.code !== 'Escape') {
+        if (e.code === 'Tab') {
+          e.preventDefault();
+          this.spectator.cycleTarget(e.shiftKey ? -1 : 1);
+        } else if (e.code === 'KeyF') {
+          this.spectator.toggleMode();
+        } else if (e.code === 'KeyM') {
+          this.spectator.toggleOverview();
+        }
+        return;
+      }
+      
       if (this.isRunning) {
         if (e.code === 'KeyE') {
-          if (this.network) this.network.emit('playerInteract');
+          if (this.network) {
+            this.network.emit('playerInteract', {}, (result) => {
+              // Successful interactions arrive as interactionResult
+              if (result && !result.success && result.type) {
+                this.onInteractionResult({ playerId: this.network.getPlayerId(), ...result });
+              }
+            });
+          }
         } else if (e.code === 'KeyF') {
           this.useEquippedItem();
+        } else if (e.code === 'KeyT' && this.role === 'traitor') {
+          this.useAbility('sabotage');
+        } else if (e.code === 'KeyG' && this.role === 'traitor') {
+          this.useAbility('lure');
         } else if (e.code === 'Escape') {
           // Toggle pointer lock on Escape key
           if (document.pointerLockElement === this.mazeRenderer.renderer.domElement) {
@@ -167,6 +246,21 @@ class Game {
       }
     });
     
+    // Attack with the left mouse button once the pointer is locked (the first click locks it)
+    document.addEventListener('mousedown', (e) => {
+      if (this.isRunning && e.button === 0 && this.player && this.player.pointerLocked && !this.isSpectating()) {
+        this.attack();
+      }
+    });
+    
+    // Resync after the tab was in the background
+    document.addEventListener('visibilitychange', () => {
+      // Background tabs get throttled and can miss updates, so resync when we come back
+      if (document.visibilityState === 'visible' && this.isRunning && this.network && !this.network.offlineMode) {
+        this.network.requestGameState();
+      }
+    });
+    
     // Handle pointer lock errors
     document.addEventListener('pointerlockerror', (event) => {
       console.error('Pointer lock error:', event);
@@ -197,6 +291,102 @@ class Game {
     }
   }
   
+  /**
+   * Joins an existing game to watch it. Running games can be joined this way too.
+   */
+  spectateGame() {
+    const roomCode = document.getElementById('room-code').value;
+    if (roomCode) {
+      console.log('Spectating game with room code:', roomCode);
+      this.network.connect(roomCode, { spectate: true });
+    } else {
+      alert('Please enter a room code');
+    }
+  }
+  
+  /**
+   * Shows the replays of finished games stored on the server, or hides the list if it is shown.
+   */
+  showReplays() {
+    if (this.ui.isReplayListVisible()) {
+      this.ui.hideReplayList();
+      return;
+    }
+    
+    this.network.getReplays((result) => {
+      if (!result.success) {
+        alert(result.message || 'Could not load the replays');
+        return;
+      }
+      
+      this.ui.showReplayList(result.replays, (replayId) => this.watchReplay(replayId));
+    });
+  }
+  
+  /**
+   * Downloads a replay and plays it back, watched with the spectator cameras.
+   * @param {string} replayId - The replay ID
+   */
+  watchReplay(replayId) {
+    console.log('Watching replay:', replayId);
+    
+    this.network.getReplay(replayId, (result) => {
+      if (!result.success) {
+        alert(result.message || 'Could not load the replay');
+        return;
+      }
+      
+      this.ui.hideReplayList();
+      this.replay = new ReplayPlayer(this, result.replay);
+      this.replay.start();
+    });
+  }
+  
+  /**
+   * Stops watching the replay and returns to the main menu.
+   */
+  stopReplay() {
+    if (!this.replay) return;
+    
+    this.replay.stop();
+    this.replay = null;
+    this.isRunning = false;
+    this.stopSpectating();
+    this.ui.showMenuScreen();
+  }
+  
+  /**
+   * Reports to the lobby whether the renderer and the monster model have loaded.
+   * The monster model may still be loading after init gave up waiting, so report again once it's done.
+   */
+  async reportLoadState() {
+    const loader = window.monsterModelLoader;
+    const isLoaded = () => !!this.rendererReady && !!loader && loader.isModelLoaded();
+    
+    this.network.setClientLoaded(isLoaded());
+    
+    if (!isLoaded() && loader) {
+      await loader.waitForModelToLoad();
+      this.network.setClientLoaded(isLoaded());
+    }
+  }
+  
+  /**
+   * Toggles whether we are ready to start the game in the lobby.
+   */
+  toggleReady() {
+    const ready = !this.network.isReady();
+    
+    this.network.setReady(ready, (result) => {
+      if (result && !result.success) {
+        this.ui.showMessage(result.message, 'warning');
+        return;
+      }
+      
+      this.ui.showMessage(ready ? 'Ready! Waiting for the other players...' : 'Not ready', 'info');
+    });
+  }
+  
   /**
    * Shows the settings menu.
    */
@@ -214,6 +404,13 @@ class Game {
     this.isRunning = true;
     this.isGameOver = false;
     
+    // Roles are sent after the game state, so forget the previous game's role
+    this.role = null;
+    this.traitors = [];
+    
+    // Everyone starts out playing, the game state tells us if we are only watching
+    this.stopSpectating();
+    
     // Hide menu screen
     this.ui.hideMenuScreen();
     
@@ -263,36 +460,38 @@ class Game {
       width: width,
       height: height,
       cellSize: cellSize,
-      grid: Array(width).fill().map(() => Array(height).fill(false)),
-      exit: { x: Math.floor(width * 0.75), z: Math.floor(height * 0.75) },
+      levels: [Array(width).fill().map(() => Array(height).fill(false))],
+      floorHeight: Config.wallHeight || 3,
+      exit: { x: Math.floor(width * 0.75), z: Math.floor(height * 0.75), floor: 0 },
       start: { x: 1, z: Math.floor(height / 2) } // Position player at the entrance
     };
+    const grid = mazeData.levels[0];
     
     // Add border walls
     for (let i = 0; i < mazeData.width; i++) {
       for (let j = 0; j < mazeData.height; j++) {
         // Create border walls
         if (i === 0 || i === mazeData.width - 1 || j === 0 || j === mazeData.height - 1) {
-          mazeData.grid[i][j] = true;
+          grid[i][j] = true;
         }
       }
     }
     
     // Create a clear entrance
     const entranceZ = Math.floor(height / 2);
-    mazeData.grid[0][entranceZ] = false; // Open the wall at position (0, entranceZ)
-    mazeData.grid[0][entranceZ - 1] = false;  // Make the entrance wider
-    mazeData.grid[0][entranceZ + 1] = false; // Make the entrance wider
+    grid[0][entranceZ] = false; // Open the wall at position (0, entranceZ)
+    grid[0][entranceZ - 1] = false;  // Make the entrance wider
+    grid[0][entranceZ + 1] = false; // Make the entrance wider
     
     // Make sure the path from entrance is clear
-    mazeData.grid[1][entranceZ] = false;
-    mazeData.grid[2][entranceZ] = false;
-    mazeData.grid[3][entranceZ] = false;
+    grid[1][entranceZ] = false;
+    grid[2][entranceZ] = false;
+    grid[3][entranceZ] = false;
     
     // Add some internal walls to create a maze
     for (let i = 5; i < width - 5; i += 2) {
       for (let j = 5; j < height - 5; j += 2) {
-        mazeData.grid[i][j] = true;
+        grid[i][j] = true;
       }
     }
     
@@ -305,17 +504,17 @@ class Game {
       if (!(x === 1 && z === entranceZ) && 
           !(x === 2 && z === entranceZ) && 
           !(x === 3 && z === entranceZ)) {
-        mazeData.grid[x][z] = true;
+        grid[x][z] = true;
       }
     }
     
     // Make sure the exit area is clear
     const exitX = mazeData.exit.x;
     const exitZ = mazeData.exit.z;
-    mazeData.grid[exitX][exitZ] = false;
-    mazeData.grid[exitX - 1][exitZ] = false;
-    mazeData.grid[exitX][exitZ - 1] = false;
-    mazeData.grid[exitX - 1][exitZ - 1] = false;
+    grid[exitX][exitZ] = false;
+    grid[exitX - 1][exitZ] = false;
+    grid[exitX][exitZ - 1] = false;
+    grid[exitX - 1][exitZ - 1] = false;
     
     // Create the maze
     try {
@@ -375,26 +574,49 @@ class Game {
       if (!this.isRunning) return;
       
       // Update player
-      if (this.player) {
+      if (this.player && !this.isSpectating()) {
         this.player.update();
       }
       
-      // Send player position to server
-      if (this.network && this.network.isConnected && this.player) {
-        this.network.emit('playerMove', this.player.getPosition());
+      // Send player position to server, with the movement state monsters can hear
+      if (this.network && this.network.isConnected && this.player && !this.isSpectating()) {
+        this.network.emit('playerMove', {
+          ...this.player.getPosition(),
+          ...this.player.getMovementState()
+        });
+      }
+      
+      // Play the replay's events up to this frame
+      if (this.replay) {
+        this.replay.update();
+      }
+      
+      // Server time to render remote players and monsters at, replays have their own clock
+      const renderTime = this.replay ?
+        this.replay.getRenderTime() :
+        (this.network ? this.network.getRenderTime() : Date.now());
+      
+      // Update remote players
+      if (this.player) {
+        this.player.updateRemotePlayers(renderTime);
       }
       
       // Update monsters
       if (this.monsters && this.monsters.length > 0) {
         this.monsters.forEach(monster => {
           if (monster && typeof monster.update === 'function') {
-            monster.update();
+            monster.update(renderTime);
           }
         });
       }
       
-      // Check for item collisions
-      this.checkItemCollisions();
+      // Move the spectator camera once everyone it can follow has moved
+      if (this.isSpectating()) {
+        this.spectator.update(this.mazeRenderer.maze, this.monsters);
+      } else {
+        // Check for item collisions
+        this.checkItemCollisions();
+      }
       
       // Render the scene
       if (this.mazeRenderer) {
@@ -450,46 +672,124 @@ class Game {
   }
   
   /**
-   * Collects an item and adds it to the player's inventory.
+   * Asks the server to collect an item and adds it to the player's inventory once confirmed.
    * @param {string} itemId - The ID of the item to collect
    */
   collectItem(itemId) {
     const item = this.items.get(itemId);
-    if (!item) return;
+    if (!item || this.pendingPickups.has(itemId)) return;
     
-    // Add to player's inventory
-    const added = this.player.addItem(item);
+    // Don't ask for items that won't fit
+    if (this.player.inventory.length >= this.player.maxInventorySize) return;
     
-    if (added) {
-      // Remove from scene
-      if (item.mesh) {
-        this.mazeRenderer.scene.remove(item.mesh);
-      }
+    this.pendingPickups.add(itemId);
+    
+    // The server validates the pickup and owns the inventory
+    this.network.emit('collectItem', { itemId }, (result) => {
+      this.pendingPickups.delete(itemId);
+      
+      if (!result || !result.success) return;
+      
+      // Add to player's inventory
+      this.player.addItem(result.item || item);
       
-      // Remove from items map
-      this.items.delete(itemId);
+      // Remove from scene
+      this.removeItem(itemId);
       
       // Show message
       this.ui.showMessage(`Collected: ${item.name}`, 'info');
-      
-      // Notify server
-      this.network.emit('collectItem', { itemId });
+    });
+  }
+  
+  /**
+   * Removes an item from the scene.
+   * @param {string} itemId - The ID of the item to remove
+   */
+  removeItem(itemId) {
+    const item = this.items.get(itemId);
+    if (!item) return;
+    
+    if (item.mesh) {
+      this.mazeRenderer.scene.remove(item.mesh);
     }
+    
+    this.items.delete(itemId);
   }
   
   /**
    * Uses the player's currently equipped item.
    */
   useEquippedItem() {
-    if (this.player) {
-      const used = this.player.useEquippedItem();
-      if (used) {
-        // Notify server
-        this.network.emit('useItem', { 
-          itemIndex: this.player.equippedItemIndex 
-        });
+    if (!this.player || this.player.equippedItemIndex === -1) return;
+    
+    // The server validates the use and applies the effect to the authoritative state
+    this.network.emit('useItem', { 
+      itemIndex: this.player.equippedItemIndex 
+    }, (result) => {
+      if (!result || !result.success) {
+        if (result && result.message) this.ui.showMessage(result.message, 'warning');
+        return;
       }
-    }
+      
+      // Apply the local part of the effect (speed boost, UI messages)
+      this.player.useEquippedItem();
+      
+      // Mirror the server's health
+      if (result.health !== undefined) {
+        this.player.health = result.health;
+        this.ui.updateHealthBar(this.player.health, this.player.maxHealth);
+      }
+    });
+  }
+  
+  /**
+   * Attacks in the direction the camera is facing with the equipped weapon (or bare-handed).
+   * The server decides whether anyone was hit.
+   */
+  attack() {
+    if (!this.network || this.network.offlineMode) return;
+    
+    const direction = this.player.camera.getWorldDirection(new THREE.Vector3());
+    
+    this.network.emit('playerAttack', {
+      direction: { x: direction.x, z: direction.z },
+      itemIndex: this.player.equippedItemIndex
+    }, (result) => {
+      if (!result) return;
+      
+      if (!result.success) {
+        // Cooldown messages would flood the screen while clicking, so only log them
+        console.log('Attack failed:', result.message);
+        return;
+      }
+      
+      if (result.hit) {
+        this.ui.showMessage(result.message, 'info');
+      }
+    });
+  }
+  
+  /**
+   * Uses a traitor ability. The server checks the role and cooldown.
+   * @param {string} ability - The ability ('sabotage' or 'lure')
+   */
+  useAbility(ability) {
+    if (!this.network) return;
+    
+    this.network.emit('useAbility', { ability }, (result) => {
+      if (!result) return;
+      
+      if (!result.success) {
+        if (result.message) this.ui.showMessage(result.message, 'warning');
+        return;
+      }
+      
+      if (ability === 'lure') {
+        this.ui.showMessage(`${result.monstersLured} monster(s) lured to your position`, 'info');
+      } else {
+        this.ui.showMessage(result.message, 'info');
+      }
+    });
   }
   
   /**
@@ -498,6 +798,7 @@ class Game {
   endGame(isVictory, message) {
     this.isRunning = false;
     this.isGameOver = true;
+    this.stopSpectating();
     
     // Show game over screen
     this.ui.showGameOver(isVictory, message);
@@ -507,17 +808,76 @@ class Game {
   }
   
   /**
-   * Restarts the game.
+   * Called when our player died. Offline there is nobody left to watch, so the game ends.
+   * Online we watch the others until the server ends the game.
    */
-  restartGame() {
-    // Reset game state
-    this.network.emit('restartGame');
+  onLocalPlayerDied() {
+    if (this.network.offlineMode) {
+      this.endGame(false, 'You died!');
+      return;
+    }
     
-    // Hide game over screen
-    this.ui.hideGameOver();
+    this.ui.showMessage('You died!', 'damage');
+    this.ui.updateObjective('You are trapped in the labyrinth. Watch the others try to escape');
+    this.startSpectating();
+  }
+  
+  /**
+   * Switches to the spectator camera and the maze overview.
+   */
+  startSpectating() {
+    if (!this.spectator || this.spectator.isActive) return;
     
-    // Start the game again
-    this.startGame();
+    // Our own model would block the view, spectators aren't in the maze anyway
+    this.player.mesh.visible = false;
+    
+    this.spectator.start();
+    this.ui.setSpectating(true);
+    this.ui.showMessage('Spectating: Tab for the next player, F for the free camera, M for the map', 'info');
+  }
+  
+  /**
+   * Switches back to the player's own camera.
+   */
+  stopSpectating() {
+    if (!this.spectator || !this.spectator.isActive) return;
+    
+    this.spectator.stop();
+    this.player.mesh.visible = true;
+    this.ui.setSpectating(false);
+  }
+  
+  /**
+   * Checks if we are watching the game instead of playing.
+   * @returns {boolean} True if the spectator camera is active
+   */
+  isSpectating() {
+    return !!(this.spectator && this.spectator.isActive);
+  }
+  
+  /**
+   * Restarts the game. Online, this votes for a rematch and the room goes back
+   * to the lobby once everyone has voted.
+   * @param {boolean} sameSeed - Whether to replay the same maze (only counts for the host)
+   */
+  restartGame(sameSeed = false) {
+    if (this.network.offlineMode) {
+      // Reset game state
+      this.network.emit('restartGame');
+      
+      // Hide game over screen
+      this.ui.hideGameOver();
+      
+      // Start the game again
+      this.startGame();
+      return;
+    }
+    
+    this.network.emit('restartGame', { sameSeed }, (result) => {
+      if (result && !result.success) {
+        this.ui.showMessage(result.message, 'warning');
+      }
+    });
   }
   
   /**
@@ -548,11 +908,114 @@ class Game {
   onDisconnected() {
     console.log('Disconnected from server');
     this.isRunning = false;
+    this.stopSpectating();
     this.ui.showMenuScreen();
   }
   
   /**
-   * Called when receiving the initial game state.
+   * Called when the room's lobby information changed (players, host, settings or readiness).
+   * @param {Object} data - The room information
+   */
+  onRoomUpdated(data) {
+    if (data.state !== 'lobby') return;
+    
+    // Everyone voted for a rematch, leave the game over screen for the lobby
+    if (this.isGameOver) {
+      this.isGameOver = false;
+      this.ui.hideGameOver();
+      this.ui.showMessage('Back in the lobby. Press Y when you are ready', 'info');
+    }
+    
+    const waitingFor = data.players.length - data.readyPlayers.length;
+    if (waitingFor > 0 && data.countdown === null) {
+      this.ui.updateObjective(`Waiting for ${waitingFor} player(s) to get ready (press Y)`);
+    }
+  }
+  
+  /**
+   * Called every second of the countdown before the game starts.
+   * @param {Object} data - The countdown data ({ seconds })
+   */
+  onCountdown(data) {
+    this.ui.updateObjective(`Game starting in ${data.seconds}...`);
+    this.ui.showMessage(`Game starting in ${data.seconds}...`, 'info');
+  }
+  
+  /**
+   * Called when the countdown stopped, e.g. because a player is no longer ready.
+   * @param {Object} data - The reason (optional)
+   */
+  onCountdownCancelled(data) {
+    this.ui.showMessage((data && data.message) || 'Countdown cancelled, not everyone is ready', 'warning');
+  }
+  
+  /**
+   * Called when a player voted for a rematch.
+   * @param {Object} data - The vote ({ playerId, votes, needed, deadline })
+   */
+  onRematchVote(data) {
+    const voter = data.playerId === this.network.getPlayerId() ? 'You' : 'A player';
+    this.ui.showMessage(`${voter} voted for a rematch (${data.votes}/${data.needed})`, 'info');
+  }
+  
+  /**
+   * Called when we were removed from the room, by the host or for not voting for a rematch.
+   * @param {Object} data - The reason ({ roomCode, message })
+   */
+  onKicked(data) {
+    console.log('Removed from the room:', data);
+    this.isRunning = false;
+    this.isGameOver = false;
+    this.stopSpectating();
+    this.ui.hideGameOver();
+    this.ui.showMenuScreen();
+    this.ui.showMessage((data && data.message) || 'You were removed from the room', 'warning');
+  }
+  
+  /**
+   * Called when the connection drops during a game. The network reconnects and rejoins by itself.
+   */
+  onConnectionLost() {
+    console.log('Connection lost, trying to reconnect');
+    this.ui.showMessage('Connection lost. Reconnecting...', 'warning');
+  }
+  
+  /**
+   * Called when we got back into the game in progress after reconnecting.
+   */
+  onRejoined(data) {
+    console.log('Rejoined game:', data);
+    
+    // The scene is rebuilt from the gameState snapshot that follows
+    this.ui.showMessage('Reconnected to the game', 'info');
+  }
+  
+  /**
+   * Called when another player's connection drops.
+   */
+  onPlayerDisconnected(data) {
+    const playerName = this.player.remotePlayers.get(data.id)?.name || 'A player';
+    this.ui.showMessage(`${playerName} lost connection`, 'warning');
+  }
+  
+  /**
+   * Called when another player reconnects under a new ID.
+   */
+  onPlayerRejoined(data) {
+    const remotePlayer = this.player.remotePlayers.get(data.previousId);
+    
+    // Keep the existing model, just move it to the new ID
+    if (remotePlayer) {
+      this.player.remotePlayers.delete(data.previousId);
+      remotePlayer.id = data.id;
+      this.player.remotePlayers.set(data.id, remotePlayer);
+    }
+    
+    this.ui.showMessage(`${remotePlayer?.name || 'A player'} reconnected`, 'info');
+  }
+  
+  /**
+   * Called when receiving the full game state.
    */
   onGameState(data) {
     console.log('Received game state:', data);
@@ -560,13 +1023,34 @@ class Game {
     // Set game mode
     this.gameMode = data.gameMode;
     
+    // Clear the previous scene, the snapshot replaces it
+    this.monsters.forEach(monster => monster.remove());
+    this.monsters = [];
+    Array.from(this.items.keys()).forEach(itemId => this.removeItem(itemId));
+    Array.from(this.player.remotePlayers.keys()).forEach(id => this.player.removeRemotePlayer(id));
+    
     // Create maze
     this.mazeRenderer.createMaze(data.maze);
     
-    // Create other players
+    // Restore our own state
+    if (data.self) {
+      this.player.setPosition(data.self.position);
+      this.player.health = data.self.health;
+      this.player.inventory = data.self.inventory;
+      this.player.armor = data.self.armor;
+      this.player.setEscaped(data.self.hasEscaped);
+      this.ui.updateInventory(this.player.inventory, this.player.equippedItemIndex);
+    }
+    
+    // Create other players, remembering who is already out of the maze
     data.players.forEach(playerData => {
-      if (playerData.id !== this.network.socket.id) {
+      if (playerData.id !== this.network.getPlayerId()) {
         this.onPlayerJoined(playerData);
+        
+        const remotePlayer = this.player.remotePlayers.get(playerData.id);
+        if (remotePlayer) {
+          remotePlayer.isOut = playerData.hasEscaped || playerData.isTrapped;
+        }
       }
     });
     
@@ -582,6 +1066,11 @@ class Game {
       });
     }
     
+    // Start the game loop if this snapshot starts (or rejoins) the game
+    if (!this.isRunning) {
+      this.startGame();
+    }
+    
     // Update UI
     this.ui.updateTimer(data.gameTimer);
     this.ui.updatePlayersEscaped(data.playersEscaped, data.players.length);
@@ -590,10 +1079,17 @@ class Game {
     if (this.gameMode === 'coop') {
       this.ui.updateObjective('Work together to find the exit and escape!');
     } else if (this.gameMode === 'betrayal') {
-      this.ui.updateObjective('Find the exit, but only one player can escape!');
+      // The role arrives separately in roleAssigned
+      this.ui.updateObjective('Find the exit, but trust no one!');
     } else if (this.gameMode === 'pvp') {
       this.ui.updateObjective('Find the exit and escape, or eliminate other players!');
     }
+    
+    // Spectators, and players who are already out, watch the rest of the game
+    if (!data.self || data.self.hasEscaped || data.self.isTrapped) {
+      this.startSpectating();
+      this.ui.updateObjective(data.self ? 'You are out of the maze. Watch the others!' : 'Spectating');
+    }
   }
   
   /**
@@ -636,7 +1132,16 @@ class Game {
    */
   onPlayerMoved(data) {
     // Update remote player position
-    this.player.updateRemotePlayerPosition(data.id, data.position);
+    this.player.updateRemotePlayerPosition(data.id, data.position, data.time);
+  }
+  
+  /**
+   * Called when the server rejects a move and sends the authoritative position.
+   */
+  onPositionCorrected(data) {
+    console.log('Position corrected:', data.message);
+    
+    this.player.setPosition(data.position);
   }
   
   /**
@@ -646,13 +1151,20 @@ class Game {
     console.log('Interaction result:', data);
     
     if (data.type === 'exit') {
+      // Other players escaping arrive as playerEscaped
+      if (data.playerId !== this.network.getPlayerId()) return;
+      
       if (data.success) {
         // Player escaped
         this.player.setEscaped(true);
         this.ui.showMessage('You escaped the labyrinth!', 'info');
         
-        // In co-op mode, wait for all players to escape
-        if (this.gameMode === 'coop') {
+        if (!this.network.offlineMode) {
+          // Watch the others until the server ends the game
+          this.ui.updateObjective(this.gameMode === 'coop' ? 'Wait for all players to escape!' : 'You escaped! Watch the others');
+          this.startSpectating();
+        } else if (this.gameMode === 'coop') {
+          // In co-op mode, wait for all players to escape
           this.ui.updateObjective('Wait for all players to escape!');
         } else {
           // In other modes, end the game
@@ -669,9 +1181,16 @@ class Game {
         this.ui.showMessage(data.message || 'You need a key to unlock this door!', 'warning');
       }
     } else if (data.type === 'item') {
-      if (data.success) {
+      // The server put the item in our inventory, keep the slots in step with it
+      if (data.success && data.playerId === this.network.getPlayerId()) {
+        this.player.addItem(data.item);
         this.ui.showMessage(`Found: ${data.item.name}`, 'info');
       }
+    } else if (data.type === 'stairs') {
+      // Other players taking the stairs arrive as playerUsedStairs
+      if (data.playerId === this.network.getPlayerId()) {
+        this.ui.showMessage(data.message, data.success ? 'info' : 'warning');
+      }
     }
   }
   
@@ -681,17 +1200,18 @@ class Game {
   onPlayerEscaped(data) {
     console.log('Player escaped:', data);
     
+    // The spectator camera only follows players still in the maze
+    const remotePlayer = this.player.remotePlayers.get(data.id);
+    if (remotePlayer) {
+      remotePlayer.isOut = true;
+    }
+    
     // Show message
     this.ui.showMessage(`${data.name || 'A player'} escaped the labyrinth!`, 'info');
     
     // Update players escaped counter
     this.ui.updatePlayersEscaped(data.playersEscaped, data.totalPlayers);
     
-    // In betrayal mode, if another player escaped, you lose
-    if (this.gameMode === 'betrayal' && data.id !== this.network.socket.id) {
-      this.endGame(false, `${data.name || 'Another player'} escaped before you!`);
-    }
-    
     // In co-op mode, if all players escaped, everyone wins
     if (this.gameMode === 'coop' && data.playersEscaped === data.totalPlayers) {
       this.endGame(true, 'All players escaped the labyrinth!');
@@ -718,29 +1238,133 @@ class Game {
     if (data.playersEscaped !== undefined) {
       this.ui.updatePlayersEscaped(data.playersEscaped, data.totalPlayers);
     }
+    
+    // Apply the monsters that changed since the last update
+    if (data.monsters) {
+      data.monsters.forEach(monsterData => this.applyMonsterUpdate(monsterData, data.time));
+    }
+    
+    // Remove monsters that are gone
+    if (data.removedMonsters) {
+      data.removedMonsters.forEach(monsterId => this.removeMonster(monsterId));
+    }
+  }
+  
+  /**
+   * Applies a delta update to a monster, creating it if it's new.
+   * Only the fields that changed are included in the update.
+   */
+  applyMonsterUpdate(monsterData, time) {
+    const monster = this.monsters.find(m => m.id === monsterData.id);
+    
+    if (!monster) {
+      // New monsters are always sent with a position
+      if (monsterData.position) {
+        this.createMonster(monsterData);
+      }
+      return;
+    }
+    
+    if (monsterData.position) {
+      monster.updatePosition(monsterData.position, time);
+    }
+    if (monsterData.state && monsterData.state !== monster.state) {
+      monster.updateState(monsterData.state);
+    }
+  }
+  
+  /**
+   * Removes a monster from the scene.
+   */
+  removeMonster(monsterId) {
+    const monster = this.monsters.find(m => m.id === monsterId);
+    if (!monster) return;
+    
+    monster.remove();
+    this.monsters = this.monsters.filter(m => m !== monster);
   }
   
   /**
    * Called when the maze is updated.
+   * Usually carries the changed cells for the next maze version, or the full maze as a fallback.
    */
-  onMazeUpdated(mazeData) {
-    console.log('Maze updated');
+  onMazeUpdated(data) {
+    console.log('Maze updated to version', data.version);
     
-    // Update the maze
-    this.mazeRenderer.updateMaze(mazeData);
+    if (data.full) {
+      // Update the maze
+      this.mazeRenderer.updateMaze(data.maze);
+    } else {
+      const currentMaze = this.mazeRenderer.maze;
+      
+      // We missed a version (or are mid-shift), so ask for the full state instead
+      if (!currentMaze || currentMaze.version !== data.baseVersion || this.mazeRenderer.isShifting) {
+        console.log('Maze out of sync, requesting full game state');
+        this.network.requestGameState();
+        return;
+      }
+      
+      // Build the next version from the changed cells
+      const levels = currentMaze.levels.map(grid => grid.map(column => column.slice()));
+      data.cells.forEach(cell => {
+        levels[cell.floor || 0][cell.x][cell.y] = cell.isWall;
+      });
+      
+      this.mazeRenderer.updateMaze({
+        ...currentMaze,
+        levels,
+        version: data.version
+      });
+    }
     
     // Show message
     this.ui.showMessage('The labyrinth is shifting!', 'warning');
   }
   
+  /**
+   * Called when a boss monster roars.
+   */
+  onMonsterRoared(data) {
+    console.log('Monster roared:', data);
+    
+    const distance = Math.sqrt(
+      Math.pow(data.position.x - this.player.position.x, 2) +
+      Math.pow(data.position.z - this.player.position.z, 2)
+    );
+    
+    if (distance < 30) {
+      this.ui.showMessage('A terrifying roar echoes nearby!', 'warning');
+    } else {
+      this.ui.showMessage('You hear a distant roar...', 'info');
+    }
+  }
+  
   /**
    * Called when the game is over.
    */
   onGameOver(data) {
     console.log('Game over:', data);
     
+    let isVictory = data.isVictory;
+    let message = data.message;
+    
+    // In betrayal mode the winning side depends on our role, which is revealed for everyone
+    if (data.winner) {
+      isVictory = (data.winner === 'traitors') === (this.role === 'traitor');
+      
+      const traitorNames = (data.roles || [])
+        .filter(entry => entry.role === 'traitor')
+        .map(entry => entry.id === this.network.getPlayerId() ? 
+          'You' : 
+          (this.player.remotePlayers.get(entry.id)?.name || entry.id.substring(0, 6)));
+      
+      if (traitorNames.length > 0) {
+        message += ` Traitors: ${traitorNames.join(', ')}`;
+      }
+    }
+    
     // End the game
-    this.endGame(data.victory, data.message);
+    this.endGame(isVictory, message);
   }
   
   /**
@@ -749,9 +1373,63 @@ class Game {
   onPlayerDamaged(data) {
     console.log('Player damaged:', data);
     
-    // Apply damage to player
-    if (data.id === this.network.socket.id) {
-      this.player.takeDamage(data.amount, data.source);
+    // Apply the damage resolved by the server to the local player
+    if (data.id === this.network.getPlayerId()) {
+      this.player.takeDamage(data.damage, data.source, data.currentHealth);
+    } else if (data.isDead && this.player.remotePlayers.has(data.id)) {
+      this.player.remotePlayers.get(data.id).isOut = true;
+    }
+  }
+  
+  /**
+   * Called when another player attacks.
+   */
+  onPlayerAttacked(data) {
+    console.log('Player attacked:', data);
+    
+    // Warn players who were shot at but not hit
+    if (data.ranged && !data.hit) {
+      this.ui.showMessage('Something whizzed past!', 'warning');
+    }
+  }
+  
+  /**
+   * Called when a hit knocks a player back.
+   */
+  onPlayerKnockedBack(data) {
+    if (data.id === this.network.getPlayerId()) {
+      this.player.setPosition(data.position);
+    } else {
+      this.player.updateRemotePlayerPosition(data.id, data.position, data.time);
+    }
+  }
+  
+  /**
+   * Called when a player takes the stairs to another floor.
+   */
+  onPlayerUsedStairs(data) {
+    if (data.id === this.network.getPlayerId()) {
+      this.player.setPosition(data.position);
+    } else {
+      this.player.updateRemotePlayerPosition(data.id, data.position, data.time);
+    }
+  }
+  
+  /**
+   * Called when a player kills another player.
+   */
+  onPlayerKilled(data) {
+    console.log('Player killed:', data);
+    
+    const myId = this.network.getPlayerId();
+    const nameOf = (id) => id === myId ? 
+      'You' : 
+      (this.player.remotePlayers.get(id)?.name || 'A player');
+    
+    if (data.killerId === myId) {
+      this.ui.showMessage(`You eliminated ${nameOf(data.id)} (${data.kills} kills)`, 'info');
+    } else {
+      this.ui.showMessage(`${nameOf(data.killerId)} eliminated ${nameOf(data.id)} with ${data.weapon}`, 'warning');
     }
   }
   
@@ -805,19 +1483,79 @@ class Game {
     console.log('Item collected:', data);
     
     // Remove item from scene
-    const item = this.items.get(data.itemId);
-    if (item && item.mesh) {
-      this.mazeRenderer.scene.remove(item.mesh);
-      this.items.delete(data.itemId);
-    }
+    this.removeItem(data.itemId);
     
     // Show message if another player collected it
-    if (data.playerId !== this.network.socket.id) {
+    if (data.playerId !== this.network.getPlayerId()) {
       const playerName = this.player.remotePlayers.get(data.playerId)?.name || 'Another player';
       this.ui.showMessage(`${playerName} collected an item`, 'info');
     }
   }
   
+  /**
+   * Called when a locked door is opened.
+   */
+  onDoorOpened(data) {
+    console.log('Door opened:', data);
+    
+    this.mazeRenderer.openDoor(data.doorId);
+  }
+  
+  /**
+   * Called when a traitor sabotaged a door.
+   */
+  onDoorClosed(data) {
+    console.log('Door closed:', data);
+    
+    this.mazeRenderer.closeDoor(data.doorId);
+    this.ui.showMessage('A door slammed shut somewhere!', 'warning');
+  }
+  
+  /**
+   * Called when the server tells us our secret betrayal role.
+   */
+  onRoleAssigned(data) {
+    console.log('Role assigned:', data.role);
+    
+    const isNewRole = this.role !== data.role;
+    this.role = data.role;
+    this.traitors = data.traitors || [];
+    
+    if (this.role === 'traitor') {
+      this.ui.updateObjective(`Trap ${data.trapGoal} player(s) before they escape!`);
+      
+      if (isNewRole) {
+        this.ui.showMessage('You are a TRAITOR. Keep it secret!', 'warning');
+        this.ui.showMessage('Press T to sabotage a nearby door, G to lure monsters', 'info');
+        
+        const others = this.traitors.filter(id => id !== this.network.getPlayerId());
+        if (others.length > 0) {
+          const names = others.map(id => this.player.remotePlayers.get(id)?.name || id.substring(0, 6));
+          this.ui.showMessage(`Fellow traitors: ${names.join(', ')}`, 'info');
+        }
+      }
+    } else {
+      this.ui.updateObjective('Escape the labyrinth. There are traitors among you!');
+      
+      if (isNewRole) {
+        this.ui.showMessage('You are innocent. Watch out for traitors!', 'info');
+      }
+    }
+  }
+  
+  /**
+   * Called when a player uses an item.
+   */
+  onItemUsed(data) {
+    console.log('Item used:', data);
+    
+    // Our own item use is handled by the useItem response
+    if (data.playerId === this.network.getPlayerId()) return;
+    
+    const playerName = this.player.remotePlayers.get(data.playerId)?.name || 'Another player';
+    this.ui.showMessage(`${playerName} used an item`, 'info');
+  }
+  
   /**
    * Gets the color for an item type.
    * @param {string} type - The item type
@@ -15,11 +15,14 @@ class MazeRenderer {
     this.floorObjects = [];
     this.exitObject = null;
     this.itemObjects = new Map();
+    this.doorObjects = new Map();
+    this.stairsObjects = [];
     
     // Materials
     this.wallMaterial = null;
     this.floorMaterial = null;
     this.exitMaterial = null;
+    this.doorMaterial = null;
     this.leafTexture = null;
     this.wallTexture = null;
     
@@ -398,6 +401,13 @@ class MazeRenderer {
       emissive: Config.exitColor,
       emissiveIntensity: 0.5
     });
+    
+    // Door material
+    this.doorMaterial = new THREE.MeshStandardMaterial({
+      color: Config.doorColor || 0x8b4513,
+      roughness: 0.8,
+      metalness: 0.3
+    });
   }
   
   /**
@@ -470,28 +480,49 @@ class MazeRenderer {
       let wallCount = 0;
       let floorCount = 0;
       
-      for (let x = 0; x < mazeData.width; x++) {
-        for (let z = 0; z < mazeData.height; z++) {
-          // Create walls where grid value is true
-          if (mazeData.grid[x][z]) {
-            this.createWall(x, z);
-            wallCount++;
+      const stairs = mazeData.stairs || [];
+      
+      mazeData.levels.forEach((grid, floor) => {
+        for (let x = 0; x < mazeData.width; x++) {
+          for (let z = 0; z < mazeData.height; z++) {
+            // Create walls where grid value is true
+            if (grid[x][z]) {
+              this.createWall(x, z, floor);
+              wallCount++;
+            }
+            
+            // Always create floor, except for the opening above stairs
+            if (!stairs.some(s => s.x === x && s.y === z && s.floor === floor - 1)) {
+              this.createFloor(x, z, floor);
+              floorCount++;
+            }
           }
-          
-          // Always create floor
-          this.createFloor(x, z);
-          floorCount++;
         }
-      }
+      });
+      
+      console.log(`Created ${wallCount} walls and ${floorCount} floor tiles on ${mazeData.levels.length} floors`);
       
-      console.log(`Created ${wallCount} walls and ${floorCount} floor tiles`);
+      // Create stairs between floors
+      stairs.forEach(s => this.createStairs(s));
+      
+      // Server mazes store the exit as exitPosition with x, y grid coordinates
+      if (!mazeData.exit && mazeData.exitPosition) {
+        mazeData.exit = { x: mazeData.exitPosition.x, z: mazeData.exitPosition.y, floor: mazeData.exitPosition.floor || 0 };
+      }
       
       // Create exit
       if (mazeData.exit) {
-        this.createExit(mazeData.exit.x, mazeData.exit.z);
+        this.createExit(mazeData.exit.x, mazeData.exit.z, mazeData.exit.floor || 0);
         console.log('Exit created at:', mazeData.exit.x, mazeData.exit.z);
       }
       
+      // Create locked doors
+      if (mazeData.doors) {
+        mazeData.doors.forEach(door => {
+          if (!door.isOpen) this.createDoor(door);
+        });
+      }
+      
       // Position camera
       this.positionCameraInMaze(mazeData);
       
@@ -504,12 +535,24 @@ class MazeRenderer {
     }
   }
   
+  /**
+   * Gets the height of the ground of a floor.
+   * @param {number} floor - The floor
+   * @returns {number} The height
+   */
+  getFloorBase(floor) {
+    const floorHeight = (this.maze && this.maze.floorHeight) || Config.wallHeight || 3;
+    
+    return (floor || 0) * floorHeight;
+  }
+  
   /**
    * Creates a wall at the specified position.
    * @param {number} x - The x coordinate
    * @param {number} z - The z coordinate
+   * @param {number} floor - The floor
    */
-  createWall(x, z) {
+  createWall(x, z, floor = 0) {
     try {
       if (!this.maze || !this.wallMaterial) {
         console.error('Cannot create wall: maze or wall material not initialized');
@@ -538,7 +581,7 @@ class MazeRenderer {
       // Position wall
       wall.position.set(
         x * cellSize + cellSize / 2,
-        wallHeight / 2,
+        this.getFloorBase(floor) + wallHeight / 2,
         z * cellSize + cellSize / 2
       );
       
@@ -550,11 +593,11 @@ class MazeRenderer {
       this.scene.add(wall);
       
       // Store reference
-      const key = `${x},${z}`;
+      const key = `${x},${z},${floor}`;
       this.wallObjects.set(key, wall);
       
       // Debug log for first wall
-      if (x === 0 && z === 0) {
+      if (x === 0 && z === 0 && floor === 0) {
         console.log('First wall created at position:', wall.position.x, wall.position.y, wall.position.z);
       }
     } catch (error) {
@@ -563,11 +606,12 @@ class MazeRenderer {
   }
   
   /**
-   * Creates a floor tile at the specified position.
+   * Creates a floor tile at the specified position. Upper floors get a slab, so they are also the ceiling below.
    * @param {number} x - The x coordinate
    * @param {number} z - The z coordinate
+   * @param {number} level - The floor
    */
-  createFloor(x, z) {
+  createFloor(x, z, level = 0) {
     try {
       if (!this.maze) {
         console.error('Cannot create floor: maze not initialized');
@@ -577,7 +621,9 @@ class MazeRenderer {
       const cellSize = this.maze.cellSize;
       
       // Create floor geometry - slightly larger than cell size for better coverage
-      const geometry = new THREE.PlaneGeometry(cellSize * 1.05, cellSize * 1.05);
+      const geometry = level > 0 ?
+        new THREE.BoxGeometry(cellSize * 1.05, cellSize * 1.05, 0.2) :
+        new THREE.PlaneGeometry(cellSize * 1.05, cellSize * 1.05);
       
       // Ensure floor material is properly created
       let material = this.floorMaterial;
@@ -635,7 +681,7 @@ class MazeRenderer {
       // Position floor
       floor.position.set(
         x * cellSize + cellSize / 2,
-        0,
+        level > 0 ? this.getFloorBase(level) - 0.1 : 0,
         z * cellSize + cellSize / 2
       );
       floor.rotation.x = -Math.PI / 2;
@@ -650,7 +696,7 @@ class MazeRenderer {
       this.floorObjects.push(floor);
       
       // Debug log for first floor
-      if (x === 0 && z === 0) {
+      if (x === 0 && z === 0 && level === 0) {
         console.log('First floor created at position:', floor.position.x, floor.position.y, floor.position.z);
       }
     } catch (error) {
@@ -662,9 +708,11 @@ class MazeRenderer {
    * Creates the exit at the specified position.
    * @param {number} x - The x coordinate
    * @param {number} z - The z coordinate
+   * @param {number} floor - The floor
    */
-  createExit(x, z) {
+  createExit(x, z, floor = 0) {
     const cellSize = this.maze.cellSize;
+    const baseHeight = this.getFloorBase(floor);
     
     // Create exit geometry
     const geometry = new THREE.CylinderGeometry(cellSize / 3, cellSize / 3, 0.1, 16);
@@ -673,7 +721,7 @@ class MazeRenderer {
     // Position exit
     exit.position.set(
       x * cellSize + cellSize / 2,
-      0.05, // Slightly above floor
+      baseHeight + 0.05, // Slightly above floor
       z * cellSize + cellSize / 2
     );
     
@@ -692,7 +740,7 @@ class MazeRenderer {
     exit.userData.animationTime = 0;
     exit.userData.update = function() {
       this.userData.animationTime += 0.02;
-      this.position.y = 0.05 + Math.sin(this.userData.animationTime) * 0.05;
+      this.position.y = baseHeight + 0.05 + Math.sin(this.userData.animationTime) * 0.05;
       this.rotation.y += 0.01;
       
       // Pulse glow
@@ -708,6 +756,112 @@ class MazeRenderer {
     this.exitObject = exit;
   }
   
+  /**
+   * Creates a locked door filling a corridor cell.
+   * @param {Object} door - The door data with id, x, y and floor
+   */
+  createDoor(door) {
+    const cellSize = this.maze.cellSize;
+    const grid = this.maze.levels[door.floor || 0];
+    const baseHeight = this.getFloorBase(door.floor);
+    
+    // Doors span the corridor, so orient them across the open direction
+    const isOpen = (x, z) => x >= 0 && x < this.maze.width && z >= 0 && z < this.maze.height && !grid[x][z];
+    const runsAlongX = isOpen(door.x - 1, door.y) || isOpen(door.x + 1, door.y);
+    
+    const geometry = new THREE.BoxGeometry(
+      runsAlongX ? 0.2 : cellSize,
+      Config.wallHeight,
+      runsAlongX ? cellSize : 0.2
+    );
+    const mesh = new THREE.Mesh(geometry, this.doorMaterial);
+    
+    mesh.position.set(
+      door.x * cellSize + cellSize / 2,
+      baseHeight + Config.wallHeight / 2,
+      door.y * cellSize + cellSize / 2
+    );
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    
+    // Sink into the floor once opened
+    mesh.userData.isOpening = false;
+    mesh.userData.update = function() {
+      if (!this.userData.isOpening) return;
+      
+      this.position.y -= 0.05;
+      if (this.position.y <= baseHeight - Config.wallHeight / 2) {
+        this.visible = false;
+        this.userData.isOpening = false;
+      }
+    };
+    
+    this.scene.add(mesh);
+    this.doorObjects.set(door.id, mesh);
+  }
+  
+  /**
+   * Creates a flight of steps from a floor up to the one above.
+   * @param {Object} stairs - The stairs data with x, y and the floor they start on
+   */
+  createStairs(stairs) {
+    const cellSize = this.maze.cellSize;
+    const baseHeight = this.getFloorBase(stairs.floor);
+    const rise = this.getFloorBase(stairs.floor + 1) - baseHeight;
+    const stepCount = 6;
+    
+    for (let i = 0; i < stepCount; i++) {
+      const stepHeight = rise * (i + 1) / stepCount;
+      const geometry = new THREE.BoxGeometry(cellSize * 0.8, stepHeight, cellSize / stepCount);
+      const step = new THREE.Mesh(geometry, this.wallMaterial);
+      
+      step.position.set(
+        stairs.x * cellSize + cellSize / 2,
+        baseHeight + stepHeight / 2,
+        stairs.y * cellSize + cellSize * (i + 0.5) / stepCount
+      );
+      step.castShadow = true;
+      step.receiveShadow = true;
+      
+      this.scene.add(step);
+      this.stairsObjects.push(step);
+    }
+  }
+  
+  /**
+   * Opens a door, marking it open in the maze data and animating it away.
+   * @param {string} doorId - The door ID
+   */
+  openDoor(doorId) {
+    if (this.maze && this.maze.doors) {
+      const door = this.maze.doors.find(d => d.id === doorId);
+      if (door) door.isOpen = true;
+    }
+    
+    const mesh = this.doorObjects.get(doorId);
+    if (mesh) {
+      mesh.userData.isOpening = true;
+    }
+  }
+  
+  /**
+   * Closes a door again, marking it closed in the maze data and restoring its mesh.
+   * @param {string} doorId - The door ID
+   */
+  closeDoor(doorId) {
+    const door = this.maze && this.maze.doors ? this.maze.doors.find(d => d.id === doorId) : null;
+    if (door) door.isOpen = false;
+    
+    const mesh = this.doorObjects.get(doorId);
+    if (mesh) {
+      mesh.userData.isOpening = false;
+      mesh.position.y = this.getFloorBase(door.floor) + Config.wallHeight / 2;
+      mesh.visible = true;
+    } else if (door) {
+      this.createDoor(door);
+    }
+  }
+  
   /**
    * Positions the camera in a valid starting position in the maze.
    * @param {Object} mazeData - The maze data
@@ -746,7 +900,7 @@ class MazeRenderer {
       startX = Math.floor(Math.random() * mazeData.width);
       startZ = Math.floor(Math.random() * mazeData.height);
       attempts++;
-    } while (mazeData.grid[startX][startZ] && attempts < maxAttempts);
+    } while (mazeData.levels[0][startX][startZ] && attempts < maxAttempts);
     
     // Position camera
     const posX = startX * cellSize + cellSize / 2;
@@ -812,13 +966,13 @@ class MazeRenderer {
     
     // Animate walls sinking and rising
     this.wallObjects.forEach((wall, key) => {
-      const [x, z] = key.split(',').map(Number);
-      const oldIsWall = this.oldMazeData.grid[x][z];
-      const newIsWall = this.newMazeData.grid[x][z];
+      const [x, z, floor] = key.split(',').map(Number);
+      const oldIsWall = this.oldMazeData.levels[floor][x][z];
+      const newIsWall = this.newMazeData.levels[floor][x][z];
       
       if (oldIsWall && !newIsWall) {
         // Wall is disappearing
-        wall.position.y = Config.wallHeight / 2 * (1 - progress);
+        wall.position.y = this.getFloorBase(floor) + Config.wallHeight / 2 * (1 - progress);
         wall.scale.y = 1 - progress;
       } else if (!oldIsWall && newIsWall) {
         // New wall is appearing (handled in finishMazeShift)
@@ -866,6 +1020,18 @@ class MazeRenderer {
       this.scene.remove(this.exitObject);
       this.exitObject = null;
     }
+    
+    // Remove doors
+    this.doorObjects.forEach(door => {
+      this.scene.remove(door);
+    });
+    this.doorObjects.clear();
+    
+    // Remove stairs
+    this.stairsObjects.forEach(step => {
+      this.scene.remove(step);
+    });
+    this.stairsObjects = [];
   }
   
   /**
@@ -907,6 +1073,11 @@ class MazeRenderer {
       this.exitObject.userData.update.call(this.exitObject);
     }
     
+    // Update door animations
+    this.doorObjects.forEach(door => {
+      door.userData.update.call(door);
+    });
+    
     // Update item animations
     if (window.game) {
       window.game.items.forEach(item => {
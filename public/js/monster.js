@@ -30,6 +30,10 @@ class Monster {
     this.path = [];
     this.pathIndex = 0;
     this.lastPosition = { ...monsterData.position };
+    
+    // Network positions, rendered with interpolation
+    this.snapshots = new SnapshotBuffer();
+    this.heading = 0;
   }
   
   /**
@@ -149,9 +153,14 @@ class Monster {
   /**
    * Updates the monster's animation and behavior.
    */
-  update() {
+  update(renderTime) {
     this.animationTime += 0.05;
     
+    // Move to the interpolated server position
+    if (renderTime !== undefined) {
+      this.applyInterpolation(renderTime);
+    }
+    
     // Update attack cooldown
     if (this.attackCooldown > 0) {
       this.attackCooldown--;
@@ -165,7 +174,7 @@ class Monster {
           this.mesh.position.y = 0.75 + Math.sin(this.animationTime) * 0.05;
         } else {
           // For custom model, do a gentle rotation
-          this.mesh.rotation.y = Math.sin(this.animationTime * 0.5) * 0.1;
+          this.mesh.rotation.y = this.heading + Math.sin(this.animationTime * 0.5) * 0.1;
         }
         break;
         
@@ -173,10 +182,10 @@ class Monster {
         // Gentle bobbing with slight rotation
         if (this.isUsingPlaceholderModel()) {
           this.mesh.position.y = 0.75 + Math.sin(this.animationTime) * 0.05;
-          this.mesh.rotation.y = Math.sin(this.animationTime * 0.5) * 0.2;
+          this.mesh.rotation.y = this.heading + Math.sin(this.animationTime * 0.5) * 0.2;
         } else {
           // For custom model, do a more pronounced rotation
-          this.mesh.rotation.y = Math.sin(this.animationTime * 0.5) * 0.3;
+          this.mesh.rotation.y = this.heading + Math.sin(this.animationTime * 0.5) * 0.3;
         }
         this.patrolBehavior();
         break;
@@ -266,7 +275,8 @@ class Monster {
   }
   
   /**
-   * Attack behavior - damage the player.
+   * Attack behavior - face the player while attacking.
+   * Damage is resolved on the server and arrives as a playerDamaged event.
    */
   attackBehavior() {
     if (!window.game || !window.game.player || this.attackCooldown > 0) return;
@@ -279,21 +289,12 @@ class Monster {
     const dz = player.position.z - this.mesh.position.z;
     const distance = Math.sqrt(dx * dx + dz * dz);
     
-    // If in attack range, damage player
+    // If in attack range, face the player
     if (distance < this.attackRange) {
-      // Apply damage to player
-      player.takeDamage(this.damage, `${this.getMonsterTypeName()} Monster`);
+      this.mesh.rotation.y = Math.atan2(dx, dz);
       
       // Reset attack cooldown
       this.attackCooldown = this.attackCooldownMax;
-      
-      // Notify server
-      if (window.game.network) {
-        window.game.network.emit('monsterAttack', {
-          monsterId: this.id,
-          damage: this.damage
-        });
-      }
     } else {
       // If player moved out of range, switch back to chase
       this.updateState('chase');
@@ -323,12 +324,19 @@ class Monster {
   /**
    * Updates the monster's position.
    * @param {Object} position - The new position
+   * @param {number} time - Server time of the position (optional, the monster jumps there without it)
    */
-  updatePosition(position) {
+  updatePosition(position, time) {
     // Update our position property
     this.position = { ...position };
     
-    // Smoothly move towards the new position
+    // Buffer timestamped positions, update() renders them with interpolation
+    if (time !== undefined) {
+      this.snapshots.push(time, position);
+      return;
+    }
+    
+    // Move straight to the new position
     this.mesh.position.x = position.x;
     if (!this.isUsingPlaceholderModel()) {
       this.mesh.position.y = position.y;
@@ -348,6 +356,30 @@ class Monster {
     this.lastPosition = { ...position };
   }
   
+  /**
+   * Moves the mesh to the buffered position at the render time and turns it
+   * smoothly towards its movement direction.
+   * @param {number} renderTime - Server time to render at
+   */
+  applyInterpolation(renderTime) {
+    const position = this.snapshots.sample(renderTime);
+    if (!position) return;
+    
+    const dx = position.x - this.mesh.position.x;
+    const dz = position.z - this.mesh.position.z;
+    
+    if (dx * dx + dz * dz > 0.0001) {
+      this.heading = SnapshotBuffer.smoothAngle(this.heading, Math.atan2(dx, dz), Config.rotationSmoothing || 0.2);
+      this.mesh.rotation.y = this.heading;
+    }
+    
+    this.mesh.position.x = position.x;
+    if (!this.isUsingPlaceholderModel()) {
+      this.mesh.position.y = position.y;
+    }
+    this.mesh.position.z = position.z;
+  }
+  
   /**
    * Updates the monster's state.
    * @param {string} state - The new state
@@ -8,6 +8,9 @@ class Network {
     this.eventHandlers = {};
     this.offlineMode = false;
     this.currentRoom = null;
+    this.reconnectStorageKey = 'labyrinthReconnectToken';
+    this.serverTimeOffset = null; // Estimated server clock minus local clock, in milliseconds
+    this.clientLoaded = false; // Whether the renderer and monster model have loaded, reported to every room we join
     
     console.log('Network initialized');
   }
@@ -15,8 +18,15 @@ class Network {
   /**
    * Connects to the server.
    * @param {string} roomCode - Optional room code for joining a specific game
+   * @param {Object} options - Connection options
+   * @param {boolean} options.autoRejoin - Rejoin the game in progress with a stored reconnect token (default true)
+   * @param {boolean} options.spectate - Join the room to watch instead of play (default false)
    */
-  connect(roomCode = null) {
+  connect(roomCode = null, options = {}) {
+    const autoRejoin = options.autoRejoin !== false;
+    const spectate = !!options.spectate;
+    
+    
     try {
       // Check if we should use offline mode
       if (Config.offlineMode) {
@@ -35,13 +45,18 @@ class Network {
         console.log('Connected to server with ID:', this.socket.id);
         this.isConnected = true;
         
-        // Join room if provided
-        if (roomCode) {
-          this.joinRoom(roomCode);
+        // Try to get back into a game in progress first
+        if (autoRejoin && this.getReconnectToken()) {
+          this.rejoinRoom((response) => {
+            if (response.success) return;
+            
+            // The game is gone, continue as a fresh connection
+            this.onFreshConnection(roomCode, spectate);
+          });
+          return;
         }
         
-        // Trigger connected event
-        this.triggerEvent('connected');
+        this.onFreshConnection(roomCode, spectate);
       });
       
       this.socket.on('connect_error', (error) => {
@@ -54,9 +69,16 @@ class Network {
         }
       });
       
-      this.socket.on('disconnect', () => {
-        console.log('Disconnected from server');
+      this.socket.on('disconnect', (reason) => {
+        console.log('Disconnected from server:', reason);
         this.isConnected = false;
+        
+        // Socket.io reconnects by itself unless we disconnected on purpose
+        if (reason !== 'io client disconnect' && this.getReconnectToken()) {
+          this.triggerEvent('connectionLost', { reason });
+          return;
+        }
+        
         this.currentRoom = null;
         this.triggerEvent('disconnected');
       });
@@ -66,24 +88,168 @@ class Network {
       this.socket.on('roomCreated', (room) => this.triggerEvent('roomCreated', room));
       this.socket.on('playerJoinedRoom', (data) => this.triggerEvent('playerJoinedRoom', data));
       this.socket.on('playerLeftRoom', (data) => this.triggerEvent('playerLeftRoom', data));
+      this.socket.on('roomUpdated', (room) => {
+        this.currentRoom = room;
+        this.triggerEvent('roomUpdated', room);
+      });
+      this.socket.on('countdown', (data) => this.triggerEvent('countdown', data));
+      this.socket.on('countdownCancelled', (data) => this.triggerEvent('countdownCancelled', data));
+      this.socket.on('rematchVote', (data) => this.triggerEvent('rematchVote', data));
+      this.socket.on('kicked', (data) => {
+        this.currentRoom = null;
+        this.setReconnectToken(null);
+        this.triggerEvent('kicked', data);
+      });
       
       // Game state events
       this.socket.on('gameStarted', (data) => this.triggerEvent('gameStarted', data));
+      this.socket.on('gameState', (data) => this.triggerEvent('gameState', data));
+      this.socket.on('playerDisconnected', (data) => this.triggerEvent('playerDisconnected', data));
+      this.socket.on('playerRejoined', (data) => this.triggerEvent('playerRejoined', data));
       this.socket.on('playerJoined', (data) => this.triggerEvent('playerJoined', data));
       this.socket.on('playerLeft', (data) => this.triggerEvent('playerLeft', data));
-      this.socket.on('playerMoved', (data) => this.triggerEvent('playerMoved', data));
+      this.socket.on('playerMoved', (data) => {
+        this.syncServerTime(data.time);
+        this.triggerEvent('playerMoved', data);
+      });
+      this.socket.on('positionCorrected', (data) => this.triggerEvent('positionCorrected', data));
       this.socket.on('playerDamaged', (data) => this.triggerEvent('playerDamaged', data));
+      this.socket.on('playerAttacked', (data) => this.triggerEvent('playerAttacked', data));
+      this.socket.on('playerKnockedBack', (data) => this.triggerEvent('playerKnockedBack', data));
+      this.socket.on('playerUsedStairs', (data) => this.triggerEvent('playerUsedStairs', data));
+      this.socket.on('playerKilled', (data) => this.triggerEvent('playerKilled', data));
       this.socket.on('interactionResult', (data) => this.triggerEvent('interactionResult', data));
       this.socket.on('playerEscaped', (data) => this.triggerEvent('playerEscaped', data));
-      this.socket.on('gameUpdate', (data) => this.triggerEvent('gameUpdate', data));
+      this.socket.on('gameUpdate', (data) => {
+        this.syncServerTime(data.time);
+        this.triggerEvent('gameUpdate', data);
+      });
       this.socket.on('mazeUpdated', (data) => this.triggerEvent('mazeUpdated', data));
+      this.socket.on('monsterRoared', (data) => this.triggerEvent('monsterRoared', data));
       this.socket.on('gameOver', (data) => this.triggerEvent('gameOver', data));
+      
+      // Item events
+      this.socket.on('itemSpawned', (data) => this.triggerEvent('itemSpawned', data));
+      this.socket.on('itemCollected', (data) => this.triggerEvent('itemCollected', data));
+      this.socket.on('doorOpened', (data) => this.triggerEvent('doorOpened', data));
+      this.socket.on('doorClosed', (data) => this.triggerEvent('doorClosed', data));
+      
+      // Betrayal events
+      this.socket.on('roleAssigned', (data) => this.triggerEvent('roleAssigned', data));
+      this.socket.on('itemUsed', (data) => this.triggerEvent('itemUsed', data));
     } catch (error) {
       console.error('Error connecting to server:', error);
       this.startOfflineMode();
     }
   }
   
+  /**
+   * Joins the requested room (if any) and notifies listeners of a new connection.
+   * @param {string} roomCode - Optional room code for joining a specific game
+   * @param {boolean} spectate - Whether to join the room as a spectator
+   */
+  onFreshConnection(roomCode, spectate = false) {
+    // Join room if provided
+    if (roomCode) {
+      this.joinRoom(roomCode, 'Player', null, { spectate });
+    }
+    
+    // Trigger connected event
+    this.triggerEvent('connected');
+  }
+  
+  /**
+   * Rejoins the game in progress using the stored reconnect token.
+   * The server answers with a full gameState snapshot on success.
+   * @param {Function} callback - Callback function
+   */
+  rejoinRoom(callback) {
+    const reconnectToken = this.getReconnectToken();
+    
+    if (!this.socket || !this.isConnected || !reconnectToken) {
+      if (callback) callback({
+        success: false,
+        message: 'Nothing to rejoin'
+      });
+      return;
+    }
+    
+    this.socket.emit('rejoinRoom', { reconnectToken }, (response) => {
+      if (response.success) {
+        this.currentRoom = response.room;
+        this.setReconnectToken(response.reconnectToken);
+        this.triggerEvent('rejoined', response);
+      } else {
+        console.log('Could not rejoin:', response.message);
+        this.setReconnectToken(null);
+      }
+      if (callback) callback(response);
+    });
+  }
+  
+  /**
+   * Asks the server to resend the full game state.
+   * The snapshot arrives as a gameState event.
+   * @param {Function} callback - Callback function
+   */
+  requestGameState(callback) {
+    this.emit('requestGameState', {}, callback);
+  }
+  
+  /**
+   * Updates the server clock estimate from the timestamp of a received tick.
+   * The estimate includes the network delay, which the interpolation delay absorbs.
+   * @param {number} serverTime - The server time the message was sent at
+   */
+  syncServerTime(serverTime) {
+    if (serverTime === undefined) return;
+    
+    const offset = serverTime - Date.now();
+    
+    if (this.serverTimeOffset === null) {
+      this.serverTimeOffset = offset;
+    } else {
+      // Smooth out jitter
+      this.serverTimeOffset += (offset - this.serverTimeOffset) * 0.1;
+    }
+  }
+  
+  /**
+   * Gets the server time remote entities should be rendered at.
+   * @returns {number} The render time in milliseconds
+   */
+  getRenderTime() {
+    return Date.now() + (this.serverTimeOffset || 0) - (Config.interpolationDelay || 100);
+  }
+  
+  /**
+   * Gets the stored reconnect token.
+   * @returns {string|null} The reconnect token
+   */
+  getReconnectToken() {
+    try {
+      return sessionStorage.getItem(this.reconnectStorageKey);
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  /**
+   * Stores the reconnect token, which survives page reloads but not closing the tab.
+   * @param {string|null} token - The token, or null to clear it
+   */
+  setReconnectToken(token) {
+    try {
+      if (token) {
+        sessionStorage.setItem(this.reconnectStorageKey, token);
+      } else {
+        sessionStorage.removeItem(this.reconnectStorageKey);
+      }
+    } catch (error) {
+      console.warn('Could not store reconnect token:', error);
+    }
+  }
+  
   /**
    * Creates a new game room.
    * @param {Object} options - Room options
@@ -112,6 +278,8 @@ class Network {
       this.socket.emit('createRoom', options, (response) => {
         if (response.success) {
           this.currentRoom = response.room;
+          this.setReconnectToken(response.reconnectToken);
+          this.reportLoaded();
         }
         if (callback) callback(response);
       });
@@ -128,8 +296,9 @@ class Network {
    * @param {string} roomCode - The room code
    * @param {string} playerName - The player's name
    * @param {Function} callback - Callback function
+   * @param {Object} options - Join options, spectate joins to watch (also while a game is running)
    */
-  joinRoom(roomCode, playerName = 'Player', callback) {
+  joinRoom(roomCode, playerName = 'Player', callback, options = {}) {
     if (this.offlineMode) {
       this.startOfflineMode();
       if (callback) callback({
@@ -149,9 +318,11 @@ class Network {
     }
     
     if (this.socket && this.isConnected) {
-      this.socket.emit('joinRoom', { roomCode, playerName }, (response) => {
+      this.socket.emit('joinRoom', { roomCode, playerName, spectate: !!options.spectate }, (response) => {
         if (response.success) {
           this.currentRoom = response.room;
+          this.setReconnectToken(response.reconnectToken);
+          this.reportLoaded();
         }
         if (callback) callback(response);
       });
@@ -184,6 +355,7 @@ class Network {
       this.socket.emit('leaveRoom', (response) => {
         if (response.success) {
           this.currentRoom = null;
+          this.setReconnectToken(null);
         }
         if (callback) callback(response);
       });
@@ -231,6 +403,96 @@ class Network {
     }
   }
   
+  /**
+   * Marks this client as ready or not ready to start the game in the current lobby.
+   * @param {boolean} ready - Whether the player is ready
+   * @param {Function} callback - Callback function
+   */
+  setReady(ready, callback) {
+    this.emit('setReady', { ready }, callback);
+  }
+  
+  /**
+   * Checks if this client is marked as ready in the current lobby.
+   * @returns {boolean} True if the player is ready
+   */
+  isReady() {
+    return !!(this.currentRoom && this.currentRoom.readyPlayers && this.socket &&
+      this.currentRoom.readyPlayers.includes(this.socket.id));
+  }
+  
+  /**
+   * Sets whether the client has finished loading, and tells the server if we are in a room.
+   * The game can't start before every player in the lobby has loaded.
+   * @param {boolean} loaded - Whether the client has loaded
+   */
+  setClientLoaded(loaded) {
+    this.clientLoaded = loaded;
+    this.reportLoaded();
+  }
+  
+  /**
+   * Reports the client's load state to the current room.
+   */
+  reportLoaded() {
+    if (this.offlineMode || !this.socket || !this.isConnected || !this.currentRoom || this.isSpectating()) return;
+    
+    this.socket.emit('clientLoaded', { loaded: this.clientLoaded });
+  }
+  
+  /**
+   * Checks if this client is watching its room as a spectator.
+   * @returns {boolean} True if this client is a spectator
+   */
+  isSpectating() {
+    return !!(this.currentRoom && this.currentRoom.spectators && this.socket &&
+      this.currentRoom.spectators.includes(this.socket.id));
+  }
+  
+  /**
+   * Kicks a player from the current room (host only).
+   * @param {string} playerId - The player's ID
+   * @param {Function} callback - Callback function
+   */
+  kickPlayer(playerId, callback) {
+    this.emit('kickPlayer', { playerId }, callback);
+  }
+  
+  /**
+   * Makes another player the host of the current room (host only).
+   * @param {string} playerId - The new host's ID
+   * @param {Function} callback - Callback function
+   */
+  transferHost(playerId, callback) {
+    this.emit('transferHost', { playerId }, callback);
+  }
+  
+  /**
+   * Locks or unlocks the current room (host only).
+   * @param {boolean} locked - Whether the room should be locked
+   * @param {Function} callback - Callback function
+   */
+  setRoomLocked(locked, callback) {
+    this.emit('lockRoom', { locked }, callback);
+  }
+  
+  /**
+   * Changes the settings of the current room while in the lobby (host only).
+   * @param {Object} options - The settings to change (gameMode, maxPlayers, mazeWidth, mazeHeight, floors, timeLimit)
+   * @param {Function} callback - Callback function
+   */
+  updateRoomSettings(options, callback) {
+    this.emit('updateRoomSettings', { options }, callback);
+  }
+  
+  /**
+   * Checks if this client is the host of its room.
+   * @returns {boolean} True if this client is the host
+   */
+  isHost() {
+    return !!(this.currentRoom && this.socket && this.currentRoom.host === this.socket.id);
+  }
+  
   /**
    * Starts the game in offline mode.
    */
@@ -282,6 +544,7 @@ class Network {
       this.socket = null;
       this.isConnected = false;
       this.currentRoom = null;
+      this.setReconnectToken(null);
     }
   }
   
@@ -408,12 +671,10 @@ class Network {
         // Nothing to do in offline mode
         break;
         
-      case 'playerDamage':
-        // Nothing to do in offline mode
-        break;
-        
+      case 'collectItem':
       case 'useItem':
-        // Nothing to do in offline mode
+        // No server to validate against, always succeed
+        if (callback) callback({ success: true });
         break;
         
       case 'restartGame':
@@ -466,6 +727,54 @@ class Network {
     }
   }
   
+  /**
+   * Gets our player ID, the socket ID the server knows us by.
+   * @returns {string|null} The ID ('local-player' in offline mode), or null without a connection (e.g. while watching a replay)
+   */
+  getPlayerId() {
+    if (this.offlineMode) return 'local-player';
+    
+    return this.socket ? this.socket.id : null;
+  }
+  
+  /**
+   * Lists the replays of finished games stored on the server.
+   * @param {Function} callback - Callback function, receives { success, replays } or { success, message }
+   */
+  getReplays(callback) {
+    this.fetchJson(`${Config.serverUrl}/api/replays`, callback);
+  }
+  
+  /**
+   * Downloads a replay from the server.
+   * @param {string} replayId - The replay ID
+   * @param {Function} callback - Callback function, receives { success, replay } or { success, message }
+   */
+  getReplay(replayId, callback) {
+    this.fetchJson(`${Config.serverUrl}/api/replays/${encodeURIComponent(replayId)}`, (data) => {
+      // Replays come as they are, errors as { success: false, message }
+      callback(data.success === false ? data : { success: true, replay: data });
+    });
+  }
+  
+  /**
+   * Fetches JSON from the server's REST API.
+   * @param {string} url - The URL
+   * @param {Function} callback - Callback function, receives the JSON or { success: false, message }
+   */
+  fetchJson(url, callback) {
+    fetch(url)
+      .then(response => response.json())
+      .then(data => callback(data))
+      .catch(error => {
+        console.error('Error fetching', url, error);
+        callback({
+          success: false,
+          message: 'Could not reach the server'
+        });
+      });
+  }
+  
   /**
    * Gets the current room.
    * @returns {Object|null} The current room or null if not in a room
@@ -8,7 +8,8 @@ class Player {
     
     // Player state
     this.position = new THREE.Vector3(0, 0.9, 0);
-    this.velocity = new THREE.Vector3();
+    this.velocity = new THREE.Vector3(); // Units per 1/60 second, whatever the frame rate
+    this.lastUpdateTime = null;
     this.health = Config.playerHealth;
     this.maxHealth = Config.playerHealth;
     this.armor = 0;
@@ -354,6 +355,12 @@ class Player {
     try {
       if (this.hasEscaped) return;
       
+      // Scale movement to the time since the last frame, so players move as fast at any refresh rate.
+      // Long pauses (e.g. a background tab) count as a few frames rather than a jump across the maze
+      const now = performance.now();
+      const frameScale = this.lastUpdateTime === null ? 1 : Math.min(3, (now - this.lastUpdateTime) / (1000 / 60));
+      this.lastUpdateTime = now;
+      
       // Update invulnerability timer
       if (this.isInvulnerable) {
         this.invulnerabilityTimer -= 1;
@@ -364,14 +371,14 @@ class Player {
       
       // Update stamina
       if (this.isSprinting && (this.moveForward || this.moveBackward || this.moveLeft || this.moveRight)) {
-        this.stamina -= 2;
+        this.stamina -= 2 * frameScale;
         if (this.stamina <= 0) {
           this.stamina = 0;
           this.isExhausted = true;
           this.isSprinting = false;
         }
       } else {
-        this.stamina += this.staminaRegenRate;
+        this.stamina += this.staminaRegenRate * frameScale;
         if (this.stamina >= this.maxStamina) {
           this.stamina = this.maxStamina;
           this.isExhausted = false;
@@ -413,12 +420,17 @@ class Player {
         this.velocity.z = direction.z;
       } else {
         // Apply friction
-        this.velocity.x *= 0.9;
-        this.velocity.z *= 0.9;
+        const friction = Math.pow(0.9, frameScale);
+        this.velocity.x *= friction;
+        this.velocity.z *= friction;
       }
       
+      // The floor the player stands on, taken before moving so a fast fall doesn't drop through it
+      const maze = window.game && window.game.mazeRenderer ? window.game.mazeRenderer.maze : null;
+      const floor = this.getFloor(maze);
+      
       // Apply gravity
-      this.velocity.y -= 0.1; // Simple gravity
+      this.velocity.y -= 0.1 * frameScale; // Simple gravity
       
       // Limit maximum velocity to prevent getting stuck
       const maxVelocity = 1.0;
@@ -428,16 +440,15 @@ class Player {
       
       // Calculate new position
       const newPosition = new THREE.Vector3(
-        this.position.x + this.velocity.x,
-        this.position.y + this.velocity.y,
-        this.position.z + this.velocity.z
+        this.position.x + this.velocity.x * frameScale,
+        this.position.y + this.velocity.y * frameScale,
+        this.position.z + this.velocity.z * frameScale
       );
       
       // Check for collisions if enabled
       if (this.collisionDetectionEnabled && window.game && window.game.mazeRenderer) {
-        const maze = window.game.mazeRenderer.maze;
         if (maze) {
-          const hasCollision = this.checkCollision(newPosition, maze);
+          const hasCollision = this.checkCollision(newPosition, maze, floor);
           
           if (!hasCollision) {
             // No collision, update position
@@ -466,13 +477,23 @@ class Player {
       }
       
       // Simple collision detection with floor
-      const floorHeight = 0.9; // Player height when standing on the floor
+      const groundHeight = maze && maze.floorHeight ? floor * maze.floorHeight : 0;
+      const floorHeight = groundHeight + 0.9; // Player height when standing on the floor
       if (this.position.y < floorHeight) {
         this.position.y = floorHeight;
         this.velocity.y = 0;
         this.canJump = true;
       }
       
+      // The floor above is the ceiling
+      if (maze && maze.levels && floor < maze.levels.length - 1) {
+        const ceilingHeight = groundHeight + maze.floorHeight - 0.3;
+        if (this.position.y > ceilingHeight) {
+          this.position.y = ceilingHeight;
+          this.velocity.y = Math.min(this.velocity.y, 0);
+        }
+      }
+      
       // Prevent getting stuck by ensuring the player is always at a valid height
       if (isNaN(this.position.y) || this.position.y > 100) {
         console.log('Correcting invalid player height');
@@ -500,12 +521,13 @@ class Player {
    * Checks for collisions with maze walls.
    * @param {THREE.Vector3} position - The position to check
    * @param {Object} maze - The maze data
+   * @param {number} floor - The floor the player is on
    * @returns {boolean} True if there is a collision, false otherwise
    */
-  checkCollision(position, maze) {
+  checkCollision(position, maze, floor = 0) {
     try {
       // Validate inputs to prevent errors
-      if (!position || !maze || !maze.grid || !maze.cellSize) {
+      if (!position || !maze || !maze.levels || !maze.levels[floor] || !maze.cellSize) {
         console.error('Invalid inputs to checkCollision');
         return false;
       }
@@ -526,7 +548,13 @@ class Player {
       }
       
       // Check the current cell first - if it's a wall, definitely collision
-      if (maze.grid[gridX][gridZ]) {
+      const grid = maze.levels[floor];
+      if (grid[gridX][gridZ]) {
+        return true;
+      }
+      
+      // Closed doors block their whole cell
+      if (maze.doors && maze.doors.some(door => !door.isOpen && door.x === gridX && door.y === gridZ && (door.floor || 0) === floor)) {
         return true;
       }
       
@@ -540,7 +568,7 @@ class Player {
           if (x === gridX && z === gridZ) continue;
           
           // Check if this cell is a wall
-          if (maze.grid[x][z]) {
+          if (grid[x][z]) {
             // Calculate wall boundaries
             const wallMinX = x * maze.cellSize;
             const wallMaxX = (x + 1) * maze.cellSize;
@@ -571,6 +599,18 @@ class Player {
     }
   }
   
+  /**
+   * Gets the floor of the maze a height is on.
+   * @param {Object} maze - The maze data
+   * @param {number} y - The height (defaults to the player's)
+   * @returns {number} The floor
+   */
+  getFloor(maze, y = this.position.y) {
+    if (!maze || !maze.levels || maze.levels.length <= 1 || !maze.floorHeight) return 0;
+    
+    return Math.max(0, Math.min(maze.levels.length - 1, Math.floor(y / maze.floorHeight)));
+  }
+  
   /**
    * Gets the player's position.
    * @returns {Object} The position as an object with x, y, z properties
@@ -583,6 +623,30 @@ class Player {
     };
   }
   
+  /**
+   * Gets the movement state the server uses to work out how much noise the player makes.
+   * @returns {Object} The state as an object with isSprinting and isJumping properties
+   */
+  getMovementState() {
+    const isMoving = this.moveForward || this.moveBackward || this.moveLeft || this.moveRight;
+    
+    return {
+      isSprinting: this.isSprinting && isMoving,
+      isJumping: !this.canJump
+    };
+  }
+  
+  /**
+   * Moves the player to a position, e.g. when the server corrects an invalid move.
+   * @param {Object} position - The position as an object with x, y, z properties
+   */
+  setPosition(position) {
+    this.position.set(position.x, position.y, position.z);
+    this.velocity.set(0, 0, 0);
+    this.mesh.position.copy(this.position);
+    this.updateCameraPosition();
+  }
+  
   /**
    * Sets whether the player has escaped.
    * @param {boolean} escaped - Whether the player has escaped
@@ -720,22 +784,14 @@ class Player {
   }
   
   /**
-   * Applies damage to the player.
-   * @param {number} amount - The amount of damage to apply
+   * Applies damage the server dealt to the player.
+   * @param {number} amount - The amount of damage dealt
    * @param {string} source - The source of the damage
+   * @param {number} currentHealth - Health after the damage as resolved by the server
    */
-  takeDamage(amount, source) {
-    // Check if player is invulnerable
-    if (this.isInvulnerable) {
-      return;
-    }
-    
-    // Apply armor reduction if any
-    const damageReduction = this.armor / 100;
-    const actualDamage = Math.max(1, Math.floor(amount * (1 - damageReduction)));
-    
-    // Apply damage
-    this.health -= actualDamage;
+  takeDamage(amount, source, currentHealth) {
+    // The server is authoritative, just mirror its result
+    this.health = currentHealth;
     
     // Make player briefly invulnerable
     this.isInvulnerable = true;
@@ -743,7 +799,7 @@ class Player {
     
     // Show damage message
     if (window.game && window.game.ui) {
-      window.game.ui.showMessage(`Took ${actualDamage} damage from ${source}!`, 'damage');
+      window.game.ui.showMessage(`Took ${amount} damage from ${source}!`, 'damage');
     }
     
     // Check if player is dead
@@ -828,9 +884,9 @@ class Player {
    * Handles player death.
    */
   die() {
-    // Notify game of player death
+    // Notify game of player death, it decides whether to end the game or spectate
     if (window.game) {
-      window.game.endGame(false, 'You died!');
+      window.game.onLocalPlayerDied();
     }
   }
   
@@ -862,14 +918,23 @@ class Player {
    * Updates a remote player's position.
    * @param {string} id - The ID of the remote player
    * @param {Object} position - The new position
+   * @param {number} time - Server time of the position (optional)
    */
-  updateRemotePlayerPosition(id, position) {
+  updateRemotePlayerPosition(id, position, time) {
     if (this.remotePlayers.has(id)) {
       const remotePlayer = this.remotePlayers.get(id);
-      remotePlayer.updatePosition(position);
+      remotePlayer.updatePosition(position, time);
     }
   }
   
+  /**
+   * Moves all remote players to their interpolated positions.
+   * @param {number} renderTime - Server time to render at
+   */
+  updateRemotePlayers(renderTime) {
+    this.remotePlayers.forEach(remotePlayer => remotePlayer.update(renderTime));
+  }
+  
   /**
    * Gets the number of remote players.
    * @returns {number} The number of remote players
@@ -886,6 +951,8 @@ class RemotePlayer {
   constructor(scene, id, position, name = 'Player') {
     this.scene = scene;
     this.id = id;
+    this.name = name;
+    this.isOut = false; // Escaped or trapped, no longer in the maze
     
     // Create player mesh
     const geometry = new THREE.BoxGeometry(0.6, 1.8, 0.6);
@@ -894,6 +961,10 @@ class RemotePlayer {
     this.mesh.position.set(position.x, position.y, position.z);
     this.scene.add(this.mesh);
     
+    // Network positions, rendered with interpolation
+    this.snapshots = new SnapshotBuffer();
+    this.heading = 0;
+    
     // Create name label
     this.createNameLabel(name);
   }
@@ -938,8 +1009,35 @@ class RemotePlayer {
   /**
    * Updates the player's position.
    * @param {Object} position - The new position
+   * @param {number} time - Server time of the position (optional, the player jumps there without it)
    */
-  updatePosition(position) {
+  updatePosition(position, time) {
+    if (time === undefined) {
+      this.snapshots.clear();
+      this.mesh.position.set(position.x, position.y, position.z);
+      return;
+    }
+    
+    this.snapshots.push(time, position);
+  }
+  
+  /**
+   * Moves the player to its interpolated position and turns it towards its movement direction.
+   * @param {number} renderTime - Server time to render at
+   */
+  update(renderTime) {
+    const position = this.snapshots.sample(renderTime);
+    if (!position) return;
+    
+    const dx = position.x - this.mesh.position.x;
+    const dz = position.z - this.mesh.position.z;
+    
+    // Only turn when actually moving, so standing players keep their heading
+    if (dx * dx + dz * dz > 0.0001) {
+      this.heading = SnapshotBuffer.smoothAngle(this.heading, Math.atan2(dx, dz), Config.rotationSmoothing || 0.2);
+      this.mesh.rotation.y = this.heading;
+    }
+    
     this.mesh.position.set(position.x, position.y, position.z);
   }
   
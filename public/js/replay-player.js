@@ -0,0 +1,412 @@
+/**
+ * Game handlers replayed events are passed to. The other recorded events
+ * (e.g. interactionResult) only make sense to the player they were sent to.
+ */
+const REPLAY_HANDLERS = {
+  playerMoved: 'onPlayerMoved',
+  playerKnockedBack: 'onPlayerKnockedBack',
+  playerUsedStairs: 'onPlayerUsedStairs',
+  playerDamaged: 'onPlayerDamaged',
+  playerAttacked: 'onPlayerAttacked',
+  playerKilled: 'onPlayerKilled',
+  playerEscaped: 'onPlayerEscaped',
+  playerLeft: 'onPlayerLeft',
+  playerRejoined: 'onPlayerRejoined',
+  gameUpdate: 'onGameUpdate',
+  mazeUpdated: 'onMazeUpdated',
+  monsterRoared: 'onMonsterRoared',
+  itemSpawned: 'onItemSpawned',
+  itemCollected: 'onItemCollected',
+  itemUsed: 'onItemUsed',
+  doorOpened: 'onDoorOpened',
+  doorClosed: 'onDoorClosed'
+};
+
+/**
+ * Plays back a recorded game (see the server's ReplayRecorder) by feeding its events to the game
+ * as if they came from the server, watched with the spectator cameras.
+ * Keeps the game state at the playback position, so it can jump anywhere in the replay.
+ */
+class ReplayPlayer {
+  /**
+   * Creates a new replay player.
+   * @param {Game} game - The game to play the replay in
+   * @param {Object} replay - The replay
+   */
+  constructor(game, replay) {
+    this.game = game;
+    this.replay = replay;
+    this.timestep = 1000 / replay.tickRate; // Milliseconds per tick
+    this.duration = replay.ticks * this.timestep; // Milliseconds
+    
+    // Playback state
+    this.time = 0; // Playback position in milliseconds
+    this.tick = 0; // Last tick whose events were played
+    this.nextEvent = 0; // Index of the next event to play
+    this.state = null; // Game state at the played tick
+    this.isPaused = false;
+    this.speeds = [0.25, 0.5, 1, 2, 4, 8];
+    this.speed = 1;
+    this.lastFrame = null; // Time of the last update, to measure real time between frames
+    this.isScrubbing = false; // Whether the position slider is being dragged
+    
+    this.createControls();
+  }
+  
+  /**
+   * Creates the playback controls: pause, position slider, speed and exit.
+   */
+  createControls() {
+    this.controls = document.createElement('div');
+    this.controls.id = 'replay-controls';
+    
+    this.pauseButton = document.createElement('button');
+    this.pauseButton.addEventListener('click', () => this.togglePause());
+    this.controls.appendChild(this.pauseButton);
+    
+    // Seek once the slider is let go, rebuilding the scene while dragging is too slow
+    this.slider = document.createElement('input');
+    this.slider.type = 'range';
+    this.slider.min = 0;
+    this.slider.max = this.replay.ticks;
+    this.slider.addEventListener('input', () => {
+      this.isScrubbing = true;
+      this.updateTimeLabel(this.slider.value * this.timestep);
+    });
+    this.slider.addEventListener('change', () => {
+      this.isScrubbing = false;
+      this.seek(parseInt(this.slider.value, 10));
+    });
+    this.controls.appendChild(this.slider);
+    
+    this.timeLabel = document.createElement('span');
+    this.timeLabel.className = 'replay-time';
+    this.controls.appendChild(this.timeLabel);
+    
+    this.speedSelect = document.createElement('select');
+    this.speeds.forEach(speed => {
+      const option = document.createElement('option');
+      option.value = speed;
+      option.textContent = `${speed}x`;
+      this.speedSelect.appendChild(option);
+    });
+    this.speedSelect.value = this.speed;
+    this.speedSelect.addEventListener('change', () => this.setSpeed(parseFloat(this.speedSelect.value)));
+    this.controls.appendChild(this.speedSelect);
+    
+    const exitButton = document.createElement('button');
+    exitButton.textContent = 'Exit';
+    exitButton.addEventListener('click', () => this.game.stopReplay());
+    this.controls.appendChild(exitButton);
+    
+    // Keep key presses on the controls from reaching the game
+    this.controls.addEventListener('keydown', (e) => e.stopPropagation());
+    
+    const gameContainer = document.getElementById('game-container');
+    if (gameContainer) {
+      gameContainer.appendChild(this.controls);
+    }
+  }
+  
+  /**
+   * Starts playing the replay from the beginning.
+   */
+  start() {
+    this.seek(0);
+    this.game.ui.showMessage('Replay: Space to pause, arrow keys to skip and change speed', 'info');
+  }
+  
+  /**
+   * Stops playing and removes the controls.
+   */
+  stop() {
+    this.controls.remove();
+  }
+  
+  /**
+   * Advances the playback by the real time since the last frame and plays the events up to there.
+   * Called every frame by the game loop.
+   */
+  update() {
+    const now = performance.now();
+    const elapsed = this.lastFrame === null ? 0 : now - this.lastFrame;
+    this.lastFrame = now;
+    
+    if (!this.isPaused && this.time < this.duration) {
+      this.time = Math.min(this.time + elapsed * this.speed, this.duration);
+      this.playUntil(Math.floor(this.time / this.timestep));
+      
+      // The last event is the game over, stop there
+      if (this.time >= this.duration) {
+        this.setPaused(true);
+      }
+    }
+    
+    this.updateControls();
+  }
+  
+  /**
+   * Plays the events up to a tick, passing them to the game.
+   * @param {number} tick - The tick to play up to
+   */
+  playUntil(tick) {
+    const events = this.replay.events;
+    
+    while (this.nextEvent < events.length && events[this.nextEvent][0] <= tick) {
+      const [eventTick, event, data] = events[this.nextEvent++];
+      this.applyToState(event, data);
+      this.playEvent(eventTick, event, data);
+    }
+    
+    this.tick = tick;
+    this.state.gameTimer = tick / this.replay.tickRate;
+    this.game.ui.updateTimer(this.state.gameTimer);
+  }
+  
+  /**
+   * Passes a recorded event to the game.
+   * @param {number} tick - The tick the event happened on
+   * @param {string} event - The event name
+   * @param {*} data - The event data
+   */
+  playEvent(tick, event, data) {
+    if (event === 'gameOver') {
+      this.game.ui.showMessage(data.message || 'Game over', data.isVictory ? 'info' : 'warning');
+      return;
+    }
+    
+    // Send the whole maze, the game can't request it if a shift goes wrong
+    if (event === 'mazeUpdated') {
+      this.game.onMazeUpdated({ full: true, version: this.state.maze.version, maze: this.copyMaze() });
+      return;
+    }
+    
+    const handler = REPLAY_HANDLERS[event];
+    if (!handler) return;
+    
+    // Timestamps were left out of the recording, they follow from the tick
+    if (data && typeof data === 'object' && !Array.isArray(data)) {
+      data = { ...data, time: tick * this.timestep };
+    }
+    
+    this.game[handler](data);
+  }
+  
+  /**
+   * Jumps to a tick. The game state there is worked out from the events and the scene rebuilt from it.
+   * @param {number} tick - The tick to jump to
+   */
+  seek(tick) {
+    tick = Math.max(0, Math.min(tick, this.replay.ticks));
+    
+    // Going back means starting over, going forward carries on from here
+    if (!this.state || tick < this.tick) {
+      this.state = JSON.parse(JSON.stringify(this.replay.initialState));
+      this.nextEvent = 0;
+    }
+    
+    const events = this.replay.events;
+    while (this.nextEvent < events.length && events[this.nextEvent][0] <= tick) {
+      const [, event, data] = events[this.nextEvent++];
+      this.applyToState(event, data);
+    }
+    
+    this.tick = tick;
+    this.time = tick * this.timestep;
+    this.lastFrame = null; // Rebuilding the scene takes a while, don't count it as played time
+    this.state.gameTimer = tick / this.replay.tickRate;
+    
+    this.game.onGameState({
+      ...this.state,
+      maze: this.copyMaze(),
+      self: null
+    });
+    this.game.ui.updateObjective(`Replay of room ${this.replay.roomCode} (${this.replay.gameMode})`);
+    
+    this.updateControls();
+  }
+  
+  /**
+   * Applies an event to the game state at the playback position.
+   * @param {string} event - The event name
+   * @param {*} data - The event data
+   */
+  applyToState(event, data) {
+    const state = this.state;
+    const findPlayer = (id) => state.players.find(player => player.id === id);
+    
+    switch (event) {
+      case 'playerMoved':
+      case 'playerKnockedBack':
+      case 'playerUsedStairs': {
+        const player = findPlayer(data.id);
+        if (player) player.position = data.position;
+        break;
+      }
+      
+      case 'playerDamaged': {
+        const player = findPlayer(data.id);
+        if (player) {
+          player.health = data.currentHealth;
+          player.isTrapped = player.isTrapped || data.isDead;
+        }
+        break;
+      }
+      
+      case 'playerEscaped': {
+        const player = findPlayer(data.id);
+        if (player) player.hasEscaped = true;
+        state.playersEscaped = data.playersEscaped;
+        break;
+      }
+      
+      case 'playerLeft':
+        state.players = state.players.filter(player => player.id !== data);
+        break;
+      
+      case 'playerRejoined': {
+        const player = findPlayer(data.previousId);
+        if (player) player.id = data.id;
+        break;
+      }
+      
+      case 'gameUpdate':
+        (data.monsters || []).forEach(update => {
+          const monster = state.monsters.find(m => m.id === update.id);
+          if (monster) {
+            Object.assign(monster, update);
+          } else {
+            state.monsters.push({ ...update });
+          }
+        });
+        state.monsters = state.monsters.filter(monster => !(data.removedMonsters || []).includes(monster.id));
+        break;
+      
+      case 'mazeUpdated':
+        if (data.full) {
+          state.maze = JSON.parse(JSON.stringify(data.maze));
+        } else {
+          data.cells.forEach(cell => {
+            state.maze.levels[cell.floor || 0][cell.x][cell.y] = cell.isWall;
+          });
+          state.maze.version = data.version;
+        }
+        break;
+      
+      case 'itemSpawned':
+        state.items = state.items.filter(item => item.id !== data.id).concat(data);
+        break;
+      
+      case 'itemCollected':
+        state.items = state.items.filter(item => item.id !== data.itemId);
+        break;
+      
+      case 'doorOpened':
+      case 'doorClosed': {
+        const door = (state.maze.doors || []).find(d => d.id === data.doorId);
+        if (door) door.isOpen = event === 'doorOpened';
+        break;
+      }
+      
+      case 'gameOver':
+        state.isGameOver = true;
+        break;
+    }
+  }
+  
+  /**
+   * Copies the maze at the playback position, so the renderer's copy doesn't change with it.
+   * @returns {Object} The maze data
+   */
+  copyMaze() {
+    const maze = this.state.maze;
+    
+    return {
+      ...maze,
+      levels: maze.levels.map(grid => grid.map(column => column.slice())),
+      doors: (maze.doors || []).map(door => ({ ...door }))
+    };
+  }
+  
+  /**
+   * Pauses or resumes the playback.
+   */
+  togglePause() {
+    // Play again from the start once the replay is over
+    if (this.isPaused && this.time >= this.duration) {
+      this.seek(0);
+    }
+    
+    this.setPaused(!this.isPaused);
+  }
+  
+  /**
+   * Sets whether the playback is paused.
+   * @param {boolean} paused - Whether to pause
+   */
+  setPaused(paused) {
+    this.isPaused = paused;
+    this.updateControls();
+  }
+  
+  /**
+   * Sets the playback speed.
+   * @param {number} speed - The speed, 1 being real time
+   */
+  setSpeed(speed) {
+    this.speed = speed;
+    this.speedSelect.value = speed;
+  }
+  
+  /**
+   * Switches to the next faster or slower playback speed.
+   * @param {number} step - 1 for faster, -1 for slower
+   */
+  changeSpeed(step) {
+    const index = this.speeds.indexOf(this.speed) + step;
+    this.setSpeed(this.speeds[Math.max(0, Math.min(index, this.speeds.length - 1))]);
+  }
+  
+  /**
+   * Jumps forwards or backwards.
+   * @param {number} seconds - Seconds to skip, negative to go back
+   */
+  skip(seconds) {
+    this.seek(Math.round((this.time + seconds * 1000) / this.timestep));
+  }
+  
+  /**
+   * Gets the time remote players and monsters should be rendered at, in replay time.
+   * @returns {number} The render time in milliseconds
+   */
+  getRenderTime() {
+    // Faster playback needs more buffered positions to interpolate between
+    return this.time - (Config.interpolationDelay || 100) * Math.max(1, this.speed);
+  }
+  
+  /**
+   * Updates the controls with the playback position and state.
+   */
+  updateControls() {
+    this.pauseButton.textContent = this.isPaused ? 'Play' : 'Pause';
+    
+    // Leave the slider alone while it is dragged
+    if (!this.isScrubbing) {
+      this.slider.value = Math.floor(this.time / this.timestep);
+      this.updateTimeLabel(this.time);
+    }
+  }
+  
+  /**
+   * Shows a playback position and the length of the replay.
+   * @param {number} time - The playback position in milliseconds
+   */
+  updateTimeLabel(time) {
+    const format = (milliseconds) => {
+      const seconds = Math.floor(milliseconds / 1000);
+      return `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+    };
+    
+    this.timeLabel.textContent = `${format(time)} / ${format(this.duration)}`;
+  }
+}
@@ -0,0 +1,122 @@
+/**
+ * Buffers timestamped positions received from the server and samples them
+ * for rendering, so remote players and monsters move smoothly between ticks.
+ */
+class SnapshotBuffer {
+  /**
+   * Creates a new snapshot buffer.
+   * @param {Object} options - Buffer options (maxSnapshots, maxExtrapolation)
+   */
+  constructor(options = {}) {
+    this.snapshots = []; // Ordered by server time, oldest first
+    this.maxSnapshots = options.maxSnapshots || 30;
+    this.maxExtrapolation = options.maxExtrapolation || Config.maxExtrapolation || 250; // Milliseconds
+  }
+  
+  /**
+   * Adds a snapshot.
+   * @param {number} time - Server time of the snapshot in milliseconds
+   * @param {Object} position - The position with x, y, z coordinates
+   */
+  push(time, position) {
+    const latest = this.snapshots[this.snapshots.length - 1];
+    
+    // Ignore snapshots that arrive out of order
+    if (latest && time <= latest.time) return;
+    
+    this.snapshots.push({
+      time,
+      position: { x: position.x, y: position.y || 0, z: position.z }
+    });
+    
+    // Drop the oldest snapshots
+    if (this.snapshots.length > this.maxSnapshots) {
+      this.snapshots.shift();
+    }
+  }
+  
+  /**
+   * Gets the position at a point in time, interpolating between snapshots.
+   * Past the newest snapshot the position is extrapolated for a short while, then held.
+   * @param {number} renderTime - Server time to sample at in milliseconds
+   * @returns {Object|null} The position, or null if the buffer is empty
+   */
+  sample(renderTime) {
+    const count = this.snapshots.length;
+    if (count === 0) return null;
+    
+    const oldest = this.snapshots[0];
+    const newest = this.snapshots[count - 1];
+    
+    if (renderTime <= oldest.time) return { ...oldest.position };
+    if (count === 1) return { ...newest.position };
+    
+    // Late packets: keep moving in the last known direction for a moment
+    if (renderTime > newest.time) {
+      const previous = this.snapshots[count - 2];
+      const extrapolation = Math.min(renderTime - newest.time, this.maxExtrapolation);
+      const t = extrapolation / (newest.time - previous.time);
+      
+      return this.lerpPosition(newest.position, previous.position, newest.position, t);
+    }
+    
+    // Find the two snapshots around the render time
+    for (let i = count - 1; i > 0; i--) {
+      const from = this.snapshots[i - 1];
+      const to = this.snapshots[i];
+      
+      if (renderTime >= from.time) {
+        const t = (renderTime - from.time) / (to.time - from.time);
+        return this.lerpPosition(from.position, from.position, to.position, t);
+      }
+    }
+    
+    return { ...newest.position };
+  }
+  
+  /**
+   * Moves from a base position along the direction between two positions.
+   * @param {Object} base - The base position
+   * @param {Object} from - Start of the direction
+   * @param {Object} to - End of the direction
+   * @param {number} t - How far to move (1 = the full distance between from and to)
+   * @returns {Object} The resulting position
+   */
+  lerpPosition(base, from, to, t) {
+    return {
+      x: base.x + (to.x - from.x) * t,
+      y: base.y + (to.y - from.y) * t,
+      z: base.z + (to.z - from.z) * t
+    };
+  }
+  
+  /**
+   * Gets the newest snapshot.
+   * @returns {Object|null} The snapshot with time and position
+   */
+  getLatest() {
+    return this.snapshots[this.snapshots.length - 1] || null;
+  }
+  
+  /**
+   * Removes all snapshots.
+   */
+  clear() {
+    this.snapshots = [];
+  }
+  
+  /**
+   * Turns an angle towards a target angle along the shortest way.
+   * @param {number} current - The current angle in radians
+   * @param {number} target - The target angle in radians
+   * @param {number} factor - Share of the remaining turn to make (0-1)
+   * @returns {number} The new angle
+   */
+  static smoothAngle(current, target, factor) {
+    let difference = (target - current) % (Math.PI * 2);
+    if (difference > Math.PI) difference -= Math.PI * 2;
+    if (difference < -Math.PI) difference += Math.PI * 2;
+    
+    return current + difference * factor;
+  }
+}
\ No newline at end of file
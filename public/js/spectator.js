@@ -0,0 +1,299 @@
+/**
+ * Camera and maze overview for watching a game instead of playing it, used by
+ * spectators and by players who escaped or were trapped.
+ */
+class Spectator {
+  /**
+   * Creates a new spectator.
+   * @param {THREE.Camera} camera - The camera to control
+   * @param {Player} player - The local player, whose mouse look and movement keys steer the free camera
+   */
+  constructor(camera, player) {
+    this.camera = camera;
+    this.player = player;
+    
+    // Spectator state
+    this.isActive = false;
+    this.mode = 'follow'; // follow, free
+    this.targetId = null; // Remote player the follow camera is watching
+    
+    // Camera settings
+    this.flySpeed = 0.2; // World units per frame
+    this.fastFlyMultiplier = 3; // While holding sprint
+    this.followDistance = 5;
+    this.followHeight = 3;
+    this.followSmoothing = 0.1; // Share of the remaining distance the follow camera moves per frame
+    this.minHeight = 0.5;
+    this.maxHeight = 60;
+    
+    // Maze overview
+    this.overviewSize = 220; // Pixels
+    this.overviewVisible = true;
+    this.createOverview();
+  }
+  
+  /**
+   * Creates the maze overview canvas and the spectator label.
+   */
+  createOverview() {
+    this.overviewContainer = document.createElement('div');
+    this.overviewContainer.id = 'spectator-overview';
+    this.overviewContainer.classList.add('hidden');
+    
+    this.label = document.createElement('div');
+    this.label.id = 'spectator-label';
+    this.overviewContainer.appendChild(this.label);
+    
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = this.overviewSize;
+    this.canvas.height = this.overviewSize;
+    this.context = this.canvas.getContext('2d');
+    this.overviewContainer.appendChild(this.canvas);
+    
+    const gameContainer = document.getElementById('game-container');
+    if (gameContainer) {
+      gameContainer.appendChild(this.overviewContainer);
+    }
+  }
+  
+  /**
+   * Starts spectating, following the first living player if there is one.
+   */
+  start() {
+    this.isActive = true;
+    this.mode = 'follow';
+    this.targetId = null;
+    this.cycleTarget(1);
+    
+    // Fly off from wherever the camera is now
+    this.lookFromCamera();
+    
+    this.overviewContainer.classList.toggle('hidden', !this.overviewVisible);
+    this.updateLabel();
+  }
+  
+  /**
+   * Stops spectating and hands the camera back to the player.
+   */
+  stop() {
+    this.isActive = false;
+    this.targetId = null;
+    this.overviewContainer.classList.add('hidden');
+  }
+  
+  /**
+   * Gets the remote players who are still in the maze.
+   * @returns {Array} The living remote players
+   */
+  getLivingPlayers() {
+    return Array.from(this.player.remotePlayers.values()).filter(remotePlayer => !remotePlayer.isOut);
+  }
+  
+  /**
+   * Follows the next (or previous) living player. Without any, switches to the free camera.
+   * @param {number} step - 1 for the next player, -1 for the previous one
+   */
+  cycleTarget(step = 1) {
+    const livingPlayers = this.getLivingPlayers();
+    
+    if (livingPlayers.length === 0) {
+      this.targetId = null;
+      this.mode = 'free';
+      this.updateLabel();
+      return;
+    }
+    
+    const index = livingPlayers.findIndex(remotePlayer => remotePlayer.id === this.targetId);
+    const next = index === -1 ? 0 : (index + step + livingPlayers.length) % livingPlayers.length;
+    
+    this.targetId = livingPlayers[next].id;
+    this.mode = 'follow';
+    this.updateLabel();
+  }
+  
+  /**
+   * Switches between the follow camera and the free camera.
+   */
+  toggleMode() {
+    if (this.mode === 'follow') {
+      this.mode = 'free';
+      this.lookFromCamera();
+      this.updateLabel();
+    } else {
+      this.cycleTarget(0);
+    }
+  }
+  
+  /**
+   * Points the mouse look in the direction the camera is facing, so the free camera doesn't jump.
+   */
+  lookFromCamera() {
+    this.player.cameraRotation.setFromQuaternion(this.camera.quaternion, 'YXZ');
+    this.player.cameraRotation.z = 0;
+  }
+  
+  /**
+   * Shows or hides the maze overview.
+   */
+  toggleOverview() {
+    this.overviewVisible = !this.overviewVisible;
+    this.overviewContainer.classList.toggle('hidden', !this.overviewVisible);
+  }
+  
+  /**
+   * Updates the spectator label with the camera mode and the followed player.
+   */
+  updateLabel() {
+    if (this.mode === 'free') {
+      this.label.textContent = 'Spectating: free camera';
+      return;
+    }
+    
+    const target = this.player.remotePlayers.get(this.targetId);
+    this.label.textContent = `Spectating: ${(target && target.name) || 'Player'}`;
+  }
+  
+  /**
+   * Moves the camera and redraws the overview.
+   * @param {Object} maze - The maze data
+   * @param {Array} monsters - The monsters to show on the overview
+   */
+  update(maze, monsters) {
+    if (!this.isActive) return;
+    
+    // The followed player may have escaped, died or left
+    if (this.mode === 'follow') {
+      const target = this.player.remotePlayers.get(this.targetId);
+      if (!target || target.isOut) {
+        this.cycleTarget(1);
+      }
+    }
+    
+    if (this.mode === 'follow') {
+      this.updateFollowCamera();
+    } else {
+      this.updateFreeCamera();
+    }
+    
+    if (this.overviewVisible && maze) {
+      this.drawOverview(maze, monsters);
+    }
+  }
+  
+  /**
+   * Keeps the camera behind the followed player, looking at them.
+   */
+  updateFollowCamera() {
+    const target = this.player.remotePlayers.get(this.targetId);
+    if (!target) return;
+    
+    const position = target.mesh.position;
+    const heading = target.heading;
+    
+    // Behind the player, opposite to the direction they are moving in
+    const desired = new THREE.Vector3(
+      position.x - Math.sin(heading) * this.followDistance,
+      position.y + this.followHeight,
+      position.z - Math.cos(heading) * this.followDistance
+    );
+    
+    this.camera.position.lerp(desired, this.followSmoothing);
+    this.camera.lookAt(position.x, position.y + 0.7, position.z);
+  }
+  
+  /**
+   * Flies the camera through the maze with the movement keys, ignoring walls.
+   */
+  updateFreeCamera() {
+    const forward = new THREE.Vector3(0, 0, -1).applyEuler(this.player.cameraRotation);
+    const right = new THREE.Vector3(1, 0, 0).applyEuler(this.player.cameraRotation);
+    const direction = new THREE.Vector3();
+    
+    if (this.player.moveForward) direction.add(forward);
+    if (this.player.moveBackward) direction.sub(forward);
+    if (this.player.moveLeft) direction.sub(right);
+    if (this.player.moveRight) direction.add(right);
+    
+    if (direction.length() > 0) {
+      const speed = this.player.isSprinting ? this.flySpeed * this.fastFlyMultiplier : this.flySpeed;
+      this.camera.position.add(direction.normalize().multiplyScalar(speed));
+      this.camera.position.y = Math.max(this.minHeight, Math.min(this.maxHeight, this.camera.position.y));
+    }
+    
+    this.camera.rotation.copy(this.player.cameraRotation);
+  }
+  
+  /**
+   * Draws the floor of the maze the camera is watching from above with the exit, the stairs, the players and the monsters.
+   * @param {Object} maze - The maze data
+   * @param {Array} monsters - The monsters
+   */
+  drawOverview(maze, monsters) {
+    const context = this.context;
+    const scale = this.overviewSize / Math.max(maze.width, maze.height);
+    const toCanvas = (position) => ({
+      x: position.x / maze.cellSize * scale,
+      y: position.z / maze.cellSize * scale
+    });
+    
+    // Show the followed player's floor, or the free camera's
+    const target = this.mode === 'follow' ? this.player.remotePlayers.get(this.targetId) : null;
+    const floor = this.player.getFloor(maze, target ? target.mesh.position.y : this.camera.position.y);
+    const isOnFloor = (position) => this.player.getFloor(maze, position.y) === floor;
+    
+    context.clearRect(0, 0, this.overviewSize, this.overviewSize);
+    context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    context.fillRect(0, 0, maze.width * scale, maze.height * scale);
+    
+    // Walls
+    context.fillStyle = '#d2b48c';
+    for (let x = 0; x < maze.width; x++) {
+      for (let z = 0; z < maze.height; z++) {
+        if (maze.levels[floor][x][z]) {
+          context.fillRect(x * scale, z * scale, scale, scale);
+        }
+      }
+    }
+    
+    // Stairs up and down from this floor
+    context.fillStyle = '#aa66ff';
+    (maze.stairs || []).forEach(stairs => {
+      if (stairs.floor === floor || stairs.floor === floor - 1) {
+        context.fillRect(stairs.x * scale, stairs.y * scale, scale, scale);
+      }
+    });
+    
+    // Exit
+    if (maze.exit && (maze.exit.floor || 0) === floor) {
+      context.fillStyle = '#ffcc00';
+      context.fillRect(maze.exit.x * scale, maze.exit.z * scale, scale, scale);
+    }
+    
+    const drawDot = (position, color, radius) => {
+      const point = toCanvas(position);
+      context.fillStyle = color;
+      context.beginPath();
+      context.arc(point.x, point.y, radius, 0, Math.PI * 2);
+      context.fill();
+    };
+    
+    // Monsters
+    (monsters || []).forEach(monster => {
+      const position = monster.mesh ? monster.mesh.position : monster.position;
+      if (isOnFloor(position)) drawDot(position, '#ff3333', Math.max(2, scale * 0.4));
+    });
+    
+    // Players, the followed one highlighted
+    this.player.remotePlayers.forEach(remotePlayer => {
+      if (remotePlayer.isOut || !isOnFloor(remotePlayer.mesh.position)) return;
+      
+      const color = remotePlayer.id === this.targetId ? '#ffffff' : '#00aaff';
+      drawDot(remotePlayer.mesh.position, color, Math.max(2, scale * 0.4));
+    });
+    
+    // Free camera position
+    if (this.mode === 'free') {
+      drawDot(this.camera.position, '#00ff00', Math.max(2, scale * 0.3));
+    }
+  }
+}
@@ -28,6 +28,9 @@ class UI {
       // Join form
       this.joinForm = document.getElementById('join-form');
       
+      // Replay list
+      this.replayList = document.getElementById('replay-list');
+      
       // Create stamina bar
       this.createStaminaBar();
       
@@ -311,6 +314,51 @@ class UI {
     }
   }
   
+  /**
+   * Shows the list of stored replays.
+   * @param {Array} replays - The replay summaries, newest first
+   * @param {Function} onSelect - Called with the ID of the replay to watch
+   */
+  showReplayList(replays, onSelect) {
+    this.replayList.innerHTML = '';
+    
+    if (replays.length === 0) {
+      const empty = document.createElement('p');
+      empty.textContent = 'No replays yet. Finished games are recorded automatically.';
+      this.replayList.appendChild(empty);
+    }
+    
+    replays.forEach(replay => {
+      const minutes = Math.floor(replay.duration / 60);
+      const seconds = (replay.duration % 60).toString().padStart(2, '0');
+      const outcome = replay.winner ? `${replay.winner} won` : (replay.isVictory ? 'escaped' : 'lost');
+      
+      const button = document.createElement('button');
+      button.className = 'replay-entry';
+      button.textContent = `${new Date(replay.startedAt).toLocaleString()} - ${replay.gameMode}, ` +
+        `${replay.players} player(s), ${minutes}:${seconds}, ${outcome}`;
+      button.addEventListener('click', () => onSelect(replay.id));
+      this.replayList.appendChild(button);
+    });
+    
+    this.replayList.classList.remove('hidden');
+  }
+  
+  /**
+   * Hides the list of stored replays.
+   */
+  hideReplayList() {
+    this.replayList.classList.add('hidden');
+  }
+  
+  /**
+   * Checks if the list of stored replays is shown.
+   * @returns {boolean} True if the list is shown
+   */
+  isReplayListVisible() {
+    return !this.replayList.classList.contains('hidden');
+  }
+  
   /**
    * Shows the game UI.
    */
@@ -341,6 +389,16 @@ class UI {
     }
   }
   
+  /**
+   * Switches the game UI between playing and spectating, which hides the player's own bars and inventory.
+   * @param {boolean} spectating - Whether we are spectating
+   */
+  setSpectating(spectating) {
+    if (this.gameUI) {
+      this.gameUI.classList.toggle('spectating', spectating);
+    }
+  }
+  
   /**
    * Shows the game over screen.
    * @param {boolean} isVictory - Whether the player won
@@ -0,0 +1,242 @@
+const { io } = require('socket.io-client');
+const BotBrain = require('./BotBrain');
+
+// Server events the brain learns from
+const BRAIN_EVENTS = [
+  'gameStarted', 'gameState', 'gameUpdate', 'mazeUpdated', 'itemSpawned', 'itemCollected',
+  'doorOpened', 'doorClosed', 'positionCorrected', 'playerKnockedBack', 'playerUsedStairs',
+  'playerDamaged', 'playerEscaped', 'gameOver'
+];
+
+// Socket events for the brain's inputs
+const INPUT_EVENTS = {
+  move: 'playerMove',
+  interact: 'playerInteract',
+  collectItem: 'collectItem',
+  escape: 'playerEscape'
+};
+
+/**
+ * A bot player that connects to the server like a browser client and plays with a BotBrain.
+ * Bots are always loaded and ready, and vote for a rematch after every game.
+ */
+class Bot {
+  /**
+   * Creates a new bot.
+   * @param {Object} options - Bot options: url (server URL), name, skill (see BotBrain),
+   * updateRate (inputs per second) and seed (for the bot's decisions, random if not provided)
+   */
+  constructor(options = {}) {
+    this.url = options.url || 'http://localhost:3000';
+    this.name = options.name || 'Bot';
+    this.skill = options.skill || 'normal';
+    this.updateRate = options.updateRate || 10;
+    this.seed = options.seed !== undefined ? options.seed : null;
+
+    this.socket = null;
+    this.brain = null;
+    this.roomCode = null;
+    this.room = null; // Latest lobby information of the bot's room
+    this.loop = null;
+    this.lastUpdate = 0;
+
+    // Counters for load test reports
+    this.stats = { games: 0, escapes: 0, deaths: 0, corrections: 0 };
+  }
+
+  /**
+   * Connects to the server.
+   * @returns {Promise} Resolves once connected
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      this.socket = io(this.url, {
+        transports: ['websocket'],
+        reconnection: false,
+        forceNew: true
+      });
+
+      this.socket.once('connect', () => {
+        this.brain = new BotBrain(this.socket.id, this.skill, this.seed);
+        this.setupEventHandlers();
+        resolve();
+      });
+
+      this.socket.once('connect_error', (error) => reject(error));
+    });
+  }
+
+  /**
+   * Forwards the server's events to the brain and keeps the bot in its room between games.
+   */
+  setupEventHandlers() {
+    BRAIN_EVENTS.forEach(event => {
+      this.socket.on(event, (data) => this.brain.handleEvent(event, data));
+    });
+
+    this.socket.on('gameStarted', () => {
+      this.stats.games++;
+      this.start();
+    });
+
+    this.socket.on('positionCorrected', () => this.stats.corrections++);
+
+    this.socket.on('playerEscaped', (data) => {
+      if (data.id === this.socket.id) this.stats.escapes++;
+    });
+
+    this.socket.on('playerDamaged', (data) => {
+      if (data.id === this.socket.id && data.isDead) this.stats.deaths++;
+    });
+
+    // Vote to play again, the lobby starts the next game once everyone is ready
+    this.socket.on('gameOver', () => {
+      this.stop();
+      this.socket.emit('restartGame', {});
+    });
+
+    this.socket.on('roomUpdated', (room) => {
+      const previousState = this.room && this.room.state;
+      this.room = room;
+
+      // Back in the lobby after a rematch
+      if (previousState === 'ended' && room.state === 'lobby') {
+        this.prepare();
+      }
+    });
+
+    this.socket.on('kicked', () => {
+      this.roomCode = null;
+      this.disconnect();
+    });
+
+    this.socket.on('disconnect', () => this.stop());
+  }
+
+  /**
+   * Creates a room and joins it as its host.
+   * @param {Object} options - Room options, see RoomManager.createRoom
+   * @returns {Promise} Resolves with the room code
+   */
+  createRoom(options = {}) {
+    return new Promise((resolve, reject) => {
+      this.socket.emit('createRoom', { ...options, playerName: this.name }, (response) => {
+        if (!response.success) {
+          reject(new Error(response.message));
+          return;
+        }
+
+        // The host isn't ready yet, so the countdown waits for startGame
+        this.roomCode = response.room.code;
+        this.socket.emit('clientLoaded', { loaded: true });
+        resolve(this.roomCode);
+      });
+    });
+  }
+
+  /**
+   * Joins a room, loaded and ready to play.
+   * @param {string} roomCode - The room code
+   * @returns {Promise} Resolves with the room code
+   */
+  joinRoom(roomCode) {
+    return new Promise((resolve, reject) => {
+      this.socket.emit('joinRoom', { roomCode, playerName: this.name }, (response) => {
+        if (!response.success) {
+          reject(new Error(response.message));
+          return;
+        }
+
+        this.roomCode = response.room.code;
+        this.prepare();
+        resolve(this.roomCode);
+      });
+    });
+  }
+
+  /**
+   * Tells the lobby the bot has loaded and is ready.
+   */
+  prepare() {
+    this.socket.emit('clientLoaded', { loaded: true });
+    this.socket.emit('setReady', { ready: true });
+  }
+
+  /**
+   * Starts the game in the bot's room, if the bot is its host.
+   * @returns {Promise} Resolves once the countdown started
+   */
+  startGame() {
+    return new Promise((resolve, reject) => {
+      this.socket.emit('startGame', {}, (response) => {
+        if (response.success) {
+          resolve();
+        } else {
+          reject(new Error(response.message));
+        }
+      });
+    });
+  }
+
+  /**
+   * Starts sending the brain's inputs.
+   */
+  start() {
+    this.stop();
+
+    this.lastUpdate = Date.now();
+    this.loop = setInterval(() => this.update(), 1000 / this.updateRate);
+  }
+
+  /**
+   * Stops sending inputs.
+   */
+  stop() {
+    if (this.loop) {
+      clearInterval(this.loop);
+      this.loop = null;
+    }
+  }
+
+  /**
+   * Lets the brain decide and sends its inputs to the server.
+   */
+  update() {
+    const now = Date.now();
+    const deltaTime = now - this.lastUpdate;
+    this.lastUpdate = now;
+
+    // The bot lost track of the maze
+    if (this.brain.needsGameState) {
+      this.brain.needsGameState = false;
+      this.socket.emit('requestGameState', {});
+    }
+
+    this.brain.update(deltaTime).forEach(input => {
+      const event = INPUT_EVENTS[input.type];
+
+      if (input.type === 'move') {
+        this.socket.emit(event, input.data);
+      } else if (input.type === 'collectItem') {
+        this.socket.emit(event, { itemId: input.data });
+      } else if (input.type === 'interact') {
+        this.socket.emit(event, {});
+      } else {
+        this.socket.emit(event);
+      }
+    });
+  }
+
+  /**
+   * Disconnects from the server.
+   */
+  disconnect() {
+    this.stop();
+
+    if (this.socket) {
+      this.socket.disconnect();
+    }
+  }
+}
+
+module.exports = Bot;
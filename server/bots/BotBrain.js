@@ -0,0 +1,446 @@
+const Pathfinder = require('../game/Pathfinder');
+const SeededRandom = require('../game/SeededRandom');
+
+/**
+ * Skill levels. speed is the share of the players' walking speed the bot moves at, sprint whether
+ * it sprints away from monsters. Monsters within avoidRadius make cells more costly to walk through
+ * (0 ignores monsters). replanInterval is the time in seconds between picking a new goal, and
+ * mistakeChance the chance of taking a random turn at each cell.
+ */
+const SKILL_LEVELS = {
+  easy: { speed: 0.5, sprint: false, avoidRadius: 0, replanInterval: 1, mistakeChance: 0.2 },
+  normal: { speed: 0.8, sprint: false, avoidRadius: 6, replanInterval: 0.5, mistakeChance: 0.05 },
+  expert: { speed: 1, sprint: true, avoidRadius: 10, replanInterval: 0.25, mistakeChance: 0 }
+};
+
+/**
+ * Decides what a bot player does. Fed with the server's events, it walks the maze grid cell by cell
+ * towards the exit, taking the stairs between floors, picking up keys and unlocking doors on the way,
+ * and steers clear of monsters.
+ * It has no connection of its own: update returns the player inputs to send, in the form
+ * Simulation.applyInput takes them, so the same brain plays over a socket or in a headless simulation.
+ */
+class BotBrain {
+  /**
+   * Creates a new bot brain.
+   * @param {string} playerId - The bot's player ID
+   * @param {string} skill - The skill level ('easy', 'normal' or 'expert')
+   * @param {number|string} seed - Seed for the bot's mistakes and wandering (optional, random if not provided)
+   */
+  constructor(playerId, skill = 'normal', seed = null) {
+    this.playerId = playerId;
+    this.skill = SKILL_LEVELS[skill] ? skill : 'normal';
+    this.profile = SKILL_LEVELS[this.skill];
+    this.rng = new SeededRandom(seed === null ? SeededRandom.generateSeed() : seed);
+
+    // Movement settings (mirror the server's player speed)
+    this.walkSpeed = 12; // Units per second
+    this.sprintMultiplier = 1.5;
+    this.actionCooldown = 0.5; // Seconds between attempts to escape, pick up, unlock or take the stairs
+
+    // Bot state
+    this.isActive = false; // Whether the bot is in the maze
+    this.needsGameState = false; // Set when the bot lost track of the maze, see Bot
+    this.position = null;
+    this.waypoint = null; // Cell the bot is walking to
+    this.goal = null; // { type: 'exit' | 'key' | 'door' | 'wander', cells, itemId, doorId }
+    this.distances = null; // Walking distances to the goal, see Pathfinder.getDistanceMap
+    this.replanTimer = 0;
+    this.actionTimer = 0;
+
+    // What the bot knows about the game
+    this.pathfinder = new Pathfinder();
+    this.maze = null;
+    this.items = new Map(); // Maps item IDs to items lying in the maze
+    this.inventory = [];
+    this.monsters = new Map(); // Maps monster IDs to their last known state
+  }
+
+  /**
+   * Updates what the bot knows from a server event.
+   * @param {string} event - The event name
+   * @param {Object} data - The event data
+   */
+  handleEvent(event, data) {
+    switch (event) {
+      case 'gameStarted': {
+        this.setMaze(data.maze);
+        const self = (data.players || []).find(player => player.id === this.playerId);
+        this.reset(self ? self.position : null);
+        break;
+      }
+
+      case 'gameState':
+        this.setMaze(data.maze);
+        this.items = new Map((data.items || []).map(item => [item.id, item]));
+        this.monsters = new Map((data.monsters || []).map(monster => [monster.id, monster]));
+        this.needsGameState = false;
+
+        // Spectators have no state of their own
+        if (data.self) {
+          this.position = { ...data.self.position };
+          this.inventory = data.self.inventory || [];
+          this.isActive = !data.isGameOver && !data.self.hasEscaped && !data.self.isTrapped;
+          this.waypoint = null;
+          this.replanTimer = 0;
+        }
+        break;
+
+      case 'gameUpdate':
+        (data.monsters || []).forEach(update => {
+          this.monsters.set(update.id, { ...this.monsters.get(update.id), ...update });
+        });
+        (data.removedMonsters || []).forEach(id => this.monsters.delete(id));
+        break;
+
+      case 'mazeUpdated':
+        this.applyMazeUpdate(data);
+        break;
+
+      case 'itemSpawned':
+        this.items.set(data.id, data);
+        break;
+
+      case 'itemCollected': {
+        const item = this.items.get(data.itemId);
+        this.items.delete(data.itemId);
+        if (item && data.playerId === this.playerId) {
+          this.inventory.push(item);
+        }
+        this.replanTimer = 0;
+        break;
+      }
+
+      case 'doorOpened':
+      case 'doorClosed':
+        this.setDoorOpen(data.doorId, event === 'doorOpened');
+        break;
+
+      case 'positionCorrected':
+        this.position = { ...data.position };
+        this.waypoint = null;
+        break;
+
+      case 'playerKnockedBack':
+      case 'playerUsedStairs':
+        if (data.id === this.playerId) {
+          this.position = { ...data.position };
+          this.waypoint = null;
+        }
+        break;
+
+      case 'playerDamaged':
+        if (data.id === this.playerId && data.isDead) {
+          this.isActive = false;
+        }
+        break;
+
+      case 'playerEscaped':
+        if (data.id === this.playerId) {
+          this.isActive = false;
+        }
+        break;
+
+      case 'gameOver':
+        this.isActive = false;
+        break;
+    }
+  }
+
+  /**
+   * Puts the bot at its spawn position for a new game.
+   * @param {Object} position - The spawn position
+   */
+  reset(position) {
+    this.position = position ? { ...position } : null;
+    this.isActive = !!position;
+    this.waypoint = null;
+    this.goal = null;
+    this.distances = null;
+    this.replanTimer = 0;
+    this.actionTimer = 0;
+    this.items.clear();
+    this.inventory = [];
+    this.monsters.clear();
+  }
+
+  /**
+   * Sets the maze, keeping a copy so the bot can apply shifts to it.
+   * @param {Object} maze - The maze data
+   */
+  setMaze(maze) {
+    if (!maze) return;
+
+    this.maze = {
+      ...maze,
+      levels: maze.levels.map(level => level.map(column => column.slice())),
+      doors: (maze.doors || []).map(door => ({ ...door }))
+    };
+    this.pathfinder.setMaze(this.maze);
+    this.replanTimer = 0;
+  }
+
+  /**
+   * Applies a maze shift. Shifts that don't follow on from the bot's version of the maze
+   * can't be applied, so the bot asks for the full game state instead.
+   * @param {Object} update - The maze update ({ full, maze } or { version, baseVersion, cells })
+   */
+  applyMazeUpdate(update) {
+    if (update.full) {
+      this.setMaze(update.maze);
+      return;
+    }
+
+    if (!this.maze || this.maze.version !== update.baseVersion) {
+      this.needsGameState = true;
+      return;
+    }
+
+    update.cells.forEach(cell => {
+      this.maze.levels[cell.floor || 0][cell.x][cell.y] = cell.isWall;
+    });
+    this.maze.version = update.version;
+    this.pathfinder.setMaze(this.maze);
+    this.replanTimer = 0;
+  }
+
+  /**
+   * Opens or closes a door in the bot's maze.
+   * @param {string} doorId - The door's ID
+   * @param {boolean} isOpen - Whether the door is open
+   */
+  setDoorOpen(doorId, isOpen) {
+    const door = this.maze && this.maze.doors.find(d => d.id === doorId);
+    if (!door) return;
+
+    door.isOpen = isOpen;
+    this.pathfinder.setMaze(this.maze);
+    this.replanTimer = 0;
+  }
+
+  /**
+   * Works out what the bot does next.
+   * @param {number} deltaTime - Time since last update in milliseconds
+   * @returns {Array} The inputs to send ({ type, data }), see Simulation.applyInput
+   */
+  update(deltaTime) {
+    if (!this.isActive || !this.position || !this.pathfinder.hasMaze()) return [];
+
+    const seconds = deltaTime / 1000; // Convert to seconds
+    this.replanTimer -= seconds;
+    this.actionTimer -= seconds;
+
+    if (this.replanTimer <= 0 || !this.goal) {
+      this.planGoal();
+      this.replanTimer = this.profile.replanInterval;
+    }
+
+    const cell = this.pathfinder.worldToCell(this.position);
+
+    // Act once the goal is reached, standing still until the server answered
+    if (this.isGoalCell(cell) && this.actionTimer <= 0) {
+      const action = this.getGoalAction();
+      if (action) {
+        this.actionTimer = this.actionCooldown;
+        return [action];
+      }
+    }
+
+    const move = this.move(cell, seconds);
+    if (move) return [{ type: 'move', data: move }];
+
+    // The way leads up or down the stairs the bot stands on
+    if (this.waypoint && this.waypoint.floor !== cell.floor && this.actionTimer <= 0) {
+      this.actionTimer = this.actionCooldown;
+      return [{ type: 'interact' }];
+    }
+
+    return [];
+  }
+
+  /**
+   * Picks what the bot heads for: the exit if it can be reached, otherwise a door it has the key to,
+   * otherwise a key, otherwise a random cell until a maze shift opens a way.
+   */
+  planGoal() {
+    const cell = this.pathfinder.worldToCell(this.position);
+    const closedDoors = this.maze.doors.filter(door => !door.isOpen);
+
+    const goals = [{ type: 'exit', cells: [this.maze.exitPosition] }];
+
+    closedDoors.forEach(door => {
+      const hasKey = this.inventory.some(item => item.type === 'key' && item.doorId === door.id);
+      if (!hasKey) return;
+
+      // Doors are unlocked from a neighbouring cell
+      const cells = this.pathfinder.getNeighbors({ x: door.x, y: door.y, floor: door.floor || 0 });
+      goals.push({ type: 'door', cells, doorId: door.id });
+    });
+
+    this.items.forEach(item => {
+      if (item.type !== 'key' || !closedDoors.some(door => door.id === item.doorId)) return;
+
+      goals.push({ type: 'key', cells: [item.cell], itemId: item.id });
+    });
+
+    for (const goal of goals) {
+      const distances = this.pathfinder.getDistanceMap(goal.cells);
+      if (Number.isFinite(this.pathfinder.getDistance(distances, cell))) {
+        this.goal = goal;
+        this.distances = distances;
+        return;
+      }
+    }
+
+    // Keep wandering towards the same cell until it is reached
+    if (this.goal && this.goal.type === 'wander' && !this.isGoalCell(cell)) {
+      this.distances = this.pathfinder.getDistanceMap(this.goal.cells);
+      return;
+    }
+
+    const fromHere = this.pathfinder.getDistanceMap([cell]);
+    const reachable = this.pathfinder.getWalkableCells()
+      .filter(c => Number.isFinite(this.pathfinder.getDistance(fromHere, c)));
+    const target = reachable[this.rng.nextInt(reachable.length)];
+    this.goal = { type: 'wander', cells: target ? [target] : [] };
+    this.distances = this.pathfinder.getDistanceMap(this.goal.cells);
+  }
+
+  /**
+   * Checks if a cell is one of the goal's cells.
+   * @param {Object} cell - The cell
+   * @returns {boolean} True if the bot reached its goal in that cell
+   */
+  isGoalCell(cell) {
+    return !!this.goal && this.goal.cells.some(goalCell => Pathfinder.isSameCell(goalCell, cell));
+  }
+
+  /**
+   * Gets the input that completes the goal.
+   * @returns {Object|null} The input, or null if there is nothing to do
+   */
+  getGoalAction() {
+    switch (this.goal.type) {
+      case 'exit':
+        return { type: 'escape' };
+      case 'key':
+        return { type: 'collectItem', data: this.goal.itemId };
+      case 'door':
+        return { type: 'interact' };
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Walks towards the center of the next cell on the way to the goal.
+   * @param {Object} cell - The cell the bot is in
+   * @param {number} seconds - Time since last update in seconds
+   * @returns {Object|null} The new position with the movement state, or null if the bot stands still
+   */
+  move(cell, seconds) {
+    if (!this.waypoint || this.isAt(this.waypoint)) {
+      // Center on the current cell first, e.g. after being knocked back
+      this.waypoint = this.isAt(cell) ? this.pickNextCell(cell) : cell;
+    }
+
+    // Stairs are taken with the interact key, see update
+    if (!this.waypoint || this.waypoint.floor !== cell.floor) return null;
+
+    const target = this.pathfinder.cellToWorld(this.waypoint);
+    const dx = target.x - this.position.x;
+    const dz = target.z - this.position.z;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+    if (distance === 0) return null;
+
+    // Sprint away from nearby monsters
+    const isSprinting = this.profile.sprint && this.getDanger(cell) > 0;
+    const speed = this.walkSpeed * this.profile.speed * (isSprinting ? this.sprintMultiplier : 1);
+    const step = Math.min(distance, speed * seconds);
+
+    this.position = {
+      x: this.position.x + dx / distance * step,
+      y: target.y,
+      z: this.position.z + dz / distance * step
+    };
+
+    return { ...this.position, isSprinting, isJumping: false };
+  }
+
+  /**
+   * Checks if the bot stands at the center of a cell.
+   * @param {Object} cell - The cell
+   * @returns {boolean} True if the bot is at the cell's center
+   */
+  isAt(cell) {
+    const center = this.pathfinder.cellToWorld(cell);
+    return Math.abs(center.x - this.position.x) < 0.01 && Math.abs(center.z - this.position.z) < 0.01;
+  }
+
+  /**
+   * Picks the neighbouring cell that gets the bot closest to its goal while keeping away from monsters.
+   * @param {Object} cell - The cell the bot is in
+   * @returns {Object|null} The next cell, or null to stay put
+   */
+  pickNextCell(cell) {
+    if (!this.distances || !this.pathfinder.isInBounds(cell)) return null;
+
+    const neighbors = this.pathfinder.getNeighbors(cell);
+
+    // Take a wrong turn now and then
+    if (neighbors.length > 0 && this.rng.next() < this.profile.mistakeChance) {
+      return neighbors[this.rng.nextInt(neighbors.length)];
+    }
+
+    const cost = (c) => this.pathfinder.getDistance(this.distances, c) + this.getDanger(c);
+
+    let best = null;
+    let bestCost = cost(cell);
+    neighbors.forEach(neighbor => {
+      const neighborCost = cost(neighbor);
+      if (neighborCost < bestCost) {
+        best = neighbor;
+        bestCost = neighborCost;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Measures how dangerous a cell is because of the monsters around it.
+   * @param {Object} cell - The cell
+   * @returns {number} Extra cost of walking through the cell, in cells
+   */
+  getDanger(cell) {
+    if (this.profile.avoidRadius === 0) return 0;
+
+    const center = this.pathfinder.cellToWorld(cell);
+    let danger = 0;
+
+    this.monsters.forEach(monster => {
+      if (!monster.position || Pathfinder.getFloor(this.maze, monster.position) !== cell.floor) return;
+
+      const dx = monster.position.x - center.x;
+      const dz = monster.position.z - center.z;
+      const distance = Math.sqrt(dx * dx + dz * dz);
+
+      // Closer monsters are worth a longer detour
+      if (distance < this.profile.avoidRadius) {
+        danger += (this.profile.avoidRadius - distance) / this.maze.cellSize * 2;
+      }
+    });
+
+    return danger;
+  }
+
+  /**
+   * Gets the skill level names.
+   * @returns {Array} The skill levels
+   */
+  static getSkillLevels() {
+    return Object.keys(SKILL_LEVELS);
+  }
+}
+
+module.exports = BotBrain;
@@ -0,0 +1,152 @@
+const Bot = require('./Bot');
+const BotBrain = require('./BotBrain');
+
+const USAGE = `Usage: node bots [options]
+
+  --url <url>         Server to connect to (default http://localhost:3000)
+  --bots <count>      Number of bots (default 4)
+  --room <code>       Join an existing room instead of creating rooms
+  --per-room <count>  Bots per created room (default 4)
+  --mode <mode>       Game mode of created rooms: coop, betrayal or pvp (default coop)
+  --skill <skill>     Bot skill: ${BotBrain.getSkillLevels().join(', ')} or mixed (default normal)
+  --rate <count>      Inputs each bot sends per second (default 10)
+  --ramp <ms>         Delay between connecting bots (default 50)`;
+
+/**
+ * Parses the command line options.
+ * @param {Array} args - The command line arguments
+ * @returns {Object} The options
+ */
+function parseArgs(args) {
+  const options = {
+    url: 'http://localhost:3000',
+    bots: 4,
+    room: null,
+    perRoom: 4,
+    mode: 'coop',
+    skill: 'normal',
+    rate: 10,
+    ramp: 50
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const value = args[i + 1];
+
+    switch (args[i]) {
+      case '--url': options.url = value; i++; break;
+      case '--bots': options.bots = parseInt(value, 10); i++; break;
+      case '--room': options.room = value; i++; break;
+      case '--per-room': options.perRoom = parseInt(value, 10); i++; break;
+      case '--mode': options.mode = value; i++; break;
+      case '--skill': options.skill = value; i++; break;
+      case '--rate': options.rate = parseInt(value, 10); i++; break;
+      case '--ramp': options.ramp = parseInt(value, 10); i++; break;
+      default:
+        console.log(USAGE);
+        process.exit(args[i] === '--help' ? 0 : 1);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Waits for a while.
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise} Resolves after the delay
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Connects the bots of one room. Without a room code the first bot creates a room
+ * and starts the game once the others have joined.
+ * @param {Object} options - The command line options
+ * @param {number} count - Number of bots for the room
+ * @param {number} firstIndex - Number of the room's first bot, for names
+ * @returns {Promise} Resolves with the connected bots
+ */
+async function fillRoom(options, count, firstIndex) {
+  const skills = BotBrain.getSkillLevels();
+  const bots = [];
+  let roomCode = options.room;
+
+  for (let i = 0; i < count; i++) {
+    const index = firstIndex + i;
+    const bot = new Bot({
+      url: options.url,
+      name: `Bot ${index + 1}`,
+      skill: options.skill === 'mixed' ? skills[index % skills.length] : options.skill,
+      updateRate: options.rate
+    });
+
+    try {
+      await bot.connect();
+      if (roomCode) {
+        await bot.joinRoom(roomCode);
+      } else {
+        roomCode = await bot.createRoom({ gameMode: options.mode, maxPlayers: Math.min(16, Math.max(8, count)) });
+        console.log(`${bot.name} created room ${roomCode}`);
+      }
+      bots.push(bot);
+    } catch (error) {
+      console.error(`${bot.name} could not join:`, error.message);
+      bot.disconnect();
+    }
+
+    await delay(options.ramp);
+  }
+
+  // The host starts once everyone is in, the others are ready already
+  if (!options.room && bots.length > 0) {
+    try {
+      await bots[0].startGame();
+    } catch (error) {
+      console.error(`Room ${roomCode} could not start:`, error.message);
+    }
+  }
+
+  return bots;
+}
+
+/**
+ * Logs how the bots are doing.
+ * @param {Array} bots - The bots
+ */
+function report(bots) {
+  const connected = bots.filter(bot => bot.socket && bot.socket.connected).length;
+  const totals = bots.reduce((sum, bot) => {
+    Object.keys(bot.stats).forEach(key => sum[key] += bot.stats[key]);
+    return sum;
+  }, { games: 0, escapes: 0, deaths: 0, corrections: 0 });
+
+  console.log(`${connected}/${bots.length} bots connected, ${totals.games} games, ` +
+    `${totals.escapes} escapes, ${totals.deaths} deaths, ${totals.corrections} position corrections`);
+}
+
+/**
+ * Connects the bots and reports on them until stopped with Ctrl+C.
+ */
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const bots = [];
+
+  // Bots joining a room all go into it, otherwise they fill rooms of perRoom bots
+  const perRoom = options.room ? options.bots : Math.max(1, options.perRoom);
+  for (let index = 0; index < options.bots; index += perRoom) {
+    bots.push(...await fillRoom(options, Math.min(perRoom, options.bots - index), index));
+  }
+
+  const reportLoop = setInterval(() => report(bots), 10000);
+  report(bots);
+
+  process.on('SIGINT', () => {
+    clearInterval(reportLoop);
+    report(bots);
+    bots.forEach(bot => bot.disconnect());
+    process.exit(0);
+  });
+}
+
+main();
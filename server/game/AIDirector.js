@@ -0,0 +1,217 @@
+const Pathfinder = require('./Pathfinder');
+
+/**
+ * Difficulty profiles. Each has the pressure applied during calm and intense phases:
+ * spawnRate and shiftRate speed up the monster spawn and maze shift timers, aggression
+ * scales monster sight range, chase speed and memory.
+ * peakStress is the stress that ends an intense phase, calmStress the stress players must
+ * drop below before the next one (or until maxCalmTime runs out). Times are in seconds.
+ */
+const DIFFICULTY_PROFILES = {
+  relaxed: {
+    calm: { spawnRate: 0.5, aggression: 0.75, shiftRate: 0.5 },
+    intense: { spawnRate: 1, aggression: 1, shiftRate: 1 },
+    peakStress: 0.5, calmStress: 0.2, minCalmTime: 60, maxCalmTime: 120, maxIntenseTime: 30
+  },
+  standard: {
+    calm: { spawnRate: 0.75, aggression: 0.9, shiftRate: 0.75 },
+    intense: { spawnRate: 1.5, aggression: 1.15, shiftRate: 1.5 },
+    peakStress: 0.7, calmStress: 0.3, minCalmTime: 40, maxCalmTime: 90, maxIntenseTime: 45
+  },
+  nightmare: {
+    calm: { spawnRate: 1, aggression: 1, shiftRate: 1 },
+    intense: { spawnRate: 2, aggression: 1.3, shiftRate: 2 },
+    peakStress: 0.9, calmStress: 0.5, minCalmTime: 20, maxCalmTime: 45, maxIntenseTime: 60
+  }
+};
+
+/**
+ * Adapts monster pressure to how the match is going, alternating between calm and intense phases.
+ * Intense phases end once the players are under enough stress, calm phases once they have recovered.
+ * Players closing in on the exit, or others having escaped, shorten the calm phases.
+ */
+class AIDirector {
+  /**
+   * Creates a new AI director.
+   * @param {string} difficulty - The difficulty profile ('relaxed', 'standard' or 'nightmare')
+   */
+  constructor(difficulty = 'standard') {
+    this.difficulty = DIFFICULTY_PROFILES[difficulty] ? difficulty : 'standard';
+    this.profile = DIFFICULTY_PROFILES[this.difficulty];
+    
+    // Director settings
+    this.damageMemory = 10; // Seconds damage keeps adding to the players' stress
+    this.rampTime = 10; // Seconds to move between calm and intense pressure
+    
+    // Director state
+    this.phase = 'calm'; // calm, intense
+    this.phaseTime = 0; // Seconds spent in the current phase
+    this.intensity = 0; // 0 is calm pressure, 1 is intense pressure
+    this.timeSinceDamage = Infinity; // Seconds since any player was last damaged
+    this.stats = {
+      averageHealth: 100,
+      timeSinceDamage: Infinity,
+      exitDistance: Infinity, // Walking distance in cells from the closest player to the exit
+      escapedCount: 0,
+      stress: 0,
+      urgency: 0
+    };
+    
+    // Walking distances to the exit, recomputed when the maze changes
+    this.pathfinder = new Pathfinder();
+    this.exitDistances = null;
+    this.maxExitDistance = 1; // Furthest reachable cell from the exit
+  }
+  
+  /**
+   * Sets the maze used to measure the players' distance to the exit.
+   * @param {Object} maze - The maze data
+   */
+  setMaze(maze) {
+    this.pathfinder.setMaze(maze);
+    this.exitDistances = null;
+  }
+  
+  /**
+   * Records that a player took damage.
+   */
+  recordDamage() {
+    this.timeSinceDamage = 0;
+  }
+  
+  /**
+   * Updates the director and works out the pressure to apply.
+   * @param {Array} players - Array of player objects
+   * @param {number} deltaTime - Time since last update in milliseconds
+   * @returns {Object} The pressure ({ spawnRate, aggression, shiftRate })
+   */
+  update(players, deltaTime) {
+    const seconds = deltaTime / 1000; // Convert to seconds
+    this.timeSinceDamage += seconds;
+    this.phaseTime += seconds;
+    
+    this.updateStats(players);
+    this.updatePhase();
+    
+    // Ease towards the phase's pressure instead of jumping
+    const targetIntensity = this.phase === 'intense' ? 1 : 0;
+    const step = seconds / this.rampTime;
+    this.intensity = targetIntensity > this.intensity ?
+      Math.min(targetIntensity, this.intensity + step) :
+      Math.max(targetIntensity, this.intensity - step);
+    
+    return this.getPressure();
+  }
+  
+  /**
+   * Measures how the players are doing.
+   * @param {Array} players - Array of player objects
+   */
+  updateStats(players) {
+    const activePlayers = players.filter(p => !p.hasEscaped && !p.isTrapped);
+    const escapedCount = players.filter(p => p.hasEscaped).length;
+    
+    const averageHealth = activePlayers.length > 0 ?
+      activePlayers.reduce((sum, p) => sum + p.health, 0) / activePlayers.length :
+      100;
+    
+    const exitDistance = activePlayers.reduce(
+      (closest, player) => Math.min(closest, this.getExitDistance(player)),
+      Infinity
+    );
+    
+    // Stress comes from missing health and recent damage
+    const damageStress = Math.max(0, 1 - this.timeSinceDamage / this.damageMemory);
+    const stress = Math.min(1, (1 - averageHealth / 100) * 0.6 + damageStress * 0.4);
+    
+    // Urgency grows as players close in on the exit and once others have escaped
+    const exitUrgency = Number.isFinite(exitDistance) ? Math.max(0, 1 - exitDistance / this.maxExitDistance) : 0;
+    const escapeUrgency = players.length > 0 ? escapedCount / players.length : 0;
+    
+    this.stats = {
+      averageHealth,
+      timeSinceDamage: this.timeSinceDamage,
+      exitDistance,
+      escapedCount,
+      stress,
+      urgency: Math.max(exitUrgency, escapeUrgency)
+    };
+  }
+  
+  /**
+   * Switches between calm and intense phases.
+   */
+  updatePhase() {
+    const { stress, urgency } = this.stats;
+    
+    if (this.phase === 'intense') {
+      // Back off once the players are stressed enough, or the phase dragged on
+      if (stress >= this.profile.peakStress || this.phaseTime >= this.profile.maxIntenseTime) {
+        this.setPhase('calm');
+      }
+      return;
+    }
+    
+    // Build up again once the players recovered, sooner the closer they are to escaping
+    const calmTime = this.profile.minCalmTime * (1 - urgency * 0.5);
+    if ((this.phaseTime >= calmTime && stress <= this.profile.calmStress) || 
+        this.phaseTime >= this.profile.maxCalmTime) {
+      this.setPhase('intense');
+    }
+  }
+  
+  /**
+   * Changes the director's phase.
+   * @param {string} phase - The new phase
+   */
+  setPhase(phase) {
+    this.phase = phase;
+    this.phaseTime = 0;
+  }
+  
+  /**
+   * Gets the walking distance from a player to the exit.
+   * @param {Object} player - The player object
+   * @returns {number} The distance in cells, Infinity if unknown or unreachable
+   */
+  getExitDistance(player) {
+    if (!this.pathfinder.hasMaze()) return Infinity;
+    
+    if (!this.exitDistances) {
+      this.exitDistances = this.pathfinder.getDistanceMap([this.pathfinder.maze.exitPosition]);
+      this.maxExitDistance = Math.max(1, ...this.exitDistances.flat(2).filter(Number.isFinite));
+    }
+    
+    return this.pathfinder.getDistance(this.exitDistances, this.pathfinder.worldToCell(player.position));
+  }
+  
+  /**
+   * Gets the current pressure, between the profile's calm and intense values.
+   * @returns {Object} The pressure ({ spawnRate, aggression, shiftRate })
+   */
+  getPressure() {
+    const { calm, intense } = this.profile;
+    const lerp = (from, to) => from + (to - from) * this.intensity;
+    
+    return {
+      spawnRate: lerp(calm.spawnRate, intense.spawnRate),
+      aggression: lerp(calm.aggression, intense.aggression),
+      shiftRate: lerp(calm.shiftRate, intense.shiftRate)
+    };
+  }
+  
+  /**
+   * Gets the director's phase and the stats it is based on.
+   * @returns {Object} The phase, intensity and stats
+   */
+  getState() {
+    return {
+      difficulty: this.difficulty,
+      phase: this.phase,
+      intensity: this.intensity,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = AIDirector;
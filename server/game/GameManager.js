@@ -1,27 +1,74 @@
+const SeededRandom = require('./SeededRandom');
+const Pathfinder = require('./Pathfinder');
+
 /**
  * Manages the overall game flow, rules, and game modes.
  */
 class GameManager {
   /**
    * Creates a new game manager.
+   * @param {number|string} seed - Seed for player spawn positions (optional, random if not provided)
    */
-  constructor() {
+  constructor(seed = null) {
     // Game settings
     this.gameTimeLimit = 600; // 10 minutes in seconds
     this.maxPlayers = 8;
     
+    // Movement settings (mirror Config.playerSpeed and Config.sprintMultiplier on the client)
+    this.playerSpeed = 2;
+    this.sprintMultiplier = 1.5;
+    this.clientFrameRate = 60; // The client moves speed * 0.1 units every 1/60 second, at any refresh rate
+    this.movementTolerance = 1.5; // Allowance for jitter and frame rate spikes
+    this.maxMoveInterval = 0.5; // Most seconds of unused movement a player can save up
+    this.maxPlayerHeight = 10; // Highest a jump can reach above the floor
+    this.ceilingClearance = 0.1; // Gap kept below the floor above, so players stay on their own floor
+    this.speedEffectMultiplier = 2; // Matches the speed potion's value
+    
+    // Stealth settings
+    this.noiseRadii = { sprint: 8, jump: 6, item: 10 }; // Distance monsters can hear each kind of noise from
+    
+    // Betrayal settings
+    this.traitorRatio = 0.25; // Share of players who are traitors (at least one with two or more players)
+    this.traitorTrapGoal = 0; // Innocent players the traitors must trap, set when roles are assigned
+    this.abilityCooldowns = { sabotage: 60, lure: 45 }; // Seconds between uses of traitor abilities
+    this.sabotageRange = 4; // Maximum distance to a door to sabotage it
+    this.lureRadius = 20; // Monsters within this distance are lured
+    
+    // Combat settings
+    this.combatModes = ['pvp', 'betrayal']; // Modes where players can attack each other
+    this.unarmedAttack = { weapon: 'fists', name: 'Fists', damage: 5, range: 1.5, cooldown: 0.6, knockback: 0.5 };
+    this.meleeConeAngle = Math.PI / 4; // Melee hits targets up to 45 degrees off the aim direction
+    this.projectileHitRadius = 0.6; // How far from the aim line a ranged attack still hits
+    
     // Game state
     this.gameTimer = 0;
     this.playersEscaped = 0;
     this.playersTrapped = 0;
     this.isGameOver = false;
+    this.gameOverResult = null; // The result that ended the game
     this.gameMode = 'coop'; // coop, betrayal, pvp
     
     // Player management
     this.players = new Map();
+    this.nextSpawnPoint = 0; // Index of the spawn point the next player gets, if the maze has spawn points
     
     // Maze reference
     this.maze = null;
+    
+    // Item manager reference
+    this.itemManager = null;
+    
+    // Time and randomness, replaced by the simulation when it runs on simulated time
+    this.clock = () => Date.now(); // Milliseconds, used to check how far players moved since their last move
+    this.rng = new SeededRandom(seed === null ? SeededRandom.generateSeed() : `${seed}:players`);
+  }
+  
+  /**
+   * Sets the clock player moves are timed with.
+   * @param {Function} clock - Function returning the current time in milliseconds
+   */
+  setClock(clock) {
+    this.clock = clock;
   }
   
   /**
@@ -52,7 +99,18 @@ class GameManager {
       health: 100,
       hasEscaped: false,
       isTrapped: false,
-      inventory: []
+      inventory: [],
+      armor: 0,
+      effects: {}, // Maps active effect names to their expiry time in seconds
+      lastMoveTime: this.clock(),
+      moveBudget: 0, // Distance the player may still move before it refills, see validatePlayerMove
+      isSprinting: false, // Movement state reported by the client, sprinting and jumping make noise
+      isJumping: false,
+      connected: true,
+      role: null, // 'innocent' or 'traitor' in betrayal mode, only ever sent to the player themselves
+      abilityReadyAt: {}, // Maps traitor abilities to the game time they can be used again
+      attackReadyAt: {}, // Maps weapons to the game time they can attack again
+      kills: 0
     };
     
     // Add to players map
@@ -69,8 +127,39 @@ class GameManager {
     this.players.delete(playerId);
   }
   
+  /**
+   * Moves a player's state to a new ID, e.g. after reconnecting with a new socket.
+   * @param {string} oldId - The player's previous socket ID
+   * @param {string} newId - The player's new socket ID
+   */
+  renamePlayer(oldId, newId) {
+    const player = this.players.get(oldId);
+    if (!player) return;
+    
+    this.players.delete(oldId);
+    player.id = newId;
+    this.players.set(newId, player);
+  }
+  
+  /**
+   * Sets whether a player is connected. Disconnected players keep their state but are ignored by monsters.
+   * @param {string} playerId - The player's socket ID
+   * @param {boolean} connected - Whether the player is connected
+   */
+  setPlayerConnected(playerId, connected) {
+    const player = this.players.get(playerId);
+    if (!player) return;
+    
+    player.connected = connected;
+    
+    // Don't count the time spent away towards the next move's speed check
+    player.lastMoveTime = this.clock();
+  }
+  
   /**
    * Gets a random spawn position for a new player.
+   * Hand-authored mazes can set spawn points instead, which are handed out in turn.
+   * Players always spawn on the ground floor.
    * @returns {Object} A position object with x, y, z coordinates
    */
   getRandomSpawnPosition() {
@@ -79,42 +168,271 @@ class GameManager {
       return { x: 0, y: 0, z: 0 };
     }
     
-    // Find a random path cell that's not the exit
-    const validCells = [];
-    for (let x = 0; x < this.maze.width; x++) {
-      for (let y = 0; y < this.maze.height; y++) {
-        if (!this.maze.grid[x][y] && 
-            (x !== this.maze.exitPosition.x || y !== this.maze.exitPosition.y)) {
-          validCells.push({ x, y });
-        }
+    let cell;
+    if (this.maze.spawnPoints && this.maze.spawnPoints.length > 0) {
+      cell = this.maze.spawnPoints[this.nextSpawnPoint++ % this.maze.spawnPoints.length];
+    } else {
+      // Find a random path cell that's not the exit or behind a locked door
+      const validCells = this.getUnlockedCells().filter(candidate => 
+        candidate.floor === 0 &&
+        (candidate.x !== this.maze.exitPosition.x || candidate.y !== this.maze.exitPosition.y)
+      );
+      
+      if (validCells.length === 0) {
+        return { x: 0, y: 0, z: 0 };
       }
+      
+      // Pick a random cell
+      cell = validCells[this.rng.nextInt(validCells.length)];
     }
     
-    if (validCells.length === 0) {
-      return { x: 0, y: 0, z: 0 };
+    // Convert to the world position of the cell center
+    return {
+      x: cell.x * this.maze.cellSize + this.maze.cellSize / 2,
+      y: 0, // Ground level
+      z: cell.y * this.maze.cellSize + this.maze.cellSize / 2
+    };
+  }
+  
+  /**
+   * Gets the path cells that can be reached without passing through a closed door.
+   * @returns {Array} List of cells with x, y coordinates and floor
+   */
+  getUnlockedCells() {
+    const doors = (this.maze.doors || []).filter(door => !door.isOpen);
+    const keys = this.maze.keys || [];
+    const stairs = this.maze.stairs || [];
+    const cells = [];
+    
+    // Keys are always placed in the unlocked part of the maze, so search from one.
+    // With several floors, search from the stairs so no cut off pocket is included.
+    let start = null;
+    if (doors.length > 0 && keys.length > 0) {
+      start = keys[0];
+    } else if (stairs.length > 0) {
+      start = stairs[0];
+    }
+    
+    if (!start) {
+      this.maze.levels.forEach((level, floor) => {
+        for (let x = 0; x < this.maze.width; x++) {
+          for (let y = 0; y < this.maze.height; y++) {
+            if (!level[x][y]) {
+              cells.push({ x, y, floor });
+            }
+          }
+        }
+      });
+      return cells;
+    }
+    
+    // Closed doors block the search like walls
+    const pathfinder = new Pathfinder(this.maze);
+    const first = { x: start.x, y: start.y, floor: start.floor || 0 };
+    const visited = new Set([`${first.x},${first.y},${first.floor}`]);
+    const queue = [first];
+    
+    while (queue.length > 0) {
+      const current = queue.shift();
+      cells.push(current);
+      
+      pathfinder.getNeighbors(current).forEach(next => {
+        const key = `${next.x},${next.y},${next.floor}`;
+        
+        if (!visited.has(key)) {
+          visited.add(key);
+          queue.push(next);
+        }
+      });
+    }
+    
+    return cells;
+  }
+  
+  /**
+   * Gets the floor a player is on.
+   * @param {Object} player - The player object
+   * @returns {number} The floor, 0 is the ground floor
+   */
+  getPlayerFloor(player) {
+    return this.maze && this.maze.levels ? Pathfinder.getFloor(this.maze, player.position) : 0;
+  }
+  
+  /**
+   * Gets how high a player can be on their floor. Jumps stop below the floor above.
+   * @param {Object} player - The player object
+   * @returns {Object} The lowest and highest y coordinate ({ min, max })
+   */
+  getHeightRange(player) {
+    if (!this.maze || !this.maze.levels) {
+      return { min: 0, max: this.maxPlayerHeight };
     }
     
-    // Pick a random cell
-    const cell = validCells[Math.floor(Math.random() * validCells.length)];
+    const floor = this.getPlayerFloor(player);
+    const ground = floor * this.maze.floorHeight;
+    const isTopFloor = floor === this.maze.levels.length - 1;
     
-    // Convert to world position
     return {
-      x: cell.x * this.maze.cellSize,
-      y: 0, // Ground level
-      z: cell.y * this.maze.cellSize
+      min: ground,
+      max: isTopFloor ? ground + this.maxPlayerHeight : ground + this.maze.floorHeight - this.ceilingClearance
     };
   }
   
   /**
-   * Updates a player's position.
+   * Updates a player's position after validating the move against the maze and the speed limit.
    * @param {string} playerId - The player's socket ID
-   * @param {Object} position - The new position
+   * @param {Object} position - The new position, with the client's isSprinting and isJumping flags
+   * @returns {Object} Result with the authoritative position and the noise the move made (if any)
    */
   updatePlayerPosition(playerId, position) {
     const player = this.players.get(playerId);
-    if (player) {
-      player.position = position;
+    if (!player) {
+      return { success: false, message: 'Player not found' };
     }
+    
+    const result = this.validatePlayerMove(player, position);
+    if (!result.success) {
+      return { ...result, position: player.position };
+    }
+    player.moveBudget = result.moveBudget;
+    
+    const heightRange = this.getHeightRange(player);
+    player.position = {
+      x: position.x,
+      y: Math.max(heightRange.min, Math.min(heightRange.max, position.y)),
+      z: position.z
+    };
+    player.lastMoveTime = this.clock();
+    
+    // Taking off is loud, so is every sprinting step
+    const wasJumping = player.isJumping;
+    player.isSprinting = !!position.isSprinting;
+    player.isJumping = !!position.isJumping;
+    
+    let noise = null;
+    if (player.isJumping && !wasJumping) {
+      noise = this.makeNoise(player, 'jump');
+    } else if (player.isSprinting) {
+      noise = this.makeNoise(player, 'sprint');
+    }
+    
+    return { success: true, position: player.position, noise };
+  }
+  
+  /**
+   * Creates a noise at a player's position for monsters to hear.
+   * @param {Object} player - The player object
+   * @param {string} kind - The kind of noise (sprint, jump or item)
+   * @returns {Object} The noise ({ sourceId, position, radius })
+   */
+  makeNoise(player, kind) {
+    return {
+      sourceId: player.id,
+      position: { ...player.position },
+      radius: this.noiseRadii[kind] || 0
+    };
+  }
+  
+  /**
+   * Checks if a player may move to a position.
+   * @param {Object} player - The player object
+   * @param {Object} position - The requested position
+   * @returns {Object} Result of the validation, with the movement budget left after the move
+   */
+  validatePlayerMove(player, position) {
+    if (!position || ![position.x, position.y, position.z].every(Number.isFinite)) {
+      return { success: false, message: 'Invalid position' };
+    }
+    
+    if (player.hasEscaped || player.isTrapped) {
+      return { success: false, message: 'Player is no longer in the maze' };
+    }
+    
+    // Moves spend a budget that refills at the fastest speed the player could be moving at,
+    // so moves the network delivers bunched together still pass
+    const maxSpeed = this.getMaxPlayerSpeed(player) * this.movementTolerance;
+    const elapsed = (this.clock() - player.lastMoveTime) / 1000;
+    const budget = Math.min(maxSpeed * this.maxMoveInterval, player.moveBudget + maxSpeed * elapsed);
+    const distance = Math.sqrt(
+      Math.pow(position.x - player.position.x, 2) +
+      Math.pow(position.z - player.position.z, 2)
+    );
+    
+    if (distance > budget + 0.1) {
+      return { success: false, message: 'Moving too fast' };
+    }
+    
+    // Check the path for walls and closed doors
+    if (this.maze && !this.isPathClear(player.position, position)) {
+      return { success: false, message: 'Blocked by a wall' };
+    }
+    
+    return { success: true, moveBudget: Math.max(0, budget - distance) };
+  }
+  
+  /**
+   * Gets the fastest speed a player can move at, in units per second.
+   * @param {Object} player - The player object
+   * @returns {number} The maximum speed
+   */
+  getMaxPlayerSpeed(player) {
+    let speed = this.playerSpeed * this.sprintMultiplier * 0.1 * this.clientFrameRate;
+    
+    // Speed potions multiply the player's speed
+    if (this.hasActiveEffect(player, 'speed')) {
+      speed *= this.speedEffectMultiplier;
+    }
+    
+    return speed;
+  }
+  
+  /**
+   * Checks if the straight line between two positions only crosses open cells on the start's floor.
+   * The starting cell is ignored so players caught by a shifting wall can walk out.
+   * @param {Object} from - The start position
+   * @param {Object} to - The end position
+   * @returns {boolean} True if nothing blocks the path
+   */
+  isPathClear(from, to) {
+    const cellSize = this.maze.cellSize;
+    const floor = Pathfinder.getFloor(this.maze, from);
+    const startCell = { x: Math.floor(from.x / cellSize), y: Math.floor(from.z / cellSize) };
+    
+    const distance = Math.sqrt(Math.pow(to.x - from.x, 2) + Math.pow(to.z - from.z, 2));
+    const steps = Math.max(1, Math.ceil(distance / (cellSize / 4)));
+    
+    for (let i = 1; i <= steps; i++) {
+      const t = i / steps;
+      const cell = {
+        x: Math.floor((from.x + (to.x - from.x) * t) / cellSize),
+        y: Math.floor((from.z + (to.z - from.z) * t) / cellSize),
+        floor
+      };
+      
+      if (cell.x === startCell.x && cell.y === startCell.y) continue;
+      
+      if (!this.isCellOpen(cell)) return false;
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Checks if a cell can be entered (in bounds, not a wall and not a closed door).
+   * @param {Object} cell - The cell with x, y coordinates and floor
+   * @returns {boolean} True if the cell is open
+   */
+  isCellOpen(cell) {
+    if (cell.x < 0 || cell.x >= this.maze.width || cell.y < 0 || cell.y >= this.maze.height) {
+      return false;
+    }
+    
+    const floor = cell.floor || 0;
+    if (this.maze.levels[floor][cell.x][cell.y]) return false;
+    
+    return !(this.maze.doors || []).some(door => 
+      !door.isOpen && door.x === cell.x && door.y === cell.y && (door.floor || 0) === floor
+    );
   }
   
   /**
@@ -128,6 +446,12 @@ class GameManager {
       return { success: false, message: 'Player not found' };
     }
     
+    // Take the stairs the player is standing on
+    const stairs = this.findStairsUnderPlayer(player);
+    if (stairs) {
+      return this.useStairs(player, stairs);
+    }
+    
     // Check if player is near the exit
     if (this.isPlayerNearExit(player)) {
       return {
@@ -137,17 +461,21 @@ class GameManager {
       };
     }
     
+    // Check for locked doors nearby
+    const door = this.findDoorNearPlayer(player);
+    if (door) {
+      return this.unlockDoor(player, door);
+    }
+    
     // Check for items nearby
     const item = this.findItemNearPlayer(player);
     if (item) {
       // Add item to player's inventory
-      player.inventory.push(item);
+      const result = this.itemManager.collectItem(player, item.id);
       
       return {
-        success: true,
-        type: 'item',
-        item: item,
-        message: `Picked up ${item.name}`
+        ...result,
+        type: 'item'
       };
     }
     
@@ -162,6 +490,8 @@ class GameManager {
   isPlayerNearExit(player) {
     if (!this.maze || !this.maze.exitPosition) return false;
     
+    if (this.getPlayerFloor(player) !== (this.maze.exitPosition.floor || 0)) return false;
+    
     // Convert exit position to world coordinates
     const exitWorldPos = {
       x: this.maze.exitPosition.x * this.maze.cellSize,
@@ -177,15 +507,121 @@ class GameManager {
     return distance < 3; // Within 3 units of the exit
   }
   
+  /**
+   * Finds a closed door near a player.
+   * @param {Object} player - The player object
+   * @returns {Object|null} The door if found, null otherwise
+   */
+  findDoorNearPlayer(player) {
+    if (!this.maze || !this.maze.doors) return null;
+    
+    const floor = this.getPlayerFloor(player);
+    return this.maze.doors.find(door => {
+      if (door.isOpen || (door.floor || 0) !== floor) return false;
+      
+      // Doors fill their whole cell, so measure from the cell center
+      const doorWorldPos = {
+        x: door.x * this.maze.cellSize + this.maze.cellSize / 2,
+        z: door.y * this.maze.cellSize + this.maze.cellSize / 2
+      };
+      
+      const distance = Math.sqrt(
+        Math.pow(player.position.x - doorWorldPos.x, 2) +
+        Math.pow(player.position.z - doorWorldPos.z, 2)
+      );
+      
+      return distance < this.maze.cellSize * 1.5;
+    }) || null;
+  }
+  
+  /**
+   * Unlocks a door if the player carries its key.
+   * @param {Object} player - The player object
+   * @param {Object} door - The door to unlock
+   * @returns {Object} The result of the unlock attempt
+   */
+  unlockDoor(player, door) {
+    const hasKey = player.inventory.some(item => item.type === 'key' && item.doorId === door.id);
+    
+    if (!hasKey) {
+      return {
+        success: false,
+        type: 'door',
+        doorId: door.id,
+        message: 'You need a key to unlock this door!'
+      };
+    }
+    
+    door.isOpen = true;
+    
+    return {
+      success: true,
+      type: 'door',
+      doorId: door.id,
+      message: 'Door unlocked!'
+    };
+  }
+  
+  /**
+   * Finds the stairs in the cell a player is standing in.
+   * @param {Object} player - The player object
+   * @returns {Object|null} The stairs if found, null otherwise
+   */
+  findStairsUnderPlayer(player) {
+    if (!this.maze || !this.maze.stairs) return null;
+    
+    return Pathfinder.getStairsAt(this.maze, {
+      x: Math.floor(player.position.x / this.maze.cellSize),
+      y: Math.floor(player.position.z / this.maze.cellSize),
+      floor: this.getPlayerFloor(player)
+    });
+  }
+  
+  /**
+   * Takes a player up or down a flight of stairs, to the same cell on the other floor.
+   * @param {Object} player - The player object
+   * @param {Object} stairs - The stairs
+   * @returns {Object} The result with the player's new position and floor
+   */
+  useStairs(player, stairs) {
+    if (player.hasEscaped || player.isTrapped) {
+      return { success: false, message: 'Player is no longer in the maze' };
+    }
+    
+    const floor = this.getPlayerFloor(player);
+    const targetFloor = stairs.floor === floor ? floor + 1 : stairs.floor;
+    
+    if (!this.isCellOpen({ x: stairs.x, y: stairs.y, floor: targetFloor })) {
+      return { success: false, type: 'stairs', message: 'The stairs are blocked' };
+    }
+    
+    const cellSize = this.maze.cellSize;
+    player.position = {
+      x: stairs.x * cellSize + cellSize / 2,
+      y: targetFloor * this.maze.floorHeight,
+      z: stairs.y * cellSize + cellSize / 2
+    };
+    player.lastMoveTime = this.clock();
+    
+    return {
+      success: true,
+      type: 'stairs',
+      stairsId: stairs.id,
+      floor: targetFloor,
+      position: { ...player.position },
+      message: targetFloor > floor ? `Climbed up to floor ${targetFloor + 1}` : `Went down to floor ${targetFloor + 1}`
+    };
+  }
+  
   /**
    * Finds an item near a player.
    * @param {Object} player - The player object
    * @returns {Object|null} The item if found, null otherwise
    */
   findItemNearPlayer(player) {
-    // This would be implemented with actual item spawning logic
-    // For now, just return null (no items)
-    return null;
+    if (!this.itemManager) return null;
+    
+    return this.itemManager.findItemNear(player);
   }
   
   /**
@@ -226,7 +662,7 @@ class GameManager {
    */
   checkGameOverConditions() {
     if (this.isGameOver) {
-      return { isGameOver: true, gameMode: this.gameMode };
+      return this.gameOverResult || { isGameOver: true, gameMode: this.gameMode };
     }
     
     const totalPlayers = this.players.size;
@@ -235,6 +671,7 @@ class GameManager {
     let isGameOver = false;
     let message = '';
     let isVictory = false;
+    let winner = null;
     
     // Game over conditions based on game mode
     switch (this.gameMode) {
@@ -249,16 +686,29 @@ class GameManager {
         }
         break;
         
-      case 'betrayal':
-        // Game ends when one player escapes or time runs out
-        if (this.playersEscaped > 0 || timeUp) {
+      case 'betrayal': {
+        // Traitors win by trapping enough innocents, innocents by escaping
+        const innocents = this.getPlayers().filter(p => p.role !== 'traitor');
+        const innocentsTrapped = innocents.filter(p => p.isTrapped).length;
+        const innocentsEscaped = innocents.filter(p => p.hasEscaped).length;
+        const innocentsDone = innocents.every(p => p.hasEscaped || p.isTrapped);
+        
+        if (this.traitorTrapGoal > 0 && innocentsTrapped >= this.traitorTrapGoal) {
           isGameOver = true;
-          isVictory = this.playersEscaped > 0;
-          message = isVictory ? 
-            'A player has escaped!' : 
-            'Time ran out. Game over!';
+          winner = 'traitors';
+          message = 'The traitors trapped enough players!';
+        } else if (innocentsDone || timeUp) {
+          isGameOver = true;
+          winner = innocentsEscaped > 0 ? 'innocents' : 'traitors';
+          message = winner === 'innocents' ? 
+            'The innocents escaped the traitors!' : 
+            'No innocent escaped. The traitors win!';
         }
+        
+        // Victory from the innocents' point of view, clients compare the winner with their role
+        isVictory = winner === 'innocents';
         break;
+      }
         
       case 'pvp':
         // Game ends when all players have either escaped or been trapped, or time runs out
@@ -276,7 +726,7 @@ class GameManager {
       this.isGameOver = true;
     }
     
-    return {
+    const result = {
       isGameOver,
       gameMode: this.gameMode,
       message,
@@ -286,6 +736,18 @@ class GameManager {
       totalPlayers,
       gameTimer: this.gameTimer
     };
+    
+    // Reveal all roles once the game is over
+    if (isGameOver && this.gameMode === 'betrayal') {
+      result.winner = winner;
+      result.roles = this.getRoles();
+    }
+    
+    if (isGameOver) {
+      this.gameOverResult = result;
+    }
+    
+    return result;
   }
   
   /**
@@ -300,8 +762,18 @@ class GameManager {
       return { success: false, message: 'Player not found' };
     }
     
+    // Escaped or dead players can't be damaged
+    if (player.hasEscaped || player.isTrapped) {
+      return { success: false, message: 'Player is no longer in the maze' };
+    }
+    
+    // Apply armor reduction if any
+    const actualDamage = player.armor > 0 ? 
+      Math.max(1, Math.floor(damage * (1 - player.armor / 100))) : 
+      damage;
+    
     // Apply damage
-    player.health -= damage;
+    player.health -= actualDamage;
     
     // Check if player died
     if (player.health <= 0) {
@@ -312,6 +784,7 @@ class GameManager {
       return { 
         success: true, 
         died: true, 
+        damage: actualDamage,
         health: 0,
         message: 'Player died'
       };
@@ -320,6 +793,7 @@ class GameManager {
     return { 
       success: true, 
       died: false, 
+      damage: actualDamage,
       health: player.health,
       message: 'Player took damage'
     };
@@ -341,6 +815,24 @@ class GameManager {
     return this.maze;
   }
   
+  /**
+   * Sets the item manager used for pickups.
+   * @param {Object} itemManager - The item manager
+   */
+  setItemManager(itemManager) {
+    this.itemManager = itemManager;
+  }
+  
+  /**
+   * Checks if a timed effect (e.g. from a special item) is active on a player.
+   * @param {Object} player - The player object
+   * @param {string} effect - The effect name
+   * @returns {boolean} True if the effect has not expired
+   */
+  hasActiveEffect(player, effect) {
+    return player.effects[effect] !== undefined && player.effects[effect] > this.gameTimer;
+  }
+  
   /**
    * Gets all players.
    * @returns {Array} Array of player objects
@@ -349,6 +841,377 @@ class GameManager {
     return Array.from(this.players.values());
   }
   
+  /**
+   * Secretly assigns the betrayal roles. Uses Math.random rather than the maze seed by default,
+   * so roles can't be worked out from a shared seed.
+   * @param {Function} random - Random source returning numbers in [0, 1) (optional)
+   */
+  assignRoles(random = Math.random) {
+    const players = this.getPlayers();
+    const traitorCount = players.length < 2 ? 0 : 
+      Math.min(players.length - 1, Math.max(1, Math.floor(players.length * this.traitorRatio)));
+    
+    // Shuffle, then the first players are the traitors
+    const shuffled = players.slice();
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    
+    shuffled.forEach((player, index) => {
+      player.role = index < traitorCount ? 'traitor' : 'innocent';
+      player.abilityReadyAt = {};
+    });
+    
+    // Traitors must trap half of the innocents
+    const innocentCount = players.length - traitorCount;
+    this.traitorTrapGoal = traitorCount > 0 ? Math.max(1, Math.ceil(innocentCount / 2)) : 0;
+  }
+  
+  /**
+   * Gets the role information to send privately to a player.
+   * @param {string} playerId - The player's socket ID
+   * @returns {Object|null} The role information, or null if the player has no role
+   */
+  getRoleInfo(playerId) {
+    const player = this.players.get(playerId);
+    if (!player || !player.role) return null;
+    
+    const info = {
+      role: player.role,
+      trapGoal: this.traitorTrapGoal
+    };
+    
+    // Traitors know each other and their abilities
+    if (player.role === 'traitor') {
+      info.traitors = this.getPlayers().filter(p => p.role === 'traitor').map(p => p.id);
+      info.abilities = Object.keys(this.abilityCooldowns).map(ability => ({
+        ability,
+        cooldown: this.abilityCooldowns[ability]
+      }));
+    }
+    
+    return info;
+  }
+  
+  /**
+   * Gets every player's role, revealed when the game is over.
+   * @returns {Array} Array of { id, role }
+   */
+  getRoles() {
+    return this.getPlayers().map(player => ({ id: player.id, role: player.role }));
+  }
+  
+  /**
+   * Uses a traitor ability.
+   * @param {string} playerId - The player's socket ID
+   * @param {string} ability - The ability ('sabotage' or 'lure')
+   * @returns {Object} The result of using the ability
+   */
+  useAbility(playerId, ability) {
+    const player = this.players.get(playerId);
+    if (!player) {
+      return { success: false, message: 'Player not found' };
+    }
+    
+    if (this.gameMode !== 'betrayal' || player.role !== 'traitor') {
+      return { success: false, message: 'Only traitors can do that' };
+    }
+    
+    if (player.hasEscaped || player.isTrapped) {
+      return { success: false, message: 'Player is no longer in the maze' };
+    }
+    
+    if (this.abilityCooldowns[ability] === undefined) {
+      return { success: false, message: 'Unknown ability' };
+    }
+    
+    // Check the cooldown
+    const readyAt = player.abilityReadyAt[ability] || 0;
+    if (readyAt > this.gameTimer) {
+      return { 
+        success: false, 
+        ability,
+        message: `Ability ready in ${Math.ceil(readyAt - this.gameTimer)} seconds`
+      };
+    }
+    
+    let result;
+    switch (ability) {
+      case 'sabotage':
+        result = this.sabotageDoor(player);
+        break;
+      case 'lure':
+        // The monster manager moves the monsters, we only provide where to
+        result = {
+          success: true,
+          position: { ...player.position },
+          radius: this.lureRadius,
+          message: 'The monsters heard something...'
+        };
+        break;
+    }
+    
+    if (result.success) {
+      player.abilityReadyAt[ability] = this.gameTimer + this.abilityCooldowns[ability];
+    }
+    
+    return { ...result, ability };
+  }
+  
+  /**
+   * Locks an open door near a traitor again. Players carrying the key can still reopen it.
+   * @param {Object} player - The traitor
+   * @returns {Object} The result of the sabotage
+   */
+  sabotageDoor(player) {
+    if (!this.maze || !this.maze.doors) {
+      return { success: false, message: 'No door nearby' };
+    }
+    
+    const cellSize = this.maze.cellSize;
+    const floor = this.getPlayerFloor(player);
+    const door = this.maze.doors.find(d => {
+      if (!d.isOpen || (d.floor || 0) !== floor) return false;
+      
+      const distance = Math.sqrt(
+        Math.pow(player.position.x - (d.x * cellSize + cellSize / 2), 2) +
+        Math.pow(player.position.z - (d.y * cellSize + cellSize / 2), 2)
+      );
+      return distance <= this.sabotageRange;
+    });
+    
+    if (!door) {
+      return { success: false, message: 'No open door nearby' };
+    }
+    
+    // Don't close the door on top of someone
+    const blocked = this.getPlayers().some(p => 
+      !p.hasEscaped && 
+      this.getPlayerFloor(p) === floor &&
+      Math.floor(p.position.x / cellSize) === door.x && 
+      Math.floor(p.position.z / cellSize) === door.y
+    );
+    if (blocked) {
+      return { success: false, message: 'Someone is standing in the doorway' };
+    }
+    
+    door.isOpen = false;
+    
+    return {
+      success: true,
+      doorId: door.id,
+      message: 'Door sabotaged!'
+    };
+  }
+  
+  /**
+   * Handles a player's attack on other players. The server picks the target from the aim direction,
+   * so clients can't hit players out of range or behind walls.
+   * @param {string} playerId - The attacker's socket ID
+   * @param {Object} data - The attack ({ direction: {x, z}, itemIndex })
+   * @returns {Object} The result of the attack
+   */
+  playerAttack(playerId, data) {
+    const player = this.players.get(playerId);
+    if (!player) {
+      return { success: false, message: 'Player not found' };
+    }
+    
+    if (!this.combatModes.includes(this.gameMode)) {
+      return { success: false, message: 'Players can\'t attack each other in this mode' };
+    }
+    
+    if (player.hasEscaped || player.isTrapped) {
+      return { success: false, message: 'Player is no longer in the maze' };
+    }
+    
+    // Normalize the aim direction on the ground plane
+    const direction = data && data.direction;
+    const length = direction ? Math.sqrt(direction.x * direction.x + direction.z * direction.z) : 0;
+    if (!Number.isFinite(length) || length === 0) {
+      return { success: false, message: 'Invalid attack direction' };
+    }
+    const aim = { x: direction.x / length, z: direction.z / length };
+    
+    // Attack with the equipped weapon, or bare-handed
+    const weapon = this.getAttackWeapon(player, data.itemIndex);
+    const cooldownKey = weapon.id || weapon.weapon;
+    
+    const readyAt = player.attackReadyAt[cooldownKey] || 0;
+    if (readyAt > this.gameTimer) {
+      return { success: false, message: `${weapon.name} is not ready yet` };
+    }
+    player.attackReadyAt[cooldownKey] = this.gameTimer + weapon.cooldown;
+    
+    const result = {
+      success: true,
+      hit: false,
+      weapon: weapon.weapon,
+      weaponName: weapon.name,
+      ranged: !!weapon.ranged,
+      message: 'Missed'
+    };
+    
+    const target = this.findAttackTarget(player, aim, weapon);
+    if (!target) return result;
+    
+    // Push the target away from the attacker
+    const knockback = this.applyKnockback(target, aim, weapon.knockback);
+    
+    return {
+      ...result,
+      hit: true,
+      targetId: target.id,
+      damage: weapon.damage,
+      knockback,
+      message: `Hit with ${weapon.name}`
+    };
+  }
+  
+  /**
+   * Gets the weapon a player attacks with.
+   * @param {Object} player - The player
+   * @param {number} itemIndex - Inventory slot of the equipped item (optional)
+   * @returns {Object} The weapon item, or the unarmed attack stats
+   */
+  getAttackWeapon(player, itemIndex) {
+    const item = player.inventory[itemIndex];
+    
+    if (item && item.type === 'weapon' && item.range !== undefined) {
+      return item;
+    }
+    
+    return this.unarmedAttack;
+  }
+  
+  /**
+   * Finds the closest player hit by an attack.
+   * @param {Object} attacker - The attacking player
+   * @param {Object} aim - Normalized aim direction with x and z
+   * @param {Object} weapon - The weapon stats
+   * @returns {Object|null} The hit player, or null on a miss
+   */
+  findAttackTarget(attacker, aim, weapon) {
+    let nearestTarget = null;
+    let nearestDistance = Infinity;
+    
+    for (const target of this.players.values()) {
+      if (target.id === attacker.id || target.hasEscaped || target.isTrapped) continue;
+      
+      // Floors block attacks
+      if (this.getPlayerFloor(target) !== this.getPlayerFloor(attacker)) continue;
+      
+      const dx = target.position.x - attacker.position.x;
+      const dz = target.position.z - attacker.position.z;
+      const distance = Math.sqrt(dx * dx + dz * dz);
+      if (distance > weapon.range || distance >= nearestDistance) continue;
+      
+      // Distance along the aim line, targets behind the attacker can't be hit
+      const along = dx * aim.x + dz * aim.z;
+      if (along <= 0 && distance > 0) continue;
+      
+      if (weapon.ranged) {
+        // Projectiles fly along the aim line
+        const offset = Math.sqrt(Math.max(0, distance * distance - along * along));
+        if (offset > this.projectileHitRadius) continue;
+      } else if (distance > 0 && Math.acos(Math.min(1, along / distance)) > this.meleeConeAngle) {
+        continue;
+      }
+      
+      // Walls and closed doors block attacks
+      if (!this.isPathClear(attacker.position, target.position)) continue;
+      
+      nearestTarget = target;
+      nearestDistance = distance;
+    }
+    
+    return nearestTarget;
+  }
+  
+  /**
+   * Pushes a player back, stopping short of walls and closed doors.
+   * @param {Object} player - The player to push
+   * @param {Object} direction - Normalized push direction with x and z
+   * @param {number} distance - How far to push
+   * @returns {Object|null} The new position, or null if the player didn't move
+   */
+  applyKnockback(player, direction, distance) {
+    if (!distance) return null;
+    
+    // Try the full distance first, then shorter pushes
+    for (const fraction of [1, 0.75, 0.5, 0.25]) {
+      const destination = {
+        x: player.position.x + direction.x * distance * fraction,
+        y: player.position.y,
+        z: player.position.z + direction.z * distance * fraction
+      };
+      
+      if (this.isPathClear(player.position, destination)) {
+        player.position = destination;
+        player.lastMoveTime = this.clock();
+        return { ...destination };
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Credits a player with a kill.
+   * @param {string} playerId - The killer's socket ID
+   * @returns {number} The killer's total kills
+   */
+  creditKill(playerId) {
+    const player = this.players.get(playerId);
+    if (!player) return 0;
+    
+    player.kills++;
+    return player.kills;
+  }
+  
+  /**
+   * Gets the state of a player that can be sent to clients.
+   * @param {Object} player - The player object
+   * @param {boolean} includePrivate - Whether to include the inventory and active effects (only for the player themselves)
+   * @returns {Object} The player state
+   */
+  getPlayerSnapshot(player, includePrivate = false) {
+    const snapshot = {
+      id: player.id,
+      position: player.position,
+      health: player.health,
+      hasEscaped: player.hasEscaped,
+      isTrapped: player.isTrapped,
+      connected: player.connected,
+      kills: player.kills
+    };
+    
+    if (includePrivate) {
+      snapshot.armor = player.armor;
+      snapshot.inventory = player.inventory;
+      snapshot.effects = player.effects;
+      snapshot.role = player.role;
+    }
+    
+    return snapshot;
+  }
+  
+  /**
+   * Gets a snapshot of the game rules state and all players.
+   * @returns {Object} The game snapshot
+   */
+  getSnapshot() {
+    return {
+      gameMode: this.gameMode,
+      gameTimer: this.gameTimer,
+      playersEscaped: this.playersEscaped,
+      totalPlayers: this.players.size,
+      isGameOver: this.isGameOver,
+      players: this.getPlayers().map(player => this.getPlayerSnapshot(player))
+    };
+  }
+  
   /**
    * Gets a specific player.
    * @param {string} playerId - The player's socket ID
@@ -400,6 +1263,8 @@ class GameManager {
     this.playersEscaped = 0;
     this.playersTrapped = 0;
     this.isGameOver = false;
+    this.gameOverResult = null;
+    this.nextSpawnPoint = 0;
     
     // Reset player states but keep them in the game
     this.players.forEach(player => {
@@ -408,6 +1273,12 @@ class GameManager {
       player.hasEscaped = false;
       player.isTrapped = false;
       player.inventory = [];
+      player.armor = 0;
+      player.effects = {};
+      player.role = null;
+      player.abilityReadyAt = {};
+      player.attackReadyAt = {};
+      player.kills = 0;
     });
   }
 }
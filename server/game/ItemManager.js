@@ -0,0 +1,421 @@
+const SeededRandom = require('./SeededRandom');
+const Pathfinder = require('./Pathfinder');
+
+/**
+ * Item definitions. Names and behaviour mirror Config.itemTypes on the client.
+ */
+const ITEM_TYPES = {
+  health: { name: 'Health Pack', consumable: true, value: 25 },
+  key: { name: 'Key', consumable: false },
+  weapon: { name: 'Weapon', consumable: false, damage: 15 },
+  armor: { name: 'Armor', consumable: false, armorValue: 20 },
+  special: { name: 'Special Item', consumable: true }
+};
+
+/**
+ * Effects a special item can have, with their duration in seconds.
+ */
+const SPECIAL_EFFECTS = [
+  { effect: 'invisibility', name: 'Invisibility Potion', duration: 10 },
+  { effect: 'speed', name: 'Speed Potion', value: 2, duration: 10 }
+];
+
+/**
+ * Weapon variants. Ranged weapons hit the first player along the aim line,
+ * melee weapons hit players in a cone in front of the attacker.
+ */
+const WEAPON_TYPES = [
+  { weapon: 'sword', name: 'Sword', damage: 25, range: 2.5, cooldown: 0.8, knockback: 1.5 },
+  { weapon: 'club', name: 'Club', damage: 15, range: 2.5, cooldown: 0.6, knockback: 2.5 },
+  { weapon: 'crossbow', name: 'Crossbow', damage: 20, range: 20, cooldown: 1.5, knockback: 0.5, ranged: true }
+];
+
+/**
+ * Weighted spawn tables per game mode. Keys are not spawned randomly,
+ * they belong to doors placed by the maze generator.
+ */
+const SPAWN_TABLES = {
+  coop: { health: 45, armor: 20, special: 30, weapon: 5 },
+  betrayal: { health: 35, armor: 20, special: 30, weapon: 15 },
+  pvp: { health: 30, armor: 25, special: 15, weapon: 30 }
+};
+
+/**
+ * Manages item spawning, pickups and item use.
+ */
+class ItemManager {
+  /**
+   * Creates a new item manager.
+   * @param {number|string} seed - Seed for item placement (optional, random if not provided)
+   */
+  constructor(seed = null) {
+    // Item settings
+    this.pickupRange = 2.5; // Slightly larger than the client's pickup radius to allow for latency
+    this.maxInventorySize = 8;
+    this.itemsPerCell = 1 / 40; // Target item density for a maze
+    this.respawnInterval = 45; // Seconds between respawn checks
+    this.nextRespawnTime = this.respawnInterval;
+    this.randomSpawns = true; // Turned off when the items are placed by hand, see placeItems
+    
+    // Item state
+    this.items = new Map();
+    this.nextItemId = 1;
+    this.maze = null;
+    this.gameMode = 'coop';
+    
+    this.rng = new SeededRandom(seed === null ? SeededRandom.generateSeed() : `${seed}:items`);
+  }
+  
+  /**
+   * Sets the maze items are placed in.
+   * @param {Object} maze - The maze data
+   */
+  setMaze(maze) {
+    this.maze = maze;
+  }
+  
+  /**
+   * Sets the game mode, which selects the spawn table.
+   * @param {string} mode - The game mode
+   */
+  setGameMode(mode) {
+    if (SPAWN_TABLES[mode]) {
+      this.gameMode = mode;
+    }
+  }
+  
+  /**
+   * Gets the number of items the maze should hold.
+   * @returns {number} The target item count
+   */
+  getTargetItemCount() {
+    if (!this.maze) return 0;
+    return Math.max(1, Math.floor(this.maze.width * this.maze.height * this.maze.levels.length * this.itemsPerCell));
+  }
+  
+  /**
+   * Spawns the keys for the maze's locked doors.
+   * @returns {Array} The spawned keys
+   */
+  spawnKeys() {
+    if (!this.maze || !this.maze.keys) return [];
+    
+    return this.maze.keys.map(key => this.createItem('key', key, {
+      keyId: key.id,
+      doorId: key.doorId
+    }));
+  }
+  
+  /**
+   * Spawns items on random path cells until the target count is reached.
+   * @returns {Array} The newly spawned items
+   */
+  spawnItems() {
+    const spawned = [];
+    if (!this.maze) return spawned;
+    
+    const freeCells = this.getFreeCells();
+    const count = Math.min(this.getTargetItemCount() - this.items.size, freeCells.length);
+    
+    for (let i = 0; i < count; i++) {
+      // Pick a random free cell
+      const index = this.rng.nextInt(freeCells.length);
+      const cell = freeCells.splice(index, 1)[0];
+      
+      const type = this.pickWeightedType(SPAWN_TABLES[this.gameMode]);
+      spawned.push(this.createItem(type, cell));
+    }
+    
+    return spawned;
+  }
+  
+  /**
+   * Places the items of a hand-authored maze instead of spawning random ones.
+   * Random respawns are turned off too, so the maze only ever holds these items.
+   * @param {Array} items - The items ({ type, variant, x, y }), variant picks the weapon or special effect (random if not set)
+   * @returns {Array} The placed items
+   */
+  placeItems(items) {
+    this.randomSpawns = false;
+    
+    return items.map(item => {
+      const variant = WEAPON_TYPES.find(weapon => weapon.weapon === item.variant) ||
+        SPECIAL_EFFECTS.find(special => special.effect === item.variant);
+      
+      return this.createItem(item.type, item, item.variant ? { ...variant } : {});
+    });
+  }
+  
+  /**
+   * Updates item respawning.
+   * @param {number} deltaTime - Time since last update in milliseconds
+   * @returns {Array} Items spawned during this update
+   */
+  updateItems(deltaTime) {
+    if (!this.randomSpawns) return [];
+    
+    this.nextRespawnTime -= deltaTime / 1000; // Convert to seconds
+    
+    if (this.nextRespawnTime <= 0) {
+      this.nextRespawnTime = this.respawnInterval;
+      return this.spawnItems();
+    }
+    
+    return [];
+  }
+  
+  /**
+   * Gets path cells on any floor that can hold a new item (not the exit, a door, stairs, or already holding an item).
+   * @returns {Array} List of free cells
+   */
+  getFreeCells() {
+    const occupied = new Set(Array.from(this.items.values())
+      .map(item => `${item.cell.x},${item.cell.y},${item.cell.floor || 0}`));
+    (this.maze.doors || []).forEach(door => occupied.add(`${door.x},${door.y},${door.floor || 0}`));
+    const exit = this.maze.exitPosition;
+    const cells = [];
+    
+    this.maze.levels.forEach((level, floor) => {
+      for (let x = 0; x < this.maze.width; x++) {
+        for (let y = 0; y < this.maze.height; y++) {
+          if (level[x][y]) continue;
+          if (x === exit.x && y === exit.y && floor === (exit.floor || 0)) continue;
+          if (occupied.has(`${x},${y},${floor}`)) continue;
+          
+          // Pressing E on stairs takes them instead of picking items up
+          if (Pathfinder.getStairsAt(this.maze, { x, y, floor })) continue;
+          
+          cells.push({ x, y, floor });
+        }
+      }
+    });
+    
+    return cells;
+  }
+  
+  /**
+   * Picks an item type from a weighted table.
+   * @param {Object} table - Map of item types to weights
+   * @returns {string} The picked item type
+   */
+  pickWeightedType(table) {
+    const entries = Object.entries(table);
+    const totalWeight = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    
+    let roll = this.rng.next() * totalWeight;
+    for (const [type, weight] of entries) {
+      roll -= weight;
+      if (roll < 0) return type;
+    }
+    
+    return entries[entries.length - 1][0];
+  }
+  
+  /**
+   * Creates an item and places it in a cell.
+   * @param {string} type - The item type
+   * @param {Object} cell - The cell to place the item in
+   * @param {Object} properties - Extra properties (optional)
+   * @returns {Object} The created item
+   */
+  createItem(type, cell, properties = {}) {
+    const definition = ITEM_TYPES[type];
+    
+    const item = {
+      id: `item_${this.nextItemId++}`,
+      type,
+      name: definition.name,
+      consumable: definition.consumable,
+      cell: { x: cell.x, y: cell.y, floor: cell.floor || 0 },
+      position: {
+        x: cell.x * this.maze.cellSize + this.maze.cellSize / 2,
+        y: (cell.floor || 0) * (this.maze.floorHeight || 0) + 1, // Float above the floor
+        z: cell.y * this.maze.cellSize + this.maze.cellSize / 2
+      }
+    };
+    
+    // Type-specific stats
+    if (definition.value !== undefined) item.value = definition.value;
+    if (definition.damage !== undefined) item.damage = definition.damage;
+    if (definition.armorValue !== undefined) item.armorValue = definition.armorValue;
+    
+    if (type === 'special') {
+      const special = SPECIAL_EFFECTS[this.rng.nextInt(SPECIAL_EFFECTS.length)];
+      Object.assign(item, special);
+    }
+    
+    if (type === 'weapon') {
+      const weapon = WEAPON_TYPES[this.rng.nextInt(WEAPON_TYPES.length)];
+      Object.assign(item, weapon);
+    }
+    
+    Object.assign(item, properties);
+    
+    this.items.set(item.id, item);
+    
+    return item;
+  }
+  
+  /**
+   * Finds the nearest item within pickup range of a player.
+   * @param {Object} player - The player object
+   * @returns {Object|null} The item if found, null otherwise
+   */
+  findItemNear(player) {
+    let nearestItem = null;
+    let nearestDistance = this.pickupRange;
+    
+    for (const item of this.items.values()) {
+      if (!this.isOnItemFloor(player, item)) continue;
+      
+      const distance = this.getDistance(player.position, item.position);
+      if (distance <= nearestDistance) {
+        nearestItem = item;
+        nearestDistance = distance;
+      }
+    }
+    
+    return nearestItem;
+  }
+  
+  /**
+   * Picks up an item and adds it to a player's inventory.
+   * @param {Object} player - The player object
+   * @param {string} itemId - The item ID
+   * @returns {Object} Result of the pickup
+   */
+  collectItem(player, itemId) {
+    const item = this.items.get(itemId);
+    if (!item) {
+      return { success: false, message: 'Item not found' };
+    }
+    
+    if (player.hasEscaped || player.isTrapped) {
+      return { success: false, message: 'Player is no longer in the maze' };
+    }
+    
+    // Validate the pickup distance
+    if (!this.isOnItemFloor(player, item) || this.getDistance(player.position, item.position) > this.pickupRange) {
+      return { success: false, message: 'Too far away' };
+    }
+    
+    if (player.inventory.length >= this.maxInventorySize) {
+      return { success: false, message: 'Inventory full' };
+    }
+    
+    // Move the item from the maze to the inventory
+    this.items.delete(itemId);
+    player.inventory.push(item);
+    
+    return {
+      success: true,
+      item,
+      message: `Picked up ${item.name}`
+    };
+  }
+  
+  /**
+   * Uses an item from a player's inventory.
+   * @param {Object} player - The player object
+   * @param {number} itemIndex - Index of the item in the inventory
+   * @param {number} gameTime - Current game time in seconds, used for effect expiry
+   * @returns {Object} Result of using the item
+   */
+  useItem(player, itemIndex, gameTime) {
+    const item = player.inventory[itemIndex];
+    if (!item) {
+      return { success: false, message: 'No item in that slot' };
+    }
+    
+    if (player.hasEscaped || player.isTrapped) {
+      return { success: false, message: 'Player is no longer in the maze' };
+    }
+    
+    // Apply item effect
+    switch (item.type) {
+      case 'health':
+        player.health = Math.min(100, player.health + (item.value || 25));
+        break;
+      case 'armor':
+        player.armor = item.armorValue || 20;
+        break;
+      case 'special':
+        player.effects[item.effect] = gameTime + (item.duration || 10);
+        break;
+      case 'key':
+        // Keys are used automatically when interacting with doors
+        return { success: false, message: 'Keys are used on doors' };
+      case 'weapon':
+        // Weapons are used automatically when attacking
+        return { success: false, message: 'Weapons are used when attacking' };
+    }
+    
+    // Remove consumable items after use
+    if (item.consumable) {
+      player.inventory.splice(itemIndex, 1);
+    }
+    
+    return {
+      success: true,
+      item,
+      health: player.health,
+      armor: player.armor,
+      message: `Used ${item.name}`
+    };
+  }
+  
+  /**
+   * Calculates the horizontal distance between two positions.
+   * @param {Object} a - First position
+   * @param {Object} b - Second position
+   * @returns {number} The distance
+   */
+  getDistance(a, b) {
+    return Math.sqrt(
+      Math.pow(a.x - b.x, 2) +
+      Math.pow(a.z - b.z, 2)
+    );
+  }
+  
+  /**
+   * Checks if a player is on the floor an item lies on.
+   * @param {Object} player - The player object
+   * @param {Object} item - The item
+   * @returns {boolean} True if both are on the same floor
+   */
+  isOnItemFloor(player, item) {
+    if (!this.maze) return true;
+    
+    return Pathfinder.getFloor(this.maze, player.position) === (item.cell.floor || 0);
+  }
+  
+  /**
+   * Gets all items lying in the maze.
+   * @returns {Array} Array of item objects
+   */
+  getItems() {
+    return Array.from(this.items.values());
+  }
+  
+  /**
+   * Removes all items.
+   */
+  clearItems() {
+    this.items.clear();
+  }
+  
+  /**
+   * Gets the variants an item type comes in, the weapons or special effects.
+   * @param {string} type - The item type
+   * @returns {Array|null} The variant names (empty if the type has none), or null if the type can't be placed in a maze
+   */
+  static getVariants(type) {
+    if (type === 'key' || !Object.prototype.hasOwnProperty.call(ITEM_TYPES, type)) return null;
+    
+    if (type === 'weapon') return WEAPON_TYPES.map(weapon => weapon.weapon);
+    if (type === 'special') return SPECIAL_EFFECTS.map(special => special.effect);
+    return [];
+  }
+}
+
+module.exports = ItemManager;
\ No newline at end of file
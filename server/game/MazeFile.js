@@ -0,0 +1,458 @@
+const ItemManager = require('./ItemManager');
+
+/**
+ * Identifies maze files, the first line of the text format and the format field of the JSON format.
+ */
+const MAZE_FORMAT = 'labyrinth-survival-maze';
+
+/**
+ * Maze file format version, bumped when the format changes in a way older servers can't read.
+ */
+const MAZE_FILE_VERSION = 1;
+
+/**
+ * Characters of the text format. Doors are numbered 1 to 9, the key for door 1 is a, for door 2 b and so on.
+ */
+const WALL = '#';
+const PATH = '.';
+const EXIT = 'E';
+const SPAWN = 'S';
+const DOOR_NUMBERS = '123456789';
+const KEY_LETTERS = 'abcdefghi';
+const ITEM_SYMBOLS = { H: 'health', A: 'armor', W: 'weapon', P: 'special' };
+
+/**
+ * Reads and writes mazes as files, so designers can build curated levels and generated mazes can be kept.
+ *
+ * A maze file is a plain object (see README.md for the full format):
+ * - rows: one string per y coordinate, '#' for a wall and '.' for a path cell at each x coordinate.
+ * - exit, doors ({ id, x, y }), keys ({ id, door, x, y }), spawnPoints and items ({ type, variant, x, y }).
+ * - shifting: whether the walls shift during the game.
+ *
+ * It is stored either as JSON or as text, where the same layout is drawn with one character per cell.
+ * Every cell holds at most one thing, so each maze can be written in both formats.
+ */
+class MazeFile {
+  /**
+   * Builds a maze file from a maze, e.g. to keep a generated maze. Maze files have a single floor,
+   * so only the ground floor of the maze is written.
+   * @param {Object} maze - The maze data, see MazeGenerator.getMaze
+   * @param {Array} items - The items lying in the maze (optional), keys are taken from the maze
+   * @param {string} name - Name of the maze (optional)
+   * @returns {Object} The maze file
+   */
+  static fromMaze(maze, items = [], name = '') {
+    const rows = [];
+    for (let y = 0; y < maze.height; y++) {
+      let row = '';
+      for (let x = 0; x < maze.width; x++) {
+        row += maze.levels[0][x][y] ? WALL : PATH;
+      }
+      rows.push(row);
+    }
+
+    // Things can't share a cell in a file, the exit, doors and keys take precedence over items
+    const taken = new Set([`${maze.exitPosition.x},${maze.exitPosition.y}`]);
+    (maze.doors || []).forEach(door => taken.add(`${door.x},${door.y}`));
+    (maze.keys || []).forEach(key => taken.add(`${key.x},${key.y}`));
+    (maze.spawnPoints || []).forEach(cell => taken.add(`${cell.x},${cell.y}`));
+
+    const placedItems = [];
+    items.forEach(item => {
+      const key = `${item.cell.x},${item.cell.y}`;
+      if (item.type === 'key' || taken.has(key)) return;
+
+      taken.add(key);
+      placedItems.push({ type: item.type, variant: item.weapon || item.effect || null, x: item.cell.x, y: item.cell.y });
+    });
+
+    return {
+      format: MAZE_FORMAT,
+      version: MAZE_FILE_VERSION,
+      name,
+      width: maze.width,
+      height: maze.height,
+      rows,
+      exit: { x: maze.exitPosition.x, y: maze.exitPosition.y },
+      doors: (maze.doors || []).map(door => ({ id: door.id, x: door.x, y: door.y })),
+      keys: (maze.keys || []).map(key => ({ id: key.id, door: key.doorId, x: key.x, y: key.y })),
+      spawnPoints: (maze.spawnPoints || []).map(cell => ({ x: cell.x, y: cell.y })),
+      items: placedItems,
+      shifting: maze.shifting !== false
+    };
+  }
+
+  /**
+   * Builds the maze a maze file describes, as MazeGenerator.loadMaze takes it.
+   * @param {Object} file - The validated maze file
+   * @returns {Object} The maze (width, height, levels with the single floor, exitPosition, doors, keys, spawnPoints, shifting)
+   */
+  static toMaze(file) {
+    const grid = Array(file.width).fill().map((column, x) =>
+      Array(file.height).fill().map((cell, y) => file.rows[y][x] === WALL)
+    );
+
+    return {
+      width: file.width,
+      height: file.height,
+      levels: [grid],
+      exitPosition: { ...file.exit, floor: 0 },
+      doors: file.doors.map(door => ({
+        id: door.id,
+        x: door.x,
+        y: door.y,
+        floor: 0,
+        keyId: file.keys.find(key => key.door === door.id).id,
+        isOpen: false
+      })),
+      keys: file.keys.map(key => ({ id: key.id, doorId: key.door, x: key.x, y: key.y, floor: 0 })),
+      spawnPoints: file.spawnPoints.map(cell => ({ ...cell })),
+      shifting: file.shifting
+    };
+  }
+
+  /**
+   * Writes a maze file in the JSON format.
+   * @param {Object} file - The maze file
+   * @returns {string} The JSON text
+   */
+  static toJSON(file) {
+    return JSON.stringify(file, null, 2);
+  }
+
+  /**
+   * Writes a maze file in the text format. Item variants can't be drawn, so they are picked at random when it is loaded.
+   * @param {Object} file - The maze file
+   * @returns {Object} Result with the text, or an error if the maze has more doors than the format can number
+   */
+  static toText(file) {
+    if (file.doors.length > DOOR_NUMBERS.length) {
+      return { success: false, message: `The text format holds at most ${DOOR_NUMBERS.length} doors` };
+    }
+
+    const rows = file.rows.map(row => row.split(''));
+    const draw = (cell, symbol) => {
+      rows[cell.y][cell.x] = symbol;
+    };
+
+    file.doors.forEach((door, index) => {
+      draw(door, DOOR_NUMBERS[index]);
+      file.keys.filter(key => key.door === door.id).forEach(key => draw(key, KEY_LETTERS[index]));
+    });
+    file.spawnPoints.forEach(cell => draw(cell, SPAWN));
+    file.items.forEach(item => {
+      draw(item, Object.keys(ITEM_SYMBOLS).find(symbol => ITEM_SYMBOLS[symbol] === item.type));
+    });
+    draw(file.exit, EXIT);
+
+    const header = [`; ${MAZE_FORMAT} ${file.version}`];
+    if (file.name) header.push(`; name: ${file.name}`);
+    header.push(`; shifting: ${file.shifting}`);
+
+    return { success: true, text: [...header, ...rows.map(row => row.join(''))].join('\n') + '\n' };
+  }
+
+  /**
+   * Reads and validates a maze file, in either format.
+   * @param {string|Object} data - The file contents, or the already parsed JSON
+   * @param {Object} sizeLimits - Smallest and largest number of cells per side ({ min, max })
+   * @returns {Object} Result with the maze file, or an error describing what is wrong with it
+   */
+  static parse(data, sizeLimits = { min: 10, max: 50 }) {
+    let file;
+
+    if (typeof data === 'string' && data.trim().startsWith('{')) {
+      try {
+        file = MazeFile.readJSON(JSON.parse(data));
+      } catch (error) {
+        return { success: false, message: 'Maze file is not valid JSON' };
+      }
+    } else if (typeof data === 'string') {
+      const result = MazeFile.readText(data);
+      if (!result.success) return result;
+      file = result.file;
+    } else if (data && typeof data === 'object') {
+      file = MazeFile.readJSON(data);
+    } else {
+      return { success: false, message: 'Maze file is empty' };
+    }
+
+    const error = MazeFile.validate(file, sizeLimits);
+    if (error) {
+      return { success: false, message: error };
+    }
+
+    return { success: true, file };
+  }
+
+  /**
+   * Reads a maze file in the JSON format. Missing lists default to empty, everything else is left to validate.
+   * @param {Object} data - The parsed JSON
+   * @returns {Object} The maze file
+   */
+  static readJSON(data) {
+    const cell = value => (value && typeof value === 'object' ? { x: value.x, y: value.y } : null);
+    const list = value => (Array.isArray(value) ? value : []);
+
+    return {
+      format: data.format,
+      version: data.version,
+      name: typeof data.name === 'string' ? data.name : '',
+      width: data.width,
+      height: data.height,
+      rows: list(data.rows),
+      exit: cell(data.exit),
+      doors: list(data.doors).map(door => ({ id: door && door.id, ...cell(door) })),
+      keys: list(data.keys).map(key => ({ id: key && key.id, door: key && key.door, ...cell(key) })),
+      spawnPoints: list(data.spawnPoints).map(cell),
+      items: list(data.items).map(item => ({
+        type: item && item.type,
+        variant: item && item.variant !== undefined ? item.variant : null,
+        ...cell(item)
+      })),
+      shifting: data.shifting !== false
+    };
+  }
+
+  /**
+   * Reads a maze file in the text format.
+   * @param {string} text - The file contents
+   * @returns {Object} Result with the maze file, or an error if the text isn't a maze file
+   */
+  static readText(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trimEnd()).filter(line => line.length > 0);
+    const header = lines.length > 0 ? lines[0].match(/^;\s*(\S+)\s+(\d+)$/) : null;
+
+    if (!header || header[1] !== MAZE_FORMAT) {
+      return { success: false, message: `Maze file must start with "; ${MAZE_FORMAT} ${MAZE_FILE_VERSION}"` };
+    }
+
+    const file = {
+      format: MAZE_FORMAT,
+      version: parseInt(header[2], 10),
+      name: '',
+      rows: [],
+      exit: null,
+      doors: [],
+      keys: [],
+      spawnPoints: [],
+      items: [],
+      shifting: true
+    };
+
+    // Settings are comments of the form "; name: value", other comments are ignored
+    lines.slice(1).filter(line => line.startsWith(';')).forEach(line => {
+      const setting = line.match(/^;\s*(\w+)\s*:\s*(.*)$/);
+      if (!setting) return;
+
+      if (setting[1] === 'name') file.name = setting[2];
+      if (setting[1] === 'shifting') file.shifting = setting[2] !== 'false';
+    });
+
+    const rows = lines.slice(1).filter(line => !line.startsWith(';'));
+    file.width = rows.length > 0 ? rows[0].length : 0;
+    file.height = rows.length;
+
+    const doorCells = [];
+    const keyCells = [];
+
+    for (let y = 0; y < rows.length; y++) {
+      if (rows[y].length !== file.width) {
+        return { success: false, message: `Row ${y} is ${rows[y].length} cells wide instead of ${file.width}` };
+      }
+
+      let row = '';
+      for (let x = 0; x < rows[y].length; x++) {
+        const symbol = rows[y][x];
+        row += symbol === WALL ? WALL : PATH;
+
+        if (symbol === WALL || symbol === PATH) continue;
+
+        if (symbol === EXIT) {
+          if (file.exit) return { success: false, message: 'Maze has more than one exit' };
+          file.exit = { x, y };
+        } else if (symbol === SPAWN) {
+          file.spawnPoints.push({ x, y });
+        } else if (DOOR_NUMBERS.includes(symbol)) {
+          doorCells.push({ number: DOOR_NUMBERS.indexOf(symbol) + 1, x, y });
+        } else if (KEY_LETTERS.includes(symbol)) {
+          keyCells.push({ number: KEY_LETTERS.indexOf(symbol) + 1, x, y });
+        } else if (ITEM_SYMBOLS[symbol]) {
+          file.items.push({ type: ITEM_SYMBOLS[symbol], variant: null, x, y });
+        } else {
+          return { success: false, message: `Unknown symbol "${symbol}" at (${x}, ${y})` };
+        }
+      }
+      file.rows.push(row);
+    }
+
+    // Doors and keys are named after their number, so a key finds its door even if the door is missing
+    doorCells.sort((a, b) => a.number - b.number).forEach(door => {
+      file.doors.push({ id: `door_${door.number}`, x: door.x, y: door.y });
+    });
+    keyCells.sort((a, b) => a.number - b.number).forEach(key => {
+      file.keys.push({ id: `key_${key.number}`, door: `door_${key.number}`, x: key.x, y: key.y });
+    });
+
+    return { success: true, file };
+  }
+
+  /**
+   * Checks that a maze file can be played: its size, that everything lies on a path cell inside the maze,
+   * and that the exit can be reached from every spawn point, fetching keys on the way.
+   * @param {Object} file - The maze file
+   * @param {Object} sizeLimits - Smallest and largest number of cells per side ({ min, max })
+   * @returns {string|null} What is wrong with the file, or null if it is valid
+   */
+  static validate(file, sizeLimits) {
+    if (file.format !== MAZE_FORMAT) {
+      return 'Not a maze file';
+    }
+
+    if (file.version !== MAZE_FILE_VERSION) {
+      return `Unsupported maze file version ${file.version}`;
+    }
+
+    const isSize = value => Number.isInteger(value) && value >= sizeLimits.min && value <= sizeLimits.max;
+    if (!isSize(file.width) || !isSize(file.height)) {
+      return `Maze must be between ${sizeLimits.min} and ${sizeLimits.max} cells per side`;
+    }
+
+    if (file.rows.length !== file.height ||
+        !file.rows.every(row => typeof row === 'string' && row.length === file.width && /^[#.]*$/.test(row))) {
+      return `Maze rows must be ${file.height} strings of ${file.width} "#" or "." characters`;
+    }
+
+    const isPath = cell => cell && Number.isInteger(cell.x) && Number.isInteger(cell.y) &&
+      cell.x >= 0 && cell.x < file.width && cell.y >= 0 && cell.y < file.height &&
+      file.rows[cell.y][cell.x] === PATH;
+
+    // Everything needs a path cell of its own
+    const taken = new Set();
+    const place = (cell, what) => {
+      if (!isPath(cell)) return `The ${what} must be on a path cell inside the maze`;
+
+      const key = `${cell.x},${cell.y}`;
+      if (taken.has(key)) return `The ${what} shares cell (${cell.x}, ${cell.y}) with something else`;
+
+      taken.add(key);
+      return null;
+    };
+
+    if (!file.exit) return 'Maze has no exit';
+
+    const placed = [
+      place(file.exit, 'exit'),
+      ...file.doors.map(door => place(door, `door ${door.id}`)),
+      ...file.keys.map(key => place(key, `key ${key.id}`)),
+      ...file.spawnPoints.map(cell => place(cell, 'spawn point')),
+      ...file.items.map(item => place(item, `${item.type} item`))
+    ];
+    const placementError = placed.find(error => error);
+    if (placementError) return placementError;
+
+    // Every door needs exactly one key
+    if (file.doors.length > DOOR_NUMBERS.length) {
+      return `Maze has more than ${DOOR_NUMBERS.length} doors`;
+    }
+
+    const doorIds = file.doors.map(door => door.id);
+    if (!doorIds.every(id => typeof id === 'string') || new Set(doorIds).size !== doorIds.length) {
+      return 'Doors need unique ids';
+    }
+
+    const keyIds = file.keys.map(key => key.id);
+    if (!keyIds.every(id => typeof id === 'string') || new Set(keyIds).size !== keyIds.length) {
+      return 'Keys need unique ids';
+    }
+
+    for (const key of file.keys) {
+      if (!doorIds.includes(key.door)) return `Key ${key.id} opens no door`;
+    }
+
+    for (const door of file.doors) {
+      if (file.keys.filter(key => key.door === door.id).length !== 1) return `Door ${door.id} needs exactly one key`;
+    }
+
+    for (const item of file.items) {
+      const variants = ItemManager.getVariants(item.type);
+
+      if (!variants) return `Unknown item type "${item.type}"`;
+      if (item.variant !== null && !variants.includes(item.variant)) {
+        return `Unknown ${item.type} variant "${item.variant}"`;
+      }
+    }
+
+    // Without spawn points players spawn on a random cell, see GameManager.getUnlockedCells
+    if (file.spawnPoints.length > 0) {
+      const stuck = file.spawnPoints.find(cell => !MazeFile.canEscape(file, cell));
+      if (stuck) return `The exit can't be reached from spawn point (${stuck.x}, ${stuck.y})`;
+    } else if (file.doors.length > 0) {
+      if (!MazeFile.canEscape(file, file.keys[0])) return 'The exit can\'t be reached from where players spawn';
+    } else {
+      const pathCells = file.rows.reduce((count, row) => count + row.split(PATH).length - 1, 0);
+      if (MazeFile.getReachableCells(file, file.exit, new Set()).size !== pathCells) {
+        return 'Every path cell must lead to the exit, or the maze needs spawn points';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Checks if a player can get from a cell to the exit, opening every door whose key they can reach.
+   * @param {Object} file - The maze file
+   * @param {Object} start - The cell the player starts in
+   * @returns {boolean} True if the exit can be reached
+   */
+  static canEscape(file, start) {
+    const closedDoors = new Set(file.doors.map(door => `${door.x},${door.y}`));
+
+    for (;;) {
+      const reached = MazeFile.getReachableCells(file, start, closedDoors);
+      if (reached.has(`${file.exit.x},${file.exit.y}`)) return true;
+
+      // Open the doors whose keys were found and search again, until no more doors open
+      const opened = file.doors.filter(door => {
+        const key = file.keys.find(k => k.door === door.id);
+        return closedDoors.has(`${door.x},${door.y}`) && reached.has(`${key.x},${key.y}`);
+      });
+
+      if (opened.length === 0) return false;
+
+      opened.forEach(door => closedDoors.delete(`${door.x},${door.y}`));
+    }
+  }
+
+  /**
+   * Gets the path cells connected to a cell using breadth-first search.
+   * @param {Object} file - The maze file
+   * @param {Object} start - The cell to start from
+   * @param {Set} closedDoors - Keys ("x,y") of the door cells that can't be crossed
+   * @returns {Set} Keys ("x,y") of the reached cells
+   */
+  static getReachableCells(file, start, closedDoors) {
+    const directions = [{ x: 0, y: 1 }, { x: 1, y: 0 }, { x: 0, y: -1 }, { x: -1, y: 0 }];
+    const reached = new Set([`${start.x},${start.y}`]);
+    const queue = [start];
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+
+      directions.forEach(dir => {
+        const next = { x: current.x + dir.x, y: current.y + dir.y };
+        const key = `${next.x},${next.y}`;
+
+        if (next.x >= 0 && next.x < file.width && next.y >= 0 && next.y < file.height &&
+            file.rows[next.y][next.x] === PATH && !reached.has(key) && !closedDoors.has(key)) {
+          reached.add(key);
+          queue.push(next);
+        }
+      });
+    }
+
+    return reached;
+  }
+}
+
+module.exports = MazeFile;
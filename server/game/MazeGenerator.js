@@ -1,6 +1,9 @@
+const SeededRandom = require('./SeededRandom');
+
 /**
  * Handles the procedural generation of the maze using a hybrid approach
  * combining Prim's Algorithm and Wave Function Collapse.
+ * Mazes can have several floors stacked on top of each other, connected by stairs.
  */
 class MazeGenerator {
   /**
@@ -8,22 +11,50 @@ class MazeGenerator {
    * @param {number} width - Width of the maze
    * @param {number} height - Height of the maze
    * @param {number} cellSize - Size of each cell in the maze
+   * @param {number|string} seed - Seed for reproducible mazes (optional, random if not provided)
+   * @param {number} floors - Number of floors (optional, defaults to 1)
    */
-  constructor(width, height, cellSize) {
+  constructor(width, height, cellSize, seed = null, floors = 1) {
     this.width = width;
     this.height = height;
     this.cellSize = cellSize;
     this.wallHeight = 3;
+    this.floors = floors;
+    this.floorHeight = this.wallHeight; // Height of a floor in world units, each floor's ground is this far above the one below
     this.shiftInterval = 60; // Time in seconds between maze shifts
+    this.shiftRate = 1; // Multiplier for how fast the shift timer runs, set by the AI director
     this.shiftChance = 0.2; // Chance of a wall shifting during a shift event
     this.shiftDuration = 2; // How long it takes for a wall to move
+    this.shifting = true; // Whether walls shift at all, hand-authored mazes can keep their layout
     
-    // Maze representation: true = wall, false = path
-    this.mazeGrid = Array(width).fill().map(() => Array(height).fill(true));
+    // Maze representation: true = wall, false = path, one grid per floor
+    this.levels = Array(floors).fill().map(() => Array(width).fill().map(() => Array(height).fill(true)));
+    this.mazeGrid = this.levels[0]; // The grid of the floor being worked on
+    this.currentFloor = 0;
     this.wallObjects = new Map(); // For tracking wall positions
-    this.exitPosition = { x: 0, y: 0 };
+    this.exitPosition = { x: 0, y: 0, floor: 0 };
     this.nextShiftTime = 0;
     
+    // Layout versioning, so clients can apply shifts as a list of changed cells
+    this.version = 0;
+    this.changedCells = []; // Cells changed by the last shift
+    this.maxDeltaRatio = 0.25; // Above this share of changed cells the full maze is sent instead
+    
+    // Locked doors and the keys that open them
+    this.doors = [];
+    this.keys = [];
+    this.exitDoorChance = 0.5; // Chance of locking the exit corridor
+    this.maxChamberDoors = 2; // Maximum number of doors gating chambers
+    this.maxLockedAreaRatio = 0.25; // Largest share of the maze a door may lock away
+    
+    // Cells players spawn in, only set by hand-authored mazes
+    this.spawnPoints = [];
+    
+    // Stairs connect a cell with the same cell on the floor above, players spawn on the ground floor
+    // and the exit is on the top floor
+    this.stairs = [];
+    this.stairsPerFloor = 2; // Staircases leading up from each floor
+    
     // For Prim's algorithm
     this.frontiers = [];
     
@@ -37,19 +68,75 @@ class MazeGenerator {
     
     // Pattern generation
     this.usePatternedGeneration = true; // Enable patterned generation
-    this.patternType = Math.floor(Math.random() * 3); // 0: Geometric, 1: Concentric, 2: Symmetric
+    
+    // Seeded random number generator, drives every random decision
+    this.setSeed(seed);
+  }
+  
+  /**
+   * Sets the seed and resets the random number generator.
+   * @param {number|string} seed - The seed (a random one is generated if not provided)
+   */
+  setSeed(seed) {
+    this.seed = seed === null || seed === undefined ? SeededRandom.generateSeed() : seed;
+    this.rng = new SeededRandom(this.seed);
+    this.patternType = Math.floor(this.random() * 3); // 0: Geometric, 1: Concentric, 2: Symmetric
+  }
+  
+  /**
+   * Gets the seed used to generate the maze.
+   * @returns {number|string} The seed
+   */
+  getSeed() {
+    return this.seed;
+  }
+  
+  /**
+   * Returns the next random number from the seeded generator.
+   * @returns {number} A number in the range [0, 1)
+   */
+  random() {
+    return this.rng.next();
   }
   
   /**
    * Generates a new maze.
+   * @param {number|string} seed - Seed to generate from (optional, defaults to the current seed)
    * @returns {Object} The generated maze data
    */
-  generateMaze() {
+  generateMaze(seed = this.seed) {
+    // Restart the random sequence so the same seed gives the same layout and shifts
+    this.setSeed(seed);
     this.initializeMaze();
     
+    for (let floor = 0; floor < this.floors; floor++) {
+      this.generateLevel(floor);
+    }
+    
+    this.placeStairs();
+    this.ensureMazeIsSolvable();
+    
+    // Doors lock parts of the exit floor
+    this.useFloor(this.exitPosition.floor);
+    this.placeDoors();
+    this.useFloor(0);
+    
+    this.version++;
+    this.changedCells = [];
+    
+    return this.getMaze();
+  }
+  
+  /**
+   * Generates the layout of one floor. Each floor uses the next pattern, the top floor holds the exit.
+   * @param {number} floor - The floor
+   */
+  generateLevel(floor) {
+    this.useFloor(floor);
+    
     if (this.usePatternedGeneration) {
       // Choose a pattern generation method based on patternType
-      switch (this.patternType) {
+      switch ((this.patternType + floor) % 3) {
         case 0:
           this.generateGeometricPattern();
           break;
@@ -63,14 +150,25 @@ class MazeGenerator {
           this.runPrimsAlgorithm();
       }
     } else {
-    this.runPrimsAlgorithm();
+      this.runPrimsAlgorithm();
     }
     
-    this.createExit();
+    if (floor === this.floors - 1) {
+      this.createExit();
+    }
     this.applyWaveFunctionCollapse();
-    this.ensureMazeIsSolvable();
     
-    return this.getMaze();
+    // The patterns replace the grid
+    this.levels[floor] = this.mazeGrid;
+  }
+  
+  /**
+   * Switches the floor the grid helpers work on.
+   * @param {number} floor - The floor
+   */
+  useFloor(floor) {
+    this.currentFloor = floor;
+    this.mazeGrid = this.levels[floor];
   }
   
   /**
@@ -78,9 +176,43 @@ class MazeGenerator {
    */
   initializeMaze() {
     // Initialize the grid with all walls
-    this.mazeGrid = Array(this.width).fill().map(() => Array(this.height).fill(true));
+    this.levels = Array(this.floors).fill().map(() => Array(this.width).fill().map(() => Array(this.height).fill(true)));
+    this.useFloor(0);
+    this.exitPosition = { x: 0, y: 0, floor: this.floors - 1 };
     this.wallObjects = new Map();
     this.nextShiftTime = this.shiftInterval;
+    this.doors = [];
+    this.keys = [];
+    this.spawnPoints = [];
+    this.stairs = [];
+    this.shifting = true;
+  }
+  
+  /**
+   * Loads a hand-authored maze instead of generating one, see MazeFile.toMaze.
+   * The current seed still drives the wall shifts, if the maze allows them.
+   * @param {Object} maze - The maze (width, height, levels, exitPosition, doors, keys, spawnPoints, shifting)
+   * @returns {Object} The loaded maze data
+   */
+  loadMaze(maze) {
+    this.setSeed(this.seed);
+    this.width = maze.width;
+    this.height = maze.height;
+    this.floors = maze.levels.length;
+    this.initializeMaze();
+    
+    this.levels = maze.levels.map(level => level.map(column => column.slice()));
+    this.useFloor(0);
+    this.exitPosition = { ...maze.exitPosition };
+    this.doors = maze.doors.map(door => ({ ...door }));
+    this.keys = maze.keys.map(key => ({ ...key }));
+    this.spawnPoints = maze.spawnPoints.map(cell => ({ ...cell }));
+    this.shifting = maze.shifting;
+    
+    this.version++;
+    this.changedCells = [];
+    
+    return this.getMaze();
   }
   
   /**
@@ -89,8 +221,8 @@ class MazeGenerator {
   runPrimsAlgorithm() {
     // Start with a random cell
     const startCell = {
-      x: Math.floor(Math.random() * this.width),
-      y: Math.floor(Math.random() * this.height)
+      x: Math.floor(this.random() * this.width),
+      y: Math.floor(this.random() * this.height)
     };
     this.mazeGrid[startCell.x][startCell.y] = false; // Mark as path
     
@@ -100,7 +232,7 @@ class MazeGenerator {
     // Continue until there are no more frontier cells
     while (this.frontiers.length > 0) {
       // Pick a random frontier cell
-      const randomIndex = Math.floor(Math.random() * this.frontiers.length);
+      const randomIndex = Math.floor(this.random() * this.frontiers.length);
       const currentCell = this.frontiers[randomIndex];
       this.frontiers.splice(randomIndex, 1);
       
@@ -109,7 +241,7 @@ class MazeGenerator {
       
       if (neighbors.length > 0) {
         // Connect the frontier cell to a random neighbor
-        const neighbor = neighbors[Math.floor(Math.random() * neighbors.length)];
+        const neighbor = neighbors[Math.floor(this.random() * neighbors.length)];
         this.mazeGrid[currentCell.x][currentCell.y] = false; // Mark frontier as path
         
         // Connect the cells by removing the wall between them
@@ -181,46 +313,152 @@ class MazeGenerator {
    */
   createExit() {
     // Place exit at a random edge of the maze
-    const side = Math.floor(Math.random() * 4);
+    const side = Math.floor(this.random() * 4);
     
     switch (side) {
       case 0: // Top
         this.exitPosition = { 
-          x: Math.floor(Math.random() * this.width), 
+          x: Math.floor(this.random() * this.width), 
           y: this.height - 1 
         };
         break;
       case 1: // Right
         this.exitPosition = { 
           x: this.width - 1, 
-          y: Math.floor(Math.random() * this.height) 
+          y: Math.floor(this.random() * this.height) 
         };
         break;
       case 2: // Bottom
         this.exitPosition = { 
-          x: Math.floor(Math.random() * this.width), 
+          x: Math.floor(this.random() * this.width), 
           y: 0 
         };
         break;
       case 3: // Left
         this.exitPosition = { 
           x: 0, 
-          y: Math.floor(Math.random() * this.height) 
+          y: Math.floor(this.random() * this.height) 
         };
         break;
     }
+    this.exitPosition.floor = this.currentFloor;
     
     // Ensure the exit and path to it are clear
     this.mazeGrid[this.exitPosition.x][this.exitPosition.y] = false;
     
     // Create a path to the exit
-    let pathCell = { ...this.exitPosition };
+    const pathCell = this.getExitApproach();
+    this.mazeGrid[pathCell.x][pathCell.y] = false;
+  }
+  
+  /**
+   * Gets the cell inside the maze next to the exit.
+   * @returns {Object} The cell with x, y coordinates
+   */
+  getExitApproach() {
+    const pathCell = { x: this.exitPosition.x, y: this.exitPosition.y };
     if (this.exitPosition.x === 0) pathCell.x += 1;
     else if (this.exitPosition.x === this.width - 1) pathCell.x -= 1;
     else if (this.exitPosition.y === 0) pathCell.y += 1;
     else if (this.exitPosition.y === this.height - 1) pathCell.y -= 1;
     
-    this.mazeGrid[pathCell.x][pathCell.y] = false;
+    return pathCell;
+  }
+  
+  /**
+   * Places the stairs between each floor and the one above. Stairs need a path cell on both floors
+   * and are kept apart, so no cell holds two staircases.
+   */
+  placeStairs() {
+    this.stairs = [];
+    
+    for (let floor = 0; floor < this.floors - 1; floor++) {
+      const lower = this.levels[floor];
+      const upper = this.levels[floor + 1];
+      const candidates = [];
+      
+      for (let x = 1; x < this.width - 1; x++) {
+        for (let y = 1; y < this.height - 1; y++) {
+          if (!lower[x][y] && !upper[x][y] && !this.isNearExit(x, y, floor + 1)) {
+            candidates.push({ x, y });
+          }
+        }
+      }
+      
+      let placed = 0;
+      while (candidates.length > 0 && placed < this.stairsPerFloor) {
+        const cell = candidates.splice(Math.floor(this.random() * candidates.length), 1)[0];
+        if (this.isNearStairs(cell.x, cell.y)) continue;
+        
+        this.addStairs(cell, floor);
+        placed++;
+      }
+      
+      // Break through to the floor above if the layouts don't overlap anywhere
+      if (placed === 0) {
+        const cell = {
+          x: 1 + Math.floor(this.random() * (this.width - 2)),
+          y: 1 + Math.floor(this.random() * (this.height - 2))
+        };
+        lower[cell.x][cell.y] = false;
+        upper[cell.x][cell.y] = false;
+        this.addStairs(cell, floor);
+      }
+    }
+  }
+  
+  /**
+   * Adds stairs leading up from a floor.
+   * @param {Object} cell - The stairs cell
+   * @param {number} floor - The lower floor
+   */
+  addStairs(cell, floor) {
+    this.stairs.push({
+      id: `stairs_${this.stairs.length + 1}`,
+      x: cell.x,
+      y: cell.y,
+      floor
+    });
+  }
+  
+  /**
+   * Checks if a cell is close to any stairs, on any floor.
+   * @param {number} x - The x coordinate
+   * @param {number} y - The y coordinate
+   * @returns {boolean} True if stairs are within two cells
+   */
+  isNearStairs(x, y) {
+    return this.stairs.some(stairs => Math.abs(stairs.x - x) + Math.abs(stairs.y - y) <= 2);
+  }
+  
+  /**
+   * Checks if a cell holds stairs on the given floor.
+   * @param {number} x - The x coordinate
+   * @param {number} y - The y coordinate
+   * @param {number} floor - The floor
+   * @returns {boolean} True if the cell holds stairs going up or down
+   */
+  isStairsCell(x, y, floor = this.currentFloor) {
+    return this.stairs.some(stairs => 
+      stairs.x === x && stairs.y === y && (stairs.floor === floor || stairs.floor + 1 === floor)
+    );
+  }
+  
+  /**
+   * Checks if a cell is close to the exit.
+   * @param {number} x - The x coordinate
+   * @param {number} y - The y coordinate
+   * @param {number} floor - The floor
+   * @returns {boolean} True if the cell is on the exit floor, less than three cells from the exit
+   */
+  isNearExit(x, y, floor) {
+    if (floor !== this.exitPosition.floor) return false;
+    
+    const distance = Math.sqrt(
+      Math.pow(x - this.exitPosition.x, 2) + 
+      Math.pow(y - this.exitPosition.y, 2)
+    );
+    return distance < 3;
   }
   
   /**
@@ -248,23 +486,23 @@ class MazeGenerator {
    */
   createChambers() {
     // Create 2-4 chambers of varying sizes
-    const chamberCount = 2 + Math.floor(Math.random() * 3);
+    const chamberCount = 2 + Math.floor(this.random() * 3);
     
     for (let i = 0; i < chamberCount; i++) {
       // Random chamber position (away from edges)
-      const centerX = 2 + Math.floor(Math.random() * (this.width - 4));
-      const centerY = 2 + Math.floor(Math.random() * (this.height - 4));
+      const centerX = 2 + Math.floor(this.random() * (this.width - 4));
+      const centerY = 2 + Math.floor(this.random() * (this.height - 4));
       
       // Random chamber size
-      const chamberWidth = 3 + Math.floor(Math.random() * 3);
-      const chamberHeight = 3 + Math.floor(Math.random() * 3);
+      const chamberWidth = 3 + Math.floor(this.random() * 3);
+      const chamberHeight = 3 + Math.floor(this.random() * 3);
       
       // Don't place chambers too close to the exit
       const distance = Math.sqrt(
         Math.pow(centerX - this.exitPosition.x, 2) + 
         Math.pow(centerY - this.exitPosition.y, 2)
       );
-      if (distance < 5) continue;
+      if (this.currentFloor === this.exitPosition.floor && distance < 5) continue;
       
       // Create the chamber by clearing walls
       for (let x = centerX - Math.floor(chamberWidth/2); x <= centerX + Math.floor(chamberWidth/2); x++) {
@@ -277,10 +515,10 @@ class MazeGenerator {
       
       // Add some pillars inside larger chambers
       if (chamberWidth >= 4 && chamberHeight >= 4) {
-        const pillarCount = 1 + Math.floor(Math.random() * 2);
+        const pillarCount = 1 + Math.floor(this.random() * 2);
         for (let p = 0; p < pillarCount; p++) {
-          const pillarX = centerX - 1 + Math.floor(Math.random() * 3);
-          const pillarY = centerY - 1 + Math.floor(Math.random() * 3);
+          const pillarX = centerX - 1 + Math.floor(this.random() * 3);
+          const pillarY = centerY - 1 + Math.floor(this.random() * 3);
           
           if (this.isInBounds({x: pillarX, y: pillarY})) {
             this.mazeGrid[pillarX][pillarY] = true; // Add a pillar
@@ -298,8 +536,8 @@ class MazeGenerator {
     const pillarCount = Math.floor(this.width * this.height / 40);
     
     for (let i = 0; i < pillarCount; i++) {
-      const x = 1 + Math.floor(Math.random() * (this.width - 2));
-      const y = 1 + Math.floor(Math.random() * (this.height - 2));
+      const x = 1 + Math.floor(this.random() * (this.width - 2));
+      const y = 1 + Math.floor(this.random() * (this.height - 2));
       
       // Only place pillars in open areas with multiple paths around them
       let adjacentPaths = 0;
@@ -320,11 +558,11 @@ class MazeGenerator {
     const archCount = Math.floor(this.width * this.height / 60);
     
     for (let i = 0; i < archCount; i++) {
-      const x = 2 + Math.floor(Math.random() * (this.width - 4));
-      const y = 2 + Math.floor(Math.random() * (this.height - 4));
+      const x = 2 + Math.floor(this.random() * (this.width - 4));
+      const y = 2 + Math.floor(this.random() * (this.height - 4));
       
       // Choose a random direction for the arch
-      const dirIndex = Math.floor(Math.random() * 2); // 0 = horizontal, 1 = vertical
+      const dirIndex = Math.floor(this.random() * 2); // 0 = horizontal, 1 = vertical
       
       if (dirIndex === 0) { // Horizontal arch
         if (!this.mazeGrid[x][y] && !this.mazeGrid[x+2][y]) {
@@ -351,15 +589,15 @@ class MazeGenerator {
     
     for (let i = 0; i < corridorCount; i++) {
       // Pick a random starting point
-      const startX = 1 + Math.floor(Math.random() * (this.width - 2));
-      const startY = 1 + Math.floor(Math.random() * (this.height - 2));
+      const startX = 1 + Math.floor(this.random() * (this.width - 2));
+      const startY = 1 + Math.floor(this.random() * (this.height - 2));
       
       if (!this.mazeGrid[startX][startY]) {
         // Choose a random direction
-        const dir = this.directions[Math.floor(Math.random() * this.directions.length)];
+        const dir = this.directions[Math.floor(this.random() * this.directions.length)];
         
         // Create a corridor of random length
-        const length = 2 + Math.floor(Math.random() * 4);
+        const length = 2 + Math.floor(this.random() * 4);
         
         for (let j = 0; j < length; j++) {
           const x = startX + dir.x * j;
@@ -370,17 +608,17 @@ class MazeGenerator {
             
             // Widen the corridor perpendicular to its direction
             if (dir.x === 0) { // Vertical corridor, widen horizontally
-              if (this.isInBounds({x: x+1, y}) && Math.random() < 0.7) {
+              if (this.isInBounds({x: x+1, y}) && this.random() < 0.7) {
                 this.mazeGrid[x+1][y] = false;
               }
-              if (this.isInBounds({x: x-1, y}) && Math.random() < 0.7) {
+              if (this.isInBounds({x: x-1, y}) && this.random() < 0.7) {
                 this.mazeGrid[x-1][y] = false;
               }
             } else { // Horizontal corridor, widen vertically
-              if (this.isInBounds({x, y: y+1}) && Math.random() < 0.7) {
+              if (this.isInBounds({x, y: y+1}) && this.random() < 0.7) {
                 this.mazeGrid[x][y+1] = false;
               }
-              if (this.isInBounds({x, y: y-1}) && Math.random() < 0.7) {
+              if (this.isInBounds({x, y: y-1}) && this.random() < 0.7) {
                 this.mazeGrid[x][y-1] = false;
               }
             }
@@ -395,15 +633,11 @@ class MazeGenerator {
    */
   addRandomVariations() {
     for (let i = 0; i < Math.floor(this.width * this.height / 10); i++) {
-      const x = Math.floor(Math.random() * (this.width - 2)) + 1;
-      const y = Math.floor(Math.random() * (this.height - 2)) + 1;
+      const x = Math.floor(this.random() * (this.width - 2)) + 1;
+      const y = Math.floor(this.random() * (this.height - 2)) + 1;
       
       // Don't modify the exit or cells adjacent to it
-      const distance = Math.sqrt(
-        Math.pow(x - this.exitPosition.x, 2) + 
-        Math.pow(y - this.exitPosition.y, 2)
-      );
-      if (distance < 3) continue;
+      if (this.isNearExit(x, y, this.currentFloor)) continue;
       
       // Count adjacent paths
       let adjacentPaths = 0;
@@ -446,7 +680,7 @@ class MazeGenerator {
           }
         });
         
-        if (createDeadEnd && Math.random() < 0.3) {
+        if (createDeadEnd && this.random() < 0.3) {
           this.mazeGrid[x][y] = true;
         }
       }
@@ -455,54 +689,108 @@ class MazeGenerator {
   
   /**
    * Ensures the maze is solvable by checking for a path from start to exit.
+   * Closed doors count as walls, so behind a locked door the exit only has to be reachable up to the door.
+   * On mazes with several floors, the stairs and the exit of each floor are connected instead.
    */
   ensureMazeIsSolvable() {
-    // Find a valid starting point (any path cell that's not the exit)
-    let startCell = null;
-    for (let x = 0; x < this.width; x++) {
-      for (let y = 0; y < this.height; y++) {
-        if (!this.mazeGrid[x][y] && 
-            (x !== this.exitPosition.x || y !== this.exitPosition.y)) {
-          startCell = { x, y };
-          break;
-        }
+    if (this.floors > 1) {
+      for (let floor = 0; floor < this.floors; floor++) {
+        this.connectFloor(floor);
       }
-      if (startCell) break;
+      this.useFloor(0);
+      return;
     }
     
+    const startCell = this.getAnchorCell();
     if (!startCell) return; // No valid start found
     
-    // Use breadth-first search to find a path to the exit
-    const visited = Array(this.width).fill().map(() => Array(this.height).fill(false));
-    const queue = [startCell];
-    visited[startCell.x][startCell.y] = true;
+    // Use breadth-first search to find everything reachable without a key
+    const blocked = this.getClosedDoorKeys();
+    const reachable = new Set(this.getRegion(startCell, blocked).map(cell => `${cell.x},${cell.y}`));
+    if (reachable.has(`${this.exitPosition.x},${this.exitPosition.y}`)) return;
     
-    let foundPath = false;
+    // A locked exit is fine as long as its door can be reached
+    const exitRegion = this.getRegion(this.exitPosition, blocked);
+    const exitDoors = this.doors.filter(door => blocked.has(`${door.x},${door.y}`) &&
+      exitRegion.some(cell => Math.abs(cell.x - door.x) + Math.abs(cell.y - door.y) === 1));
     
-    while (queue.length > 0) {
-      const current = queue.shift();
-      
-      // Check if we've reached the exit
-      if (current.x === this.exitPosition.x && current.y === this.exitPosition.y) {
-        foundPath = true;
-        break;
-      }
-      
-      // Check all four directions
-      this.directions.forEach(dir => {
-        const next = { x: current.x + dir.x, y: current.y + dir.y };
-        
-        if (this.isInBounds(next) && !this.mazeGrid[next.x][next.y] && !visited[next.x][next.y]) {
-          visited[next.x][next.y] = true;
-          queue.push(next);
-        }
-      });
+    if (exitDoors.length === 0) {
+      this.createPathToExit(startCell);
+    } else if (!exitDoors.some(door => this.directions.some(dir => reachable.has(`${door.x + dir.x},${door.y + dir.y}`)))) {
+      this.createPath(startCell, exitDoors[0]);
     }
+  }
+  
+  /**
+   * Gets a cell on the current floor players reach without opening a door: a spawn point, the key of a closed door
+   * or the stairs, else a cell of the main region that isn't the exit.
+   * @returns {Object|null} The cell, or null if the floor has no path cells
+   */
+  getAnchorCell() {
+    const onFloor = thing => (thing.floor || 0) === this.currentFloor;
+    const anchor = this.spawnPoints.find(onFloor) ||
+      this.keys.find(key => onFloor(key) && this.doors.some(door => door.id === key.doorId && !door.isOpen)) ||
+      this.stairs.find(stairs => stairs.floor === this.currentFloor || stairs.floor + 1 === this.currentFloor);
+    if (anchor) return { x: anchor.x, y: anchor.y };
     
-    // If no path found, create one
-    if (!foundPath) {
-      this.createPathToExit(startCell);
+    const isExit = cell => this.exitPosition.floor === this.currentFloor &&
+      cell.x === this.exitPosition.x && cell.y === this.exitPosition.y;
+    
+    return this.getMainRegion().find(cell => !isExit(cell)) || null;
+  }
+  
+  /**
+   * Checks that a shift left the locked doors on a floor doing their job: whatever could be reached
+   * without a key (e.g. the keys) still can, and nothing behind a door can be reached around it.
+   * @param {number} floor - The floor
+   * @param {Array} previousGrid - The floor's layout before the shift
+   * @returns {boolean} True if the doors still lock the same cells away
+   */
+  keepsDoorsLocked(floor, previousGrid) {
+    this.useFloor(floor);
+    
+    const blocked = this.getClosedDoorKeys();
+    const startCell = this.getAnchorCell();
+    if (blocked.size === 0 || !startCell) return true;
+    
+    const getReachable = () => new Set(this.getRegion(startCell, blocked).map(cell => `${cell.x},${cell.y}`));
+    const after = getReachable();
+    this.mazeGrid = previousGrid;
+    const before = getReachable();
+    this.useFloor(floor);
+    
+    // Both sides of each door, the keys and the exit must stay on the side they were on
+    const watched = this.keys.filter(key => (key.floor || 0) === floor).map(key => `${key.x},${key.y}`);
+    this.doors.filter(door => blocked.has(`${door.x},${door.y}`)).forEach(door => {
+      this.directions.forEach(dir => watched.push(`${door.x + dir.x},${door.y + dir.y}`));
+    });
+    if (this.exitPosition.floor === floor) {
+      watched.push(`${this.exitPosition.x},${this.exitPosition.y}`);
     }
+    
+    return watched.every(key => before.has(key) === after.has(key));
+  }
+  
+  /**
+   * Connects the stairs on a floor with each other and with the exit, if the floor has it.
+   * @param {number} floor - The floor
+   */
+  connectFloor(floor) {
+    this.useFloor(floor);
+    
+    const anchors = this.stairs
+      .filter(stairs => stairs.floor === floor || stairs.floor + 1 === floor)
+      .map(stairs => ({ x: stairs.x, y: stairs.y }));
+    if (floor === this.exitPosition.floor) {
+      anchors.push(this.getExitApproach());
+    }
+    
+    anchors.slice(1).forEach(anchor => {
+      const region = this.getRegion(anchors[0], new Set());
+      if (!region.some(cell => cell.x === anchor.x && cell.y === anchor.y)) {
+        this.createPath(anchors[0], anchor);
+      }
+    });
   }
   
   /**
@@ -510,14 +798,23 @@ class MazeGenerator {
    * @param {Object} startCell - The starting cell
    */
   createPathToExit(startCell) {
+    this.createPath(startCell, this.exitPosition);
+  }
+  
+  /**
+   * Creates a direct path between two cells on the current floor.
+   * @param {Object} startCell - The starting cell
+   * @param {Object} endCell - The cell to reach
+   */
+  createPath(startCell, endCell) {
     // Simple implementation: create a straight line path
-    const dx = this.exitPosition.x - startCell.x;
-    const dy = this.exitPosition.y - startCell.y;
+    const dx = endCell.x - startCell.x;
+    const dy = endCell.y - startCell.y;
     
     // Move horizontally first
     let x = startCell.x;
     const stepX = dx > 0 ? 1 : -1;
-    while (x !== this.exitPosition.x) {
+    while (x !== endCell.x) {
       x += stepX;
       this.mazeGrid[x][startCell.y] = false;
     }
@@ -525,10 +822,321 @@ class MazeGenerator {
     // Then move vertically
     let y = startCell.y;
     const stepY = dy > 0 ? 1 : -1;
-    while (y !== this.exitPosition.y) {
+    while (y !== endCell.y) {
       y += stepY;
-      this.mazeGrid[this.exitPosition.x][y] = false;
+      this.mazeGrid[endCell.x][y] = false;
+    }
+  }
+  
+  /**
+   * Places locked doors that gate the exit corridor or chambers on the current floor.
+   * Each door's key is placed in the main (unlocked) part of the maze,
+   * so it is always reachable without opening any door.
+   */
+  placeDoors() {
+    this.doors = [];
+    this.keys = [];
+    
+    const pathCellCount = this.getPathCells().length;
+    const maxLockedCells = Math.floor(pathCellCount * this.maxLockedAreaRatio);
+    
+    // Try to lock the exit corridor
+    if (this.random() < this.exitDoorChance) {
+      const exitDoorCell = this.findExitDoorCell(maxLockedCells);
+      if (exitDoorCell) {
+        this.addDoor(exitDoorCell);
+      }
+    }
+    
+    // Try to lock some chambers
+    const candidates = this.getPathCells().filter(cell => this.isCorridorCell(cell));
+    let chamberDoors = 0;
+    
+    while (candidates.length > 0 && chamberDoors < this.maxChamberDoors) {
+      const cell = candidates.splice(Math.floor(this.random() * candidates.length), 1)[0];
+      const lockedRegion = this.getLockedRegion(cell);
+      
+      // Only gate areas of a reasonable size that don't hold the exit
+      if (lockedRegion && 
+          lockedRegion.length >= 4 && 
+          lockedRegion.length <= maxLockedCells &&
+          !lockedRegion.some(c => c.x === this.exitPosition.x && c.y === this.exitPosition.y)) {
+        this.addDoor(cell);
+        chamberDoors++;
+      }
+    }
+    
+    // Place keys in the main region, reachable without opening any door
+    const mainRegion = this.getMainRegion()
+      .filter(cell => cell.x !== this.exitPosition.x || cell.y !== this.exitPosition.y)
+      .filter(cell => !this.isStairsCell(cell.x, cell.y));
+    
+    this.doors.forEach((door, index) => {
+      if (mainRegion.length === 0) return;
+      
+      const cell = mainRegion.splice(Math.floor(this.random() * mainRegion.length), 1)[0];
+      this.keys.push({
+        id: `key_${index + 1}`,
+        doorId: door.id,
+        x: cell.x,
+        y: cell.y,
+        floor: this.currentFloor
+      });
+    });
+  }
+  
+  /**
+   * Adds a locked door to the maze.
+   * @param {Object} cell - The door cell
+   */
+  addDoor(cell) {
+    const id = `door_${this.doors.length + 1}`;
+    
+    this.doors.push({
+      id,
+      x: cell.x,
+      y: cell.y,
+      floor: this.currentFloor,
+      keyId: `key_${this.doors.length + 1}`,
+      isOpen: false
+    });
+  }
+  
+  /**
+   * Finds a corridor cell close to the exit that cuts the exit off from the rest of the maze.
+   * @param {number} maxLockedCells - Maximum number of cells the door may lock away
+   * @returns {Object|null} The door cell, or null if there is no suitable chokepoint
+   */
+  findExitDoorCell(maxLockedCells) {
+    // Walk outwards from the exit, closest cells first
+    const visited = new Set([`${this.exitPosition.x},${this.exitPosition.y}`]);
+    const queue = [{ x: this.exitPosition.x, y: this.exitPosition.y, distance: 0 }];
+    
+    while (queue.length > 0) {
+      const current = queue.shift();
+      if (current.distance > 6) break;
+      
+      if (current.distance > 0 && this.isCorridorCell(current)) {
+        const lockedRegion = this.getLockedRegion(current);
+        
+        if (lockedRegion && 
+            lockedRegion.length <= maxLockedCells &&
+            lockedRegion.some(c => c.x === this.exitPosition.x && c.y === this.exitPosition.y)) {
+          return { x: current.x, y: current.y };
+        }
+      }
+      
+      this.directions.forEach(dir => {
+        const next = { x: current.x + dir.x, y: current.y + dir.y, distance: current.distance + 1 };
+        const key = `${next.x},${next.y}`;
+        
+        if (this.isInBounds(next) && !this.mazeGrid[next.x][next.y] && !visited.has(key)) {
+          visited.add(key);
+          queue.push(next);
+        }
+      });
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Gets the area a door in the given cell would lock away from the main region.
+   * Doors never lock away stairs, players could walk around them through another floor.
+   * @param {Object} cell - The candidate door cell
+   * @returns {Array|null} The cells on the locked side, or null if the cell is not a chokepoint
+   */
+  getLockedRegion(cell) {
+    // Doors can't be stacked next to each other or on keys' future spots
+    if (this.doors.some(door => Math.abs(door.x - cell.x) + Math.abs(door.y - cell.y) <= 2)) {
+      return null;
+    }
+    
+    // Keep doors off the stairs and their landings, pressing E there takes the stairs
+    if (this.stairs.some(stairs => 
+      (stairs.floor === this.currentFloor || stairs.floor + 1 === this.currentFloor) &&
+      Math.abs(stairs.x - cell.x) + Math.abs(stairs.y - cell.y) <= 1
+    )) {
+      return null;
+    }
+    
+    // The door must currently be part of the main region
+    const mainRegion = this.getMainRegion();
+    if (!mainRegion.some(c => c.x === cell.x && c.y === cell.y)) {
+      return null;
+    }
+    
+    const blocked = this.getClosedDoorKeys();
+    blocked.add(`${cell.x},${cell.y}`);
+    
+    // Split the area around the door into the regions on either side
+    const sides = this.directions
+      .map(dir => ({ x: cell.x + dir.x, y: cell.y + dir.y }))
+      .filter(neighbor => this.isInBounds(neighbor) && !this.mazeGrid[neighbor.x][neighbor.y])
+      .map(neighbor => this.getRegion(neighbor, blocked));
+    
+    if (sides.length !== 2) return null;
+    
+    // Not a chokepoint if both sides are still connected
+    const [sideA, sideB] = sides;
+    if (sideA.some(c => c.x === sideB[0].x && c.y === sideB[0].y)) {
+      return null;
+    }
+    
+    const lockedRegion = sideA.length <= sideB.length ? sideA : sideB;
+    if (lockedRegion.some(c => this.isStairsCell(c.x, c.y))) {
+      return null;
+    }
+    
+    return lockedRegion;
+  }
+  
+  /**
+   * Checks if a cell is a straight corridor (paths on two opposite sides, walls on the others).
+   * @param {Object} cell - The cell to check
+   * @returns {boolean} True if the cell is a corridor cell
+   */
+  isCorridorCell(cell) {
+    const isPath = (x, y) => this.isInBounds({ x, y }) && !this.mazeGrid[x][y];
+    
+    if (!isPath(cell.x, cell.y)) return false;
+    
+    const horizontal = isPath(cell.x - 1, cell.y) && isPath(cell.x + 1, cell.y) &&
+      !isPath(cell.x, cell.y - 1) && !isPath(cell.x, cell.y + 1);
+    const vertical = isPath(cell.x, cell.y - 1) && isPath(cell.x, cell.y + 1) &&
+      !isPath(cell.x - 1, cell.y) && !isPath(cell.x + 1, cell.y);
+    
+    return horizontal || vertical;
+  }
+  
+  /**
+   * Gets all path cells.
+   * @returns {Array} List of path cells
+   */
+  getPathCells() {
+    const cells = [];
+    for (let x = 0; x < this.width; x++) {
+      for (let y = 0; y < this.height; y++) {
+        if (!this.mazeGrid[x][y]) {
+          cells.push({ x, y });
+        }
+      }
+    }
+    return cells;
+  }
+  
+  /**
+   * Gets the keys of all cells on the current floor holding a closed door.
+   * @returns {Set} Set of "x,y" keys
+   */
+  getClosedDoorKeys() {
+    return new Set(this.doors
+      .filter(door => !door.isOpen && (door.floor || 0) === this.currentFloor)
+      .map(door => `${door.x},${door.y}`));
+  }
+  
+  /**
+   * Gets the region connected to a cell using breadth-first search.
+   * @param {Object} start - The cell to start from
+   * @param {Set} blocked - Keys of path cells that can't be crossed
+   * @returns {Array} The cells in the region
+   */
+  getRegion(start, blocked) {
+    const region = [start];
+    const visited = new Set([`${start.x},${start.y}`]);
+    const queue = [start];
+    
+    while (queue.length > 0) {
+      const current = queue.shift();
+      
+      this.directions.forEach(dir => {
+        const next = { x: current.x + dir.x, y: current.y + dir.y };
+        const key = `${next.x},${next.y}`;
+        
+        if (this.isInBounds(next) && 
+            !this.mazeGrid[next.x][next.y] && 
+            !visited.has(key) && 
+            !blocked.has(key)) {
+          visited.add(key);
+          region.push(next);
+          queue.push(next);
+        }
+      });
+    }
+    
+    return region;
+  }
+  
+  /**
+   * Gets the largest region reachable without passing through a closed door.
+   * On upper floors this is the region the stairs lead to.
+   * @returns {Array} The cells in the main region
+   */
+  getMainRegion() {
+    const blocked = this.getClosedDoorKeys();
+    
+    const landing = this.stairs.find(stairs => stairs.floor + 1 === this.currentFloor);
+    if (landing) {
+      return this.getRegion({ x: landing.x, y: landing.y }, blocked);
     }
+    
+    const visited = new Set(blocked);
+    let mainRegion = [];
+    
+    this.getPathCells().forEach(cell => {
+      if (visited.has(`${cell.x},${cell.y}`)) return;
+      
+      const region = this.getRegion(cell, blocked);
+      region.forEach(c => visited.add(`${c.x},${c.y}`));
+      
+      if (region.length > mainRegion.length) {
+        mainRegion = region;
+      }
+    });
+    
+    return mainRegion;
+  }
+  
+  /**
+   * Checks if a cell must not be changed by a maze shift (near the exit, a door, a key, stairs or a spawn point).
+   * @param {number} x - The x coordinate
+   * @param {number} y - The y coordinate
+   * @param {number} floor - The floor (optional, defaults to the ground floor)
+   * @returns {boolean} True if the cell is protected
+   */
+  isProtectedCell(x, y, floor = 0) {
+    // Skip cells near the exit
+    if (this.isNearExit(x, y, floor)) return true;
+    
+    const onFloor = thing => (thing.floor || 0) === floor;
+    
+    // Skip doors, their frames, key spots, stairs with their landings and spawn points
+    return this.doors.some(door => onFloor(door) && Math.abs(door.x - x) <= 1 && Math.abs(door.y - y) <= 1) ||
+      this.keys.some(key => onFloor(key) && key.x === x && key.y === y) ||
+      this.stairs.some(stairs => (stairs.floor === floor || stairs.floor + 1 === floor) && 
+        Math.abs(stairs.x - x) <= 1 && Math.abs(stairs.y - y) <= 1) ||
+      this.spawnPoints.some(cell => onFloor(cell) && cell.x === x && cell.y === y);
+  }
+  
+  /**
+   * Opens a door.
+   * @param {string} doorId - The door ID
+   * @returns {Object|null} The opened door, or null if not found
+   */
+  openDoor(doorId) {
+    const door = this.doors.find(d => d.id === doorId);
+    if (!door) return null;
+    
+    door.isOpen = true;
+    return door;
+  }
+  
+  /**
+   * Sets how fast the shift timer runs, e.g. 2 shifts the maze twice as often.
+   * @param {number} rate - The shift rate multiplier
+   */
+  setShiftRate(rate) {
+    this.shiftRate = rate;
   }
   
   /**
@@ -537,7 +1145,9 @@ class MazeGenerator {
    * @returns {boolean} True if the maze was updated
    */
   updateMaze(deltaTime) {
-    this.nextShiftTime -= deltaTime / 1000; // Convert to seconds
+    if (!this.shifting) return false;
+    
+    this.nextShiftTime -= deltaTime / 1000 * this.shiftRate; // Convert to seconds
     
     if (this.nextShiftTime <= 0) {
       this.shiftMazeWalls();
@@ -552,21 +1162,58 @@ class MazeGenerator {
    * Shifts some walls in the maze.
    */
   shiftMazeWalls() {
+    // Remember the layout to find out which cells changed
+    const previousLevels = this.levels.map(level => level.map(column => column.slice()));
+    
+    for (let floor = 0; floor < this.floors; floor++) {
+      this.shiftFloorWalls(floor);
+    }
+    
+    // Ensure the maze is still solvable
+    this.ensureMazeIsSolvable();
+    
+    // Undo the shift on floors where it walled in a key or opened a way around a locked door
+    for (let floor = 0; floor < this.floors; floor++) {
+      if (!this.keepsDoorsLocked(floor, previousLevels[floor])) {
+        previousLevels[floor].forEach((column, x) => {
+          this.levels[floor][x] = column.slice();
+        });
+      }
+    }
+    this.useFloor(0);
+    
+    // Record the changes as a new version
+    this.changedCells = [];
+    this.levels.forEach((level, floor) => {
+      for (let x = 0; x < this.width; x++) {
+        for (let y = 0; y < this.height; y++) {
+          if (previousLevels[floor][x][y] !== level[x][y]) {
+            this.changedCells.push({ x, y, floor, isWall: level[x][y] });
+          }
+        }
+      }
+    });
+    this.version++;
+  }
+  
+  /**
+   * Shifts some walls on one floor.
+   * @param {number} floor - The floor
+   */
+  shiftFloorWalls(floor) {
+    this.useFloor(floor);
+    
     // Don't modify the exit or cells adjacent to it
     const wallsToShift = [];
     
     // Find walls that can be shifted
     for (let x = 1; x < this.width - 1; x++) {
       for (let y = 1; y < this.height - 1; y++) {
-        // Skip cells near the exit
-        const distance = Math.sqrt(
-          Math.pow(x - this.exitPosition.x, 2) + 
-          Math.pow(y - this.exitPosition.y, 2)
-        );
-        if (distance < 3) continue;
+        // Skip cells near the exit, doors, keys and stairs
+        if (this.isProtectedCell(x, y, floor)) continue;
         
         // Randomly select walls to shift
-        if (Math.random() < this.shiftChance) {
+        if (this.random() < this.shiftChance) {
           if (this.mazeGrid[x][y]) {
             // This is a wall, check if it can become a path
             let adjacentPaths = 0;
@@ -605,8 +1252,29 @@ class MazeGenerator {
       this.mazeGrid[wall.x][wall.y] = wall.toWall;
     });
     
-    // Ensure the maze is still solvable
-    this.ensureMazeIsSolvable();
+    this.useFloor(0);
+  }
+  
+  /**
+   * Gets the update to send clients after a shift: the changed cells, or the full maze
+   * when so much changed that a delta would not be smaller.
+   * @returns {Object} The maze update
+   */
+  getMazeUpdate() {
+    if (this.changedCells.length > this.width * this.height * this.floors * this.maxDeltaRatio) {
+      return {
+        full: true,
+        version: this.version,
+        maze: this.getMaze()
+      };
+    }
+    
+    return {
+      full: false,
+      version: this.version,
+      baseVersion: this.version - 1, // The version the cells apply to
+      cells: this.changedCells
+    };
   }
   
   /**
@@ -615,11 +1283,20 @@ class MazeGenerator {
    */
   getMaze() {
     return {
-      grid: this.mazeGrid,
+      levels: this.levels,
       width: this.width,
       height: this.height,
+      floors: this.floors,
+      floorHeight: this.floorHeight,
       cellSize: this.cellSize,
-      exitPosition: this.exitPosition
+      exitPosition: this.exitPosition,
+      doors: this.doors,
+      keys: this.keys,
+      stairs: this.stairs,
+      spawnPoints: this.spawnPoints,
+      shifting: this.shifting,
+      seed: this.seed,
+      version: this.version
     };
   }
   
@@ -709,7 +1386,7 @@ class MazeGenerator {
     for (let y = gridSpacing; y < this.height; y += gridSpacing * 2) {
       for (let x = gridSpacing; x < this.width; x += gridSpacing * 2) {
         // Create a crossroad or T-junction with some randomness
-        const junctionType = Math.floor(Math.random() * 4);
+        const junctionType = Math.floor(this.random() * 4);
         
         // Clear the center
         if (this.isInBounds({x, y})) {
@@ -777,9 +1454,9 @@ class MazeGenerator {
     
     // Create some random connections between adjacent rings
     for (let radius = 3; radius < maxRadius; radius += 3) {
-      const numConnections = 4 + Math.floor(Math.random() * 4); // 4-7 connections
+      const numConnections = 4 + Math.floor(this.random() * 4); // 4-7 connections
       for (let i = 0; i < numConnections; i++) {
-        const angle = (i * 2 * Math.PI) / numConnections + (Math.random() * Math.PI / 4);
+        const angle = (i * 2 * Math.PI) / numConnections + (this.random() * Math.PI / 4);
         this.createRingConnection(centerX, centerY, radius, angle);
       }
     }
@@ -868,11 +1545,11 @@ class MazeGenerator {
     
     // Add some connecting paths
     for (let i = 0; i < 10; i++) {
-      const x = Math.floor(Math.random() * (this.width / 2));
-      const y = Math.floor(Math.random() * (this.height / 2));
+      const x = Math.floor(this.random() * (this.width / 2));
+      const y = Math.floor(this.random() * (this.height / 2));
       
       // Create a horizontal or vertical path
-      if (Math.random() < 0.5) {
+      if (this.random() < 0.5) {
         // Horizontal path
         for (let j = 0; j < this.width; j++) {
           if (this.isInBounds({x: j, y})) {
@@ -1,36 +1,177 @@
+const Pathfinder = require('./Pathfinder');
+const SeededRandom = require('./SeededRandom');
+
+/**
+ * Monster definitions. Colours and names for each type live in the client's monster.js.
+ * detectionRadius is how far a monster can see, viewAngle the width of its view cone in radians.
+ * minTime is the elapsed game time in seconds before a type starts spawning.
+ */
+const MONSTER_TYPES = {
+  basic: {
+    health: 100, patrolSpeed: 2, chaseSpeed: 4, detectionRadius: 10, viewAngle: Math.PI * 2 / 3,
+    attackRange: 1.5, damage: 10, attackCooldown: 2, minTime: 0,
+    special: null
+  },
+  fast: {
+    health: 50, patrolSpeed: 3, chaseSpeed: 6, detectionRadius: 8, viewAngle: Math.PI * 5 / 6,
+    attackRange: 1.2, damage: 6, attackCooldown: 1, minTime: 60,
+    // Gives up a chase after a few seconds and ignores that player for a while
+    special: 'loseInterest', interestDuration: 4, boredDuration: 8
+  },
+  tank: {
+    health: 250, patrolSpeed: 1.2, chaseSpeed: 2.5, detectionRadius: 8, viewAngle: Math.PI / 2,
+    attackRange: 1.8, damage: 25, attackCooldown: 3, minTime: 120,
+    special: null
+  },
+  boss: {
+    health: 500, patrolSpeed: 1.5, chaseSpeed: 3.5, detectionRadius: 14, viewAngle: Math.PI,
+    attackRange: 2, damage: 30, attackCooldown: 2.5, minTime: 300, maxCount: 1,
+    // Roars when it spots a player, summoning minions and alerting monsters nearby
+    special: 'roar', roarCooldown: 30, roarRadius: 15, summonType: 'basic', summonCount: 2
+  }
+};
+
+/**
+ * Weighted spawn tables per game mode. Weights ramp up over rampTime seconds once a type's minTime has passed.
+ */
+const SPAWN_TABLES = {
+  coop: { basic: 60, fast: 20, tank: 15, boss: 5 },
+  betrayal: { basic: 50, fast: 30, tank: 15, boss: 5 },
+  pvp: { basic: 45, fast: 25, tank: 25, boss: 5 }
+};
+
 /**
  * Manages monster spawning, AI behavior, and interactions.
  */
 class MonsterManager {
   /**
    * Creates a new monster manager.
+   * @param {number|string} seed - Seed for spawns and wandering (optional, random if not provided)
    */
-  constructor() {
-    // Monster settings
+  constructor(seed = null) {
+    // Monster settings, see setSpawnRules for the ones rooms can change
     this.monstersPerPlayer = 2;
     this.spawnInterval = 60; // Seconds between monster spawns
     this.nextSpawnTime = this.spawnInterval;
+    this.maxMonsters = 20; // Hard cap, including monsters summoned by bosses
+    this.minPlayerDistance = 8; // Minimum walking distance in cells between a spawn and every player
+    this.minExitDistance = 5; // Minimum walking distance in cells between a spawn and the exit
+    this.spawnRuleLimits = { // Bounds spawn rules are clamped to, so a room can't flood the game with monsters
+      monstersPerPlayer: { min: 0, max: 10 },
+      spawnInterval: { min: 5, max: 600 },
+      maxMonsters: { min: 0, max: 50 },
+      minPlayerDistance: { min: 0, max: 50 },
+      minExitDistance: { min: 0, max: 50 }
+    };
+    this.rampTime = 120; // Seconds for a monster type to reach its full spawn weight
+    this.gameMode = 'coop';
+    this.elapsedTime = 0; // Seconds since the game started
+    
+    // Pressure set by the AI director, see setPressure
+    this.spawnRate = 1; // Multiplier for how fast the spawn timer runs
+    this.aggression = 1; // Multiplier for sight range, chase speed and memory
     
     // Monster state
     this.monsters = [];
+    this.nextMonsterId = 1;
+    this.pendingAttacks = []; // Attacks performed during the current update
+    this.pendingRoars = []; // Boss roars performed during the current update
+    this.pendingNoises = new Map(); // Maps noise sources to the loudest noise they made since the last update
+    
+    // AI settings (speeds, ranges and damage are per type, see MONSTER_TYPES)
+    this.patrolRadius = 7; // Maximum patrol distance in cells
+    
+    // Perception settings (sight ranges and view cones are per type)
+    this.awarenessRadius = 1.5; // Players this close are noticed even outside the view cone
+    this.memoryDuration = 8; // Seconds a monster keeps hunting a target it lost sight of
+    this.wallMuffling = 0.5; // Share of a noise's radius heard through walls
+    this.gameTime = 0; // Game time in seconds, for checking the players' timed effects
+    
+    // Pathfinding on the maze grid
+    this.pathfinder = new Pathfinder();
+    this.monsterPaths = new Map(); // Maps monster IDs to their current path
     
-    // AI settings
-    this.detectionRadius = 10;
-    this.attackRange = 1.5;
-    this.patrolSpeed = 2;
-    this.chaseSpeed = 4;
-    this.attackCooldown = 2;
-    this.attackDamage = 10;
+    // Network updates
+    this.positionPrecision = 100; // Positions are rounded to 1/100 of a unit
+    this.lastSentStates = new Map(); // Maps monster IDs to the state last sent to clients
+    
+    // Randomness, seeded from the maze so a simulation plays out the same way every time
+    this.rng = new SeededRandom(seed === null ? SeededRandom.generateSeed() : `${seed}:monsters`);
+  }
+  
+  /**
+   * Sets the maze monsters navigate. Called on game start and whenever the maze shifts.
+   * @param {Object} maze - The maze data
+   */
+  setMaze(maze) {
+    this.pathfinder.setMaze(maze);
+    
+    // Layout changed, so every computed path is stale
+    this.monsterPaths.clear();
+    
+    // Move any monster that ended up inside a wall to the nearest open cell
+    this.monsters.forEach(monster => this.placeOnWalkableCell(monster));
+  }
+  
+  /**
+   * Sets the game mode, which selects the spawn table.
+   * @param {string} mode - The game mode
+   */
+  setGameMode(mode) {
+    if (SPAWN_TABLES[mode]) {
+      this.gameMode = mode;
+    }
+  }
+  
+  /**
+   * Applies a room's monster spawn rules. Unknown or invalid values are ignored, the others are clamped
+   * to spawnRuleLimits.
+   * @param {Object} rules - Spawn rules (monstersPerPlayer, spawnInterval, maxMonsters, minPlayerDistance, minExitDistance)
+   */
+  setSpawnRules(rules = {}) {
+    Object.entries(this.spawnRuleLimits).forEach(([key, limits]) => {
+      const value = rules[key];
+      if (typeof value === 'number' && Number.isFinite(value) && value >= 0) {
+        this[key] = Math.min(Math.max(value, limits.min), limits.max);
+      }
+    });
+    
+    this.nextSpawnTime = this.spawnInterval;
+  }
+  
+  /**
+   * Applies the pressure chosen by the AI director.
+   * @param {Object} pressure - The pressure ({ spawnRate, aggression })
+   */
+  setPressure(pressure) {
+    this.spawnRate = pressure.spawnRate;
+    this.aggression = pressure.aggression;
+  }
+  
+  /**
+   * Gets the definition of a monster's type.
+   * @param {Object} monster - The monster object
+   * @returns {Object} The type definition
+   */
+  getMonsterType(monster) {
+    return MONSTER_TYPES[monster.type] || MONSTER_TYPES.basic;
   }
   
   /**
    * Updates all monsters.
    * @param {Array} players - Array of player objects
    * @param {number} deltaTime - Time since last update in milliseconds
+   * @param {number} gameTime - Current game time in seconds (optional, defaults to the time since the game started)
+   * @returns {Array} Attacks performed during this update ({ monsterId, playerId, damage })
    */
-  updateMonsters(players, deltaTime) {
+  updateMonsters(players, deltaTime, gameTime = null) {
+    this.pendingAttacks = [];
+    this.pendingRoars = [];
+    this.elapsedTime += deltaTime / 1000; // Convert to seconds
+    this.gameTime = gameTime !== null ? gameTime : this.elapsedTime;
+    
     // Update spawn timer
-    this.nextSpawnTime -= deltaTime / 1000; // Convert to seconds
+    this.nextSpawnTime -= deltaTime / 1000 * this.spawnRate; // Convert to seconds
     
     // Spawn monsters if needed
     if (this.nextSpawnTime <= 0 && players.length > 0) {
@@ -38,10 +179,16 @@ class MonsterManager {
       this.nextSpawnTime = this.spawnInterval;
     }
     
+    // Let monsters hear the noises made since the last update
+    this.pendingNoises.forEach(noise => this.monsters.forEach(monster => this.hearNoise(monster, noise)));
+    this.pendingNoises.clear();
+    
     // Update each monster
     this.monsters.forEach(monster => {
       this.updateMonsterAI(monster, players, deltaTime / 1000);
     });
+    
+    return this.pendingAttacks;
   }
   
   /**
@@ -49,62 +196,257 @@ class MonsterManager {
    * @param {Array} players - Array of player objects
    */
   spawnMonsters(players) {
-    const monstersToSpawn = players.length * this.monstersPerPlayer - this.monsters.length;
+    const monstersToSpawn = Math.min(
+      players.length * this.monstersPerPlayer - this.monsters.length,
+      this.maxMonsters - this.monsters.length
+    );
+    
+    // Work out the free cells once for the whole wave
+    const cells = this.getSpawnCells(players);
     
     for (let i = 0; i < monstersToSpawn; i++) {
-      // Create a new monster
-      const monster = {
-        id: `monster_${Date.now()}_${i}`,
-        position: this.getRandomSpawnPosition(players),
-        state: 'idle', // idle, patrol, chase, attack
-        target: null,
-        patrolDestination: null,
-        speed: this.patrolSpeed,
-        attackTimer: 0,
-        stateTimer: Math.random() * 3 + 1 // 1-4 seconds
-      };
+      // Stop once every free cell has a monster
+      if (this.pathfinder.hasMaze() && cells.length === 0) break;
       
-      this.monsters.push(monster);
+      const monster = this.createMonster(this.pickMonsterType(), this.getRandomSpawnPosition(players, cells));
+      this.placeOnWalkableCell(monster);
     }
   }
   
+  /**
+   * Creates a monster of the given type and adds it to the game.
+   * @param {string} type - The monster type
+   * @param {Object} position - The spawn position
+   * @returns {Object} The created monster
+   */
+  createMonster(type, position) {
+    const definition = MONSTER_TYPES[type];
+    
+    const monster = {
+      id: `monster_${this.nextMonsterId++}`,
+      type,
+      position,
+      health: definition.health,
+      maxHealth: definition.health,
+      state: 'idle', // idle, patrol, chase, attack
+      target: null,
+      lastKnownPosition: null, // Where the target was last seen or heard
+      memoryTimer: 0, // Seconds until the monster forgets a target it can't see
+      facing: this.rng.next() * Math.PI * 2, // Heading in radians, 0 is towards +z
+      patrolDestination: null,
+      speed: definition.patrolSpeed,
+      attackTimer: 0,
+      stateTimer: this.rng.next() * 3 + 1, // 1-4 seconds
+      specialTimer: 0, // Cooldown of the type's special ability
+      ignoredTarget: null, // Player a bored monster won't chase
+      ignoreTimer: 0
+    };
+    
+    this.monsters.push(monster);
+    
+    return monster;
+  }
+  
+  /**
+   * Picks the type of a new monster, weighted by game mode and elapsed time.
+   * Tougher types only appear later in the game and become more common over time.
+   * @returns {string} The monster type
+   */
+  pickMonsterType() {
+    const table = SPAWN_TABLES[this.gameMode];
+    
+    const entries = Object.entries(table).map(([type, weight]) => {
+      const definition = MONSTER_TYPES[type];
+      const activeTime = this.elapsedTime - definition.minTime;
+      
+      // Not unlocked yet, or at its limit
+      if (activeTime < 0) return [type, 0];
+      if (definition.maxCount !== undefined && 
+          this.monsters.filter(m => m.type === type).length >= definition.maxCount) {
+        return [type, 0];
+      }
+      
+      // Ramp up from a quarter of the weight to the full weight
+      const ramp = definition.minTime === 0 ? 1 : Math.min(1, 0.25 + activeTime / this.rampTime);
+      return [type, weight * ramp];
+    });
+    
+    const totalWeight = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    if (totalWeight <= 0) return 'basic';
+    
+    let roll = this.rng.next() * totalWeight;
+    for (const [type, weight] of entries) {
+      roll -= weight;
+      if (roll < 0) return type;
+    }
+    
+    return 'basic';
+  }
+  
+  /**
+   * Gets the cells monsters may spawn on: open cells at least the minimum walking distance
+   * away from every player and from the exit. Cells no player can reach (e.g. behind locked doors)
+   * and cells that already hold a monster are skipped.
+   * If the maze is too small for the rules, the cells furthest from the players are used instead.
+   * @param {Array} players - Array of player objects
+   * @returns {Array} List of cells
+   */
+  getSpawnCells(players) {
+    if (!this.pathfinder.hasMaze()) return [];
+    
+    const maze = this.pathfinder.maze;
+    const activePlayers = players.filter(p => !p.hasEscaped && !p.isTrapped);
+    const playerDistances = this.pathfinder.getDistanceMap(
+      activePlayers.map(player => this.pathfinder.worldToCell(player.position))
+    );
+    const exitDistances = this.pathfinder.getDistanceMap([maze.exitPosition]);
+    
+    const playerDistance = cell => this.pathfinder.getDistance(playerDistances, cell);
+    
+    const cellKey = cell => `${cell.x},${cell.y},${cell.floor}`;
+    const occupied = new Set(this.monsters.map(monster => cellKey(this.pathfinder.worldToCell(monster.position))));
+    
+    const reachable = this.pathfinder.getWalkableCells().filter(cell => 
+      !occupied.has(cellKey(cell)) &&
+      (activePlayers.length === 0 || playerDistance(cell) !== Infinity)
+    );
+    
+    const cells = reachable.filter(cell => 
+      (activePlayers.length === 0 || playerDistance(cell) >= this.minPlayerDistance) &&
+      this.pathfinder.getDistance(exitDistances, cell) >= this.minExitDistance
+    );
+    
+    if (cells.length > 0 || activePlayers.length === 0) return cells;
+    
+    // Fall back to the cells furthest from any player
+    const furthest = Math.max(...reachable.map(playerDistance));
+    return reachable.filter(cell => playerDistance(cell) === furthest);
+  }
+  
   /**
    * Gets a random spawn position for a monster.
    * @param {Array} players - Array of player objects
+   * @param {Array} cells - Cells to pick from, picked cells are removed (optional, computed if not provided)
    * @returns {Object} A position object with x, y, z coordinates
    */
-  getRandomSpawnPosition(players) {
-    // Spawn monsters away from players
-    let position;
-    let validPosition = false;
-    
-    // Try up to 10 times to find a valid position
-    for (let attempt = 0; attempt < 10; attempt++) {
-      // Random position in a large area
-      position = {
-        x: (Math.random() - 0.5) * 100,
-        y: 0, // Ground level
-        z: (Math.random() - 0.5) * 100
-      };
+  getRandomSpawnPosition(players, cells = null) {
+    const spawnCells = cells || this.getSpawnCells(players);
+    
+    // Without a maze there are no cells to pick from
+    if (spawnCells.length === 0) {
+      return { x: 0, y: 0, z: 0 };
+    }
+    
+    const cell = spawnCells.splice(this.rng.nextInt(spawnCells.length), 1)[0];
+    return this.pathfinder.cellToWorld(cell);
+  }
+  
+  /**
+   * Moves a monster to the center of the nearest walkable cell if it is inside a wall or outside the maze.
+   * @param {Object} monster - The monster object
+   */
+  placeOnWalkableCell(monster) {
+    if (!this.pathfinder.hasMaze()) return;
+    
+    const cell = this.pathfinder.worldToCell(monster.position);
+    if (this.pathfinder.isWalkable(cell)) return;
+    
+    const nearestCell = this.pathfinder.findNearestWalkableCell(cell);
+    if (nearestCell) {
+      monster.position = this.pathfinder.cellToWorld(nearestCell);
+      this.monsterPaths.delete(monster.id);
+    }
+  }
+  
+  /**
+   * Moves a monster one step towards a destination, following a path on the maze grid.
+   * Paths can lead up and down stairs to other floors.
+   * @param {Object} monster - The monster object
+   * @param {Object} destination - The world position to move towards
+   * @param {number} speed - The movement speed
+   * @returns {boolean} False if the destination cannot be reached
+   */
+  moveTowards(monster, destination, speed) {
+    const step = speed * 0.1;
+    
+    // Without a maze there is nothing to path around, move in a straight line
+    if (!this.pathfinder.hasMaze()) {
+      this.stepTowards(monster, destination, step);
+      return true;
+    }
+    
+    const goalCell = this.pathfinder.worldToCell(destination);
+    let route = this.monsterPaths.get(monster.id);
+    
+    // Recompute the path if the maze shifted or the destination moved to another cell
+    if (!route || 
+        route.mazeVersion !== this.pathfinder.mazeVersion ||
+        !Pathfinder.isSameCell(route.goal, goalCell)) {
+      const startCell = this.pathfinder.worldToCell(monster.position);
+      const cells = this.pathfinder.findPath(startCell, goalCell);
       
-      // Check if position is far enough from all players
-      validPosition = true;
-      for (const player of players) {
-        const distance = Math.sqrt(
-          Math.pow(position.x - player.position.x, 2) +
-          Math.pow(position.z - player.position.z, 2)
-        );
-        
-        if (distance < 20) { // Minimum 20 units away from any player
-          validPosition = false;
-          break;
-        }
+      if (!cells) {
+        this.monsterPaths.delete(monster.id);
+        return false;
       }
       
-      if (validPosition) break;
+      route = { goal: goalCell, cells, mazeVersion: this.pathfinder.mazeVersion };
+      this.monsterPaths.set(monster.id, route);
+    }
+    
+    // Follow the path cell by cell, then head straight for the destination inside the goal cell
+    const waypoint = route.cells.length > 0 ? 
+      this.pathfinder.cellToWorld(route.cells[0]) : 
+      destination;
+    
+    if (this.stepTowards(monster, waypoint, step) && route.cells.length > 0) {
+      // Taking the stairs moves the monster to the waypoint's floor
+      monster.position.y = waypoint.y;
+      route.cells.shift();
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Checks if two positions are on the same floor of the maze.
+   * @param {Object} a - The first position
+   * @param {Object} b - The second position
+   * @returns {boolean} True if both are on the same floor, or there is no maze
+   */
+  isOnSameFloor(a, b) {
+    if (!this.pathfinder.hasMaze()) return true;
+    
+    const maze = this.pathfinder.maze;
+    return Pathfinder.getFloor(maze, a) === Pathfinder.getFloor(maze, b);
+  }
+  
+  /**
+   * Moves a monster in a straight line towards a point.
+   * @param {Object} monster - The monster object
+   * @param {Object} point - The world position to move towards
+   * @param {number} step - The maximum distance to move
+   * @returns {boolean} True if the monster reached the point
+   */
+  stepTowards(monster, point, step) {
+    const dx = point.x - monster.position.x;
+    const dz = point.z - monster.position.z;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+    
+    // Look where we're going
+    if (distance > 0) {
+      monster.facing = Math.atan2(dx, dz);
+    }
+    
+    if (distance <= step) {
+      monster.position.x = point.x;
+      monster.position.z = point.z;
+      return true;
     }
     
-    return position;
+    monster.position.x += (dx / distance) * step;
+    monster.position.z += (dz / distance) * step;
+    return false;
   }
   
   /**
@@ -119,6 +461,16 @@ class MonsterManager {
     if (monster.attackTimer > 0) {
       monster.attackTimer -= deltaTime;
     }
+    if (monster.specialTimer > 0) {
+      monster.specialTimer -= deltaTime;
+    }
+    if (monster.memoryTimer > 0) {
+      monster.memoryTimer -= deltaTime;
+    }
+    if (monster.ignoreTimer > 0) {
+      monster.ignoreTimer -= deltaTime;
+      if (monster.ignoreTimer <= 0) monster.ignoredTarget = null;
+    }
     
     // State machine
     switch (monster.state) {
@@ -147,8 +499,7 @@ class MonsterManager {
     const target = this.findNearestTarget(monster, players);
     if (target) {
       // Found a target, switch to chase state
-      monster.target = target.id;
-      this.changeState(monster, 'chase');
+      this.spotTarget(monster, target);
       return;
     }
     
@@ -175,15 +526,16 @@ class MonsterManager {
       const dz = monster.patrolDestination.z - monster.position.z;
       const distance = Math.sqrt(dx * dx + dz * dz);
       
-      if (distance > 0.5) {
-        // Move towards destination
-        const speed = this.patrolSpeed;
-        monster.position.x += (dx / distance) * speed * 0.1;
-        monster.position.z += (dz / distance) * speed * 0.1;
+      if (distance > 0.5 || !this.isOnSameFloor(monster.position, monster.patrolDestination)) {
+        // Move towards destination along the maze corridors
+        if (!this.moveTowards(monster, monster.patrolDestination, this.getMonsterType(monster).patrolSpeed)) {
+          // Destination became unreachable (e.g. the maze shifted), pick another one
+          monster.patrolDestination = null;
+        }
       } else {
         // Reached destination, wait then find a new one
         monster.patrolDestination = null;
-        monster.stateTimer = Math.random() * 2 + 1; // 1-3 seconds
+        monster.stateTimer = this.rng.next() * 2 + 1; // 1-3 seconds
       }
     }
     
@@ -191,8 +543,7 @@ class MonsterManager {
     const target = this.findNearestTarget(monster, players);
     if (target) {
       // Found a target, switch to chase state
-      monster.target = target.id;
-      this.changeState(monster, 'chase');
+      this.spotTarget(monster, target);
     }
   }
   
@@ -205,33 +556,79 @@ class MonsterManager {
     // Find target player
     const target = players.find(p => p.id === monster.target);
     
-    // If we don't have a target, go back to idle
-    if (!target) {
+    // If we don't have a target (or it escaped or died), go back to idle
+    if (!target || target.hasEscaped || target.isTrapped) {
       this.changeState(monster, 'idle');
       return;
     }
     
-    // Move towards target
-    const dx = target.position.x - monster.position.x;
-    const dz = target.position.z - monster.position.z;
+    const definition = this.getMonsterType(monster);
+    
+    // Fast monsters get bored of a chase and leave the player alone for a while
+    if (definition.special === 'loseInterest' && monster.stateTimer <= 0) {
+      monster.ignoredTarget = target.id;
+      monster.ignoreTimer = definition.boredDuration;
+      this.loseTarget(monster);
+      return;
+    }
+    
+    // Keep track of the target while it's in sight
+    const visible = this.canSee(monster, target);
+    if (visible) {
+      monster.lastKnownPosition = { ...target.position };
+      monster.memoryTimer = this.memoryDuration * this.aggression;
+    }
+    
+    // Forget a target that stayed out of sight for too long
+    if (!monster.lastKnownPosition || monster.memoryTimer <= 0) {
+      this.loseTarget(monster);
+      return;
+    }
+    
+    const dx = monster.lastKnownPosition.x - monster.position.x;
+    const dz = monster.lastKnownPosition.z - monster.position.z;
     const distance = Math.sqrt(dx * dx + dz * dz);
     
     // Check if we're close enough to attack
-    if (distance <= this.attackRange) {
+    if (visible && distance <= definition.attackRange) {
       this.changeState(monster, 'attack');
       return;
     }
     
-    // If target is too far away, go back to patrol
-    if (distance > this.detectionRadius * 1.5) {
-      this.changeState(monster, 'patrol');
+    // Reached the last known position without finding the target, search the area around it
+    if (!visible && distance <= 0.5 && this.isOnSameFloor(monster.position, monster.lastKnownPosition)) {
+      this.loseTarget(monster);
       return;
     }
     
-    // Move towards target
-    const speed = this.chaseSpeed;
-    monster.position.x += (dx / distance) * speed * 0.1;
-    monster.position.z += (dz / distance) * speed * 0.1;
+    // Move towards the target (or where it was last seen) along the maze corridors
+    if (!this.moveTowards(monster, monster.lastKnownPosition, definition.chaseSpeed * this.aggression)) {
+      // No path to the target, give up the chase
+      this.loseTarget(monster);
+    }
+  }
+  
+  /**
+   * Makes a monster start chasing a player it noticed.
+   * @param {Object} monster - The monster object
+   * @param {Object} player - The player object
+   */
+  spotTarget(monster, player) {
+    monster.target = player.id;
+    monster.lastKnownPosition = { ...player.position };
+    monster.memoryTimer = this.memoryDuration * this.aggression;
+    this.changeState(monster, 'chase');
+  }
+  
+  /**
+   * Makes a monster give up its target and patrol around where it lost it.
+   * @param {Object} monster - The monster object
+   */
+  loseTarget(monster) {
+    monster.target = null;
+    monster.lastKnownPosition = null;
+    monster.memoryTimer = 0;
+    this.changeState(monster, 'patrol');
   }
   
   /**
@@ -243,8 +640,8 @@ class MonsterManager {
     // Find target player
     const target = players.find(p => p.id === monster.target);
     
-    // If we don't have a target, go back to idle
-    if (!target) {
+    // If we don't have a target (or it escaped or died), go back to idle
+    if (!target || target.hasEscaped || target.isTrapped) {
       this.changeState(monster, 'idle');
       return;
     }
@@ -254,8 +651,10 @@ class MonsterManager {
     const dz = target.position.z - monster.position.z;
     const distance = Math.sqrt(dx * dx + dz * dz);
     
-    // Check if target is still in range
-    if (distance > this.attackRange) {
+    const definition = this.getMonsterType(monster);
+    
+    // Check if target is still in range, an invisible target makes the monster lose track of it
+    if (distance > definition.attackRange || !this.canSee(monster, target)) {
       this.changeState(monster, 'chase');
       return;
     }
@@ -264,7 +663,7 @@ class MonsterManager {
     if (monster.attackTimer <= 0) {
       // Perform attack
       this.attackPlayer(monster, target);
-      monster.attackTimer = this.attackCooldown;
+      monster.attackTimer = definition.attackCooldown;
     }
   }
   
@@ -274,20 +673,32 @@ class MonsterManager {
    * @param {string} newState - The new state
    */
   changeState(monster, newState) {
+    const definition = this.getMonsterType(monster);
+    const previousState = monster.state;
     monster.state = newState;
     
     // Set up state-specific properties
     switch (newState) {
       case 'idle':
         monster.speed = 0;
-        monster.stateTimer = Math.random() * 3 + 1; // 1-4 seconds
+        monster.stateTimer = this.rng.next() * 3 + 1; // 1-4 seconds
         break;
       case 'patrol':
-        monster.speed = this.patrolSpeed;
+        monster.speed = definition.patrolSpeed;
         monster.patrolDestination = null; // Will be set in updatePatrolState
         break;
       case 'chase':
-        monster.speed = this.chaseSpeed;
+        monster.speed = definition.chaseSpeed * this.aggression;
+        
+        // Only a fresh chase restarts the interest timer, not coming back from an attack
+        if (definition.special === 'loseInterest' && previousState !== 'attack') {
+          monster.stateTimer = definition.interestDuration;
+        }
+        
+        // Bosses roar when they spot someone
+        if (definition.special === 'roar' && previousState !== 'attack' && monster.specialTimer <= 0) {
+          this.roar(monster, definition);
+        }
         break;
       case 'attack':
         monster.speed = 0;
@@ -300,9 +711,21 @@ class MonsterManager {
    * @param {Object} monster - The monster object
    */
   findPatrolDestination(monster) {
+    // Pick a random corridor cell within the patrol radius
+    if (this.pathfinder.hasMaze()) {
+      const currentCell = this.pathfinder.worldToCell(monster.position);
+      const cells = this.pathfinder.getWalkableCells(currentCell, this.patrolRadius)
+        .filter(cell => cell.x !== currentCell.x || cell.y !== currentCell.y);
+      
+      monster.patrolDestination = cells.length > 0 ? 
+        this.pathfinder.cellToWorld(cells[this.rng.nextInt(cells.length)]) : 
+        null;
+      return;
+    }
+    
     // Random point within patrol radius
-    const angle = Math.random() * Math.PI * 2;
-    const radius = Math.random() * 15; // Patrol radius
+    const angle = this.rng.next() * Math.PI * 2;
+    const radius = this.rng.next() * 15; // Patrol radius
     
     monster.patrolDestination = {
       x: monster.position.x + Math.cos(angle) * radius,
@@ -312,18 +735,20 @@ class MonsterManager {
   }
   
   /**
-   * Finds the nearest player to a monster.
+   * Finds the nearest player a monster can see.
    * @param {Object} monster - The monster object
    * @param {Array} players - Array of player objects
-   * @returns {Object|null} The nearest player or null if none in range
+   * @returns {Object|null} The nearest visible player or null if none in sight
    */
   findNearestTarget(monster, players) {
     let nearestPlayer = null;
-    let nearestDistance = this.detectionRadius;
+    let nearestDistance = Infinity;
     
     for (const player of players) {
-      // Skip escaped or trapped players
-      if (player.hasEscaped || player.isTrapped) continue;
+      // Skip the player a bored monster gave up on
+      if (player.id === monster.ignoredTarget) continue;
+      
+      if (!this.canSee(monster, player)) continue;
       
       const dx = player.position.x - monster.position.x;
       const dz = player.position.z - monster.position.z;
@@ -339,17 +764,164 @@ class MonsterManager {
   }
   
   /**
-   * Attacks a player.
+   * Checks if a monster can see a player: within its sight range and view cone, with no wall in between.
+   * Players right next to the monster are noticed whatever its facing. Invisible players can't be seen.
+   * @param {Object} monster - The monster object
+   * @param {Object} player - The player object
+   * @returns {boolean} True if the player is in sight
+   */
+  canSee(monster, player) {
+    // Escaped or trapped players are out of the game
+    if (player.hasEscaped || player.isTrapped) return false;
+    
+    // Invisibility potions hide players from sight, but not from hearing
+    if (player.effects && player.effects.invisibility > this.gameTime) return false;
+    
+    const definition = this.getMonsterType(monster);
+    const dx = player.position.x - monster.position.x;
+    const dz = player.position.z - monster.position.z;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+    
+    if (distance > definition.detectionRadius * this.aggression) return false;
+    
+    // Outside the view cone, only players right next to the monster are noticed
+    if (distance > this.awarenessRadius) {
+      let angle = Math.abs(Math.atan2(dx, dz) - monster.facing) % (Math.PI * 2);
+      if (angle > Math.PI) angle = Math.PI * 2 - angle;
+      
+      if (angle > definition.viewAngle / 2) return false;
+    }
+    
+    return this.pathfinder.hasLineOfSight(monster.position, player.position);
+  }
+  
+  /**
+   * Reports a noise monsters can hear, e.g. a player sprinting, jumping or using an item.
+   * Noises are heard during the next update, only the loudest noise per source counts.
+   * @param {Object} noise - The noise ({ sourceId, position, radius })
+   */
+  reportNoise(noise) {
+    if (!noise) return;
+    
+    const previous = this.pendingNoises.get(noise.sourceId);
+    if (!previous || noise.radius > previous.radius) {
+      this.pendingNoises.set(noise.sourceId, { ...noise, position: { ...noise.position } });
+    }
+  }
+  
+  /**
+   * Lets a monster react to a noise. Noises are muffled by walls between the monster and the source.
+   * A monster hunting the noise's source learns where it is, other monsters that aren't busy come to investigate.
+   * @param {Object} monster - The monster object
+   * @param {Object} noise - The noise ({ sourceId, position, radius })
+   */
+  hearNoise(monster, noise) {
+    const dx = noise.position.x - monster.position.x;
+    const dz = noise.position.z - monster.position.z;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+    
+    const radius = this.pathfinder.hasLineOfSight(monster.position, noise.position) ? 
+      noise.radius : 
+      noise.radius * this.wallMuffling;
+    if (distance > radius) return;
+    
+    if (monster.state === 'chase' || monster.state === 'attack') {
+      if (monster.target === noise.sourceId) {
+        monster.lastKnownPosition = { ...noise.position };
+        monster.memoryTimer = this.memoryDuration * this.aggression;
+      }
+      return;
+    }
+    
+    this.investigate(monster, noise.position);
+  }
+  
+  /**
+   * Sends a monster to investigate a position.
+   * @param {Object} monster - The monster object
+   * @param {Object} position - The position to investigate
+   */
+  investigate(monster, position) {
+    // Monsters walk to the center of the cell
+    const destination = this.pathfinder.hasMaze() ? 
+      this.pathfinder.cellToWorld(this.pathfinder.worldToCell(position)) : 
+      { x: position.x, y: 0, z: position.z };
+    
+    this.changeState(monster, 'patrol');
+    monster.target = null;
+    monster.patrolDestination = destination;
+    monster.facing = Math.atan2(destination.x - monster.position.x, destination.z - monster.position.z);
+    this.monsterPaths.delete(monster.id);
+  }
+  
+  /**
+   * Attacks a player. The attack is queued and returned from updateMonsters
+   * so the server can resolve the damage through the game manager.
    * @param {Object} monster - The monster object
    * @param {Object} player - The player object
    */
   attackPlayer(monster, player) {
-    // This would call a method on the game manager to apply damage
-    // For now, just log the attack
-    console.log(`Monster ${monster.id} attacks player ${player.id}`);
+    this.pendingAttacks.push({
+      monsterId: monster.id,
+      playerId: player.id,
+      damage: this.getMonsterType(monster).damage
+    });
+  }
+  
+  /**
+   * Makes a boss roar: monsters nearby join the chase and minions are summoned next to the boss.
+   * The roar is queued and returned from getRoars so the server can tell the clients.
+   * @param {Object} monster - The roaring monster
+   * @param {Object} definition - The monster's type definition
+   */
+  roar(monster, definition) {
+    monster.specialTimer = definition.roarCooldown;
+    
+    // Alert monsters in earshot that aren't busy
+    this.monsters.forEach(other => {
+      if (other === monster || other.state === 'chase' || other.state === 'attack') return;
+      
+      const dx = other.position.x - monster.position.x;
+      const dz = other.position.z - monster.position.z;
+      if (Math.sqrt(dx * dx + dz * dz) > definition.roarRadius) return;
+      
+      other.target = monster.target;
+      other.lastKnownPosition = { ...monster.lastKnownPosition };
+      other.memoryTimer = this.memoryDuration * this.aggression;
+      this.changeState(other, 'chase');
+    });
+    
+    // Summon minions on open cells around the boss
+    const summoned = [];
+    const count = Math.min(definition.summonCount, this.maxMonsters - this.monsters.length);
+    const cells = this.pathfinder.hasMaze() ? 
+      this.pathfinder.getWalkableCells(this.pathfinder.worldToCell(monster.position), 2) : 
+      [];
+    
+    for (let i = 0; i < count && cells.length > 0; i++) {
+      const cell = cells.splice(this.rng.nextInt(cells.length), 1)[0];
+      const minion = this.createMonster(definition.summonType, this.pathfinder.cellToWorld(cell));
+      
+      minion.target = monster.target;
+      minion.lastKnownPosition = { ...monster.lastKnownPosition };
+      minion.memoryTimer = this.memoryDuration * this.aggression;
+      this.changeState(minion, 'chase');
+      summoned.push(minion.id);
+    }
     
-    // In a real implementation, you would emit an event or call a method
-    // on the game manager to apply damage to the player
+    this.pendingRoars.push({
+      monsterId: monster.id,
+      position: { ...monster.position },
+      summoned
+    });
+  }
+  
+  /**
+   * Gets the boss roars performed during the last update.
+   * @returns {Array} Roars ({ monsterId, position, summoned })
+   */
+  getRoars() {
+    return this.pendingRoars;
   }
   
   /**
@@ -360,11 +932,125 @@ class MonsterManager {
     return this.monsters;
   }
   
+  /**
+   * Gets the monster changes since the last call, for delta-compressed game updates.
+   * New monsters are sent in full, known monsters only with the fields that changed.
+   * @returns {Object} The changed monsters and the IDs of removed monsters
+   */
+  getMonsterUpdates() {
+    const changed = [];
+    const currentIds = new Set();
+    
+    this.monsters.forEach(monster => {
+      currentIds.add(monster.id);
+      
+      const position = this.quantizePosition(monster.position);
+      const lastSent = this.lastSentStates.get(monster.id);
+      
+      if (!lastSent) {
+        // New monster, send everything the client needs to create it
+        changed.push({
+          id: monster.id,
+          type: monster.type,
+          health: monster.health,
+          maxHealth: monster.maxHealth,
+          position,
+          state: monster.state,
+          target: monster.target
+        });
+      } else {
+        const update = { id: monster.id };
+        
+        if (position.x !== lastSent.position.x || 
+            position.y !== lastSent.position.y || 
+            position.z !== lastSent.position.z) {
+          update.position = position;
+        }
+        if (monster.state !== lastSent.state) update.state = monster.state;
+        if (monster.target !== lastSent.target) update.target = monster.target;
+        
+        // Skip monsters that didn't change
+        if (Object.keys(update).length > 1) {
+          changed.push(update);
+        }
+      }
+      
+      this.lastSentStates.set(monster.id, {
+        position,
+        state: monster.state,
+        target: monster.target
+      });
+    });
+    
+    // Monsters that are gone since the last update
+    const removed = [];
+    for (const id of this.lastSentStates.keys()) {
+      if (!currentIds.has(id)) {
+        removed.push(id);
+        this.lastSentStates.delete(id);
+      }
+    }
+    
+    return { changed, removed };
+  }
+  
+  /**
+   * Rounds a position to the network precision.
+   * @param {Object} position - A position object with x, y, z coordinates
+   * @returns {Object} The rounded position
+   */
+  quantizePosition(position) {
+    return {
+      x: Math.round(position.x * this.positionPrecision) / this.positionPrecision,
+      y: Math.round((position.y || 0) * this.positionPrecision) / this.positionPrecision,
+      z: Math.round(position.z * this.positionPrecision) / this.positionPrecision
+    };
+  }
+  
+  /**
+   * Sends nearby monsters that aren't busy with a player to investigate a position.
+   * @param {Object} position - The position to lure monsters to
+   * @param {number} radius - Maximum distance of lured monsters from the position
+   * @returns {number} The number of lured monsters
+   */
+  lureMonsters(position, radius) {
+    let lured = 0;
+    
+    this.monsters.forEach(monster => {
+      if (monster.state === 'chase' || monster.state === 'attack') return;
+      
+      const dx = position.x - monster.position.x;
+      const dz = position.z - monster.position.z;
+      if (Math.sqrt(dx * dx + dz * dz) > radius) return;
+      
+      this.investigate(monster, position);
+      lured++;
+    });
+    
+    return lured;
+  }
+  
+  /**
+   * Points monsters targeting a player at the player's new ID after a reconnect.
+   * @param {string} oldId - The player's previous socket ID
+   * @param {string} newId - The player's new socket ID
+   */
+  renamePlayer(oldId, newId) {
+    this.monsters.forEach(monster => {
+      if (monster.target === oldId) {
+        monster.target = newId;
+      }
+    });
+  }
+  
   /**
    * Removes all monsters.
    */
   clearMonsters() {
     this.monsters = [];
+    this.monsterPaths.clear();
+    this.pendingNoises.clear();
+    this.elapsedTime = 0;
   }
 }
 
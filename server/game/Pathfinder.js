@@ -0,0 +1,456 @@
+/**
+ * Grid-based A* pathfinding over the maze grid.
+ * Cells carry the floor they are on (0 if not set), stairs connect a cell with the same cell one floor up.
+ */
+class Pathfinder {
+  /**
+   * Creates a new pathfinder.
+   * @param {Object} maze - The maze data (optional, can be set later)
+   */
+  constructor(maze = null) {
+    this.maze = null;
+    this.mazeVersion = 0; // Incremented every time the layout changes
+    this.maxSearchNodes = 5000; // Safety limit for large mazes
+    this.closedDoors = new Set();
+    
+    // Directions: Up, Right, Down, Left
+    this.directions = [
+      { x: 0, y: 1 },
+      { x: 1, y: 0 },
+      { x: 0, y: -1 },
+      { x: -1, y: 0 }
+    ];
+    
+    if (maze) {
+      this.setMaze(maze);
+    }
+  }
+  
+  /**
+   * Sets the maze to search and invalidates previously computed paths.
+   * @param {Object} maze - The maze data
+   */
+  setMaze(maze) {
+    this.maze = maze;
+    this.mazeVersion++;
+    
+    // Closed doors block movement like walls
+    this.closedDoors = new Set(
+      ((maze && maze.doors) || [])
+        .filter(door => !door.isOpen)
+        .map(door => `${door.x},${door.y},${door.floor || 0}`)
+    );
+  }
+  
+  /**
+   * Gets the floor a world position is on.
+   * @param {Object} maze - The maze data
+   * @param {Object} position - A position object with x, y, z coordinates
+   * @returns {number} The floor, 0 is the ground floor
+   */
+  static getFloor(maze, position) {
+    const floors = maze.levels ? maze.levels.length : 1;
+    if (floors === 1 || !Number.isFinite(position.y)) return 0;
+    
+    return Math.max(0, Math.min(floors - 1, Math.floor(position.y / maze.floorHeight)));
+  }
+  
+  /**
+   * Gets the stairs in a cell, if any. Stairs are on both of the floors they connect.
+   * @param {Object} maze - The maze data
+   * @param {Object} cell - The cell with x, y coordinates and floor
+   * @returns {Object|null} The stairs ({ id, x, y, floor } with floor the lower one), or null
+   */
+  static getStairsAt(maze, cell) {
+    const floor = cell.floor || 0;
+    
+    return (maze.stairs || []).find(stairs => 
+      stairs.x === cell.x && stairs.y === cell.y && (stairs.floor === floor || stairs.floor + 1 === floor)
+    ) || null;
+  }
+  
+  /**
+   * Checks if a maze has been set.
+   * @returns {boolean} True if a maze is available
+   */
+  hasMaze() {
+    return !!(this.maze && this.maze.levels);
+  }
+  
+  /**
+   * Checks if a cell is within the maze bounds.
+   * @param {Object} cell - The cell to check
+   * @returns {boolean} True if the cell is in bounds
+   */
+  isInBounds(cell) {
+    const floor = cell.floor || 0;
+    
+    return cell.x >= 0 && cell.x < this.maze.width && cell.y >= 0 && cell.y < this.maze.height &&
+      floor >= 0 && floor < this.maze.levels.length;
+  }
+  
+  /**
+   * Checks if a cell can be walked on.
+   * @param {Object} cell - The cell to check
+   * @returns {boolean} True if the cell is in bounds, not a wall and not a closed door
+   */
+  isWalkable(cell) {
+    const floor = cell.floor || 0;
+    
+    return this.isInBounds(cell) && 
+      !this.maze.levels[floor][cell.x][cell.y] && 
+      !this.closedDoors.has(`${cell.x},${cell.y},${floor}`);
+  }
+  
+  /**
+   * Gets the walkable cells next to a cell, including the other end of the stairs in it.
+   * @param {Object} cell - The cell with x, y coordinates and floor
+   * @returns {Array} List of neighboring cells
+   */
+  getNeighbors(cell) {
+    const floor = cell.floor || 0;
+    const neighbors = this.directions
+      .map(dir => ({ x: cell.x + dir.x, y: cell.y + dir.y, floor }))
+      .filter(neighbor => this.isWalkable(neighbor));
+    
+    const stairs = Pathfinder.getStairsAt(this.maze, cell);
+    if (stairs) {
+      const other = { x: cell.x, y: cell.y, floor: stairs.floor === floor ? floor + 1 : floor - 1 };
+      if (this.isWalkable(other)) neighbors.push(other);
+    }
+    
+    return neighbors;
+  }
+  
+  /**
+   * Converts a world position to a grid cell.
+   * @param {Object} position - A position object with x, y, z coordinates
+   * @returns {Object} The cell with x, y coordinates and floor
+   */
+  worldToCell(position) {
+    return {
+      x: Math.floor(position.x / this.maze.cellSize),
+      y: Math.floor(position.z / this.maze.cellSize),
+      floor: Pathfinder.getFloor(this.maze, position)
+    };
+  }
+  
+  /**
+   * Converts a grid cell to the world position of its center.
+   * @param {Object} cell - The cell with x, y coordinates and floor
+   * @returns {Object} A position object with x, y, z coordinates
+   */
+  cellToWorld(cell) {
+    return {
+      x: cell.x * this.maze.cellSize + this.maze.cellSize / 2,
+      y: (cell.floor || 0) * (this.maze.floorHeight || 0), // Ground level of the cell's floor
+      z: cell.y * this.maze.cellSize + this.maze.cellSize / 2
+    };
+  }
+  
+  /**
+   * Checks if two cells are the same.
+   * @param {Object} a - The first cell
+   * @param {Object} b - The second cell
+   * @returns {boolean} True if both have the same coordinates and floor
+   */
+  static isSameCell(a, b) {
+    return a.x === b.x && a.y === b.y && (a.floor || 0) === (b.floor || 0);
+  }
+  
+  /**
+   * Finds a path between two cells using A*.
+   * @param {Object} start - The start cell
+   * @param {Object} goal - The goal cell
+   * @returns {Array|null} List of cells from start (exclusive) to goal (inclusive), or null if unreachable
+   */
+  findPath(start, goal) {
+    if (!this.hasMaze() || !this.isWalkable(start) || !this.isWalkable(goal)) {
+      return null;
+    }
+    
+    if (Pathfinder.isSameCell(start, goal)) {
+      return [];
+    }
+    
+    const width = this.maze.width;
+    const height = this.maze.height;
+    const key = (cell) => ((cell.floor || 0) * height + cell.y) * width + cell.x;
+    const heuristic = (cell) => Math.abs(cell.x - goal.x) + Math.abs(cell.y - goal.y) + 
+      Math.abs((cell.floor || 0) - (goal.floor || 0));
+    
+    const openSet = new MinHeap();
+    const cameFrom = new Map();
+    const gScore = new Map();
+    const closed = new Set();
+    
+    gScore.set(key(start), 0);
+    openSet.push({ x: start.x, y: start.y, floor: start.floor || 0 }, heuristic(start));
+    
+    let searched = 0;
+    
+    while (openSet.size() > 0 && searched < this.maxSearchNodes) {
+      const current = openSet.pop();
+      const currentKey = key(current);
+      
+      if (closed.has(currentKey)) continue;
+      closed.add(currentKey);
+      searched++;
+      
+      // Check if we've reached the goal
+      if (Pathfinder.isSameCell(current, goal)) {
+        return this.reconstructPath(cameFrom, current, key);
+      }
+      
+      // Check all four directions and the stairs
+      for (const next of this.getNeighbors(current)) {
+        const nextKey = key(next);
+        
+        if (closed.has(nextKey)) continue;
+        
+        const tentativeScore = gScore.get(currentKey) + 1;
+        if (!gScore.has(nextKey) || tentativeScore < gScore.get(nextKey)) {
+          cameFrom.set(nextKey, current);
+          gScore.set(nextKey, tentativeScore);
+          openSet.push(next, tentativeScore + heuristic(next));
+        }
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Rebuilds a path by walking back from the goal.
+   * @param {Map} cameFrom - Map of cell keys to their predecessor cell
+   * @param {Object} goal - The goal cell
+   * @param {Function} key - Function converting a cell to its key
+   * @returns {Array} List of cells from start (exclusive) to goal (inclusive)
+   */
+  reconstructPath(cameFrom, goal, key) {
+    const path = [goal];
+    let current = goal;
+    
+    while (cameFrom.has(key(current))) {
+      current = cameFrom.get(key(current));
+      path.unshift(current);
+    }
+    
+    // Drop the start cell
+    path.shift();
+    
+    return path;
+  }
+  
+  /**
+   * Finds the closest walkable cell on the same floor to the given cell using breadth-first search.
+   * @param {Object} cell - The cell to search from (may be out of bounds)
+   * @returns {Object|null} The nearest walkable cell, or null if the floor has none
+   */
+  findNearestWalkableCell(cell) {
+    if (!this.hasMaze()) return null;
+    
+    // Clamp to the maze bounds first
+    const start = {
+      x: Math.max(0, Math.min(this.maze.width - 1, cell.x)),
+      y: Math.max(0, Math.min(this.maze.height - 1, cell.y)),
+      floor: Math.max(0, Math.min(this.maze.levels.length - 1, cell.floor || 0))
+    };
+    
+    if (this.isWalkable(start)) return start;
+    
+    const visited = Array(this.maze.width).fill().map(() => Array(this.maze.height).fill(false));
+    const queue = [start];
+    visited[start.x][start.y] = true;
+    
+    while (queue.length > 0) {
+      const current = queue.shift();
+      
+      for (const dir of this.directions) {
+        const next = { x: current.x + dir.x, y: current.y + dir.y, floor: start.floor };
+        
+        if (this.isInBounds(next) && !visited[next.x][next.y]) {
+          if (this.isWalkable(next)) return next;
+          
+          visited[next.x][next.y] = true;
+          queue.push(next);
+        }
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Checks if the straight line between two world positions only crosses walkable cells.
+   * The cells of both end points are ignored, so someone standing in a cell a wall just shifted into can still be seen.
+   * Floors block the view between them.
+   * @param {Object} from - The start position
+   * @param {Object} to - The end position
+   * @returns {boolean} True if no wall or closed door blocks the line
+   */
+  hasLineOfSight(from, to) {
+    if (!this.hasMaze()) return true;
+    
+    const startCell = this.worldToCell(from);
+    const endCell = this.worldToCell(to);
+    if (startCell.floor !== endCell.floor) return false;
+    
+    const distance = Math.sqrt(Math.pow(to.x - from.x, 2) + Math.pow(to.z - from.z, 2));
+    const steps = Math.max(1, Math.ceil(distance / (this.maze.cellSize / 4)));
+    
+    for (let i = 1; i < steps; i++) {
+      const t = i / steps;
+      const cell = this.worldToCell({
+        x: from.x + (to.x - from.x) * t,
+        y: from.y,
+        z: from.z + (to.z - from.z) * t
+      });
+      
+      if ((cell.x === startCell.x && cell.y === startCell.y) ||
+          (cell.x === endCell.x && cell.y === endCell.y)) {
+        continue;
+      }
+      
+      if (!this.isWalkable(cell)) return false;
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Computes the walking distance in cells from the nearest of the given cells to every cell (breadth-first search).
+   * Taking the stairs counts as one step.
+   * @param {Array} startCells - The cells to measure from
+   * @returns {Array} Distances indexed as [floor][x][y], Infinity for cells that can't be reached, see getDistance
+   */
+  getDistanceMap(startCells) {
+    if (!this.hasMaze()) return [];
+    
+    const distances = this.maze.levels.map(() => 
+      Array(this.maze.width).fill().map(() => Array(this.maze.height).fill(Infinity))
+    );
+    const queue = [];
+    
+    startCells.forEach(cell => {
+      const floor = cell.floor || 0;
+      if (this.isWalkable(cell) && distances[floor][cell.x][cell.y] !== 0) {
+        distances[floor][cell.x][cell.y] = 0;
+        queue.push({ x: cell.x, y: cell.y, floor });
+      }
+    });
+    
+    for (let i = 0; i < queue.length; i++) {
+      const current = queue[i];
+      const distance = distances[current.floor][current.x][current.y] + 1;
+      
+      for (const next of this.getNeighbors(current)) {
+        if (distances[next.floor][next.x][next.y] === Infinity) {
+          distances[next.floor][next.x][next.y] = distance;
+          queue.push(next);
+        }
+      }
+    }
+    
+    return distances;
+  }
+  
+  /**
+   * Looks up a cell in a distance map.
+   * @param {Array} distances - The distance map, see getDistanceMap
+   * @param {Object} cell - The cell with x, y coordinates and floor
+   * @returns {number} The distance, Infinity for cells that can't be reached or are out of bounds
+   */
+  getDistance(distances, cell) {
+    const level = distances[cell.floor || 0];
+    if (!level || !level[cell.x] || level[cell.x][cell.y] === undefined) return Infinity;
+    
+    return level[cell.x][cell.y];
+  }
+  
+  /**
+   * Gets all walkable cells, optionally limited to a radius around a cell on its floor.
+   * @param {Object} center - Center cell (optional)
+   * @param {number} radius - Maximum Manhattan distance from the center (optional)
+   * @returns {Array} List of walkable cells
+   */
+  getWalkableCells(center = null, radius = Infinity) {
+    const cells = [];
+    if (!this.hasMaze()) return cells;
+    
+    this.maze.levels.forEach((level, floor) => {
+      if (center && floor !== (center.floor || 0)) return;
+      
+      for (let x = 0; x < this.maze.width; x++) {
+        for (let y = 0; y < this.maze.height; y++) {
+          if (!this.isWalkable({ x, y, floor })) continue;
+          
+          if (center && Math.abs(x - center.x) + Math.abs(y - center.y) > radius) continue;
+          
+          cells.push({ x, y, floor });
+        }
+      }
+    });
+    
+    return cells;
+  }
+}
+
+/**
+ * Minimal binary heap used as the A* open set.
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+  
+  size() {
+    return this.items.length;
+  }
+  
+  push(value, priority) {
+    this.items.push({ value, priority });
+    
+    // Bubble up
+    let index = this.items.length - 1;
+    while (index > 0) {
+      const parent = Math.floor((index - 1) / 2);
+      if (this.items[parent].priority <= this.items[index].priority) break;
+      
+      [this.items[parent], this.items[index]] = [this.items[index], this.items[parent]];
+      index = parent;
+    }
+  }
+  
+  pop() {
+    const top = this.items[0];
+    const last = this.items.pop();
+    
+    if (this.items.length > 0) {
+      this.items[0] = last;
+      
+      // Sink down
+      let index = 0;
+      while (true) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let smallest = index;
+        
+        if (left < this.items.length && this.items[left].priority < this.items[smallest].priority) {
+          smallest = left;
+        }
+        if (right < this.items.length && this.items[right].priority < this.items[smallest].priority) {
+          smallest = right;
+        }
+        if (smallest === index) break;
+        
+        [this.items[smallest], this.items[index]] = [this.items[index], this.items[smallest]];
+        index = smallest;
+      }
+    }
+    
+    return top.value;
+  }
+}
+
+module.exports = Pathfinder;
\ No newline at end of file
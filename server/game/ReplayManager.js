@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * Stores finished games' replays on disk as gzipped JSON files, see ReplayRecorder for the format.
+ * Only the newest replays are kept.
+ */
+class ReplayManager {
+  /**
+   * Creates a new replay manager.
+   * @param {string} directory - Directory to keep the replay files in, created when the first replay is saved
+   * @param {number} maxReplays - Number of replays to keep, older ones are deleted
+   */
+  constructor(directory, maxReplays = 100) {
+    this.directory = path.resolve(directory);
+    this.maxReplays = maxReplays;
+    this.extension = '.replay.json.gz';
+    this.summaries = new Map(); // Maps replay IDs to their summaries, so each file is only read once
+  }
+
+  /**
+   * Saves a replay and deletes the oldest ones beyond the limit.
+   * @param {Object} replay - The replay, see ReplayRecorder.finish
+   * @returns {Promise} Resolves with the replay's summary
+   */
+  async save(replay) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+
+    const data = await gzip(JSON.stringify(replay));
+    await fs.promises.writeFile(this.getPath(replay.id), data);
+
+    const summary = this.summarize(replay, data.length);
+    this.summaries.set(replay.id, summary);
+
+    await this.prune();
+
+    return summary;
+  }
+
+  /**
+   * Lists the stored replays, newest first.
+   * @returns {Promise} Resolves with the replay summaries
+   */
+  async list() {
+    const ids = await this.getIds();
+
+    // Replays saved by an earlier server run are read once
+    for (const id of ids) {
+      if (this.summaries.has(id)) continue;
+
+      try {
+        const data = await fs.promises.readFile(this.getPath(id));
+        this.summaries.set(id, this.summarize(JSON.parse(await gunzip(data)), data.length));
+      } catch (error) {
+        console.error(`Could not read replay ${id}:`, error.message);
+      }
+    }
+
+    return ids.filter(id => this.summaries.has(id)).map(id => this.summaries.get(id));
+  }
+
+  /**
+   * Gets the path of a stored replay's file, which holds the gzipped replay.
+   * @param {string} id - The replay ID
+   * @returns {Promise} Resolves with the path, or null if there is no such replay
+   */
+  async find(id) {
+    if (!this.isValidId(id)) return null;
+
+    const file = this.getPath(id);
+    try {
+      await fs.promises.access(file);
+      return file;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Deletes the oldest replays beyond the limit.
+   */
+  async prune() {
+    const ids = await this.getIds();
+
+    for (const id of ids.slice(this.maxReplays)) {
+      await fs.promises.unlink(this.getPath(id)).catch(() => {});
+      this.summaries.delete(id);
+    }
+  }
+
+  /**
+   * Gets the IDs of the stored replays, newest first.
+   * @returns {Promise} Resolves with the IDs
+   */
+  async getIds() {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.directory);
+    } catch (error) {
+      return []; // Nothing saved yet
+    }
+
+    // IDs start with the time the game started
+    return files
+      .filter(file => file.endsWith(this.extension))
+      .map(file => file.slice(0, -this.extension.length))
+      .filter(id => this.isValidId(id))
+      .sort((a, b) => parseInt(b, 10) - parseInt(a, 10));
+  }
+
+  /**
+   * Builds the summary of a replay that is listed instead of the whole replay.
+   * @param {Object} replay - The replay
+   * @param {number} size - Size of the replay file in bytes
+   * @returns {Object} The summary
+   */
+  summarize(replay, size) {
+    return {
+      id: replay.id,
+      roomCode: replay.roomCode,
+      gameMode: replay.gameMode,
+      seed: replay.seed,
+      players: replay.players.length,
+      startedAt: replay.startedAt,
+      duration: Math.round(replay.ticks / replay.tickRate), // Seconds
+      isVictory: !!(replay.result && replay.result.isVictory),
+      winner: (replay.result && replay.result.winner) || null,
+      size
+    };
+  }
+
+  /**
+   * Checks that a replay ID has the form ReplayRecorder gives it, so it can't point outside the directory.
+   * @param {string} id - The replay ID
+   * @returns {boolean} True if the ID is valid
+   */
+  isValidId(id) {
+    return typeof id === 'string' && /^\d+-[A-Z0-9]+$/.test(id);
+  }
+
+  /**
+   * Gets the path of a replay's file.
+   * @param {string} id - The replay ID
+   * @returns {string} The path
+   */
+  getPath(id) {
+    return path.join(this.directory, id + this.extension);
+  }
+}
+
+module.exports = ReplayManager;
@@ -0,0 +1,130 @@
+/**
+ * Replay file format version, bumped when the format changes in a way old viewers can't read.
+ */
+const REPLAY_VERSION = 1;
+
+/**
+ * Records a game as it is played: the state it started from, every event the players were sent
+ * and the inputs that weren't moves. Attach it to a started Simulation and call finish once it is over.
+ *
+ * Recordings are kept compact for storage:
+ * - Events and inputs are arrays ([tick, event, data] and [tick, playerId, type, data]).
+ * - Server timestamps are dropped, the viewer derives them from the tick.
+ * - Fractional numbers are rounded to centimetres.
+ * - Moves are kept as the playerMoved events they cause, one per player and tick.
+ * - Game updates are only kept when monsters changed.
+ */
+class ReplayRecorder {
+  /**
+   * Creates a new recorder and starts recording a simulation.
+   * @param {string} roomCode - Code of the room the game is played in
+   * @param {Simulation} simulation - The started simulation
+   */
+  constructor(roomCode, simulation) {
+    this.roomCode = roomCode;
+    this.startedAt = Date.now();
+    this.id = `${this.startedAt}-${roomCode}`;
+    this.tickRate = simulation.tickRate;
+    this.gameMode = simulation.options.gameMode;
+    this.seed = simulation.getSeed();
+    this.timeLimit = simulation.options.timeLimit;
+
+    // Everything the viewer needs to build the first frame, as a spectator sees it
+    this.initialState = ReplayRecorder.compact(simulation.getGameState());
+    this.players = this.initialState.players.map(player => player.id);
+
+    this.events = [];
+    this.inputs = [];
+    this.lastMoves = new Map(); // Maps player IDs to their latest recorded playerMoved event
+
+    simulation.setRecorder(this);
+  }
+
+  /**
+   * Records an event the simulation queued for the players.
+   * @param {number} tick - The tick the event happened on
+   * @param {string} event - The event name
+   * @param {*} data - The event data
+   */
+  recordEvent(tick, event, data) {
+    if (event === 'gameUpdate') {
+      // The timer follows from the tick, so only monster changes are worth keeping
+      if (!data.monsters && !data.removedMonsters) return;
+
+      data = { monsters: data.monsters, removedMonsters: data.removedMonsters };
+    }
+
+    const entry = [tick, event, ReplayRecorder.compact(data)];
+
+    // Clients send moves every frame, the viewer only needs the last one per tick
+    if (event === 'playerMoved') {
+      const lastMove = this.lastMoves.get(data.id);
+      if (lastMove && lastMove[0] === tick) {
+        lastMove[2] = entry[2];
+        return;
+      }
+      this.lastMoves.set(data.id, entry);
+    }
+
+    this.events.push(entry);
+  }
+
+  /**
+   * Records a player input.
+   * @param {number} tick - The tick the input arrived on
+   * @param {string} playerId - The player's ID
+   * @param {string} type - The input type, see Simulation.applyInput
+   * @param {*} data - The input data
+   */
+  recordInput(tick, playerId, type, data) {
+    // Moves are recorded as the playerMoved events they cause
+    if (type === 'move') return;
+
+    this.inputs.push([tick, playerId, type, ReplayRecorder.compact(data)]);
+  }
+
+  /**
+   * Stops recording and builds the replay.
+   * @param {Simulation} simulation - The finished simulation
+   * @returns {Object} The replay
+   */
+  finish(simulation) {
+    simulation.setRecorder(null);
+
+    return {
+      version: REPLAY_VERSION,
+      id: this.id,
+      roomCode: this.roomCode,
+      gameMode: this.gameMode,
+      seed: this.seed,
+      timeLimit: this.timeLimit,
+      tickRate: this.tickRate,
+      ticks: simulation.tick,
+      startedAt: this.startedAt,
+      endedAt: Date.now(),
+      players: this.players,
+      result: ReplayRecorder.compact(simulation.result),
+      initialState: this.initialState,
+      events: this.events,
+      inputs: this.inputs
+    };
+  }
+
+  /**
+   * Copies data for a recording, dropping server timestamps and rounding fractional numbers.
+   * The copy also keeps later changes to the game state out of the recording.
+   * @param {*} data - The data to copy
+   * @returns {*} The compacted copy
+   */
+  static compact(data) {
+    if (data === undefined) return null;
+
+    return JSON.parse(JSON.stringify(data, (key, value) => {
+      if (key === 'time') return undefined;
+      if (typeof value === 'number' && !Number.isInteger(value)) return Math.round(value * 100) / 100;
+      return value;
+    }));
+  }
+}
+
+module.exports = ReplayRecorder;
@@ -1,3 +1,19 @@
+const crypto = require('crypto');
+const Simulation = require('./Simulation');
+const ReplayRecorder = require('./ReplayRecorder');
+const MazeFile = require('./MazeFile');
+
+/**
+ * Checks if a value is a whole number within limits.
+ * @param {*} value - The value
+ * @param {number} min - The smallest allowed value
+ * @param {number} max - The largest allowed value
+ * @returns {boolean} True if the value is allowed
+ */
+function isInteger(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
 /**
  * Manages game rooms for multiplayer functionality.
  */
@@ -8,12 +24,45 @@ class RoomManager {
   constructor() {
     this.rooms = new Map();
     this.playerRooms = new Map(); // Maps player IDs to room codes
+
+    // Settings the host can change in the lobby
+    this.gameModes = ['coop', 'betrayal', 'pvp'];
+    this.maxPlayersLimit = 16;
+    this.mazeSizeLimits = { min: 10, max: 50 }; // Cells per side
+    this.floorLimits = { min: 1, max: 3 }; // Floors stacked in the maze
+    this.timeLimitLimits = { min: 60, max: 3600 }; // Seconds
+    this.spawnRuleLimits = { // Monster spawn rules, see MonsterManager.setSpawnRules
+      monstersPerPlayer: { min: 0, max: 10 },
+      spawnInterval: { min: 5, max: 600 }, // Seconds
+      maxMonsters: { min: 0, max: 50 },
+      minPlayerDistance: { min: 0, max: 50 }, // Cells
+      minExitDistance: { min: 0, max: 50 } // Cells
+    };
+
+    // Game
+    this.tickRate = 30; // Game ticks per second
+
+    // Spectators
+    this.maxSpectators = 16;
+
+    // Lobby
+    this.countdownDuration = 5; // Seconds between everyone being ready and the game starting
+
+    // Rematch
+    this.rematchTimeout = 30000; // Milliseconds players have to vote for a rematch after a game ends
+
+    // Reconnection
+    this.reconnectTokens = new Map(); // Maps reconnect tokens to player IDs
+    this.playerTokens = new Map(); // Maps player IDs to their reconnect token
+    this.disconnectedPlayers = new Map(); // Maps player IDs to the time their grace period ends
+    this.reconnectGracePeriod = 30000; // Milliseconds a dropped player's state is kept
   }
 
   /**
    * Creates a new game room.
    * @param {string} roomCode - The room code (optional, will be generated if not provided)
-   * @param {Object} options - Room options (gameMode, maxPlayers, etc.)
+   * @param {Object} options - Room options (gameMode, maxPlayers, etc.), mazeFile plays a hand-authored maze
+   * (text or JSON, see MazeFile) instead of generating one
    * @returns {Object} The created room
    */
   createRoom(roomCode = null, options = {}) {
@@ -27,24 +76,56 @@ class RoomManager {
       return { success: false, message: 'Room already exists' };
     }
 
+    // Hand-authored mazes are checked up front, so a broken file never reaches a game
+    let mazeFile = null;
+    if (options.mazeFile) {
+      const parsed = MazeFile.parse(options.mazeFile, this.mazeSizeLimits);
+      if (!parsed.success) {
+        return { success: false, message: `Invalid maze file: ${parsed.message}` };
+      }
+      mazeFile = parsed.file;
+    }
+
+    // The settings are held to the same limits as in the lobby, the maze file sets the maze size and floors
+    const validated = this.validateOptions(
+      mazeFile ? { ...options, mazeWidth: undefined, mazeHeight: undefined, floors: undefined } : options
+    );
+    if (!validated.success) return validated;
+
+    const { changes } = validated;
+
     // Set default options
     const roomOptions = {
-      gameMode: options.gameMode || 'coop',
-      maxPlayers: options.maxPlayers || 8,
-      mazeWidth: options.mazeWidth || 20,
-      mazeHeight: options.mazeHeight || 20,
-      timeLimit: options.timeLimit || 600,
-      private: options.private || false
+      gameMode: changes.gameMode || 'coop',
+      maxPlayers: changes.maxPlayers || 8,
+      mazeWidth: mazeFile ? mazeFile.width : changes.mazeWidth || 20,
+      mazeHeight: mazeFile ? mazeFile.height : changes.mazeHeight || 20,
+      floors: mazeFile ? 1 : changes.floors || 1, // Maze files have a single floor
+      timeLimit: changes.timeLimit || 600,
+      private: options.private || false,
+      seed: options.seed !== undefined ? options.seed : null, // Maze seed, random if not provided
+      spawnRules: changes.spawnRules || {}, // Monster spawn rules, see MonsterManager.setSpawnRules
+      difficulty: ['relaxed', 'standard', 'nightmare'].includes(options.difficulty) ? options.difficulty : 'standard'
     };
 
     // Create the room
     const room = {
       code: roomCode,
       options: roomOptions,
+      mazeFile, // Hand-authored maze played instead of a generated one, kept out of the options sent to clients
       players: new Set(),
-      gameManager: null, // Will be initialized when the game starts
-      mazeGenerator: null, // Will be initialized when the game starts
-      monsterManager: null, // Will be initialized when the game starts
+      spectators: new Set(), // Watch the game without taking part, can join while it is running
+      host: null, // The player who can change the room, the first player to join
+      locked: false, // Locked rooms can't be joined
+      readyPlayers: new Set(), // Players who are ready to start
+      loadedPlayers: new Set(), // Players whose client finished loading
+      countdown: null, // Seconds until the game starts, null while not counting down
+      countdownForced: false, // Whether the host started the countdown without everyone being ready
+      rematchVotes: new Set(), // Players who want to play again after the game ended
+      rematchSameSeed: false, // Whether the rematch replays the last maze, chosen by the host
+      rematchDeadline: null, // Time the rematch vote closes
+      simulation: null, // Will be initialized when the game starts
+      recorder: null, // Records the game in progress for a replay
       state: 'lobby', // lobby, playing, ended
       createdAt: Date.now()
     };
@@ -60,9 +141,10 @@ class RoomManager {
    * @param {string} playerId - The player's socket ID
    * @param {string} roomCode - The room code
    * @param {string} playerName - The player's name
+   * @param {Object} options - Join options, spectate joins the room to watch (also while its game is running)
    * @returns {Object} Result of the operation
    */
-  joinRoom(playerId, roomCode, playerName = 'Player') {
+  joinRoom(playerId, roomCode, playerName = 'Player', options = {}) {
     // Check if room exists
     if (!this.rooms.has(roomCode)) {
       return { success: false, message: 'Room not found' };
@@ -70,6 +152,15 @@ class RoomManager {
 
     const room = this.rooms.get(roomCode);
 
+    // Check if the host locked the room
+    if (room.locked) {
+      return { success: false, message: 'Room is locked' };
+    }
+
+    if (options.spectate) {
+      return this.addSpectator(room, playerId);
+    }
+
     // Check if room is full
     if (room.players.size >= room.options.maxPlayers) {
       return { success: false, message: 'Room is full' };
@@ -80,17 +171,62 @@ class RoomManager {
       return { success: false, message: 'Game already in progress' };
     }
 
+    // Ended rooms are waiting for their players to vote for a rematch
+    if (room.state === 'ended') {
+      return { success: false, message: 'Game has ended' };
+    }
+
     // Add player to room
     room.players.add(playerId);
     this.playerRooms.set(playerId, roomCode);
 
+    // The first player in the room becomes its host
+    if (!room.host) {
+      room.host = playerId;
+    }
+
     return { 
       success: true, 
       room,
+      reconnectToken: this.issueReconnectToken(playerId),
       message: `Joined room ${roomCode}`
     };
   }
 
+  /**
+   * Adds a spectator to a room. Spectators get the game's updates but aren't part of the game,
+   * so they don't count towards the player limit, the ready check or the rematch vote.
+   * @param {Object} room - The room
+   * @param {string} playerId - The spectator's socket ID
+   * @returns {Object} Result of the operation
+   */
+  addSpectator(room, playerId) {
+    if (room.spectators.size >= this.maxSpectators) {
+      return { success: false, message: 'Too many spectators' };
+    }
+
+    room.spectators.add(playerId);
+    this.playerRooms.set(playerId, room.code);
+
+    return {
+      success: true,
+      room,
+      spectator: true,
+      reconnectToken: null, // Spectators have no game state to get back to
+      message: `Spectating room ${room.code}`
+    };
+  }
+
+  /**
+   * Checks if someone is watching their room instead of playing.
+   * @param {string} playerId - The socket ID
+   * @returns {boolean} True if they are a spectator
+   */
+  isSpectator(playerId) {
+    const room = this.getPlayerRoom(playerId);
+    return !!room && room.spectators.has(playerId);
+  }
+
   /**
    * Removes a player from their current room.
    * @param {string} playerId - The player's socket ID
@@ -110,27 +246,548 @@ class RoomManager {
       return { success: false, message: 'Room not found' };
     }
 
+    // Spectators leave without affecting the game
+    if (room.spectators.has(playerId)) {
+      room.spectators.delete(playerId);
+      this.playerRooms.delete(playerId);
+
+      return {
+        success: true,
+        roomCode,
+        roomRemoved: false,
+        spectator: true,
+        message: `Stopped spectating room ${roomCode}`
+      };
+    }
+
     // Remove player from room
     room.players.delete(playerId);
+    room.readyPlayers.delete(playerId);
+    room.loadedPlayers.delete(playerId);
+    room.rematchVotes.delete(playerId);
     this.playerRooms.delete(playerId);
+    this.revokeReconnectToken(playerId);
+
+    // Drop the player's game state, so they no longer count towards game over conditions
+    if (room.simulation) {
+      room.simulation.removePlayer(playerId);
+    }
 
-    // If room is empty, remove it
+    // If room is empty, remove it along with its spectators
     if (room.players.size === 0) {
+      room.spectators.forEach(spectatorId => this.playerRooms.delete(spectatorId));
       this.rooms.delete(roomCode);
       return { 
         success: true, 
+        roomCode,
         roomRemoved: true,
         message: `Left room ${roomCode} and room was removed`
       };
     }
 
+    // Hand the host role to the player who has been in the room longest
+    const hostChanged = room.host === playerId;
+    if (hostChanged) {
+      room.host = room.players.values().next().value;
+    }
+
+    // The player may have been the last one the rematch was waiting for
+    this.checkRematchVotes(room);
+
     return { 
       success: true, 
+      roomCode,
       roomRemoved: false,
+      hostChanged,
       message: `Left room ${roomCode}`
     };
   }
 
+  /**
+   * Issues a reconnect token that lets a player take their place back after a dropped connection.
+   * @param {string} playerId - The player's socket ID
+   * @returns {string} The reconnect token
+   */
+  issueReconnectToken(playerId) {
+    this.revokeReconnectToken(playerId);
+
+    const token = crypto.randomBytes(16).toString('hex');
+    this.reconnectTokens.set(token, playerId);
+    this.playerTokens.set(playerId, token);
+
+    return token;
+  }
+
+  /**
+   * Revokes a player's reconnect token and forgets their disconnection.
+   * @param {string} playerId - The player's socket ID
+   */
+  revokeReconnectToken(playerId) {
+    const token = this.playerTokens.get(playerId);
+    if (token) {
+      this.reconnectTokens.delete(token);
+      this.playerTokens.delete(playerId);
+    }
+
+    this.disconnectedPlayers.delete(playerId);
+  }
+
+  /**
+   * Marks a player in a running game as disconnected, keeping their state for the grace period.
+   * @param {string} playerId - The player's socket ID
+   * @returns {Object} Result of the operation
+   */
+  disconnectPlayer(playerId) {
+    const room = this.getPlayerRoom(playerId);
+
+    if (!room || room.state !== 'playing' || !this.playerTokens.has(playerId)) {
+      return { success: false, message: 'Player cannot reconnect' };
+    }
+
+    this.disconnectedPlayers.set(playerId, Date.now() + this.reconnectGracePeriod);
+    room.simulation.setPlayerConnected(playerId, false);
+
+    return {
+      success: true,
+      room,
+      gracePeriod: this.reconnectGracePeriod,
+      message: 'Player disconnected, waiting for reconnect'
+    };
+  }
+
+  /**
+   * Puts a player back into their running game under a new socket ID.
+   * @param {string} playerId - The player's new socket ID
+   * @param {string} token - The reconnect token issued when the player joined
+   * @returns {Object} Result of the operation
+   */
+  reconnectPlayer(playerId, token) {
+    const previousId = this.reconnectTokens.get(token);
+    if (!previousId) {
+      return { success: false, message: 'Invalid reconnect token' };
+    }
+
+    const room = this.getPlayerRoom(previousId);
+    if (!room || room.state !== 'playing') {
+      this.revokeReconnectToken(previousId);
+      return { success: false, message: 'Game is no longer in progress' };
+    }
+
+    // Leave any room the new connection joined in the meantime
+    if (this.playerRooms.has(playerId)) {
+      this.leaveRoom(playerId);
+    }
+
+    // Move the player's state over to the new socket ID
+    room.players.delete(previousId);
+    room.players.add(playerId);
+    if (room.host === previousId) {
+      room.host = playerId;
+    }
+    this.playerRooms.delete(previousId);
+    this.playerRooms.set(playerId, room.code);
+    this.disconnectedPlayers.delete(previousId);
+
+    this.playerTokens.delete(previousId);
+    this.playerTokens.set(playerId, token);
+    this.reconnectTokens.set(token, playerId);
+
+    room.simulation.renamePlayer(previousId, playerId);
+    room.simulation.setPlayerConnected(playerId, true);
+
+    return {
+      success: true,
+      room,
+      previousId,
+      reconnectToken: token,
+      message: `Rejoined room ${room.code}`
+    };
+  }
+
+  /**
+   * Removes disconnected players whose grace period has run out.
+   * @returns {Array} The removed players ({ playerId, roomCode, roomRemoved })
+   */
+  expireDisconnectedPlayers() {
+    const expired = [];
+    const now = Date.now();
+
+    for (const [playerId, expiresAt] of this.disconnectedPlayers.entries()) {
+      if (expiresAt > now) continue;
+
+      const roomCode = this.playerRooms.get(playerId);
+      const result = this.leaveRoom(playerId);
+
+      expired.push({
+        playerId,
+        roomCode,
+        roomRemoved: !!result.roomRemoved
+      });
+    }
+
+    return expired;
+  }
+
+  /**
+   * Gets the room of a player if they are its host.
+   * @param {string} playerId - The player's socket ID
+   * @returns {Object} Result with the room, or an error if the player is not a host
+   */
+  getHostedRoom(playerId) {
+    const room = this.getPlayerRoom(playerId);
+
+    if (!room) {
+      return { success: false, message: 'Not in a room' };
+    }
+
+    if (room.host !== playerId) {
+      return { success: false, message: 'Only the host can do that' };
+    }
+
+    return { success: true, room };
+  }
+
+  /**
+   * Removes a player from the host's room.
+   * @param {string} hostId - The host's socket ID
+   * @param {string} playerId - The socket ID of the player to kick
+   * @returns {Object} Result of the operation
+   */
+  kickPlayer(hostId, playerId) {
+    const hosted = this.getHostedRoom(hostId);
+    if (!hosted.success) return hosted;
+
+    const room = hosted.room;
+
+    if (playerId === hostId) {
+      return { success: false, message: 'The host cannot kick themselves' };
+    }
+
+    if (!room.players.has(playerId) && !room.spectators.has(playerId)) {
+      return { success: false, message: 'Player not in this room' };
+    }
+
+    const spectator = room.spectators.has(playerId);
+    this.leaveRoom(playerId);
+
+    return {
+      success: true,
+      room,
+      playerId,
+      spectator,
+      message: 'Player kicked'
+    };
+  }
+
+  /**
+   * Makes another player in the room the host.
+   * @param {string} hostId - The current host's socket ID
+   * @param {string} playerId - The socket ID of the new host
+   * @returns {Object} Result of the operation
+   */
+  transferHost(hostId, playerId) {
+    const hosted = this.getHostedRoom(hostId);
+    if (!hosted.success) return hosted;
+
+    const room = hosted.room;
+
+    if (playerId === hostId || !room.players.has(playerId)) {
+      return { success: false, message: 'Player not in this room' };
+    }
+
+    room.host = playerId;
+
+    return {
+      success: true,
+      room,
+      message: 'Host transferred'
+    };
+  }
+
+  /**
+   * Locks or unlocks the host's room. Nobody can join a locked room.
+   * @param {string} hostId - The host's socket ID
+   * @param {boolean} locked - Whether the room should be locked
+   * @returns {Object} Result of the operation
+   */
+  setRoomLocked(hostId, locked) {
+    const hosted = this.getHostedRoom(hostId);
+    if (!hosted.success) return hosted;
+
+    hosted.room.locked = !!locked;
+
+    return {
+      success: true,
+      room: hosted.room,
+      message: locked ? 'Room locked' : 'Room unlocked'
+    };
+  }
+
+  /**
+   * Changes the settings of the host's room while it is in the lobby.
+   * Only gameMode, maxPlayers, mazeWidth, mazeHeight, floors and timeLimit can be changed.
+   * @param {string} hostId - The host's socket ID
+   * @param {Object} options - The settings to change
+   * @returns {Object} Result of the operation
+   */
+  updateRoomOptions(hostId, options = {}) {
+    const hosted = this.getHostedRoom(hostId);
+    if (!hosted.success) return hosted;
+
+    const room = hosted.room;
+
+    if (room.state !== 'lobby') {
+      return { success: false, message: 'Settings can only be changed in the lobby' };
+    }
+
+    const validated = this.validateOptions(options, room);
+    if (!validated.success) return validated;
+
+    Object.assign(room.options, validated.changes);
+
+    // Everyone has to agree to the new settings
+    room.readyPlayers.clear();
+
+    return {
+      success: true,
+      room,
+      message: 'Settings updated'
+    };
+  }
+
+  /**
+   * Checks room settings against the lobby limits. Settings that are left out aren't checked.
+   * @param {Object} options - The settings (gameMode, maxPlayers, mazeWidth, mazeHeight, floors, timeLimit, spawnRules)
+   * @param {Object} room - The room the settings are changed for, or null for a new room
+   * @returns {Object} Result of the check, with the valid settings as changes
+   */
+  validateOptions(options, room = null) {
+    const changes = {};
+
+    if (options.gameMode !== undefined) {
+      if (!this.gameModes.includes(options.gameMode)) {
+        return { success: false, message: 'Invalid game mode' };
+      }
+      changes.gameMode = options.gameMode;
+    }
+
+    if (options.maxPlayers !== undefined) {
+      if (!isInteger(options.maxPlayers, Math.max(1, room ? room.players.size : 0), this.maxPlayersLimit)) {
+        return { success: false, message: 'Invalid player limit' };
+      }
+      changes.maxPlayers = options.maxPlayers;
+    }
+
+    for (const key of ['mazeWidth', 'mazeHeight']) {
+      if (options[key] === undefined) continue;
+
+      if (room && room.mazeFile) {
+        return { success: false, message: 'The maze file sets the maze size' };
+      }
+
+      if (!isInteger(options[key], this.mazeSizeLimits.min, this.mazeSizeLimits.max)) {
+        return { success: false, message: 'Invalid maze size' };
+      }
+      changes[key] = options[key];
+    }
+
+    if (options.floors !== undefined) {
+      if (room && room.mazeFile) {
+        return { success: false, message: 'The maze file sets the number of floors' };
+      }
+
+      if (!isInteger(options.floors, this.floorLimits.min, this.floorLimits.max)) {
+        return { success: false, message: 'Invalid number of floors' };
+      }
+      changes.floors = options.floors;
+    }
+
+    if (options.timeLimit !== undefined) {
+      if (!isInteger(options.timeLimit, this.timeLimitLimits.min, this.timeLimitLimits.max)) {
+        return { success: false, message: 'Invalid time limit' };
+      }
+      changes.timeLimit = options.timeLimit;
+    }
+
+    if (options.spawnRules !== undefined) {
+      const rules = options.spawnRules;
+      if (!rules || typeof rules !== 'object') {
+        return { success: false, message: 'Invalid monster spawn rules' };
+      }
+
+      changes.spawnRules = {};
+      for (const [key, limits] of Object.entries(this.spawnRuleLimits)) {
+        if (rules[key] === undefined) continue;
+
+        if (!isInteger(rules[key], limits.min, limits.max)) {
+          return { success: false, message: `Invalid monster spawn rule: ${key}` };
+        }
+        changes.spawnRules[key] = rules[key];
+      }
+    }
+
+    return { success: true, changes };
+  }
+
+  /**
+   * Gets the lobby information of a room, sent to its players whenever it changes.
+   * @param {Object} room - The room
+   * @returns {Object} The room information
+   */
+  getRoomInfo(room) {
+    return {
+      code: room.code,
+      host: room.host,
+      locked: room.locked,
+      options: room.options,
+      players: Array.from(room.players),
+      spectators: Array.from(room.spectators),
+      readyPlayers: Array.from(room.readyPlayers),
+      loadedPlayers: Array.from(room.loadedPlayers),
+      countdown: room.countdown,
+      state: room.state
+    };
+  }
+
+  /**
+   * Marks a player in the lobby as ready or not ready to start.
+   * @param {string} playerId - The player's socket ID
+   * @param {boolean} ready - Whether the player is ready
+   * @returns {Object} Result of the operation
+   */
+  setPlayerReady(playerId, ready) {
+    const room = this.getPlayerRoom(playerId);
+
+    if (!room || room.state !== 'lobby') {
+      return { success: false, message: 'Not in a lobby' };
+    }
+
+    if (!room.players.has(playerId)) {
+      return { success: false, message: 'Spectators don\'t take part in the game' };
+    }
+
+    if (ready) {
+      room.readyPlayers.add(playerId);
+    } else {
+      room.readyPlayers.delete(playerId);
+    }
+
+    return { success: true, room };
+  }
+
+  /**
+   * Records whether a player's client has finished loading (renderer and monster model).
+   * @param {string} playerId - The player's socket ID
+   * @param {boolean} loaded - Whether the client has loaded
+   * @returns {Object} Result of the operation
+   */
+  setPlayerLoaded(playerId, loaded) {
+    const room = this.getPlayerRoom(playerId);
+
+    if (!room || room.state !== 'lobby') {
+      return { success: false, message: 'Not in a lobby' };
+    }
+
+    if (!room.players.has(playerId)) {
+      return { success: false, message: 'Spectators don\'t take part in the game' };
+    }
+
+    if (loaded) {
+      room.loadedPlayers.add(playerId);
+    } else {
+      room.loadedPlayers.delete(playerId);
+    }
+
+    return { success: true, room };
+  }
+
+  /**
+   * Checks if every player in a room has loaded.
+   * @param {Object} room - The room
+   * @returns {boolean} True if all players have loaded
+   */
+  isEveryoneLoaded(room) {
+    return room.players.size > 0 && 
+      Array.from(room.players).every(playerId => room.loadedPlayers.has(playerId));
+  }
+
+  /**
+   * Checks if every player in a room is ready and has loaded.
+   * @param {Object} room - The room
+   * @returns {boolean} True if the game can start
+   */
+  isEveryoneReady(room) {
+    return this.isEveryoneLoaded(room) && 
+      Array.from(room.players).every(playerId => room.readyPlayers.has(playerId));
+  }
+
+  /**
+   * Starts the countdown of a lobby. The host can force it once everyone has loaded,
+   * otherwise it needs everyone to be ready.
+   * @param {string} roomCode - The room code
+   * @param {boolean} force - Whether to skip the ready check
+   * @returns {Object} Result of the operation
+   */
+  startCountdown(roomCode, force = false) {
+    const room = this.rooms.get(roomCode);
+
+    if (!room || room.state !== 'lobby') {
+      return { success: false, message: 'Not in a lobby' };
+    }
+
+    if (room.countdown !== null) {
+      return { success: false, message: 'Countdown already running' };
+    }
+
+    if (force ? !this.isEveryoneLoaded(room) : !this.isEveryoneReady(room)) {
+      return { success: false, message: force ? 'Not everyone has loaded' : 'Not everyone is ready' };
+    }
+
+    room.countdown = this.countdownDuration;
+    room.countdownForced = force;
+
+    return { success: true, room, countdown: room.countdown };
+  }
+
+  /**
+   * Starts or cancels a lobby's countdown after its players or their readiness changed.
+   * A countdown forced by the host only needs everyone to stay loaded.
+   * @param {Object} room - The room
+   * @returns {string|null} 'started' or 'cancelled' if the countdown changed, otherwise null
+   */
+  updateLobby(room) {
+    if (room.state !== 'lobby') return null;
+
+    if (room.countdown === null) {
+      return this.startCountdown(room.code).success ? 'started' : null;
+    }
+
+    const canContinue = room.countdownForced ? this.isEveryoneLoaded(room) : this.isEveryoneReady(room);
+    if (!canContinue) {
+      room.countdown = null;
+      return 'cancelled';
+    }
+
+    return null;
+  }
+
+  /**
+   * Advances the lobby countdowns by one second.
+   * @returns {Array} The rooms counting down with the seconds left ({ room, countdown }), games start at zero
+   */
+  tickCountdowns() {
+    const ticked = [];
+
+    for (const room of this.rooms.values()) {
+      if (room.state !== 'lobby' || room.countdown === null) continue;
+
+      room.countdown--;
+      ticked.push({ room, countdown: room.countdown });
+    }
+
+    return ticked;
+  }
+
   /**
    * Starts a game in a room.
    * @param {string} roomCode - The room code
@@ -155,28 +812,20 @@ class RoomManager {
       return { success: false, message: 'Game already in progress' };
     }
 
-    // Initialize game components
-    const GameManager = require('./GameManager');
-    const MazeGenerator = require('./MazeGenerator');
-    const MonsterManager = require('./MonsterManager');
-
-    room.gameManager = new GameManager();
-    room.gameManager.setGameMode(room.options.gameMode);
-    
-    room.mazeGenerator = new MazeGenerator(
-      room.options.mazeWidth, 
-      room.options.mazeHeight, 
-      2 // Cell size
-    );
-    
-    room.monsterManager = new MonsterManager();
-
-    // Generate initial maze
-    const maze = room.mazeGenerator.generateMaze();
-    room.gameManager.setMaze(maze);
+    // Generate the maze and add the players now that spawn positions can be picked from it
+    room.simulation = new Simulation({
+      ...room.options,
+      mazeFile: room.mazeFile,
+      tickRate: this.tickRate,
+      clock: () => Date.now()
+    });
+    room.simulation.start(Array.from(room.players));
+    room.recorder = new ReplayRecorder(room.code, room.simulation);
 
     // Update room state
     room.state = 'playing';
+    room.countdown = null;
+    room.readyPlayers.clear();
 
     return { 
       success: true, 
@@ -188,7 +837,7 @@ class RoomManager {
   /**
    * Ends a game in a room.
    * @param {string} roomCode - The room code
-   * @returns {Object} Result of the operation
+   * @returns {Object} Result of the operation, with the game's replay
    */
   endGame(roomCode) {
     // Check if room exists
@@ -201,10 +850,130 @@ class RoomManager {
     // Update room state
     room.state = 'ended';
 
+    // Finish the recording, the game is over
+    const replay = room.recorder && room.simulation ? room.recorder.finish(room.simulation) : null;
+    room.recorder = null;
+
+    // Give the players some time to vote for a rematch
+    room.rematchVotes.clear();
+    room.rematchSameSeed = false;
+    room.rematchDeadline = Date.now() + this.rematchTimeout;
+
     return { 
       success: true, 
       message: 'Game ended',
-      room
+      room,
+      replay
+    };
+  }
+
+  /**
+   * Records a player's vote to play again in the same room.
+   * Once everyone voted, the room goes back to the lobby.
+   * @param {string} playerId - The player's socket ID
+   * @param {Object} options - Rematch options, sameSeed (replay the last maze) is only taken from the host
+   * @returns {Object} Result of the operation
+   */
+  voteRematch(playerId, options = {}) {
+    const room = this.getPlayerRoom(playerId);
+
+    if (!room || room.state !== 'ended') {
+      return { success: false, message: 'No finished game to replay' };
+    }
+
+    if (!room.players.has(playerId)) {
+      return { success: false, message: 'Spectators don\'t take part in the game' };
+    }
+
+    room.rematchVotes.add(playerId);
+    if (room.host === playerId) {
+      room.rematchSameSeed = !!options.sameSeed;
+    }
+
+    const returnedToLobby = this.checkRematchVotes(room);
+
+    return {
+      success: true,
+      room,
+      votes: room.rematchVotes.size,
+      needed: room.players.size,
+      returnedToLobby
+    };
+  }
+
+  /**
+   * Takes an ended room back to the lobby if everyone in it voted for a rematch.
+   * @param {Object} room - The room
+   * @returns {boolean} True if the room went back to the lobby
+   */
+  checkRematchVotes(room) {
+    if (room.state !== 'ended' || room.rematchVotes.size === 0) return false;
+
+    if (!Array.from(room.players).every(playerId => room.rematchVotes.has(playerId))) return false;
+
+    this.returnToLobby(room);
+    return true;
+  }
+
+  /**
+   * Takes an ended room back to the lobby with its players, ready for the next game.
+   * The next maze is new, unless the host chose to replay the last one.
+   * @param {Object} room - The room
+   */
+  returnToLobby(room) {
+    room.options.seed = room.rematchSameSeed && room.simulation ? room.simulation.getSeed() : null;
+
+    room.state = 'lobby';
+    room.simulation = null;
+    room.recorder = null;
+    room.rematchVotes.clear();
+    room.rematchSameSeed = false;
+    room.rematchDeadline = null;
+  }
+
+  /**
+   * Closes the rematch votes that timed out. Players who didn't vote are removed and the
+   * others go back to the lobby. Rooms where nobody voted are removed altogether.
+   * @returns {Array} The closed votes ({ room, removed, roomRemoved })
+   */
+  expireRematchVotes() {
+    const closed = [];
+    const now = Date.now();
+
+    for (const room of Array.from(this.rooms.values())) {
+      if (room.state !== 'ended' || room.rematchDeadline > now) continue;
+
+      const removed = Array.from(room.players).filter(playerId => !room.rematchVotes.has(playerId));
+      let roomRemoved = false;
+
+      removed.forEach(playerId => {
+        roomRemoved = !!this.leaveRoom(playerId).roomRemoved;
+      });
+
+      if (!roomRemoved && room.state === 'ended') {
+        this.returnToLobby(room);
+      }
+
+      closed.push({ room, removed, roomRemoved });
+    }
+
+    return closed;
+  }
+
+  /**
+   * Builds a full snapshot of a running game, from which a client can rebuild its whole scene.
+   * @param {string} roomCode - The room code
+   * @param {string} playerId - The player the snapshot is for (receives their private state)
+   * @returns {Object|null} The game state or null if no game is running
+   */
+  getGameState(roomCode, playerId = null) {
+    const room = this.rooms.get(roomCode);
+    if (!room || !room.simulation) return null;
+
+    return {
+      ...room.simulation.getGameState(playerId),
+      roomCode,
+      state: room.state
     };
   }
 
@@ -241,8 +1010,11 @@ class RoomManager {
         publicRooms.push({
           code,
           players: room.players.size,
+          spectators: room.spectators.size,
           maxPlayers: room.options.maxPlayers,
           gameMode: room.options.gameMode,
+          difficulty: room.options.difficulty,
+          locked: room.locked,
           state: room.state
         });
       }
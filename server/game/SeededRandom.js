@@ -0,0 +1,68 @@
+/**
+ * Deterministic pseudo-random number generator (mulberry32).
+ * The same seed always produces the same sequence of numbers.
+ */
+class SeededRandom {
+  /**
+   * Creates a new seeded random number generator.
+   * @param {number|string} seed - The seed (strings are hashed to a number)
+   */
+  constructor(seed) {
+    this.seed = SeededRandom.normalizeSeed(seed);
+    this.state = this.seed;
+  }
+  
+  /**
+   * Returns the next random number.
+   * @returns {number} A number in the range [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+  
+  /**
+   * Returns a random integer.
+   * @param {number} max - Upper bound (exclusive)
+   * @returns {number} An integer in the range [0, max)
+   */
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+  
+  /**
+   * Converts a seed to an unsigned 32-bit integer.
+   * @param {number|string} seed - The seed to convert
+   * @returns {number} The normalized seed
+   */
+  static normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+      return Math.floor(seed) >>> 0;
+    }
+    
+    // Hash strings (FNV-1a) so room codes or words can be used as seeds
+    const text = String(seed);
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    
+    return hash >>> 0;
+  }
+  
+  /**
+   * Generates a new random seed.
+   * @returns {number} A random unsigned 32-bit seed
+   */
+  static generateSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+  }
+}
+
+module.exports = SeededRandom;
\ No newline at end of file
@@ -0,0 +1,661 @@
+const GameManager = require('./GameManager');
+const MazeGenerator = require('./MazeGenerator');
+const MonsterManager = require('./MonsterManager');
+const ItemManager = require('./ItemManager');
+const AIDirector = require('./AIDirector');
+const MazeFile = require('./MazeFile');
+const SeededRandom = require('./SeededRandom');
+
+/**
+ * Runs a single game (maze, players, monsters, items and the AI director) in fixed timesteps.
+ * Everything the players should hear about is queued as an event, see drainEvents.
+ * The live server steps it from its game loop and forwards player input and events over sockets.
+ * Without a clock it runs headless on simulated time, so the same options and inputs always play out the same way.
+ */
+class Simulation {
+  /**
+   * Creates a new simulation and generates its maze.
+   * @param {Object} options - Game options (gameMode, mazeWidth, mazeHeight, floors, seed, spawnRules, difficulty, timeLimit,
+   * mazeFile: a validated maze file to play instead of a generated maze, see MazeFile.parse),
+   * plus tickRate (ticks per second), clock (function returning the time in milliseconds, simulated time if not provided)
+   * and roleSeed (seed for the betrayal roles, kept apart from the maze seed, random if not provided)
+   */
+  constructor(options = {}) {
+    this.options = {
+      gameMode: options.gameMode || 'coop',
+      mazeWidth: options.mazeWidth || 20,
+      mazeHeight: options.mazeHeight || 20,
+      floors: options.floors || 1,
+      seed: options.seed !== undefined ? options.seed : null,
+      spawnRules: options.spawnRules || {},
+      difficulty: options.difficulty || 'standard',
+      timeLimit: options.timeLimit || 600,
+      mazeFile: options.mazeFile || null
+    };
+    
+    // Timing
+    this.tickRate = options.tickRate || 30; // Ticks per second
+    this.timestep = 1000 / this.tickRate; // Milliseconds per tick
+    this.tick = 0; // Ticks simulated so far
+    this.time = 0; // Simulated milliseconds since the start
+    this.clock = options.clock || (() => this.time);
+    
+    // Simulation state
+    this.isOver = false;
+    this.result = null; // The game over result once the game has ended
+    this.events = []; // Events for the players ({ event, data, except, to }), see drainEvents
+    this.script = []; // Scheduled player inputs ({ tick, playerId, type, data }), see schedule
+    this.recorder = null; // Records the game for a replay, see ReplayRecorder
+    
+    // Game components
+    this.mazeGenerator = new MazeGenerator(
+      this.options.mazeWidth, this.options.mazeHeight, 2, this.options.seed, this.options.floors
+    );
+    const seed = this.mazeGenerator.getSeed();
+    
+    this.gameManager = new GameManager(seed);
+    this.gameManager.setGameMode(this.options.gameMode);
+    this.gameManager.setClock(this.clock);
+    this.gameManager.gameTimeLimit = this.options.timeLimit;
+    
+    this.monsterManager = new MonsterManager(seed);
+    this.monsterManager.setGameMode(this.options.gameMode);
+    this.monsterManager.setSpawnRules(this.options.spawnRules);
+    
+    this.itemManager = new ItemManager(seed);
+    this.itemManager.setGameMode(this.options.gameMode);
+    this.gameManager.setItemManager(this.itemManager);
+    
+    this.director = new AIDirector(this.options.difficulty);
+    
+    this.roleRng = new SeededRandom(
+      options.roleSeed !== undefined && options.roleSeed !== null ? options.roleSeed : SeededRandom.generateSeed()
+    );
+    
+    // Generate the initial maze, or load the hand-authored one, and place keys and items in it
+    if (this.options.mazeFile) {
+      this.setMaze(this.mazeGenerator.loadMaze(MazeFile.toMaze(this.options.mazeFile)));
+      this.itemManager.spawnKeys();
+      this.itemManager.placeItems(this.options.mazeFile.items);
+    } else {
+      this.setMaze(this.mazeGenerator.generateMaze());
+      this.itemManager.spawnKeys();
+      this.itemManager.spawnItems();
+    }
+  }
+  
+  /**
+   * Adds the players and starts the game. Betrayal roles are assigned once everyone is in.
+   * @param {Array} playerIds - The players' IDs
+   */
+  start(playerIds) {
+    // Spawn positions are picked from the maze, so players are added after it was generated
+    playerIds.forEach(playerId => this.gameManager.addPlayer(playerId));
+    
+    if (this.options.gameMode === 'betrayal') {
+      this.gameManager.assignRoles(() => this.roleRng.next());
+    }
+  }
+  
+  /**
+   * Removes a player from the game, e.g. when they leave the room.
+   * @param {string} playerId - The player's ID
+   */
+  removePlayer(playerId) {
+    this.gameManager.removePlayer(playerId);
+    
+    // The server tells the other players itself, replays need to know too
+    if (this.recorder) {
+      this.recorder.recordEvent(this.tick, 'playerLeft', playerId);
+    }
+  }
+  
+  /**
+   * Moves a player's state to a new ID after they reconnected with a new socket.
+   * @param {string} oldId - The player's previous ID
+   * @param {string} newId - The player's new ID
+   */
+  renamePlayer(oldId, newId) {
+    this.gameManager.renamePlayer(oldId, newId);
+    this.monsterManager.renamePlayer(oldId, newId);
+    
+    if (this.recorder) {
+      this.recorder.recordEvent(this.tick, 'playerRejoined', { id: newId, previousId: oldId });
+    }
+  }
+  
+  /**
+   * Sets whether a player is connected. Disconnected players are ignored by monsters and the director.
+   * @param {string} playerId - The player's ID
+   * @param {boolean} connected - Whether the player is connected
+   */
+  setPlayerConnected(playerId, connected) {
+    this.gameManager.setPlayerConnected(playerId, connected);
+  }
+  
+  /**
+   * Gets the players who are connected.
+   * @returns {Array} The connected player objects
+   */
+  getConnectedPlayers() {
+    return this.gameManager.getPlayers().filter(player => player.connected);
+  }
+  
+  /**
+   * Changes the maze for every component.
+   * @param {Object} maze - The maze data
+   */
+  setMaze(maze) {
+    this.gameManager.setMaze(maze);
+    this.monsterManager.setMaze(maze);
+    this.itemManager.setMaze(maze);
+    this.director.setMaze(maze);
+  }
+  
+  /**
+   * Queues an event for the players.
+   * @param {string} event - The event name
+   * @param {*} data - The event data
+   * @param {string} except - ID of a player who shouldn't receive it, e.g. because they caused it (optional)
+   */
+  emit(event, data, except = null) {
+    this.events.push({ event, data, except, to: null });
+    
+    if (this.recorder) {
+      this.recorder.recordEvent(this.tick, event, data);
+    }
+  }
+  
+  /**
+   * Queues an event for a single player, e.g. the result of their own input.
+   * @param {string} playerId - ID of the player who should receive it
+   * @param {string} event - The event name
+   * @param {*} data - The event data
+   */
+  emitTo(playerId, event, data) {
+    this.events.push({ event, data, except: null, to: playerId });
+    
+    if (this.recorder) {
+      this.recorder.recordEvent(this.tick, event, data);
+    }
+  }
+  
+  /**
+   * Sets the recorder that records the game's events and inputs for a replay.
+   * @param {ReplayRecorder} recorder - The recorder, or null to stop recording
+   */
+  setRecorder(recorder) {
+    this.recorder = recorder;
+  }
+  
+  /**
+   * Takes the events queued since the last call.
+   * @returns {Array} The events ({ event, data, except, to }) in the order they happened
+   */
+  drainEvents() {
+    const events = this.events;
+    this.events = [];
+    return events;
+  }
+  
+  /**
+   * Schedules a player input for a later tick, applied just before that tick is simulated.
+   * @param {number} tick - The tick to apply the input on (the first tick is 1)
+   * @param {string} playerId - The player's ID
+   * @param {string} type - The input type (move, interact, collectItem, useItem, useAbility, escape or attack)
+   * @param {*} data - The input data, as the matching input method takes it
+   */
+  schedule(tick, playerId, type, data) {
+    this.script.push({ tick, playerId, type, data });
+  }
+  
+  /**
+   * Applies a player input.
+   * @param {string} playerId - The player's ID
+   * @param {string} type - The input type (move, interact, collectItem, useItem, useAbility, escape or attack)
+   * @param {*} data - The input data
+   * @returns {Object} Result of the input
+   */
+  applyInput(playerId, type, data) {
+    if (this.recorder) {
+      this.recorder.recordInput(this.tick, playerId, type, data);
+    }
+    
+    switch (type) {
+      case 'move':
+        return this.movePlayer(playerId, data);
+      case 'interact':
+        return this.interact(playerId);
+      case 'collectItem':
+        return this.collectItem(playerId, data);
+      case 'useItem':
+        return this.useItem(playerId, data);
+      case 'useAbility':
+        return this.useAbility(playerId, data);
+      case 'escape':
+        return this.escape(playerId);
+      case 'attack':
+        return this.attack(playerId, data);
+      default:
+        return { success: false, message: 'Unknown input' };
+    }
+  }
+  
+  /**
+   * Moves a player. The server checks the speed and walls.
+   * @param {string} playerId - The player's ID
+   * @param {Object} position - The new position, with the isSprinting and isJumping movement state
+   * @returns {Object} Result of the move, with the last valid position if it was rejected
+   */
+  movePlayer(playerId, position) {
+    const result = this.gameManager.updatePlayerPosition(playerId, position);
+    if (!result.success) return result;
+    
+    // Sprinting and jumping can be heard by monsters
+    this.monsterManager.reportNoise(result.noise);
+    
+    this.emit('playerMoved', {
+      id: playerId,
+      position: result.position,
+      time: this.clock() // Server timestamp for client-side interpolation
+    }, playerId);
+    
+    return result;
+  }
+  
+  /**
+   * Lets a player interact with what is in front of them: the exit, a locked door or an item.
+   * @param {string} playerId - The player's ID
+   * @returns {Object} Result of the interaction
+   */
+  interact(playerId) {
+    const result = this.gameManager.handlePlayerInteraction(playerId);
+    if (!result.success) return result;
+    
+    // Only the player who interacted hears the result, the others get the events below
+    this.emitTo(playerId, 'interactionResult', {
+      playerId,
+      ...result
+    });
+    
+    // Everyone sees players take the stairs
+    if (result.type === 'stairs') {
+      this.emit('playerUsedStairs', {
+        id: playerId,
+        stairsId: result.stairsId,
+        floor: result.floor,
+        position: result.position,
+        time: this.clock()
+      });
+    }
+    
+    // Picked up items disappear for everyone
+    if (result.type === 'item') {
+      this.emit('itemCollected', {
+        itemId: result.item.id,
+        playerId
+      });
+    }
+    
+    // Unlocked doors open for everyone and monsters can path through them
+    if (result.type === 'door') {
+      this.monsterManager.setMaze(this.gameManager.maze);
+      this.director.setMaze(this.gameManager.maze);
+      this.emit('doorOpened', {
+        doorId: result.doorId,
+        playerId
+      });
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Picks up an item the player is standing next to.
+   * @param {string} playerId - The player's ID
+   * @param {string} itemId - The item's ID
+   * @returns {Object} Result of the pickup
+   */
+  collectItem(playerId, itemId) {
+    const player = this.gameManager.getPlayer(playerId);
+    const result = player ?
+      this.itemManager.collectItem(player, itemId) :
+      { success: false, message: 'Player not found' };
+    
+    if (result.success) {
+      this.emit('itemCollected', {
+        itemId: result.item.id,
+        playerId
+      });
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Uses an item from a player's inventory.
+   * @param {string} playerId - The player's ID
+   * @param {number} itemIndex - The inventory slot
+   * @returns {Object} Result of the item use
+   */
+  useItem(playerId, itemIndex) {
+    const player = this.gameManager.getPlayer(playerId);
+    const result = player ?
+      this.itemManager.useItem(player, itemIndex, this.gameManager.getGameTimer()) :
+      { success: false, message: 'Player not found' };
+    
+    if (result.success) {
+      // Using an item makes noise
+      this.monsterManager.reportNoise(this.gameManager.makeNoise(player, 'item'));
+      
+      this.emit('itemUsed', {
+        playerId,
+        itemId: result.item.id,
+        type: result.item.type,
+        effect: result.item.effect,
+        health: result.health
+      });
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Uses a traitor ability.
+   * @param {string} playerId - The player's ID
+   * @param {string} ability - The ability (sabotage or lure)
+   * @returns {Object} Result of the ability use
+   */
+  useAbility(playerId, ability) {
+    const result = this.gameManager.useAbility(playerId, ability);
+    if (!result.success) return result;
+    
+    // Sabotaged doors close for everyone and block monsters again. The traitor stays anonymous.
+    if (result.ability === 'sabotage') {
+      this.monsterManager.setMaze(this.gameManager.maze);
+      this.director.setMaze(this.gameManager.maze);
+      this.emit('doorClosed', {
+        doorId: result.doorId
+      });
+    }
+    
+    if (result.ability === 'lure') {
+      result.monstersLured = this.monsterManager.lureMonsters(result.position, result.radius);
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Lets a player escape through the exit.
+   * @param {string} playerId - The player's ID
+   * @returns {Object} Result of the escape attempt
+   */
+  escape(playerId) {
+    const result = this.gameManager.playerEscape(playerId);
+    
+    if (result.escaped) {
+      this.emit('playerEscaped', {
+        id: playerId,
+        playersEscaped: this.gameManager.getPlayersEscaped()
+      });
+      
+      this.checkGameOver();
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Lets a player attack another player. The server picks the target and checks range, line of sight and cooldown.
+   * @param {string} playerId - The attacker's ID
+   * @param {Object} data - The attack ({ direction: {x, z}, itemIndex })
+   * @returns {Object} Result of the attack
+   */
+  attack(playerId, data) {
+    const result = this.gameManager.playerAttack(playerId, data);
+    if (!result.success) return result;
+    
+    // Let everyone see the swing or shot
+    this.emit('playerAttacked', {
+      attackerId: playerId,
+      weapon: result.weapon,
+      ranged: result.ranged,
+      hit: result.hit,
+      targetId: result.targetId
+    }, playerId);
+    
+    if (result.hit) {
+      if (result.knockback) {
+        this.emit('playerKnockedBack', {
+          id: result.targetId,
+          position: result.knockback,
+          time: this.clock()
+        });
+      }
+      
+      this.applyDamage(result.targetId, result.damage, result.weaponName, {
+        attackerId: playerId
+      });
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Applies damage to a player and runs the death checks.
+   * @param {string} targetId - The damaged player's ID
+   * @param {number} damage - The amount of damage
+   * @param {string} source - Description of the damage source
+   * @param {Object} details - Extra fields to include in the event (e.g. monsterId or attackerId)
+   * @returns {Object} The damage result from the game manager
+   */
+  applyDamage(targetId, damage, source, details = {}) {
+    const result = this.gameManager.applyDamageToPlayer(targetId, damage);
+    if (!result.success) return result;
+    
+    // Recent damage makes the AI director back off
+    this.director.recordDamage();
+    
+    this.emit('playerDamaged', {
+      id: targetId,
+      damage: result.damage, // After armor reduction
+      source,
+      ...details,
+      currentHealth: result.health,
+      isDead: result.died
+    });
+    
+    // Credit the kill to the attacking player
+    if (result.died && details.attackerId) {
+      this.emit('playerKilled', {
+        id: targetId,
+        killerId: details.attackerId,
+        weapon: source,
+        kills: this.gameManager.creditKill(details.attackerId)
+      });
+    }
+    
+    if (result.died) {
+      this.checkGameOver();
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Ends the game if its game over conditions are met.
+   * @returns {boolean} True if the game is over
+   */
+  checkGameOver() {
+    if (this.isOver) return true;
+    
+    const result = this.gameManager.checkGameOverConditions();
+    if (!result.isGameOver) return false;
+    
+    this.isOver = true;
+    this.result = result;
+    this.emit('gameOver', result);
+    
+    return true;
+  }
+  
+  /**
+   * Simulates one tick: scheduled inputs, the game timer, the director, monsters, item respawns and maze shifts.
+   */
+  step() {
+    if (this.isOver) return;
+    
+    const tick = this.tick + 1;
+    
+    // Apply the scripted inputs for this tick
+    const inputs = this.script.filter(input => input.tick <= tick);
+    this.script = this.script.filter(input => input.tick > tick);
+    inputs.forEach(input => this.applyInput(input.playerId, input.type, input.data));
+    
+    this.time += this.timestep;
+    this.tick = tick;
+    
+    // Update game timer
+    this.gameManager.updateGameTimer(this.timestep);
+    
+    // Players waiting to reconnect are ignored by monsters and the director
+    const connectedPlayers = this.getConnectedPlayers();
+    
+    // Let the AI director tune monster pressure and maze shifts to how the players are doing
+    const pressure = this.director.update(connectedPlayers, this.timestep);
+    this.monsterManager.setPressure(pressure);
+    this.mazeGenerator.setShiftRate(pressure.shiftRate);
+    
+    // Update monsters
+    const monsterAttacks = this.monsterManager.updateMonsters(
+      connectedPlayers,
+      this.timestep,
+      this.gameManager.getGameTimer()
+    );
+    
+    // Resolve monster attacks
+    for (const attack of monsterAttacks) {
+      this.applyDamage(attack.playerId, attack.damage, 'Monster', { monsterId: attack.monsterId });
+    }
+    
+    // Boss roars are heard by everyone, the summoned monsters arrive with the next game update
+    this.monsterManager.getRoars().forEach(roar => this.emit('monsterRoared', roar));
+    
+    // Stop if a monster attack ended the game
+    if (this.isOver) return;
+    
+    // Respawn items
+    this.itemManager.updateItems(this.timestep).forEach(item => this.emit('itemSpawned', item));
+    
+    // Shift maze if needed
+    if (this.mazeGenerator.updateMaze(this.timestep)) {
+      this.setMaze(this.mazeGenerator.getMaze());
+      this.emit('mazeUpdated', this.mazeGenerator.getMazeUpdate());
+    }
+    
+    // Send only the monsters that changed since the last update
+    const monsterUpdates = this.monsterManager.getMonsterUpdates();
+    const gameUpdate = {
+      tick: this.tick,
+      time: this.clock(), // Server timestamp for client-side interpolation
+      gameTimer: this.gameManager.getGameTimer()
+    };
+    if (monsterUpdates.changed.length > 0) gameUpdate.monsters = monsterUpdates.changed;
+    if (monsterUpdates.removed.length > 0) gameUpdate.removedMonsters = monsterUpdates.removed;
+    
+    this.emit('gameUpdate', gameUpdate);
+    
+    // Check for time-based game over
+    if (this.gameManager.getGameTimer() >= this.options.timeLimit) {
+      this.checkGameOver();
+    }
+  }
+  
+  /**
+   * Simulates a number of ticks, stopping early if the game ends.
+   * @param {number} ticks - The number of ticks to simulate
+   * @returns {number} The number of ticks simulated
+   */
+  advance(ticks = 1) {
+    let simulated = 0;
+    
+    while (simulated < ticks && !this.isOver) {
+      this.step();
+      simulated++;
+    }
+    
+    return simulated;
+  }
+  
+  /**
+   * Gets the maze seed.
+   * @returns {number|string} The seed
+   */
+  getSeed() {
+    return this.mazeGenerator.getSeed();
+  }
+
+  /**
+   * Exports the maze as it is now, with its doors, spawn points and the items lying in it.
+   * @param {string} name - Name of the maze (optional)
+   * @returns {Object|null} The maze file, see MazeFile, or null if the maze has more floors than a file can hold
+   */
+  exportMaze(name = '') {
+    const maze = this.gameManager.getMaze();
+    if (maze.levels.length > 1) return null;
+    
+    return MazeFile.fromMaze(maze, this.itemManager.getItems(), name);
+  }
+
+  /**
+   * Gets a player's secret role, see GameManager.getRoleInfo.
+   * @param {string} playerId - The player's ID
+   * @returns {Object|null} The role info, or null if the player has no role
+   */
+  getRoleInfo(playerId) {
+    return this.gameManager.getRoleInfo(playerId);
+  }
+  
+  /**
+   * Builds the snapshot a client rebuilds its whole scene from.
+   * @param {string} playerId - The player the snapshot is for, who receives their private state (optional)
+   * @returns {Object} The game state
+   */
+  getGameState(playerId = null) {
+    const player = playerId ? this.gameManager.getPlayer(playerId) : null;
+    
+    return {
+      ...this.gameManager.getSnapshot(),
+      seed: this.getSeed(),
+      timeLimit: this.options.timeLimit,
+      maze: this.gameManager.getMaze(),
+      monsters: this.monsterManager.getMonsters(),
+      items: this.itemManager.getItems(),
+      self: player ? this.gameManager.getPlayerSnapshot(player, true) : null
+    };
+  }
+  
+  /**
+   * Gets the full state of the simulation, including every player's private state and the director.
+   * @returns {Object} The state
+   */
+  getState() {
+    return {
+      tick: this.tick,
+      time: this.time,
+      seed: this.getSeed(),
+      gameMode: this.options.gameMode,
+      gameTimer: this.gameManager.getGameTimer(),
+      isOver: this.isOver,
+      result: this.result,
+      maze: this.gameManager.getMaze(),
+      players: this.gameManager.getPlayers().map(player => this.gameManager.getPlayerSnapshot(player, true)),
+      monsters: this.monsterManager.getMonsters(),
+      items: this.itemManager.getItems(),
+      director: this.director.getState()
+    };
+  }
+}
+
+module.exports = Simulation;
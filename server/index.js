@@ -5,6 +5,7 @@ const path = require('path');
 
 // Import game logic modules
 const RoomManager = require('./game/RoomManager');
+const ReplayManager = require('./game/ReplayManager');
 
 // Initialize Express app and HTTP server
 const app = express();
@@ -22,6 +23,9 @@ app.use(express.static(path.join(__dirname, '../public')));
 // Create room manager
 const roomManager = new RoomManager();
 
+// Finished games are kept as replays, in the REPLAY_DIR directory if set
+const replayManager = new ReplayManager(process.env.REPLAY_DIR || path.join(__dirname, 'replays'));
+
 // API routes
 app.get('/api/rooms', (req, res) => {
   res.json({
@@ -30,6 +34,156 @@ app.get('/api/rooms', (req, res) => {
   });
 });
 
+// Express 4 doesn't catch rejected promises, so the async routes answer errors themselves
+app.get('/api/replays', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      replays: await replayManager.list()
+    });
+  } catch (error) {
+    console.error('Could not list replays:', error);
+    res.status(500).json({ success: false, message: 'Could not list replays' });
+  }
+});
+
+app.get('/api/replays/:id', async (req, res) => {
+  try {
+    const file = await replayManager.find(req.params.id);
+    
+    if (!file) {
+      res.status(404).json({ success: false, message: 'Replay not found' });
+      return;
+    }
+    
+    // The file is stored gzipped, browsers unpack it on the fly
+    res.sendFile(file, {
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Encoding': 'gzip'
+      }
+    });
+  } catch (error) {
+    console.error('Could not load replay:', error);
+    res.status(500).json({ success: false, message: 'Could not load replay' });
+  }
+});
+
+/**
+ * Sends the players of a room the events its game queued, and ends the game once it is over.
+ * @param {Object} room - The room
+ */
+function flushEvents(room) {
+  if (!room.simulation) return;
+  
+  for (const { event, data, except, to } of room.simulation.drainEvents()) {
+    // Events caused by a player skip that player, their client already shows them.
+    // Player IDs are socket IDs, so events for one player go to their socket's room
+    let target = except ? io.to(room.code).except(except) : io.to(room.code);
+    if (to) target = io.to(to);
+    
+    if (event === 'gameOver') {
+      // End the game before telling the players, so rematch votes are accepted right away
+      const { replay } = roomManager.endGame(room.code);
+      target.emit(event, data);
+      
+      if (replay) {
+        replayManager.save(replay).catch(error => console.error('Could not save replay:', error));
+      }
+      
+      // Update available rooms for all clients
+      io.emit('availableRooms', roomManager.getPublicRooms());
+      continue;
+    }
+    
+    target.emit(event, data);
+  }
+}
+
+/**
+ * Ends the game in a room if its game over conditions are met, e.g. after a player left.
+ * @param {Object} room - The room to check
+ */
+function checkGameOver(room) {
+  if (!room.simulation) return;
+  
+  room.simulation.checkGameOver();
+  flushEvents(room);
+}
+
+/**
+ * Sends a player the full state of the game in progress.
+ * @param {string} playerId - The player's socket ID
+ * @param {Object} room - The player's room
+ */
+function sendGameState(playerId, room) {
+  const gameState = roomManager.getGameState(room.code, playerId);
+  
+  if (gameState) {
+    io.to(playerId).emit('gameState', gameState);
+  }
+  
+  // Roles are secret, so each player only receives their own
+  const roleInfo = room.simulation && room.simulation.getRoleInfo(playerId);
+  if (roleInfo) {
+    io.to(playerId).emit('roleAssigned', roleInfo);
+  }
+}
+
+/**
+ * Sends the players of a room its current lobby information (host, lock, settings, players and readiness).
+ * Starts or cancels the lobby countdown if the change affects it.
+ * @param {Object} room - The room
+ */
+function broadcastRoomUpdate(room) {
+  const countdownChange = roomManager.updateLobby(room);
+  if (countdownChange === 'started') {
+    io.to(room.code).emit('countdown', { seconds: room.countdown });
+  } else if (countdownChange === 'cancelled') {
+    io.to(room.code).emit('countdownCancelled');
+  }
+  
+  io.to(room.code).emit('roomUpdated', roomManager.getRoomInfo(room));
+}
+
+/**
+ * Tells the spectators of a room that was removed (because its last player left) that it closed.
+ * @param {string} roomCode - The code of the removed room
+ */
+function closeRoom(roomCode) {
+  // The players have left the socket.io room by now, only spectators remain
+  io.to(roomCode).emit('kicked', {
+    roomCode,
+    message: 'The room was closed'
+  });
+  io.in(roomCode).socketsLeave(roomCode);
+}
+
+/**
+ * Tells the players of a room that its game has started and sends them the game state.
+ * @param {Object} room - The room
+ */
+function sendGameStarted(room) {
+  // Notify all clients in the room that the game has started
+  io.to(room.code).emit('gameStarted', {
+    gameMode: room.options.gameMode,
+    seed: room.simulation.getSeed(),
+    maze: room.simulation.gameManager.getMaze(),
+    players: Array.from(room.players).map(id => ({
+      id,
+      position: room.simulation.gameManager.getPlayer(id)?.position || { x: 0, y: 0, z: 0 }
+    })),
+    timeLimit: room.options.timeLimit
+  });
+  
+  // Send everyone the full game state to build their scene from, spectators included
+  room.players.forEach(playerId => sendGameState(playerId, room));
+  room.spectators.forEach(spectatorId => sendGameState(spectatorId, room));
+  
+  // Update available rooms for all clients
+  io.emit('availableRooms', roomManager.getPublicRooms());
+}
+
 // Socket connection handling
 io.on('connection', (socket) => {
   console.log('Client connected:', socket.id);
@@ -64,8 +218,11 @@ io.on('connection', (socket) => {
           code: result.room.code,
           options: result.room.options,
           players: 1,
+          host: result.room.host,
+          locked: result.room.locked,
           state: result.room.state
-        }
+        },
+        reconnectToken: joinResult.reconnectToken
       });
     } else {
       // Send error response
@@ -78,8 +235,8 @@ io.on('connection', (socket) => {
   
   // Join an existing room
   socket.on('joinRoom', (data, callback) => {
-    const { roomCode, playerName } = data;
-    const result = roomManager.joinRoom(socket.id, roomCode, playerName);
+    const { roomCode, playerName, spectate } = data;
+    const result = roomManager.joinRoom(socket.id, roomCode, playerName, { spectate });
     
     if (result.success) {
       // Join the socket.io room
@@ -92,8 +249,10 @@ io.on('connection', (socket) => {
       socket.to(roomCode).emit('playerJoinedRoom', {
         id: socket.id,
         name: playerName || 'Player',
+        spectator: !!result.spectator,
         playerCount
       });
+      broadcastRoomUpdate(result.room);
       
       // Update available rooms for all clients
       io.emit('availableRooms', roomManager.getPublicRooms());
@@ -105,9 +264,18 @@ io.on('connection', (socket) => {
           code: result.room.code,
           options: result.room.options,
           players: playerCount,
+          host: result.room.host,
+          locked: result.room.locked,
+          spectators: Array.from(result.room.spectators),
           state: result.room.state
-        }
+        },
+        reconnectToken: result.reconnectToken
       });
+      
+      // Spectators joining a running game get its state right away
+      if (result.spectator && result.room.state === 'playing') {
+        sendGameState(socket.id, result.room);
+      }
     } else {
       // Send error response
       if (callback) callback({
@@ -117,17 +285,77 @@ io.on('connection', (socket) => {
     }
   });
   
+  // Rejoin a game in progress after a dropped connection
+  socket.on('rejoinRoom', (data, callback) => {
+    const result = roomManager.reconnectPlayer(socket.id, data && data.reconnectToken);
+    
+    if (result.success) {
+      // Join the socket.io room
+      socket.join(result.room.code);
+      
+      // Notify the other players that the player is back under a new ID
+      socket.to(result.room.code).emit('playerRejoined', {
+        id: socket.id,
+        previousId: result.previousId
+      });
+      
+      // Send success response
+      if (callback) callback({
+        success: true,
+        room: {
+          code: result.room.code,
+          options: result.room.options,
+          players: result.room.players.size,
+          state: result.room.state
+        },
+        reconnectToken: result.reconnectToken,
+        previousId: result.previousId
+      });
+      
+      // Send the full game state so the client can rebuild its scene
+      sendGameState(socket.id, result.room);
+    } else {
+      // Send error response
+      if (callback) callback({
+        success: false,
+        message: result.message
+      });
+    }
+  });
+  
+  // Resend the full game state, e.g. when a client noticed it is out of sync
+  socket.on('requestGameState', (data, callback) => {
+    const room = roomManager.getPlayerRoom(socket.id);
+    
+    if (!room || room.state !== 'playing') {
+      if (callback) callback({
+        success: false,
+        message: 'Not in an active game'
+      });
+      return;
+    }
+    
+    sendGameState(socket.id, room);
+    
+    if (callback) callback({ success: true });
+  });
+  
   // Leave current room
   socket.on('leaveRoom', (callback) => {
     const result = roomManager.leaveRoom(socket.id);
     
     if (result.success) {
       // Leave the socket.io room
-      if (!result.roomRemoved) {
+      socket.leave(result.roomCode);
+      
+      if (result.roomRemoved) {
+        closeRoom(result.roomCode);
+      } else {
         // Notify all clients in the room about the player leaving
         socket.to(result.roomCode).emit('playerLeftRoom', {
           id: socket.id
         });
+        broadcastRoomUpdate(roomManager.getRoom(result.roomCode));
       }
       
       // Update available rooms for all clients
@@ -147,7 +375,29 @@ io.on('connection', (socket) => {
     }
   });
   
-  // Start game in a room
+  // Lobby: toggle whether the player is ready to start
+  socket.on('setReady', (data, callback) => {
+    const result = roomManager.setPlayerReady(socket.id, data && data.ready);
+    
+    if (result.success) {
+      broadcastRoomUpdate(result.room);
+    }
+    
+    if (callback) callback({ success: result.success, message: result.message });
+  });
+  
+  // Lobby: the player's client finished (or lost) loading the renderer and monster model
+  socket.on('clientLoaded', (data, callback) => {
+    const result = roomManager.setPlayerLoaded(socket.id, data && data.loaded);
+    
+    if (result.success) {
+      broadcastRoomUpdate(result.room);
+    }
+    
+    if (callback) callback({ success: result.success, message: result.message });
+  });
+  
+  // Host: start the countdown without waiting for everyone to be ready
   socket.on('startGame', (options, callback) => {
     // Get the player's room
     const room = roomManager.getPlayerRoom(socket.id);
@@ -160,28 +410,26 @@ io.on('connection', (socket) => {
       return;
     }
     
-    // Start the game
-    const result = roomManager.startGame(room.code, options);
+    // Only the host decides when the game starts
+    if (room.host !== socket.id) {
+      if (callback) callback({
+        success: false,
+        message: 'Only the host can start the game'
+      });
+      return;
+    }
+    
+    // Start the countdown, the game starts when it runs out
+    const result = roomManager.startCountdown(room.code, true);
     
     if (result.success) {
-      // Notify all clients in the room that the game has started
-      io.to(room.code).emit('gameStarted', {
-        gameMode: room.options.gameMode,
-        maze: room.gameManager.getMaze(),
-        players: Array.from(room.players).map(id => ({
-          id,
-          position: room.gameManager.getPlayer(id)?.position || { x: 0, y: 0, z: 0 }
-        })),
-        timeLimit: room.options.timeLimit
-      });
-      
-      // Update available rooms for all clients
-      io.emit('availableRooms', roomManager.getPublicRooms());
+      io.to(room.code).emit('countdown', { seconds: result.countdown });
+      broadcastRoomUpdate(room);
       
       // Send success response
       if (callback) callback({
         success: true,
-        message: 'Game started'
+        message: 'Countdown started'
       });
     } else {
       // Send error response
@@ -192,6 +440,95 @@ io.on('connection', (socket) => {
     }
   });
   
+  // Host: kick a player from the room
+  socket.on('kickPlayer', (data, callback) => {
+    const result = roomManager.kickPlayer(socket.id, data && data.playerId);
+    
+    if (result.success) {
+      // Tell the kicked player and take them out of the socket.io room
+      const kickedSocket = io.sockets.sockets.get(result.playerId);
+      if (kickedSocket) {
+        kickedSocket.emit('kicked', {
+          roomCode: result.room.code,
+          message: 'You were removed from the room by the host'
+        });
+        kickedSocket.leave(result.room.code);
+      }
+      
+      io.to(result.room.code).emit('playerLeftRoom', {
+        id: result.playerId
+      });
+      
+      // A kicked player leaves a game in progress too
+      if (result.room.state === 'playing' && !result.spectator) {
+        io.to(result.room.code).emit('playerLeft', result.playerId);
+        checkGameOver(result.room);
+      }
+      
+      broadcastRoomUpdate(result.room);
+      io.emit('availableRooms', roomManager.getPublicRooms());
+    }
+    
+    if (callback) callback({ success: result.success, message: result.message });
+  });
+  
+  // Host: hand the host role to another player
+  socket.on('transferHost', (data, callback) => {
+    const result = roomManager.transferHost(socket.id, data && data.playerId);
+    
+    if (result.success) {
+      broadcastRoomUpdate(result.room);
+    }
+    
+    if (callback) callback({ success: result.success, message: result.message });
+  });
+  
+  // Host: lock or unlock the room
+  socket.on('lockRoom', (data, callback) => {
+    const result = roomManager.setRoomLocked(socket.id, data && data.locked);
+    
+    if (result.success) {
+      broadcastRoomUpdate(result.room);
+      io.emit('availableRooms', roomManager.getPublicRooms());
+    }
+    
+    if (callback) callback({ success: result.success, message: result.message });
+  });
+  
+  // Host: change the room settings in the lobby
+  socket.on('updateRoomSettings', (data, callback) => {
+    const result = roomManager.updateRoomOptions(socket.id, data && data.options);
+    
+    if (result.success) {
+      broadcastRoomUpdate(result.room);
+      io.emit('availableRooms', roomManager.getPublicRooms());
+    }
+    
+    if (callback) callback({ success: result.success, message: result.message });
+  });
+  
+  // Vote to play again after the game ended
+  socket.on('restartGame', (data, callback) => {
+    const result = roomManager.voteRematch(socket.id, data || {});
+    
+    if (result.success) {
+      io.to(result.room.code).emit('rematchVote', {
+        playerId: socket.id,
+        votes: result.votes,
+        needed: result.needed,
+        deadline: result.room.rematchDeadline
+      });
+      
+      // Everyone is in, the room is back in the lobby
+      if (result.returnedToLobby) {
+        broadcastRoomUpdate(result.room);
+        io.emit('availableRooms', roomManager.getPublicRooms());
+      }
+    }
+    
+    if (callback) callback({ success: result.success, message: result.message });
+  });
+  
   // Player movement
   socket.on('playerMove', (position) => {
     // Get the player's room
@@ -199,18 +536,26 @@ io.on('connection', (socket) => {
     
     if (!room || room.state !== 'playing') return;
     
-    // Update player position in game manager
-    room.gameManager.updatePlayerPosition(socket.id, position);
+    // Validate and update player position, monsters hear the noise it makes
+    const result = room.simulation.applyInput(socket.id, 'move', position);
+    
+    // Snap the client back to the last valid position
+    if (!result.success) {
+      if (result.position) {
+        socket.emit('positionCorrected', {
+          position: result.position,
+          message: result.message
+        });
+      }
+      return;
+    }
     
     // Broadcast to all other players in the room
-    socket.to(room.code).emit('playerMoved', {
-      id: socket.id,
-      position
-    });
+    flushEvents(room);
   });
   
   // Player interaction
-  socket.on('playerInteract', (callback) => {
+  socket.on('playerInteract', (data, callback) => {
     // Get the player's room
     const room = roomManager.getPlayerRoom(socket.id);
     
@@ -222,23 +567,37 @@ io.on('connection', (socket) => {
       return;
     }
     
-    // Handle interaction
-    const result = room.gameManager.handlePlayerInteraction(socket.id);
+    // Handle interaction, broadcasting picked up items and opened doors
+    const result = room.simulation.applyInput(socket.id, 'interact');
+    flushEvents(room);
     
-    // Broadcast interaction result to all players in the room
-    if (result.success) {
-      io.to(room.code).emit('interactionResult', {
-        playerId: socket.id,
-        ...result
+    // Send response to the player
+    if (callback) callback(result);
+  });
+  
+  // Traitor ability use
+  socket.on('useAbility', (data, callback) => {
+    // Get the player's room
+    const room = roomManager.getPlayerRoom(socket.id);
+    
+    if (!room || room.state !== 'playing') {
+      if (callback) callback({
+        success: false,
+        message: 'Not in an active game'
       });
+      return;
     }
     
+    // Sabotaged doors are broadcast, the traitor stays anonymous
+    const result = room.simulation.applyInput(socket.id, 'useAbility', data && data.ability);
+    flushEvents(room);
+    
     // Send response to the player
     if (callback) callback(result);
   });
   
-  // Player escape attempt
-  socket.on('playerEscape', (callback) => {
+  // Item pickup
+  socket.on('collectItem', (data, callback) => {
     // Get the player's room
     const room = roomManager.getPlayerRoom(socket.id);
     
@@ -250,72 +609,73 @@ io.on('connection', (socket) => {
       return;
     }
     
-    // Handle escape attempt
-    const result = room.gameManager.playerEscape(socket.id);
+    const result = room.simulation.applyInput(socket.id, 'collectItem', data && data.itemId);
+    flushEvents(room);
     
-    if (result.escaped) {
-      // Broadcast to all players in the room
-      io.to(room.code).emit('playerEscaped', {
-        id: socket.id,
-        playersEscaped: room.gameManager.getPlayersEscaped()
+    // Send response to the player
+    if (callback) callback(result);
+  });
+  
+  // Item use
+  socket.on('useItem', (data, callback) => {
+    // Get the player's room
+    const room = roomManager.getPlayerRoom(socket.id);
+    
+    if (!room || room.state !== 'playing') {
+      if (callback) callback({
+        success: false,
+        message: 'Not in an active game'
       });
-      
-      // Check game over conditions
-      const gameOverResult = room.gameManager.checkGameOverConditions();
-      if (gameOverResult.isGameOver) {
-        // End the game
-        roomManager.endGame(room.code);
-        
-        // Notify all players in the room
-        io.to(room.code).emit('gameOver', gameOverResult);
-        
-        // Update available rooms for all clients
-        io.emit('availableRooms', roomManager.getPublicRooms());
-      }
+      return;
     }
     
+    const result = room.simulation.applyInput(socket.id, 'useItem', data && data.itemIndex);
+    flushEvents(room);
+    
     // Send response to the player
     if (callback) callback(result);
   });
   
-  // Player damage
-  socket.on('playerDamage', (data) => {
-    const { targetId, damage, source } = data;
-    
+  // Player escape attempt
+  socket.on('playerEscape', (callback) => {
     // Get the player's room
     const room = roomManager.getPlayerRoom(socket.id);
     
-    if (!room || room.state !== 'playing') return;
+    if (!room || room.state !== 'playing') {
+      if (callback) callback({
+        success: false,
+        message: 'Not in an active game'
+      });
+      return;
+    }
     
-    // Apply damage to the target player
-    const result = room.gameManager.applyDamageToPlayer(targetId, damage);
+    // Handle escape attempt, the game may be over once the player is out
+    const result = room.simulation.applyInput(socket.id, 'escape');
+    flushEvents(room);
     
-    if (result.success) {
-      // Broadcast to all players in the room
-      io.to(room.code).emit('playerDamaged', {
-        id: targetId,
-        damage,
-        source,
-        currentHealth: result.currentHealth,
-        isDead: result.isDead
+    // Send response to the player
+    if (callback) callback(result);
+  });
+  
+  // Player attack on other players
+  socket.on('playerAttack', (data, callback) => {
+    // Get the player's room
+    const room = roomManager.getPlayerRoom(socket.id);
+    
+    if (!room || room.state !== 'playing') {
+      if (callback) callback({
+        success: false,
+        message: 'Not in an active game'
       });
-      
-      // Check if player died
-      if (result.isDead) {
-        // Check game over conditions
-        const gameOverResult = room.gameManager.checkGameOverConditions();
-        if (gameOverResult.isGameOver) {
-          // End the game
-          roomManager.endGame(room.code);
-          
-          // Notify all players in the room
-          io.to(room.code).emit('gameOver', gameOverResult);
-          
-          // Update available rooms for all clients
-          io.emit('availableRooms', roomManager.getPublicRooms());
-        }
-      }
+      return;
     }
+    
+    // The server picks the target and validates range, line of sight and cooldown
+    const result = room.simulation.applyInput(socket.id, 'attack', data);
+    flushEvents(room);
+    
+    // Send response to the player
+    if (callback) callback(result);
   });
   
   // Handle player disconnect
@@ -323,29 +683,37 @@ io.on('connection', (socket) => {
     // Get the player's room
     const room = roomManager.getPlayerRoom(socket.id);
     
+    // Keep the player's place in a running game for the reconnect grace period
+    const disconnectResult = roomManager.disconnectPlayer(socket.id);
+    if (disconnectResult.success) {
+      socket.to(room.code).emit('playerDisconnected', {
+        id: socket.id,
+        gracePeriod: disconnectResult.gracePeriod
+      });
+      
+      console.log('Client disconnected, waiting for reconnect:', socket.id);
+      return;
+    }
+    
     if (room) {
       // Leave the room
       const result = roomManager.leaveRoom(socket.id);
       
-      if (result.success && !result.roomRemoved) {
+      if (result.success && result.roomRemoved) {
+        closeRoom(room.code);
+      } else if (result.success) {
         // Notify all clients in the room about the player leaving
         socket.to(room.code).emit('playerLeftRoom', {
           id: socket.id
         });
+        broadcastRoomUpdate(room);
         
         // If the game is in progress, also send a playerLeft event
-        if (room.state === 'playing') {
+        if (room.state === 'playing' && !result.spectator) {
           socket.to(room.code).emit('playerLeft', socket.id);
           
           // Check game over conditions
-          const gameOverResult = room.gameManager.checkGameOverConditions();
-          if (gameOverResult.isGameOver) {
-            // End the game
-            roomManager.endGame(room.code);
-            
-            // Notify all players in the room
-            io.to(room.code).emit('gameOver', gameOverResult);
-          }
+          checkGameOver(room);
         }
       }
       
@@ -358,50 +726,96 @@ io.on('connection', (socket) => {
 });
 
 // Game loop for each active room
-const TICK_RATE = 30; // 30 updates per second
 setInterval(() => {
   // Process each active room
-  for (const [roomCode, room] of roomManager.rooms.entries()) {
+  for (const room of roomManager.rooms.values()) {
     if (room.state !== 'playing') continue;
     
-    // Update game timer
-    room.gameManager.updateGameTimer(1000 / TICK_RATE);
+    // Simulate the tick and broadcast what happened
+    room.simulation.step();
+    flushEvents(room);
+  }
+}, 1000 / roomManager.tickRate);
+
+// Count down the lobbies where everyone is ready, and start their games
+setInterval(() => {
+  for (const { room, countdown } of roomManager.tickCountdowns()) {
+    if (countdown > 0) {
+      io.to(room.code).emit('countdown', { seconds: countdown });
+      continue;
+    }
     
-    // Update monsters
-    room.monsterManager.updateMonsters(
-      Array.from(room.players).map(id => room.gameManager.getPlayer(id)),
-      1000 / TICK_RATE
-    );
+    const result = roomManager.startGame(room.code);
     
-    // Shift maze if needed
-    const mazeUpdated = room.mazeGenerator.updateMaze(1000 / TICK_RATE);
-    if (mazeUpdated) {
-      room.gameManager.setMaze(room.mazeGenerator.getMaze());
-      io.to(roomCode).emit('mazeUpdated', room.gameManager.getMaze());
+    if (result.success) {
+      sendGameStarted(room);
+    } else {
+      room.countdown = null;
+      io.to(room.code).emit('countdownCancelled', { message: result.message });
+      broadcastRoomUpdate(room);
     }
-    
-    // Broadcast game updates to all players in the room
-    io.to(roomCode).emit('gameUpdate', {
-      monsters: room.monsterManager.getMonsters(),
-      gameTimer: room.gameManager.getGameTimer()
+  }
+}, 1000);
+
+// Close rematch votes that timed out, removing the players who didn't vote
+setInterval(() => {
+  const closed = roomManager.expireRematchVotes();
+  
+  for (const { room, removed, roomRemoved } of closed) {
+    removed.forEach(playerId => {
+      const removedSocket = io.sockets.sockets.get(playerId);
+      if (removedSocket) {
+        removedSocket.emit('kicked', {
+          roomCode: room.code,
+          message: roomRemoved ? 'The room was closed' : 'You did not vote for a rematch in time'
+        });
+        removedSocket.leave(room.code);
+      }
     });
     
-    // Check for time-based game over
-    if (room.gameManager.getGameTimer() >= room.options.timeLimit) {
-      const gameOverResult = room.gameManager.checkGameOverConditions();
-      if (gameOverResult.isGameOver) {
-        // End the game
-        roomManager.endGame(roomCode);
-        
-        // Notify all players in the room
-        io.to(roomCode).emit('gameOver', gameOverResult);
-        
-        // Update available rooms for all clients
-        io.emit('availableRooms', roomManager.getPublicRooms());
-      }
+    if (roomRemoved) {
+      closeRoom(room.code);
+    } else {
+      removed.forEach(playerId => io.to(room.code).emit('playerLeftRoom', { id: playerId }));
+      broadcastRoomUpdate(room);
+    }
+  }
+  
+  if (closed.length > 0) {
+    io.emit('availableRooms', roomManager.getPublicRooms());
+  }
+}, 1000);
+
+// Remove disconnected players whose reconnect grace period has run out
+setInterval(() => {
+  const expired = roomManager.expireDisconnectedPlayers();
+  
+  for (const { playerId, roomCode, roomRemoved } of expired) {
+    console.log('Reconnect grace period expired:', playerId);
+    
+    if (roomRemoved) {
+      closeRoom(roomCode);
+      continue;
+    }
+    
+    // Notify the remaining players
+    io.to(roomCode).emit('playerLeftRoom', { id: playerId });
+    io.to(roomCode).emit('playerLeft', playerId);
+    
+    // The game may be over without the player
+    const room = roomManager.getRoom(roomCode);
+    if (room && room.state === 'playing') {
+      checkGameOver(room);
     }
+    if (room) {
+      broadcastRoomUpdate(room);
+    }
+  }
+  
+  if (expired.length > 0) {
+    io.emit('availableRooms', roomManager.getPublicRooms());
   }
-}, 1000 / TICK_RATE);
+}, 1000);
 
 // Try different ports if the default one is in use
 const tryPort = (port) => {
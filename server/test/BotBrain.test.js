@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Simulation = require('../game/Simulation');
+const BotBrain = require('../bots/BotBrain');
+
+/**
+ * Plays a coop game without monsters with bots steering every player, the way Bot does over a socket.
+ * @param {number} seed - The maze seed
+ * @param {string} skill - The bots' skill
+ * @param {number} maxTicks - Ticks after which to give up
+ * @param {number} floors - Floors of the maze
+ * @returns {Object} The simulation and the events it emitted
+ */
+function playGame(seed, skill = 'normal', maxTicks = 30 * 300, floors = 1) {
+  const simulation = new Simulation({ seed, floors, gameMode: 'coop', spawnRules: { maxMonsters: 0 } });
+  const bots = ['a', 'b'].map((id, index) => new BotBrain(id, skill, index));
+  const events = [];
+
+  simulation.start(bots.map(bot => bot.playerId));
+  bots.forEach(bot => bot.handleEvent('gameState', simulation.getGameState(bot.playerId)));
+
+  for (let tick = 0; tick < maxTicks && !simulation.isOver; tick++) {
+    simulation.step();
+    const tickEvents = simulation.drainEvents();
+    events.push(...tickEvents);
+
+    bots.forEach(bot => {
+      tickEvents
+        .filter(({ except, to }) => except !== bot.playerId && (!to || to === bot.playerId))
+        .forEach(({ event, data }) => bot.handleEvent(event, data));
+
+      if (bot.needsGameState) {
+        bot.handleEvent('gameState', simulation.getGameState(bot.playerId));
+      }
+
+      bot.update(simulation.timestep).forEach(({ type, data }) => {
+        const result = simulation.applyInput(bot.playerId, type, data);
+        if (type === 'move' && !result.success && result.position) {
+          bot.handleEvent('positionCorrected', result);
+        }
+      });
+    });
+  }
+
+  // Inputs of the last tick can end the game
+  events.push(...simulation.drainEvents());
+
+  return { simulation, events };
+}
+
+test('bots find their way out of the maze', () => {
+  const { simulation, events } = playGame(1);
+
+  assert.strictEqual(simulation.isOver, true);
+  assert.strictEqual(simulation.result.isVictory, true);
+  assert.strictEqual(events.filter(({ event }) => event === 'playerEscaped').length, 2);
+});
+
+test('bots fetch keys to open locked doors on their way', () => {
+  const { simulation, events } = playGame(3);
+  const doors = simulation.getState().maze.doors;
+
+  assert.ok(doors.length > 0);
+  assert.ok(events.some(({ event }) => event === 'itemCollected'));
+  assert.ok(events.some(({ event }) => event === 'doorOpened'));
+  assert.strictEqual(simulation.result.isVictory, true);
+});
+
+test('bots climb the stairs to the exit on the top floor', () => {
+  const { simulation, events } = playGame(2, 'normal', 30 * 300, 3);
+
+  assert.strictEqual(simulation.result.isVictory, true);
+  assert.deepStrictEqual(
+    events.filter(({ event }) => event === 'playerUsedStairs').map(({ data }) => data.floor).sort(),
+    [1, 1, 2, 2]
+  );
+});
+
+test('bots play the same game for the same seeds', () => {
+  const play = () => playGame(8, 'easy', 30 * 20).simulation.getState().players.map(player => player.position);
+
+  assert.deepStrictEqual(play(), play());
+});
+
+test('bots ask for the game state when they miss a maze shift', () => {
+  const simulation = new Simulation({ seed: 1, spawnRules: { maxMonsters: 0 } });
+  simulation.start(['a']);
+
+  const bot = new BotBrain('a');
+  bot.handleEvent('gameState', simulation.getGameState('a'));
+  const version = bot.maze.version;
+
+  bot.handleEvent('mazeUpdated', { version: version + 2, baseVersion: version + 1, cells: [] });
+  assert.strictEqual(bot.needsGameState, true);
+  assert.strictEqual(bot.maze.version, version);
+
+  bot.handleEvent('gameState', simulation.getGameState('a'));
+  assert.strictEqual(bot.needsGameState, false);
+});
+
+test('bots stop once they are out', () => {
+  const bot = new BotBrain('a');
+  const simulation = new Simulation({ seed: 1, spawnRules: { maxMonsters: 0 } });
+  simulation.start(['a']);
+  bot.handleEvent('gameState', simulation.getGameState('a'));
+
+  assert.ok(bot.update(100).length > 0);
+
+  bot.handleEvent('playerEscaped', { id: 'a' });
+  assert.deepStrictEqual(bot.update(100), []);
+});
+
+test('unknown skills fall back to normal', () => {
+  assert.strictEqual(new BotBrain('a', 'godlike').skill, 'normal');
+  assert.deepStrictEqual(BotBrain.getSkillLevels(), ['easy', 'normal', 'expert']);
+});
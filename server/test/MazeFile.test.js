@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const MazeFile = require('../game/MazeFile');
+const RoomManager = require('../game/RoomManager');
+const Simulation = require('../game/Simulation');
+
+/**
+ * A small hand-authored maze. The exit is behind door 1, its key (a) lies next to the lower spawn point.
+ */
+const GATEHOUSE = [
+  '; labyrinth-survival-maze 1',
+  '; name: Gatehouse',
+  '; shifting: false',
+  '##########',
+  '#S.......#',
+  '#.######.#',
+  '#.#H...#.#',
+  '#.#.##.#.#',
+  '#.#.##W#.#',
+  '#.#......#',
+  '#a######1#',
+  '#S######P#',
+  '########E#'
+].join('\n');
+
+/**
+ * Parses a maze file that is expected to be valid.
+ * @param {string} text - The file contents
+ * @returns {Object} The maze file
+ */
+function parseValid(text) {
+  const result = MazeFile.parse(text);
+  assert.strictEqual(result.message, undefined);
+
+  return result.file;
+}
+
+test('text maze files load with their doors, keys, spawn points and items', () => {
+  const file = parseValid(GATEHOUSE);
+
+  assert.strictEqual(file.name, 'Gatehouse');
+  assert.strictEqual(file.width, 10);
+  assert.strictEqual(file.height, 10);
+  assert.strictEqual(file.shifting, false);
+  assert.deepStrictEqual(file.exit, { x: 8, y: 9 });
+  assert.deepStrictEqual(file.doors, [{ id: 'door_1', x: 8, y: 7 }]);
+  assert.deepStrictEqual(file.keys, [{ id: 'key_1', door: 'door_1', x: 1, y: 7 }]);
+  assert.deepStrictEqual(file.spawnPoints, [{ x: 1, y: 1 }, { x: 1, y: 8 }]);
+  assert.deepStrictEqual(file.items.map(item => item.type), ['health', 'weapon', 'special']);
+
+  // Everything but walls is a path cell
+  const maze = MazeFile.toMaze(file);
+  assert.strictEqual(maze.levels[0][0][0], true);
+  assert.strictEqual(maze.levels[0][8][7], false);
+  assert.strictEqual(maze.doors[0].keyId, 'key_1');
+});
+
+test('maze files read back the same from JSON and text', () => {
+  const file = parseValid(GATEHOUSE);
+  file.items[1].variant = 'crossbow';
+
+  assert.deepStrictEqual(parseValid(MazeFile.toJSON(file)), file);
+  assert.deepStrictEqual(parseValid(JSON.parse(MazeFile.toJSON(file))), file);
+
+  // The text format can't tell weapons apart
+  const text = MazeFile.toText(file);
+  assert.strictEqual(text.success, true);
+  assert.deepStrictEqual(parseValid(text.text), { ...file, items: file.items.map(item => ({ ...item, variant: null })) });
+});
+
+test('generated mazes export with their doors, keys and items', () => {
+  const simulation = new Simulation({ seed: 1234, spawnRules: { maxMonsters: 0 } });
+  const maze = simulation.gameManager.getMaze();
+  const file = simulation.exportMaze('Seed 1234');
+
+  assert.strictEqual(file.rows.length, maze.height);
+  assert.deepStrictEqual(MazeFile.toMaze(file).levels, maze.levels);
+  assert.deepStrictEqual(file.doors.map(door => door.id), maze.doors.map(door => door.id));
+  assert.deepStrictEqual(file.keys.map(key => key.door), maze.keys.map(key => key.doorId));
+
+  const items = simulation.itemManager.getItems().filter(item => item.type !== 'key');
+  assert.strictEqual(file.items.length, items.length);
+  assert.ok(file.items.every(item => item.type !== 'weapon' || item.variant));
+});
+
+test('maze files that can\'t be played are rejected', () => {
+  const rows = GATEHOUSE.split('\n');
+  const change = (index, row) => rows.map((line, i) => (i === index ? row : line)).join('\n');
+  const rejects = (data, pattern) => {
+    const result = MazeFile.parse(data);
+    assert.strictEqual(result.success, false);
+    assert.match(result.message, pattern);
+  };
+
+  // The key locked behind its own door
+  rejects(change(10, '#.######1#').replace('#S######P#', '#S######a#'), /can't be reached from spawn point \(1, 1\)/);
+  rejects(change(10, '#.######1#'), /door_1 needs exactly one key/);
+  rejects(change(12, '########E'), /Row 9 is 9 cells wide/);
+  rejects(change(12, '########X#'), /Unknown symbol "X"/);
+  rejects(rows.slice(0, -1).join('\n'), /between 10 and 50 cells per side/);
+  rejects('# not a maze', /must start with/);
+  rejects('{ "format": ', /not valid JSON/);
+
+  const file = parseValid(GATEHOUSE);
+  rejects({ ...file, version: 2 }, /Unsupported maze file version 2/);
+  rejects({ ...file, items: [{ type: 'armor', x: 0, y: 0 }] }, /armor item must be on a path cell/);
+  rejects({ ...file, items: [{ type: 'weapon', variant: 'laser', x: 2, y: 1 }] }, /Unknown weapon variant "laser"/);
+  rejects({ ...file, spawnPoints: [{ x: 8, y: 9 }] }, /spawn point shares cell \(8, 9\)/);
+});
+
+test('rooms play hand-authored mazes', () => {
+  const roomManager = new RoomManager();
+
+  const broken = roomManager.createRoom(null, { mazeFile: GATEHOUSE.replace('#a######1#', '#.######1#') });
+  assert.strictEqual(broken.success, false);
+  assert.match(broken.message, /^Invalid maze file/);
+
+  const { room } = roomManager.createRoom(null, { mazeFile: GATEHOUSE, mazeWidth: 30, floors: 1e6 });
+  assert.strictEqual(room.options.mazeWidth, 10);
+  assert.strictEqual(room.options.floors, 1);
+  assert.strictEqual(room.options.mazeFile, undefined);
+
+  roomManager.joinRoom('host', room.code);
+  assert.strictEqual(roomManager.updateRoomOptions('host', { mazeHeight: 20 }).success, false);
+
+  // Players spawn at the spawn points in turn, only the placed items and keys are in the maze
+  const simulation = new Simulation({ seed: 1, mazeFile: room.mazeFile, spawnRules: { maxMonsters: 0 } });
+  simulation.start(['a', 'b', 'c']);
+
+  const cells = ['a', 'b', 'c'].map(playerId => {
+    const position = simulation.gameManager.getPlayer(playerId).position;
+    return { x: Math.floor(position.x / 2), y: Math.floor(position.z / 2) };
+  });
+  assert.deepStrictEqual(cells, [{ x: 1, y: 1 }, { x: 1, y: 8 }, { x: 1, y: 1 }]);
+
+  // The walls stay put and no items respawn
+  const grid = JSON.stringify(simulation.gameManager.getMaze().levels);
+  simulation.advance(30 * 120);
+  assert.strictEqual(JSON.stringify(simulation.gameManager.getMaze().levels), grid);
+  assert.deepStrictEqual(simulation.itemManager.getItems().map(item => item.type).sort(), ['health', 'key', 'special', 'weapon']);
+});
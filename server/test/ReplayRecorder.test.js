@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Simulation = require('../game/Simulation');
+const ReplayRecorder = require('../game/ReplayRecorder');
+const ReplayManager = require('../game/ReplayManager');
+
+/**
+ * Creates a started simulation with a recorder attached.
+ * @param {Object} options - Simulation options
+ * @returns {Object} The simulation and its recorder
+ */
+function createRecording(options = {}) {
+  const simulation = new Simulation({ seed: 1234, roleSeed: 1, ...options });
+  simulation.start(['a', 'b']);
+
+  return { simulation, recorder: new ReplayRecorder('ABCD', simulation) };
+}
+
+/**
+ * Plays a coop game to its end by letting both players escape.
+ * @param {Simulation} simulation - The simulation
+ */
+function finishGame(simulation) {
+  const maze = simulation.gameManager.getMaze();
+  ['a', 'b'].forEach(playerId => {
+    simulation.gameManager.getPlayer(playerId).position = {
+      x: maze.exitPosition.x * maze.cellSize,
+      y: 0,
+      z: maze.exitPosition.y * maze.cellSize
+    };
+    simulation.applyInput(playerId, 'escape');
+  });
+}
+
+test('replays record the game from its first state to its result', () => {
+  const { simulation, recorder } = createRecording({ spawnRules: { spawnInterval: 5 } });
+  const start = simulation.getGameState();
+
+  simulation.advance(240);
+  finishGame(simulation);
+  const replay = recorder.finish(simulation);
+
+  assert.strictEqual(replay.id.endsWith('-ABCD'), true);
+  assert.strictEqual(replay.seed, simulation.getSeed());
+  assert.strictEqual(replay.ticks, 240);
+  assert.deepStrictEqual(replay.players, ['a', 'b']);
+  assert.strictEqual(replay.result.isVictory, true);
+  assert.deepStrictEqual(replay.initialState.maze.levels, start.maze.levels);
+
+  const events = replay.events.map(([, event]) => event);
+  assert.ok(events.includes('gameUpdate'));
+  assert.deepStrictEqual(events.slice(-3), ['playerEscaped', 'playerEscaped', 'gameOver']);
+  assert.deepStrictEqual(replay.inputs.map(([tick, playerId, type]) => [tick, playerId, type]), [
+    [240, 'a', 'escape'],
+    [240, 'b', 'escape']
+  ]);
+
+  // Nothing is recorded after the game
+  simulation.applyInput('a', 'interact');
+  assert.strictEqual(replay.inputs.length, 2);
+});
+
+test('replays keep one move per player and tick, without timestamps', () => {
+  const { simulation, recorder } = createRecording({ spawnRules: { maxMonsters: 0 } });
+  const position = simulation.gameManager.getPlayer('a').position;
+
+  // Moves are only kept as the events they cause
+  simulation.advance(10);
+  simulation.applyInput('a', 'move', { x: position.x + 0.1, y: 0, z: position.z });
+  assert.strictEqual(recorder.inputs.length, 0);
+
+  // Clients can send several moves per tick, the live server's clock lets them through
+  recorder.recordEvent(10, 'playerMoved', { id: 'a', position: { x: 1.23456, y: 0, z: 2 }, time: 1000 });
+  recorder.recordEvent(10, 'playerMoved', { id: 'b', position: { x: 5, y: 0, z: 5 }, time: 1000 });
+  simulation.advance(10);
+
+  const replay = recorder.finish(simulation);
+  const moves = replay.events.filter(([, event]) => event === 'playerMoved');
+  assert.deepStrictEqual(moves, [
+    [10, 'playerMoved', { id: 'a', position: { x: 1.23, y: 0, z: 2 } }],
+    [10, 'playerMoved', { id: 'b', position: { x: 5, y: 0, z: 5 } }]
+  ]);
+
+  // Game updates are only kept for monster changes
+  assert.strictEqual(replay.events.filter(([, event]) => event === 'gameUpdate').length, 0);
+});
+
+test('replays are saved, listed newest first and pruned', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'replays-'));
+  const replayManager = new ReplayManager(directory, 2);
+
+  try {
+    const replays = [1, 2, 3].map(startedAt => {
+      const { simulation, recorder } = createRecording();
+      recorder.id = `${startedAt}-ABCD`;
+      finishGame(simulation);
+      return recorder.finish(simulation);
+    });
+
+    for (const replay of replays) {
+      await replayManager.save(replay);
+    }
+
+    // A new manager reads the files from disk
+    const summaries = await new ReplayManager(directory, 2).list();
+    assert.deepStrictEqual(summaries.map(summary => summary.id), ['3-ABCD', '2-ABCD']);
+    assert.strictEqual(summaries[0].players, 2);
+    assert.strictEqual(summaries[0].isVictory, true);
+
+    assert.strictEqual(await replayManager.find('1-ABCD'), null);
+    assert.strictEqual(await replayManager.find('../3-ABCD'), null);
+    assert.ok(await replayManager.find('3-ABCD'));
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const RoomManager = require('../game/RoomManager');
+
+/**
+ * Creates a room that is expected to be rejected.
+ * @param {Object} options - Room options
+ * @param {RegExp} pattern - Pattern the rejection message must match
+ */
+function rejects(options, pattern) {
+  const result = new RoomManager().createRoom(null, options);
+  assert.strictEqual(result.success, false);
+  assert.match(result.message, pattern);
+}
+
+test('rooms only generate mazes within the lobby limits', () => {
+  rejects({ floors: 1e6 }, /Invalid number of floors/);
+  rejects({ floors: 1.5 }, /Invalid number of floors/);
+  rejects({ mazeWidth: 100000 }, /Invalid maze size/);
+  rejects({ mazeHeight: '20' }, /Invalid maze size/);
+
+  const { room } = new RoomManager().createRoom(null, { floors: 3, mazeWidth: 30 });
+  assert.strictEqual(room.options.floors, 3);
+  assert.strictEqual(room.options.mazeWidth, 30);
+});
+
+test('rooms are created with the same settings limits as the lobby', () => {
+  rejects({ gameMode: 'anything' }, /Invalid game mode/);
+  rejects({ maxPlayers: 1e9 }, /Invalid player limit/);
+  rejects({ maxPlayers: 0 }, /Invalid player limit/);
+  rejects({ timeLimit: -5 }, /Invalid time limit/);
+  rejects({ timeLimit: 1e12 }, /Invalid time limit/);
+
+  const roomManager = new RoomManager();
+  const { room } = roomManager.createRoom(null, { gameMode: 'pvp', maxPlayers: 4, timeLimit: 300 });
+  assert.strictEqual(room.options.gameMode, 'pvp');
+  assert.strictEqual(room.options.maxPlayers, 4);
+  assert.strictEqual(room.options.timeLimit, 300);
+
+  // The lobby checks changes the same way
+  roomManager.joinRoom('host', room.code);
+  assert.match(roomManager.updateRoomOptions('host', { timeLimit: 1e12 }).message, /Invalid time limit/);
+  assert.strictEqual(roomManager.updateRoomOptions('host', { gameMode: 'betrayal', floors: 2 }).success, true);
+  assert.strictEqual(room.options.floors, 2);
+});
+
+test('rooms only allow monster spawn rules within limits', () => {
+  rejects({ spawnRules: 'many' }, /Invalid monster spawn rules/);
+  rejects({ spawnRules: { maxMonsters: 1e6 } }, /Invalid monster spawn rule: maxMonsters/);
+  rejects({ spawnRules: { spawnInterval: 0 } }, /Invalid monster spawn rule: spawnInterval/);
+  rejects({ spawnRules: { monstersPerPlayer: 1e6 } }, /Invalid monster spawn rule: monstersPerPlayer/);
+  rejects({ spawnRules: { minPlayerDistance: -1 } }, /Invalid monster spawn rule: minPlayerDistance/);
+
+  const { room } = new RoomManager().createRoom(null, { spawnRules: { maxMonsters: 10, spawnInterval: 30, other: 1 } });
+  assert.deepStrictEqual(room.options.spawnRules, { maxMonsters: 10, spawnInterval: 30 });
+});
@@ -0,0 +1,491 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Simulation = require('../game/Simulation');
+const Pathfinder = require('../game/Pathfinder');
+
+/**
+ * Creates a started simulation without monsters, so only the scripted inputs affect the players.
+ * @param {Object} options - Simulation options
+ * @param {Array} playerIds - The players' IDs
+ * @returns {Simulation} The simulation
+ */
+function createSimulation(options = {}, playerIds = ['a', 'b']) {
+  const simulation = new Simulation({
+    seed: 1234,
+    roleSeed: 1,
+    spawnRules: { maxMonsters: 0 },
+    ...options
+  });
+  simulation.start(playerIds);
+
+  return simulation;
+}
+
+/**
+ * Puts a player at the exit.
+ * @param {Simulation} simulation - The simulation
+ * @param {string} playerId - The player's ID
+ */
+function moveToExit(simulation, playerId) {
+  const maze = simulation.gameManager.getMaze();
+  simulation.gameManager.getPlayer(playerId).position = {
+    x: maze.exitPosition.x * maze.cellSize,
+    y: maze.exitPosition.floor * maze.floorHeight,
+    z: maze.exitPosition.y * maze.cellSize
+  };
+}
+
+/**
+ * Gets the cells on the ground floor reachable from a cell.
+ * @param {Object} maze - The maze data
+ * @param {Object} start - The cell to start from
+ * @param {boolean} throughDoors - Whether closed doors can be passed
+ * @returns {Set} The "x,y" keys of the reachable cells
+ */
+function getReachableCells(maze, start, throughDoors) {
+  const isOpen = (x, y) => x >= 0 && x < maze.width && y >= 0 && y < maze.height && !maze.levels[0][x][y] &&
+    (throughDoors || !maze.doors.some(door => !door.isOpen && door.x === x && door.y === y));
+  const reachable = new Set([`${start.x},${start.y}`]);
+  const queue = [start];
+
+  while (queue.length > 0) {
+    const cell = queue.shift();
+    [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([dx, dy]) => {
+      const next = { x: cell.x + dx, y: cell.y + dy };
+      if (isOpen(next.x, next.y) && !reachable.has(`${next.x},${next.y}`)) {
+        reachable.add(`${next.x},${next.y}`);
+        queue.push(next);
+      }
+    });
+  }
+
+  return reachable;
+}
+
+/**
+ * Gets the events of a kind queued since the last drain.
+ * @param {Simulation} simulation - The simulation
+ * @param {string} name - The event name
+ * @returns {Array} The matching events
+ */
+function drainEvents(simulation, name) {
+  return simulation.drainEvents().filter(({ event }) => event === name);
+}
+
+test('the same options play out the same game', () => {
+  const play = () => {
+    const simulation = createSimulation({ gameMode: 'betrayal', spawnRules: {} }, ['a', 'b', 'c', 'd']);
+    simulation.advance(300);
+    return JSON.stringify(simulation.getState());
+  };
+
+  assert.strictEqual(play(), play());
+});
+
+test('advance simulates ticks with a fixed timestep', () => {
+  const simulation = createSimulation({ tickRate: 20 });
+
+  assert.strictEqual(simulation.advance(40), 40);
+
+  const state = simulation.getState();
+  assert.strictEqual(state.tick, 40);
+  assert.strictEqual(state.time, 2000);
+  assert.ok(Math.abs(state.gameTimer - 2) < 1e-9);
+
+  const updates = drainEvents(simulation, 'gameUpdate');
+  assert.strictEqual(updates.length, 40);
+  assert.strictEqual(updates[39].data.tick, 40);
+});
+
+test('scheduled moves are validated on their tick', () => {
+  const simulation = createSimulation();
+  const start = { ...simulation.gameManager.getPlayer('a').position };
+
+  simulation.schedule(10, 'a', 'move', { ...start, isSprinting: true });
+  simulation.schedule(20, 'a', 'move', { x: start.x + 50, y: 0, z: start.z });
+
+  simulation.advance(9);
+  assert.strictEqual(drainEvents(simulation, 'playerMoved').length, 0);
+
+  // The mover's own client already shows the move
+  simulation.advance(1);
+  const moves = drainEvents(simulation, 'playerMoved');
+  assert.strictEqual(moves.length, 1);
+  assert.strictEqual(moves[0].except, 'a');
+  assert.strictEqual(moves[0].data.id, 'a');
+
+  // Far too far for the time since the last move
+  simulation.advance(10);
+  assert.strictEqual(drainEvents(simulation, 'playerMoved').length, 0);
+  assert.deepStrictEqual(simulation.gameManager.getPlayer('a').position, start);
+});
+
+test('moves that arrive bunched together share the time since the last move', () => {
+  const simulation = createSimulation();
+  const gameManager = simulation.gameManager;
+  const start = { ...gameManager.getPlayer('a').position };
+  const step = (i) => simulation.movePlayer('a', { x: start.x + (i % 2 ? 0.3 : 0), y: start.y, z: start.z, isSprinting: true });
+
+  // A tenth of a second of sprinting, held back by the network and delivered at once
+  simulation.advance(3);
+  for (let i = 1; i <= 6; i++) {
+    assert.strictEqual(step(i).success, true);
+  }
+
+  // Unused movement is saved up, but only for a moment
+  simulation.advance(30);
+  let accepted = 0;
+  while (accepted < 100 && step(accepted + 1).success) accepted++;
+
+  const limit = gameManager.getMaxPlayerSpeed(gameManager.getPlayer('a')) * gameManager.movementTolerance * gameManager.maxMoveInterval;
+  assert.ok(accepted > 6);
+  assert.ok(accepted * 0.3 <= limit + 0.1);
+  assert.strictEqual(step(accepted + 1).message, 'Moving too fast');
+});
+
+test('players only escape at the exit', () => {
+  const simulation = createSimulation();
+
+  assert.strictEqual(simulation.escape('a').escaped, false);
+
+  moveToExit(simulation, 'a');
+  assert.strictEqual(simulation.escape('a').escaped, true);
+  assert.strictEqual(simulation.escape('a').escaped, false);
+
+  const escapes = drainEvents(simulation, 'playerEscaped');
+  assert.strictEqual(escapes.length, 1);
+  assert.strictEqual(escapes[0].data.playersEscaped, 1);
+
+  // Escaped players can't move or be hurt
+  assert.strictEqual(simulation.movePlayer('a', { x: 0, y: 0, z: 0 }).success, false);
+  assert.strictEqual(simulation.applyDamage('a', 10, 'Monster').success, false);
+});
+
+test('items picked up with interact go to the player and only they hear the result', () => {
+  const simulation = createSimulation();
+  const player = simulation.gameManager.getPlayer('a');
+  const item = simulation.itemManager.getItems().find(i => i.type !== 'key');
+
+  player.position = { ...item.position, y: 0 };
+  simulation.drainEvents();
+
+  const result = simulation.interact('a');
+  assert.strictEqual(result.type, 'item');
+  assert.deepStrictEqual(player.inventory.map(i => i.id), [item.id]);
+
+  const events = simulation.drainEvents();
+  const interaction = events.find(({ event }) => event === 'interactionResult');
+  assert.strictEqual(interaction.to, 'a');
+  assert.strictEqual(interaction.data.playerId, 'a');
+
+  // Everyone sees the item disappear
+  const collected = events.find(({ event }) => event === 'itemCollected');
+  assert.strictEqual(collected.to, null);
+  assert.strictEqual(collected.except, null);
+});
+
+test('damage kills players and traps them in the maze', () => {
+  const simulation = createSimulation({ gameMode: 'pvp' });
+
+  simulation.applyDamage('a', 60, 'Monster', { monsterId: 'm1' });
+  simulation.applyDamage('a', 60, 'Monster', { monsterId: 'm1' });
+
+  const damage = drainEvents(simulation, 'playerDamaged');
+  assert.deepStrictEqual(damage.map(({ data }) => data.isDead), [false, true]);
+  assert.strictEqual(damage[1].data.monsterId, 'm1');
+  assert.strictEqual(damage[1].data.currentHealth, 0);
+
+  const player = simulation.getState().players.find(p => p.id === 'a');
+  assert.strictEqual(player.isTrapped, true);
+  assert.strictEqual(simulation.isOver, false);
+});
+
+test('maze shifts are broadcast and update every component', () => {
+  const simulation = createSimulation();
+  const version = simulation.getState().maze.version;
+
+  // The first shift is due within the shift interval, sooner under director pressure
+  let shifts = [];
+  for (let tick = 0; tick < 30 * 60 && shifts.length === 0; tick++) {
+    simulation.step();
+    shifts = drainEvents(simulation, 'mazeUpdated');
+  }
+
+  assert.strictEqual(shifts.length, 1);
+  assert.strictEqual(shifts[0].data.version, version + 1);
+  assert.strictEqual(simulation.getState().maze.version, version + 1);
+  assert.strictEqual(simulation.monsterManager.pathfinder.maze.version, version + 1);
+  assert.strictEqual(simulation.director.pathfinder.maze.version, version + 1);
+});
+
+test('maze shifts never wall in a key or open a way around a locked door', () => {
+  const simulation = createSimulation({ seed: 3 });
+  const maze = simulation.gameManager.getMaze();
+  const exit = `${maze.exitPosition.x},${maze.exitPosition.y}`;
+  const start = maze.keys[0];
+
+  // The exit is behind a door
+  assert.ok(maze.doors.length > 0);
+  assert.strictEqual(getReachableCells(maze, start, false).has(exit), false);
+
+  for (let i = 0; i < 100; i++) {
+    simulation.mazeGenerator.shiftMazeWalls();
+
+    const reachable = getReachableCells(maze, start, false);
+    assert.ok(maze.keys.every(key => reachable.has(`${key.x},${key.y}`)), `A key was walled in by shift ${i + 1}`);
+    assert.strictEqual(reachable.has(exit), false, `Shift ${i + 1} opened a way around the door`);
+    assert.ok(getReachableCells(maze, start, true).has(exit), `Shift ${i + 1} cut the exit off`);
+  }
+});
+
+test('mazes with several floors have the exit on the top floor and stairs between the floors', () => {
+  const simulation = createSimulation({ floors: 3 });
+  const maze = simulation.gameManager.getMaze();
+  const pathfinder = new Pathfinder({ ...maze, doors: [] });
+
+  assert.strictEqual(maze.levels.length, 3);
+  assert.strictEqual(maze.exitPosition.floor, 2);
+  assert.deepStrictEqual([...new Set(maze.stairs.map(stairs => stairs.floor))], [0, 1]);
+  maze.stairs.forEach(stairs => {
+    assert.strictEqual(maze.levels[stairs.floor][stairs.x][stairs.y], false);
+    assert.strictEqual(maze.levels[stairs.floor + 1][stairs.x][stairs.y], false);
+  });
+
+  // Players spawn on the ground floor and can walk up to the exit
+  simulation.gameManager.getPlayers().forEach(player => {
+    const cell = pathfinder.worldToCell(player.position);
+    assert.strictEqual(cell.floor, 0);
+    assert.ok(pathfinder.findPath(cell, maze.exitPosition));
+  });
+});
+
+test('players take the stairs between floors and stay on their floor', () => {
+  const simulation = createSimulation({ floors: 2 });
+  const maze = simulation.gameManager.getMaze();
+  const player = simulation.gameManager.getPlayer('a');
+  const stairs = maze.stairs[0];
+
+  // The exit is one floor up
+  moveToExit(simulation, 'a');
+  player.position.y = 0;
+  assert.strictEqual(simulation.escape('a').escaped, false);
+
+  // Jumps stop below the floor above
+  player.position = { x: (stairs.x + 0.5) * maze.cellSize, y: 0, z: (stairs.y + 0.5) * maze.cellSize };
+  assert.ok(simulation.movePlayer('a', { ...player.position, y: 5, isJumping: true }).position.y < maze.floorHeight);
+  player.position.y = 0;
+  simulation.drainEvents();
+
+  const result = simulation.interact('a');
+  assert.strictEqual(result.type, 'stairs');
+  assert.strictEqual(result.floor, 1);
+  assert.strictEqual(player.position.y, maze.floorHeight);
+
+  // The same stairs lead back down
+  assert.strictEqual(simulation.interact('a').floor, 0);
+  assert.strictEqual(simulation.interact('a').floor, 1);
+
+  // Everyone sees the climbs, only the climber hears the result
+  const events = simulation.drainEvents();
+  const climbs = events.filter(({ event }) => event === 'playerUsedStairs');
+  assert.deepStrictEqual(climbs.map(({ data }) => [data.id, data.floor]), [['a', 1], ['a', 0], ['a', 1]]);
+  assert.ok(climbs.every(({ to }) => to === null));
+  assert.ok(events.filter(({ event }) => event === 'interactionResult').every(({ to }) => to === 'a'));
+
+  moveToExit(simulation, 'a');
+  assert.strictEqual(simulation.escape('a').escaped, true);
+});
+
+test('monsters follow players up the stairs', () => {
+  const simulation = createSimulation({ floors: 2 });
+  const maze = simulation.gameManager.getMaze();
+  const { monsterManager } = simulation;
+  const pathfinder = new Pathfinder({ ...maze, doors: [] });
+  monsterManager.setMaze({ ...maze, doors: [] });
+
+  const stairs = maze.stairs[0];
+  const start = pathfinder.getWalkableCells({ x: stairs.x, y: stairs.y, floor: 0 }, 6)
+    .find(cell => pathfinder.findPath(cell, { x: stairs.x, y: stairs.y, floor: 0 }));
+  const monster = monsterManager.createMonster('basic', pathfinder.cellToWorld(start));
+  const destination = pathfinder.cellToWorld({ x: stairs.x, y: stairs.y, floor: 1 });
+
+  for (let i = 0; i < 300 && monster.position.y !== destination.y; i++) {
+    assert.strictEqual(monsterManager.moveTowards(monster, destination, 4), true);
+  }
+
+  assert.strictEqual(monster.position.y, maze.floorHeight);
+  assert.strictEqual(pathfinder.worldToCell(monster.position).floor, 1);
+});
+
+test('spawn rules are clamped and monsters only spawn on free cells', () => {
+  const simulation = createSimulation({
+    spawnRules: { monstersPerPlayer: 1e6, maxMonsters: 1e6, spawnInterval: 0, minPlayerDistance: 1e6 }
+  });
+  const { monsterManager } = simulation;
+  assert.strictEqual(monsterManager.maxMonsters, 50);
+  assert.strictEqual(monsterManager.spawnInterval, 5);
+  assert.strictEqual(monsterManager.minPlayerDistance, 50);
+
+  // No cell is far enough from the players, so only the few cells furthest from them are used
+  const players = simulation.getConnectedPlayers();
+  const freeCells = monsterManager.getSpawnCells(players).length;
+  monsterManager.spawnMonsters(players);
+  assert.strictEqual(monsterManager.monsters.length, freeCells);
+
+  monsterManager.spawnMonsters(players);
+  const cells = monsterManager.monsters.map(monster => {
+    const cell = monsterManager.pathfinder.worldToCell(monster.position);
+    return `${cell.x},${cell.y},${cell.floor}`;
+  });
+  assert.strictEqual(new Set(cells).size, cells.length);
+  assert.ok(cells.length <= monsterManager.maxMonsters);
+});
+
+test('coop ends in victory once everyone escaped', () => {
+  const simulation = createSimulation({ gameMode: 'coop' });
+
+  moveToExit(simulation, 'a');
+  simulation.escape('a');
+  assert.strictEqual(simulation.isOver, false);
+
+  moveToExit(simulation, 'b');
+  simulation.escape('b');
+  assert.strictEqual(simulation.isOver, true);
+  assert.strictEqual(simulation.result.isVictory, true);
+
+  const gameOver = drainEvents(simulation, 'gameOver');
+  assert.strictEqual(gameOver.length, 1);
+  assert.strictEqual(gameOver[0].data.playersEscaped, 2);
+
+  // Nothing happens after the game is over
+  assert.strictEqual(simulation.advance(10), 0);
+});
+
+test('coop ends in defeat when time runs out', () => {
+  // 125 millisecond ticks add up to the time limit without rounding errors
+  const simulation = createSimulation({ gameMode: 'coop', timeLimit: 2, tickRate: 8 });
+
+  moveToExit(simulation, 'a');
+  simulation.escape('a');
+
+  // Stops as soon as the game is over
+  assert.strictEqual(simulation.advance(100), 16);
+  assert.strictEqual(simulation.result.isVictory, false);
+  assert.strictEqual(simulation.result.playersEscaped, 1);
+  assert.strictEqual(drainEvents(simulation, 'gameOver').length, 1);
+});
+
+test('coop doesn\'t let players attack each other', () => {
+  const simulation = createSimulation({ gameMode: 'coop' });
+
+  const result = simulation.attack('a', { direction: { x: 1, z: 0 } });
+  assert.strictEqual(result.success, false);
+});
+
+test('pvp kills are credited to the attacker', () => {
+  const simulation = createSimulation({ gameMode: 'pvp' });
+  const attacker = simulation.gameManager.getPlayer('a');
+  const target = simulation.gameManager.getPlayer('b');
+  target.position = { ...attacker.position };
+  target.health = 5;
+
+  const result = simulation.attack('a', { direction: { x: 1, z: 0 } });
+  assert.strictEqual(result.hit, true);
+  assert.strictEqual(result.targetId, 'b');
+
+  const events = simulation.drainEvents();
+  const attacked = events.find(({ event }) => event === 'playerAttacked');
+  assert.strictEqual(attacked.except, 'a');
+
+  const killed = events.find(({ event }) => event === 'playerKilled');
+  assert.strictEqual(killed.data.killerId, 'a');
+  assert.strictEqual(killed.data.kills, 1);
+
+  // The attacker is the only one left in the maze
+  assert.strictEqual(simulation.isOver, false);
+});
+
+test('pvp ends once everyone escaped or is trapped', () => {
+  const simulation = createSimulation({ gameMode: 'pvp' });
+
+  simulation.applyDamage('b', 100, 'Monster');
+  assert.strictEqual(simulation.isOver, false);
+
+  moveToExit(simulation, 'a');
+  simulation.escape('a');
+  assert.strictEqual(simulation.isOver, true);
+  assert.strictEqual(simulation.result.isVictory, true);
+  assert.strictEqual(simulation.result.playersTrapped, 1);
+});
+
+test('pvp ends in defeat when nobody escaped', () => {
+  const simulation = createSimulation({ gameMode: 'pvp' });
+
+  simulation.applyDamage('a', 100, 'Monster');
+  simulation.applyDamage('b', 100, 'Monster');
+
+  assert.strictEqual(simulation.isOver, true);
+  assert.strictEqual(simulation.result.isVictory, false);
+});
+
+test('betrayal roles come from the role seed', () => {
+  const roles = (roleSeed) => createSimulation({ gameMode: 'betrayal', roleSeed }, ['a', 'b', 'c', 'd'])
+    .getState().players.map(player => player.role);
+
+  assert.deepStrictEqual(roles(5), roles(5));
+  assert.strictEqual(roles(5).filter(role => role === 'traitor').length, 1);
+  assert.strictEqual(createSimulation({ gameMode: 'betrayal' }).getRoleInfo('a').trapGoal, 1);
+});
+
+/**
+ * Creates a betrayal game with four players and returns it with the players split by role.
+ * @returns {Object} The simulation, the traitor's ID and the innocents' IDs
+ */
+function createBetrayal() {
+  const simulation = createSimulation({ gameMode: 'betrayal' }, ['a', 'b', 'c', 'd']);
+  const players = simulation.getState().players;
+
+  return {
+    simulation,
+    traitor: players.find(player => player.role === 'traitor').id,
+    innocents: players.filter(player => player.role === 'innocent').map(player => player.id)
+  };
+}
+
+test('betrayal traitors win by trapping enough innocents', () => {
+  const { simulation, traitor, innocents } = createBetrayal();
+
+  // Half of the three innocents, rounded up
+  simulation.applyDamage(innocents[0], 100, 'Monster');
+  assert.strictEqual(simulation.isOver, false);
+
+  simulation.applyDamage(innocents[1], 100, 'Monster');
+  assert.strictEqual(simulation.isOver, true);
+  assert.strictEqual(simulation.result.winner, 'traitors');
+  assert.strictEqual(simulation.result.roles.find(({ id }) => id === traitor).role, 'traitor');
+});
+
+test('betrayal innocents win once they are all out', () => {
+  const { simulation, innocents } = createBetrayal();
+
+  moveToExit(simulation, innocents[0]);
+  simulation.escape(innocents[0]);
+  moveToExit(simulation, innocents[1]);
+  simulation.escape(innocents[1]);
+  assert.strictEqual(simulation.isOver, false);
+
+  // The traitor doesn't have to get out
+  simulation.applyDamage(innocents[2], 100, 'Monster');
+  assert.strictEqual(simulation.isOver, true);
+  assert.strictEqual(simulation.result.winner, 'innocents');
+  assert.strictEqual(simulation.result.isVictory, true);
+});
+
+test('betrayal traitors win when time runs out with no innocent out', () => {
+  const simulation = createSimulation({ gameMode: 'betrayal', timeLimit: 1, tickRate: 8 }, ['a', 'b', 'c', 'd']);
+
+  simulation.advance(8);
+  assert.strictEqual(simulation.isOver, true);
+  assert.strictEqual(simulation.result.winner, 'traitors');
+});
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const Simulation = require('../game/Simulation');
+const MazeFile = require('../game/MazeFile');
+
+const USAGE = `Usage: node tools/maze.js <command> [options]
+
+  export              Generate a maze and print it as a maze file
+    --seed <seed>     Maze seed (default random)
+    --width <cells>   Maze width (default 20)
+    --height <cells>  Maze height (default 20)
+    --mode <mode>     Game mode the items are picked for: coop, betrayal or pvp (default coop)
+    --name <name>     Name of the maze
+    --format <format> json or text (default json)
+
+  check <file>        Check that a maze file can be played`;
+
+/**
+ * Parses the command line options.
+ * @param {Array} args - The command line arguments
+ * @returns {Object} The options
+ */
+function parseArgs(args) {
+  const options = {
+    command: args[0],
+    file: null,
+    seed: null,
+    width: 20,
+    height: 20,
+    mode: 'coop',
+    name: '',
+    format: 'json'
+  };
+
+  for (let i = 1; i < args.length; i++) {
+    const value = args[i + 1];
+
+    switch (args[i]) {
+      case '--seed': options.seed = value; i++; break;
+      case '--width': options.width = parseInt(value, 10); i++; break;
+      case '--height': options.height = parseInt(value, 10); i++; break;
+      case '--mode': options.mode = value; i++; break;
+      case '--name': options.name = value; i++; break;
+      case '--format': options.format = value; i++; break;
+      default:
+        if (options.command === 'check' && !options.file && !args[i].startsWith('--')) {
+          options.file = args[i];
+          break;
+        }
+        console.log(USAGE);
+        process.exit(args[i] === '--help' ? 0 : 1);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Generates a maze with its doors and items and prints it.
+ * @param {Object} options - The command line options
+ */
+function exportMaze(options) {
+  const simulation = new Simulation({
+    gameMode: options.mode,
+    mazeWidth: options.width,
+    mazeHeight: options.height,
+    seed: options.seed
+  });
+  const file = simulation.exportMaze(options.name);
+
+  if (options.format === 'text') {
+    const result = MazeFile.toText(file);
+    if (!result.success) {
+      console.error(result.message);
+      process.exit(1);
+    }
+    process.stdout.write(result.text);
+  } else {
+    process.stdout.write(MazeFile.toJSON(file) + '\n');
+  }
+}
+
+/**
+ * Checks a maze file the way a room does before playing it.
+ * @param {Object} options - The command line options
+ */
+function checkMaze(options) {
+  const result = MazeFile.parse(fs.readFileSync(options.file, 'utf8'));
+
+  if (!result.success) {
+    console.error(`${options.file}: ${result.message}`);
+    process.exit(1);
+  }
+
+  const { file } = result;
+  console.log(`${options.file}: ${file.name || 'Unnamed maze'}, ${file.width}x${file.height} cells, ` +
+    `${file.doors.length} doors, ${file.spawnPoints.length} spawn points, ${file.items.length} items`);
+}
+
+/**
+ * Runs the command.
+ */
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.command === 'export') {
+    exportMaze(options);
+  } else if (options.command === 'check' && options.file) {
+    checkMaze(options);
+  } else {
+    console.log(USAGE);
+    process.exit(options.command === '--help' ? 0 : 1);
+  }
+}
+
+main();